@@ -0,0 +1,69 @@
+// hedgexdao.config.js
+// "Per-network HedgexDao deployment parameters, read by scripts/deploy.js."
+// "Supplies are whole tokens (18 decimals), burnTax is in basis points (10 = 0.10%)."
+// "timelock (optional): a HedgexTimelock with minDelay seconds becomes the owner; proposers/executors"
+// "default to finalOwner. Owner calls are then queued and only land after the delay."
+// "governor (optional, needs timelock): a HedgexGovernor proposes through the timelock; votingDelay and"
+// "votingPeriod are in blocks, proposalThreshold in whole tokens, quorumPercent of the total supply."
+// "launch (optional): maxTx / maxWallet in whole tokens (0 = off), buyCooldown (one buy per block), limitsBlocks"
+// "(limits lapse that many blocks after trading opens; 0 = never) and enableTrading (open trading at deploy)."
+// "roles (optional): { minter, feeManager, snapshotter, compliance } address lists granted at deploy; the owner"
+// "(finalOwner / timelock) is the admin and can act as every role without being listed."
+// "upgradeable (optional): deploy HedgexDaoUpgradeable behind a transparent proxy instead of HedgexDao; its"
+// "ProxyAdmin goes to the same owner as the token, so upgrades (hgxd:upgrade) follow the owner's timelock / Safe."
+// "Point HGXD_DEPLOY_CONFIG at another .js/.json file to override this one."
+
+const local = {
+  name: "HedgexDao",
+  symbol: "HGXD",
+  initialSupply: "25000000",
+  maxSupply: "30000000",
+  supplyFloor: "20000000",
+  burnTax: 10,
+  ammPairs: [],
+  excludedFromFee: [],
+  finalOwner: "", // empty = deployer stays owner
+  timelock: null, // e.g. { minDelay: 60, proposers: ["0x..."], executors: [] }
+  governor: null, // e.g. { votingDelay: 1, votingPeriod: 50, proposalThreshold: "0", quorumPercent: 4 }
+  launch: { enableTrading: true }, // local pairs trade right away
+  upgradeable: false, // true = HedgexDaoUpgradeable behind a proxy
+};
+
+module.exports = {
+  hardhat: local,
+  localhost: local,
+
+  // "Fill in before deploying. Validation refuses to run with empty values."
+  mainnet: {
+    name: "HedgexDao",
+    symbol: "HGXD",
+    initialSupply: "",
+    maxSupply: "",
+    supplyFloor: "",
+    burnTax: 10,
+    ammPairs: [],
+    excludedFromFee: [],
+    finalOwner: "", // Multisignature Wallet
+    timelock: { minDelay: 2 * 24 * 60 * 60, proposers: [], executors: [] }, // 48h; multisig proposes
+    governor: null, // e.g. { votingDelay: 7200, votingPeriod: 50400, proposalThreshold: "25000", quorumPercent: 4 }
+    // Trading opens through the owner after liquidity is added; limits lapse ~1h after that
+    launch: { maxTx: "", maxWallet: "", buyCooldown: true, limitsBlocks: 300, enableTrading: false },
+    roles: { snapshotter: [] }, // e.g. the ops bot that takes snapshots
+  },
+  polygon: {
+    name: "HedgexDao",
+    symbol: "HGXD",
+    initialSupply: "",
+    maxSupply: "",
+    supplyFloor: "",
+    burnTax: 10,
+    ammPairs: [],
+    excludedFromFee: [],
+    finalOwner: "", // Multisignature Wallet
+    timelock: { minDelay: 2 * 24 * 60 * 60, proposers: [], executors: [] }, // 48h; multisig proposes
+    governor: null, // e.g. { votingDelay: 7200, votingPeriod: 50400, proposalThreshold: "25000", quorumPercent: 4 }
+    // Trading opens through the owner after liquidity is added; limits lapse ~1h after that
+    launch: { maxTx: "", maxWallet: "", buyCooldown: true, limitsBlocks: 300, enableTrading: false },
+    roles: { snapshotter: [] }, // e.g. the ops bot that takes snapshots
+  },
+};
@@ -5,35 +5,125 @@ import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Snapshot.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Capped.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
 
 /// @notice HedgexDao ERC20 Token 
-/// @notice Ownable Control System adds more clear authorization and versatility than Ownership Model 
+/// @notice Role-based control: minter, fee manager, snapshotter and compliance roles, granted by the admin (the owner)
 /// @notice Admin of contract will be a Multisignature Wallet 
 /// @dev Standard ERC20 Smart Contract with OpenZeppelin Presets
-contract HedgexDao is Ownable, ERC20Burnable, ERC20Capped, ERC20Snapshot, ERC20Votes {
+contract HedgexDao is Ownable, AccessControl, ERC20Burnable, ERC20Capped, ERC20Snapshot, ERC20Votes {
+    // ====== Roles (the owner is the admin: it holds DEFAULT_ADMIN_ROLE and may act as every role) ======
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");   // taxes, pairs, exclusions, floor
+    bytes32 public constant SNAPSHOT_ROLE = keccak256("SNAPSHOT_ROLE");
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");     // freeze / unfreeze
+
+
     // ====== Fee config ======
     uint256 public constant FEE_DENOMINATOR = 10_000;          // basis points (10000 = 100%)
-    uint256 public burnTax = 10;                               // e.g. 200 = 2.00%
+    uint256 public buyTax = 10;                                // pair -> wallet, e.g. 200 = 2.00%
+    uint256 public sellTax = 10;                               // wallet -> pair (and pair -> pair), e.g. 200 = 2.00%
     uint256 public burnTaxCap = 100;                           // max allowed tax in bps (default 1.00%)
+    bool public pairToPairTaxExempt;                           // skip tax on pair -> pair hops (multi-hop routes)
+
+    /// @notice Per-pair rates used instead of buyTax/sellTax when enabled (e.g. lower rate on a V3 pool)
+    struct PairTax {
+        bool enabled;
+        uint256 buyTax;
+        uint256 sellTax;
+    }
+    mapping(address => PairTax) public pairTaxOverrides;
+
+    // ====== Fee split (shares of the swap tax in bps of the fee, summing to FEE_DENOMINATOR) ======
+    uint256 public burnShare = FEE_DENOMINATOR;                // default: the whole fee is burned
+    uint256 public treasuryShare;
+    uint256 public rewardsShare;
+    address public treasury;
+    address public rewards;                                    // rewards / staking address
 
      // ====== Supply floor (burn stops at / below this supply; resumes above it) ======
     uint256 public supplyFloor;                                // tokens (respecting decimals)
 
+    // ====== Tax burn cap (swap tax stops once totalTaxBurned reaches maxTaxBurn) ======
+    uint256 public totalTaxBurned;                             // cumulative tokens burned by swap tax only
+    uint256 public maxTaxBurn = type(uint256).max;             // tokens; default = no cap
+
+    // ====== Emission schedule (mint() is limited to maxMintPerEpoch per epoch once set; unset = no limit) ======
+    uint64 public mintEpochLength;                             // seconds; 0 = no schedule
+    uint64 public mintScheduleStart;                           // epoch 0 starts here
+    uint64 private _mintEpoch;                                 // epoch _mintedInEpoch belongs to
+    uint256 public maxMintPerEpoch;                            // tokens
+    uint256 private _mintedInEpoch;
+
+    // ====== Bridges (xERC20-style: each bridge mints / burns within its own limits, refilled over BRIDGE_LIMIT_DURATION) ======
+    uint256 private constant BRIDGE_LIMIT_DURATION = 1 days;
+    struct BridgeLimit {
+        uint256 maxLimit;                                      // tokens per BRIDGE_LIMIT_DURATION; 0 = none
+        uint256 currentLimit;                                  // available at `timestamp`
+        uint256 timestamp;
+    }
+    mapping(address => BridgeLimit[2]) private _bridgeLimits;  // [0] = mint, [1] = burn
+    mapping(address => bool) private _excludedAsBridge;        // fee exclusion added by setLimits, lifted with the bridge
+
+    // ====== Launch protection (only for transfers where neither side is excluded from fee) ======
+    // Flags and blocks share one slot so transfers after launch pay a single extra read
+    bool public tradingEnabled;                                // pair transfers revert until the owner enables trading
+    bool public buyCooldown;                                   // at most one buy per block per buyer and per tx.origin
+    bool private _launchLimitsSet;                             // any of max tx / max wallet / buy cooldown is on
+    uint64 public tradingEnabledBlock;
+    uint64 public launchLimitsBlocks;                          // limits lapse this many blocks after trading starts; 0 = never
+    uint256 public maxTxAmount;                                // tokens; 0 = no limit
+    uint256 public maxWalletAmount;                            // tokens; 0 = no limit (pairs are never limited)
+    mapping(address => uint256) private _lastBuyBlock;
+
     // ====== AMM pairs & exclusions ======
     mapping(address => bool) public automatedMarketMakerPairs; // mark AMM pairs (Uniswap V2/V3 pools, etc.)
     mapping(address => bool) public isExcludedFromFee;         // wallets excluded from swap burn tax
 
-    /// @notice Track current unique holders (balance > 0)
-    uint256 public holdersCount;
-    mapping(address => bool) private _isHolder;
+    // ====== Compliance (frozen accounts cannot send, receive, spend allowances, delegate or vote) ======
+    mapping(address => bytes32) public frozenReason;           // reason code of the current freeze, e.g. "STOLEN_FUNDS"
+
+    /// @notice Track current unique holders (balance > 0), enumerable through holderAt / holders
+    /// @dev Swap-and-pop list; holderIndex is 1-based so 0 means "not a holder".
+    ///      The frozen flag shares the slot, so the transfer check warms it for the registry update.
+    struct AccountState {
+        uint128 holderIndex;
+        bool frozen;
+    }
+    address[] private _holders;
+    mapping(address => AccountState) private _accounts;
 
     // ====== Events ======
     event AutomatedMarketMakerPairSet(address indexed pair, bool value);
     event ExcludedFromFee(address indexed account, bool isExcluded);
     event BurnTaxUpdated(uint256 oldTax, uint256 newTax);
+    event BuyTaxUpdated(uint256 oldTax, uint256 newTax);
+    event SellTaxUpdated(uint256 oldTax, uint256 newTax);
+    event PairTaxOverrideSet(address indexed pair, bool enabled, uint256 buyTax, uint256 sellTax);
+    event PairToPairTaxExemptSet(bool exempt);
     event SupplyFloorUpdated(uint256 oldFloor, uint256 newFloor);
-    event TaxBurnApplied(address indexed from, address indexed to, uint256 amountBurned, uint256 newTaxBurnedTotal);
+    event TaxBurnApplied(address indexed from, address indexed to, uint256 amountBurned, uint256 newTotalSupply);
+    event MaxTaxBurnUpdated(uint256 oldMax, uint256 newMax);
+    event TaxBurnCapReached(uint256 totalTaxBurned);
+    event FeeSplitUpdated(uint256 burnShare, uint256 treasuryShare, uint256 rewardsShare);
+    event FeeRecipientsUpdated(address indexed treasury, address indexed rewards);
+    event AccountFrozen(address indexed account, bytes32 indexed reason, address indexed by);
+    event AccountUnfrozen(address indexed account, bytes32 indexed reason, address indexed by);
+    event FrozenFundsRecovered(address indexed account, address indexed to, uint256 amount, bytes32 reason);
+    event MintScheduleUpdated(uint256 epochLength, uint256 maxMintPerEpoch);
+    event TradingEnabled(uint256 blockNumber);
+    event LaunchLimitsUpdated(uint256 maxTxAmount, uint256 maxWalletAmount, bool buyCooldown, uint256 launchLimitsBlocks);
+    event BridgeLimitsSet(uint256 mintingLimit, uint256 burningLimit, address indexed bridge);
+    event TaxDistributed(
+        address indexed from,
+        address indexed to,
+        uint256 burned,
+        address treasury,
+        uint256 toTreasury,
+        address rewards,
+        uint256 toRewards
+    );
 
     constructor(
         string memory _name,
@@ -56,41 +146,203 @@ contract HedgexDao is Ownable, ERC20Burnable, ERC20Capped, ERC20Snapshot, ERC20V
     }
 
     // =========================================================
-    //                      OWNER CONFIG
+    //                         ROLES
+    // =========================================================
+
+    /// @dev The owner (admin) may act as every role
+    modifier onlyRoleOrOwner(bytes32 role) {
+        _checkRoleOrOwner(role);
+        _;
+    }
+
+    function _checkRoleOrOwner(bytes32 role) internal view {
+        if (msg.sender != owner()) {
+            _checkRole(role);
+        }
+    }
+
+    /// @dev DEFAULT_ADMIN_ROLE follows ownership; use transferOwnership / renounceOwnership
+    function grantRole(bytes32 role, address account) public override {
+        require(role != DEFAULT_ADMIN_ROLE, "HedgexDao: Admin follows owner");
+        super.grantRole(role, account);
+    }
+
+    function revokeRole(bytes32 role, address account) public override {
+        require(role != DEFAULT_ADMIN_ROLE, "HedgexDao: Admin follows owner");
+        super.revokeRole(role, account);
+    }
+
+    function renounceRole(bytes32 role, address account) public override {
+        require(role != DEFAULT_ADMIN_ROLE, "HedgexDao: Admin follows owner");
+        super.renounceRole(role, account);
+    }
+
+    /// @dev Moves DEFAULT_ADMIN_ROLE with ownership (also runs for the deployer in Ownable's constructor)
+    function _transferOwnership(address newOwner) internal override {
+        _revokeRole(DEFAULT_ADMIN_ROLE, owner());
+        if (newOwner != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, newOwner);
+        }
+        super._transferOwnership(newOwner);
+    }
+
+    // =========================================================
+    //                  FEE MANAGER / OWNER CONFIG
     // =========================================================
 
     /// @notice Mark/unmark an address as an AMM pair. Burn tax applies when either side is a marked pair.
-    function setAutomatedMarketMakerPair(address pair, bool value) external onlyOwner {
+    function setAutomatedMarketMakerPair(address pair, bool value) external onlyRoleOrOwner(FEE_MANAGER_ROLE) {
         require(pair != address(0), "HedgexDao: Invalid Pair");
         automatedMarketMakerPairs[pair] = value;
         emit AutomatedMarketMakerPairSet(pair, value);
     }
 
     /// @notice Exclude or include an address from paying burn tax on buys/sells.
-    function setExcludedFromFee(address account, bool excluded) external onlyOwner {
+    function setExcludedFromFee(address account, bool excluded) external onlyRoleOrOwner(FEE_MANAGER_ROLE) {
         require(account != address(0), "HedgexDao: Invalid Account");
         isExcludedFromFee[account] = excluded;
         emit ExcludedFromFee(account, excluded);
     }
 
-    /// @notice Set the burn tax in basis points (e.g., 200 = 2%). Cannot exceed burnTaxCap.
-    function setBurnTax(uint256 newBurnTaxBps) external onlyOwner {
+    /// @notice Set both buy and sell tax in basis points (e.g., 200 = 2%). Cannot exceed burnTaxCap.
+    function setBurnTax(uint256 newBurnTaxBps) external onlyRoleOrOwner(FEE_MANAGER_ROLE) {
         require(newBurnTaxBps <= burnTaxCap, "Burn tax > cap");
-        emit BurnTaxUpdated(burnTax, newBurnTaxBps);
-        burnTax = newBurnTaxBps;
+        emit BurnTaxUpdated(burnTax(), newBurnTaxBps);
+        buyTax = newBurnTaxBps;
+        sellTax = newBurnTaxBps;
+    }
+
+    /// @notice Set the tax on buys (pair -> wallet) in basis points. Cannot exceed burnTaxCap.
+    function setBuyTax(uint256 newBuyTaxBps) external onlyRoleOrOwner(FEE_MANAGER_ROLE) {
+        require(newBuyTaxBps <= burnTaxCap, "Burn tax > cap");
+        emit BuyTaxUpdated(buyTax, newBuyTaxBps);
+        buyTax = newBuyTaxBps;
+    }
+
+    /// @notice Set the tax on sells (wallet -> pair) in basis points. Cannot exceed burnTaxCap.
+    function setSellTax(uint256 newSellTaxBps) external onlyRoleOrOwner(FEE_MANAGER_ROLE) {
+        require(newSellTaxBps <= burnTaxCap, "Burn tax > cap");
+        emit SellTaxUpdated(sellTax, newSellTaxBps);
+        sellTax = newSellTaxBps;
+    }
+
+    /// @notice Override buy/sell rates for one pair. enabled = false falls back to buyTax/sellTax.
+    function setPairTaxOverride(address pair, bool enabled, uint256 pairBuyTax, uint256 pairSellTax) external onlyRoleOrOwner(FEE_MANAGER_ROLE) {
+        require(pair != address(0), "HedgexDao: Invalid Pair");
+        require(pairBuyTax <= burnTaxCap && pairSellTax <= burnTaxCap, "Burn tax > cap");
+        pairTaxOverrides[pair] = PairTax(enabled, pairBuyTax, pairSellTax);
+        emit PairTaxOverrideSet(pair, enabled, pairBuyTax, pairSellTax);
+    }
+
+    /// @notice Exempt pair -> pair transfers (multi-hop swaps) from tax.
+    function setPairToPairTaxExempt(bool exempt) external onlyRoleOrOwner(FEE_MANAGER_ROLE) {
+        pairToPairTaxExempt = exempt;
+        emit PairToPairTaxExemptSet(exempt);
     }
 
     /// @notice Set the supply floor: burn tax never reduces totalSupply below this value.
     /// @dev Can be set above/below current supply. Must be <= cap().
-    function setSupplyFloor(uint256 newFloor) external onlyOwner {
+    function setSupplyFloor(uint256 newFloor) external onlyRoleOrOwner(FEE_MANAGER_ROLE) {
         require(newFloor <= cap(), "Floor > cap");
         emit SupplyFloorUpdated(supplyFloor, newFloor);
         supplyFloor = newFloor;
     }
 
+    /// @notice Set the cumulative cap on tokens burned by swap tax. Once totalTaxBurned reaches it, tax switches off.
+    /// @dev Independent of supplyFloor; manual burns do not count. May be set at/below totalTaxBurned to stop tax now.
+    function setMaxTaxBurn(uint256 newMax) external onlyRoleOrOwner(FEE_MANAGER_ROLE) {
+        emit MaxTaxBurnUpdated(maxTaxBurn, newMax);
+        maxTaxBurn = newMax;
+    }
+
+    /// @notice Split the swap tax between burning, the treasury and rewards (bps of the fee, must sum to 100%).
+    /// @dev A non-zero treasury/rewards share requires that recipient to be set.
+    function setFeeSplit(uint256 newBurnShare, uint256 newTreasuryShare, uint256 newRewardsShare) external onlyRoleOrOwner(FEE_MANAGER_ROLE) {
+        require(newBurnShare + newTreasuryShare + newRewardsShare == FEE_DENOMINATOR, "Fee split != 100%");
+        require(newTreasuryShare == 0 || treasury != address(0), "HedgexDao: Treasury not set");
+        require(newRewardsShare == 0 || rewards != address(0), "HedgexDao: Rewards not set");
+        burnShare = newBurnShare;
+        treasuryShare = newTreasuryShare;
+        rewardsShare = newRewardsShare;
+        emit FeeSplitUpdated(newBurnShare, newTreasuryShare, newRewardsShare);
+    }
+
+    /// @notice Set where the treasury and rewards shares of the swap tax are sent.
+    /// @dev A recipient with a non-zero share cannot be cleared, and a frozen account cannot be a recipient.
+    function setFeeRecipients(address newTreasury, address newRewards) external onlyOwner {
+        require(treasuryShare == 0 || newTreasury != address(0), "HedgexDao: Invalid Treasury");
+        require(rewardsShare == 0 || newRewards != address(0), "HedgexDao: Invalid Rewards");
+        require(!isFrozen(newTreasury) && !isFrozen(newRewards), "HedgexDao: Account frozen");
+        treasury = newTreasury;
+        rewards = newRewards;
+        emit FeeRecipientsUpdated(newTreasury, newRewards);
+    }
+
+    /// @notice Open pair transfers (buys/sells) to everyone. One-way; starts the launch limits countdown.
+    function enableTrading() external onlyOwner {
+        require(!tradingEnabled, "HedgexDao: Trading already enabled");
+        tradingEnabled = true;
+        tradingEnabledBlock = uint64(block.number);
+        emit TradingEnabled(block.number);
+    }
+
+    /// @notice Set the launch limits (0 = off). They lapse `newLimitsBlocks` blocks after trading is enabled.
+    /// @dev Limits cannot go below 0.1% of totalSupply and cannot be set again once lapsed.
+    function setLaunchLimits(uint256 newMaxTx, uint256 newMaxWallet, bool newBuyCooldown, uint64 newLimitsBlocks)
+        external
+        onlyOwner
+    {
+        require(!launchLimitsExpired(), "HedgexDao: Limits expired");
+        uint256 minLimit = totalSupply() / 1000;
+        require(newMaxTx == 0 || newMaxTx >= minLimit, "HedgexDao: Limit too low");
+        require(newMaxWallet == 0 || newMaxWallet >= minLimit, "HedgexDao: Limit too low");
+        maxTxAmount = newMaxTx;
+        maxWalletAmount = newMaxWallet;
+        buyCooldown = newBuyCooldown;
+        _launchLimitsSet = newMaxTx > 0 || newMaxWallet > 0 || newBuyCooldown;
+        launchLimitsBlocks = newLimitsBlocks;
+        emit LaunchLimitsUpdated(newMaxTx, newMaxWallet, newBuyCooldown, newLimitsBlocks);
+    }
+
     // Helpful view utilities
+
+    /// @notice Whether launchLimitsBlocks have passed since trading was enabled (never when launchLimitsBlocks == 0).
+    function launchLimitsExpired() public view returns (bool) {
+        return tradingEnabled && launchLimitsBlocks > 0 && block.number >= tradingEnabledBlock + launchLimitsBlocks;
+    }
+
+    /// @notice Whether any of max tx / max wallet / buy cooldown is set and has not expired.
+    function launchLimitsActive() public view returns (bool) {
+        return _launchLimitsSet && !launchLimitsExpired();
+    }
+
+    /// @notice Highest default rate (buy or sell). Kept for the single-rate API; per-pair overrides not included.
+    function burnTax() public view returns (uint256) {
+        return buyTax > sellTax ? buyTax : sellTax;
+    }
+
+    /// @notice Tax rate in bps a transfer from -> to is charged, before exclusions, floor and cap.
+    /// @dev Sells (and pair -> pair hops) use the destination pair's sell rate, buys the source pair's buy rate.
+    function getTaxRate(address from, address to) public view returns (uint256) {
+        bool fromPair = automatedMarketMakerPairs[from];
+        bool toPair = automatedMarketMakerPairs[to];
+
+        if (toPair) {
+            if (fromPair && pairToPairTaxExempt) {
+                return 0;
+            }
+            PairTax storage o = pairTaxOverrides[to];
+            return o.enabled ? o.sellTax : sellTax;
+        }
+        if (fromPair) {
+            PairTax storage o = pairTaxOverrides[from];
+            return o.enabled ? o.buyTax : buyTax;
+        }
+        return 0;
+    }
+
     function isBurnActive() public view returns (bool) {
-        return burnTax > 0 && totalSupply() > supplyFloor;
+        return burnTax() > 0 && totalSupply() > supplyFloor && !isTaxBurnCapReached();
     }
 
     function remainingBurnableUntilFloor() public view returns (uint256) {
@@ -98,92 +350,381 @@ contract HedgexDao is Ownable, ERC20Burnable, ERC20Capped, ERC20Snapshot, ERC20V
         return ts > supplyFloor ? ts - supplyFloor : 0;
     }
 
+    function isTaxBurnCapReached() public view returns (bool) {
+        return totalTaxBurned >= maxTaxBurn;
+    }
+
+    function remainingTaxBurn() public view returns (uint256) {
+        return totalTaxBurned < maxTaxBurn ? maxTaxBurn - totalTaxBurned : 0;
+    }
+
+    /// @notice Tokens swap tax can still burn: the tighter of the floor room and the tax burn cap.
+    function remainingBurnableByTax() public view returns (uint256) {
+        uint256 untilFloor = remainingBurnableUntilFloor();
+        uint256 untilCap = remainingTaxBurn();
+        return untilFloor < untilCap ? untilFloor : untilCap;
+    }
+
+    // =========================================================
+    //                        COMPLIANCE
+    // =========================================================
+
+    /// @notice Freeze `account` with a non-zero reason code. Its own delegation is removed.
+    /// @dev The treasury and rewards addresses cannot be frozen: every taxed swap pays them.
+    function freeze(address account, bytes32 reason) external onlyRoleOrOwner(COMPLIANCE_ROLE) {
+        require(account != address(0), "HedgexDao: Invalid Account");
+        require(reason != bytes32(0), "HedgexDao: Reason required");
+        require(account != treasury && account != rewards, "HedgexDao: Fee recipient");
+        require(!_accounts[account].frozen, "HedgexDao: Already frozen");
+        _accounts[account].frozen = true;
+        frozenReason[account] = reason;
+        // The frozen balance stops counting for its delegatee right away
+        super._delegate(account, address(0));
+        emit AccountFrozen(account, reason, msg.sender);
+    }
+
+    /// @notice Lift a freeze; `reason` records why. The account has to delegate again to vote.
+    function unfreeze(address account, bytes32 reason) external onlyRoleOrOwner(COMPLIANCE_ROLE) {
+        require(_accounts[account].frozen, "HedgexDao: Not frozen");
+        _accounts[account].frozen = false;
+        delete frozenReason[account];
+        emit AccountUnfrozen(account, reason, msg.sender);
+    }
+
+    /// @notice Move a frozen account's whole balance to the treasury, untaxed. The account stays frozen.
+    function recoverFrozenFunds(address account) external onlyOwner {
+        require(_accounts[account].frozen, "HedgexDao: Not frozen");
+        require(treasury != address(0), "HedgexDao: Treasury not set");
+        uint256 amount = balanceOf(account);
+        _accounts[account].frozen = false;
+        super._transfer(account, treasury, amount);
+        _accounts[account].frozen = true;
+        emit FrozenFundsRecovered(account, treasury, amount, frozenReason[account]);
+    }
+
+    function isFrozen(address account) public view returns (bool) {
+        return _accounts[account].frozen;
+    }
+
+    // =========================================================
+    //                      HOLDER REGISTRY
+    // =========================================================
+
+    /// @notice Number of addresses with a non-zero balance (pairs and contracts included)
+    function holdersCount() public view returns (uint256) {
+        return _holders.length;
+    }
+
+    /// @notice Holder at `index` (0-based). Order is not stable: removing a holder moves the last one into its slot.
+    function holderAt(uint256 index) external view returns (address) {
+        require(index < _holders.length, "HedgexDao: Index out of bounds");
+        return _holders[index];
+    }
+
+    /// @notice Up to `limit` holders starting at `offset`; empty once `offset` is past the end
+    /// @dev Page through at a fixed blockTag so removals between calls cannot skip or repeat holders
+    function holders(uint256 offset, uint256 limit) external view returns (address[] memory page) {
+        uint256 length = _holders.length;
+        if (offset >= length) {
+            return new address[](0);
+        }
+        uint256 end = limit > length - offset ? length : offset + limit;
+        page = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = _holders[i];
+        }
+    }
+
     // =========================================================
-    //                      SNAPSHOT (Owner)
+    //                   SNAPSHOT (Snapshotter)
     // =========================================================
 
-    function snapshot() public onlyOwner {
+    function snapshot() public onlyRoleOrOwner(SNAPSHOT_ROLE) {
         _snapshot();
     }
 
-    function getCurrentSnapshot() public view onlyOwner returns (uint256) {
+    function getCurrentSnapshot() public view onlyRoleOrOwner(SNAPSHOT_ROLE) returns (uint256) {
         return _getCurrentSnapshotId();
     }
 
     // =========================================================
-    //                  MINT / BURN (Owner-only)
+    //                    MINT / BURN (Minter)
     // =========================================================
 
-    function mint(address to, uint256 amount) public onlyOwner {
+    /// @notice Minter / owner mint within the emission schedule, or a bridge mint within its minting limit.
+    /// @dev Bridged tokens moved here from another chain, where they were burned: they use the bridge limit, not
+    ///      the emission schedule, so minter emissions can never hold up a transfer in flight. Either way cap()
+    ///      applies to this chain's supply.
+    function mint(address to, uint256 amount) public {
+        if (_isBridge(msg.sender)) {
+            _useBridgeLimit(_bridgeLimits[msg.sender][0], amount);
+        } else {
+            _checkRoleOrOwner(MINTER_ROLE);
+            if (mintEpochLength > 0) {
+                uint256 minted = mintedInCurrentEpoch() + amount;
+                require(minted <= maxMintPerEpoch, "HedgexDao: Epoch mint limit");
+                _mintEpoch = currentMintEpoch();
+                _mintedInEpoch = minted;
+            }
+        }
         _mint(to, amount);
     }
 
+    /// @notice Limit mint() to `newMaxPerEpoch` tokens per `newEpochLength` seconds; epoch 0 starts now.
+    /// @dev Once set, the rate (max / length) can only go down. What was minted in the running epoch counts
+    ///      against the new epoch 0, so re-setting the schedule never frees extra headroom.
+    function setMintSchedule(uint64 newEpochLength, uint256 newMaxPerEpoch) external onlyOwner {
+        require(newEpochLength > 0, "HedgexDao: Invalid epoch");
+        require(
+            mintEpochLength == 0 || newMaxPerEpoch * mintEpochLength <= maxMintPerEpoch * newEpochLength,
+            "HedgexDao: Emission rate increase"
+        );
+        _mintedInEpoch = mintedInCurrentEpoch();
+        _mintEpoch = 0;
+        mintScheduleStart = uint64(block.timestamp);
+        mintEpochLength = newEpochLength;
+        maxMintPerEpoch = newMaxPerEpoch;
+        emit MintScheduleUpdated(newEpochLength, newMaxPerEpoch);
+    }
+
+    function currentMintEpoch() public view returns (uint64) {
+        return mintEpochLength == 0 ? 0 : (uint64(block.timestamp) - mintScheduleStart) / mintEpochLength;
+    }
+
+    function mintedInCurrentEpoch() public view returns (uint256) {
+        return _mintEpoch == currentMintEpoch() ? _mintedInEpoch : 0;
+    }
+
     /// @notice Owner-only override for burn function (manual burns are NOT counted toward tax burn cap).
+    /// @dev Burns by a bridge use its burning limit.
     function burn(uint256 amount) public override {
+        _useBurningLimit(amount);
         super.burn(amount);
     }
 
     /// @notice Owner-only override for burnFrom function.
     function burnFrom(address account, uint256 amount) public override {
+        _useBurningLimit(amount);
         super.burnFrom(account, amount);
     }
 
+    // =========================================================
+    //                   BRIDGES (xERC20-style)
+    // =========================================================
+
+    /// @notice Let `bridge` mint / burn up to the given tokens per BRIDGE_LIMIT_DURATION; 0 / 0 removes it.
+    /// @dev As in xERC20, changing a limit moves what is available now by the difference and the available
+    ///      amount refills linearly to the limit. Bridges are excluded from fee so bridged transfers are never
+    ///      taxed; removing a bridge lifts that exclusion again unless it was there before.
+    function setLimits(address bridge, uint256 mintingLimit, uint256 burningLimit) external onlyOwner {
+        require(bridge != address(0), "HedgexDao: Invalid bridge");
+        _setBridgeLimit(_bridgeLimits[bridge][0], mintingLimit);
+        _setBridgeLimit(_bridgeLimits[bridge][1], burningLimit);
+        bool isBridge = _isBridge(bridge);
+        if (isBridge ? !isExcludedFromFee[bridge] : _excludedAsBridge[bridge]) {
+            isExcludedFromFee[bridge] = isBridge;
+            _excludedAsBridge[bridge] = isBridge;
+            emit ExcludedFromFee(bridge, isBridge);
+        }
+        emit BridgeLimitsSet(mintingLimit, burningLimit, bridge);
+    }
+
+    function mintingMaxLimitOf(address bridge) external view returns (uint256) {
+        return _bridgeLimits[bridge][0].maxLimit;
+    }
+
+    function burningMaxLimitOf(address bridge) external view returns (uint256) {
+        return _bridgeLimits[bridge][1].maxLimit;
+    }
+
+    function mintingCurrentLimitOf(address bridge) external view returns (uint256) {
+        return _currentLimit(_bridgeLimits[bridge][0]);
+    }
+
+    function burningCurrentLimitOf(address bridge) external view returns (uint256) {
+        return _currentLimit(_bridgeLimits[bridge][1]);
+    }
+
+    function _isBridge(address account) private view returns (bool) {
+        return _bridgeLimits[account][0].maxLimit > 0 || _bridgeLimits[account][1].maxLimit > 0;
+    }
+
+    function _currentLimit(BridgeLimit storage limit) private view returns (uint256) {
+        uint256 max = limit.maxLimit;
+        uint256 refilled = limit.currentLimit + (block.timestamp - limit.timestamp) * (max / BRIDGE_LIMIT_DURATION);
+        return refilled < max ? refilled : max;
+    }
+
+    function _setBridgeLimit(BridgeLimit storage limit, uint256 newLimit) private {
+        // current + new - old, floored at 0
+        uint256 available = _currentLimit(limit) + newLimit;
+        uint256 oldLimit = limit.maxLimit;
+        limit.maxLimit = newLimit;
+        limit.currentLimit = available > oldLimit ? available - oldLimit : 0;
+        limit.timestamp = block.timestamp;
+    }
+
+    function _useBridgeLimit(BridgeLimit storage limit, uint256 amount) private {
+        uint256 current = _currentLimit(limit);
+        require(amount <= current, "HedgexDao: Bridge limit exceeded");
+        limit.currentLimit = current - amount;
+        limit.timestamp = block.timestamp;
+    }
+
+    function _useBurningLimit(uint256 amount) private {
+        if (_isBridge(msg.sender)) {
+            _useBridgeLimit(_bridgeLimits[msg.sender][1], amount);
+        }
+    }
+
     // =========================================================
     //                    TRANSFER + TAX LOGIC
     // =========================================================
 
-    /// @dev Applies burn tax ONLY when either 'from' or 'to' is a marked AMM pair.
-    ///      If taxBurned >= maxTaxBurn, tax is disabled automatically.
+    /// @dev Applies swap tax ONLY when either 'from' or 'to' is a marked AMM pair, at getTaxRate(from, to).
+    ///      The fee is split into burn / treasury / rewards legs; floor and tax burn cap limit the burn leg only.
+    ///      If totalTaxBurned >= maxTaxBurn, burning is disabled automatically.
     function _transfer(address from, address to, uint256 amount) internal override(ERC20) {
         uint256 sendAmount = amount;
+        bool limited = _checkLaunchLimits(from, to, amount);
 
-        // Check if this is a buy or sell (one side is an AMM pair)
-        bool isSwap = automatedMarketMakerPairs[from] || automatedMarketMakerPairs[to];
+        // Buy, sell or pair -> pair rate; 0 when neither side is an AMM pair
+        uint256 rate = getTaxRate(from, to);
 
         if (
-            isSwap &&
-            burnTax > 0 &&
+            rate > 0 &&
             !isExcludedFromFee[from] &&
             !isExcludedFromFee[to]
         ) {
-            uint256 ts = totalSupply();
-            if (ts > supplyFloor) {
-                uint256 fee = (amount * burnTax) / FEE_DENOMINATOR;
-                if (fee == 0 && burnTax > 0 && amount > 1 && amount < 1000) {
-                    fee = 1; // enforce minimum 1
-                }
-
-                // Do not burn past the floor
-                uint256 room = ts - supplyFloor; // guaranteed > 0 here
-                if (fee > room) {
-                    fee = room;
-                }
-
-                if (fee > 0) {
-                    // Take fee by burning from sender BEFORE transferring the rest.
-                    // Total debited from 'from' == fee + (amount - fee) == amount.
-                    super._burn(from, fee);
-                    sendAmount = amount - fee;
-
-                    emit TaxBurnApplied(from, to, fee, ts - fee);
-                }
+            uint256 fee = (amount * rate) / FEE_DENOMINATOR;
+            if (fee == 0 && amount > 1 && amount < 1000) {
+                fee = 1; // enforce minimum 1
+            }
+
+            if (fee > 0) {
+                // Total debited from 'from' == taken + (amount - taken) == amount.
+                sendAmount = amount - _takeFee(from, to, fee);
             }
         }
 
         super._transfer(from, to, sendAmount);
+
+        // Checked on what actually arrived (after tax)
+        if (limited && maxWalletAmount > 0 && !automatedMarketMakerPairs[to]) {
+            require(balanceOf(to) <= maxWalletAmount, "HedgexDao: Max wallet exceeded");
+        }
+    }
+
+    /// @dev Trading gate, max tx and buy cooldown for transfers where neither side is excluded from fee.
+    ///      Returns whether the launch limits are active (max wallet is checked after the transfer).
+    function _checkLaunchLimits(address from, address to, uint256 amount) private returns (bool) {
+        // Both flags before any branch, so the packed slot is read once
+        bool trading = tradingEnabled;
+        bool active = _launchLimitsSet;
+        if (active) {
+            active = !launchLimitsExpired();
+        }
+        if ((trading && !active) || isExcludedFromFee[from] || isExcludedFromFee[to]) {
+            return false;
+        }
+        bool fromPair = automatedMarketMakerPairs[from];
+        bool toPair = automatedMarketMakerPairs[to];
+        if (fromPair || toPair) {
+            require(trading, "HedgexDao: Trading not enabled");
+        }
+        if (!active) {
+            return false;
+        }
+
+        require(maxTxAmount == 0 || amount <= maxTxAmount, "HedgexDao: Max tx exceeded");
+        if (buyCooldown && fromPair && !toPair) {
+            // Keyed on tx.origin too, so one bot spreading buys over fresh wallets is also held to one per block
+            require(
+                _lastBuyBlock[to] < block.number && _lastBuyBlock[tx.origin] < block.number,
+                "HedgexDao: Buy cooldown"
+            );
+            _lastBuyBlock[to] = block.number;
+            _lastBuyBlock[tx.origin] = block.number;
+        }
+        return true;
+    }
+
+    /// @dev Splits `fee` into its legs and takes them from 'from'. Rounding dust stays in the burn leg.
+    ///      Returns the amount actually taken (the burn leg may be clamped by floor / tax burn cap).
+    function _takeFee(address from, address to, uint256 fee) internal returns (uint256) {
+        uint256 toTreasury = (fee * treasuryShare) / FEE_DENOMINATOR;
+        uint256 toRewards = (fee * rewardsShare) / FEE_DENOMINATOR;
+        uint256 toBurn = fee - toTreasury - toRewards;
+
+        // Do not burn past the floor or the tax burn cap
+        uint256 burnable = remainingBurnableByTax();
+        if (toBurn > burnable) {
+            toBurn = burnable;
+        }
+
+        if (toBurn > 0) {
+            // Take fee by burning from sender BEFORE transferring the rest.
+            super._burn(from, toBurn);
+            uint256 burned = totalTaxBurned + toBurn;
+            totalTaxBurned = burned;
+
+            emit TaxBurnApplied(from, to, toBurn, totalSupply());
+            if (burned >= maxTaxBurn) {
+                emit TaxBurnCapReached(burned);
+            }
+        }
+        if (toTreasury > 0) {
+            super._transfer(from, treasury, toTreasury);
+        }
+        if (toRewards > 0) {
+            super._transfer(from, rewards, toRewards);
+        }
+
+        uint256 taken = toBurn + toTreasury + toRewards;
+        if (taken > 0) {
+            emit TaxDistributed(from, to, toBurn, treasury, toTreasury, rewards, toRewards);
+        }
+        return taken;
     }
 
     // =========================================================
     //                     OZ REQUIRED OVERRIDES
     // =========================================================
 
+    /// @dev Covers transfer, transferFrom, mint, burn and burnFrom. address(0) is never frozen (and not read: tax burns).
     function _beforeTokenTransfer(address from, address to, uint256 amount)
         internal
         override(ERC20, ERC20Snapshot)
     {
+        require(
+            (from == address(0) || !_accounts[from].frozen) && (to == address(0) || !_accounts[to].frozen),
+            "HedgexDao: Account frozen"
+        );
         super._beforeTokenTransfer(from, to, amount);
     }
 
+    /// @dev A frozen spender cannot use allowances (transferFrom / burnFrom)
+    function _spendAllowance(address holder, address spender, uint256 amount) internal override {
+        require(!_accounts[spender].frozen, "HedgexDao: Account frozen");
+        super._spendAllowance(holder, spender, amount);
+    }
+
+    /// @dev Frozen accounts cannot (re)delegate, directly or by signature
+    function _delegate(address delegator, address delegatee) internal override {
+        require(!_accounts[delegator].frozen, "HedgexDao: Account frozen");
+        super._delegate(delegator, delegatee);
+    }
+
+    /// @notice Frozen accounts have no voting power, including votes delegated to them by others.
+    function getVotes(address account) public view override returns (uint256) {
+        return _accounts[account].frozen ? 0 : super.getVotes(account);
+    }
+
+    /// @notice As getVotes: 0 at every timepoint while the account is frozen (checkpoints are kept).
+    function getPastVotes(address account, uint256 timepoint) public view override returns (uint256) {
+        return _accounts[account].frozen ? 0 : super.getPastVotes(account, timepoint);
+    }
+
     function _afterTokenTransfer(address from, address to, uint256 amount)
         internal
         override(ERC20, ERC20Votes)
@@ -210,30 +751,28 @@ contract HedgexDao is Ownable, ERC20Burnable, ERC20Capped, ERC20Snapshot, ERC20V
     }
 
     function updateCurrentHoldersCount(address from, address to) internal {
-        // Update holder flag + count for 'from'
         if (from != address(0)) {
-            bool nowHolder = balanceOf(from) > 0;
-            if (nowHolder != _isHolder[from]) {
-                _isHolder[from] = nowHolder;
-                if (nowHolder) {
-                    holdersCount += 1;
-                } else {
-                    if (holdersCount > 0) { holdersCount -= 1; }
-                }
-            }
+            _syncHolder(from);
         }
-
-        // Update holder flag + count for 'to'
         if (to != address(0)) {
-            bool nowHolder = balanceOf(to) > 0;
-            if (nowHolder != _isHolder[to]) {
-                _isHolder[to] = nowHolder;
-                if (nowHolder) {
-                    holdersCount += 1;
-                } else {
-                    if (holdersCount > 0) { holdersCount -= 1; }
-                }
-            }
+            _syncHolder(to);
+        }
+    }
+
+    /// @dev Add `account` to / remove it from the holder list when its balance crossed zero
+    function _syncHolder(address account) private {
+        bool nowHolder = balanceOf(account) > 0;
+        uint256 index = _accounts[account].holderIndex;
+        if (nowHolder && index == 0) {
+            _holders.push(account);
+            _accounts[account].holderIndex = uint128(_holders.length);
+        } else if (!nowHolder && index != 0) {
+            // Move the last holder into the freed slot; the frozen flag is kept
+            address last = _holders[_holders.length - 1];
+            _holders[index - 1] = last;
+            _accounts[last].holderIndex = uint128(index);
+            _holders.pop();
+            _accounts[account].holderIndex = 0;
         }
     }
 }
@@ -0,0 +1,834 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20SnapshotUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20CappedUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20VotesUpgradeable.sol";
+
+/// @notice HedgexDao behind a transparent proxy: same token, roles and admin surface as HedgexDao
+/// @notice The proxy's ProxyAdmin has the same owner as the token, so upgrades go through the same timelock / Safe / governor
+/// @dev Mirror of HedgexDao.sol on the OpenZeppelin upgradeable presets; keep the two in sync.
+///      The constructor becomes initialize() and default values are set there instead of inline.
+///      Storage is append-only: add new variables above __gap and shrink it by the same number of slots.
+///      It sits close to the contract size limit, so repeated checks go through small private helpers here.
+contract HedgexDaoUpgradeable is
+    Initializable,
+    OwnableUpgradeable,
+    AccessControlUpgradeable,
+    ERC20BurnableUpgradeable,
+    ERC20CappedUpgradeable,
+    ERC20SnapshotUpgradeable,
+    ERC20VotesUpgradeable
+{
+    // ====== Roles (the owner is the admin: it holds DEFAULT_ADMIN_ROLE and may act as every role) ======
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");   // taxes, pairs, exclusions, floor
+    bytes32 public constant SNAPSHOT_ROLE = keccak256("SNAPSHOT_ROLE");
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");     // freeze / unfreeze
+
+
+    // ====== Fee config ======
+    uint256 public constant FEE_DENOMINATOR = 10_000;          // basis points (10000 = 100%)
+    uint256 public buyTax;                                     // pair -> wallet, e.g. 200 = 2.00%
+    uint256 public sellTax;                                    // wallet -> pair (and pair -> pair), e.g. 200 = 2.00%
+    uint256 public burnTaxCap;                                 // max allowed tax in bps (default 1.00%)
+    bool public pairToPairTaxExempt;                           // skip tax on pair -> pair hops (multi-hop routes)
+
+    /// @notice Per-pair rates used instead of buyTax/sellTax when enabled (e.g. lower rate on a V3 pool)
+    struct PairTax {
+        bool enabled;
+        uint256 buyTax;
+        uint256 sellTax;
+    }
+    mapping(address => PairTax) public pairTaxOverrides;
+
+    // ====== Fee split (shares of the swap tax in bps of the fee, summing to FEE_DENOMINATOR) ======
+    uint256 public burnShare;                                  // default: the whole fee is burned
+    uint256 public treasuryShare;
+    uint256 public rewardsShare;
+    address public treasury;
+    address public rewards;                                    // rewards / staking address
+
+     // ====== Supply floor (burn stops at / below this supply; resumes above it) ======
+    uint256 public supplyFloor;                                // tokens (respecting decimals)
+
+    // ====== Tax burn cap (swap tax stops once totalTaxBurned reaches maxTaxBurn) ======
+    uint256 public totalTaxBurned;                             // cumulative tokens burned by swap tax only
+    uint256 public maxTaxBurn;                                 // tokens; default = no cap
+
+    // ====== Emission schedule (mint() is limited to maxMintPerEpoch per epoch once set; unset = no limit) ======
+    uint64 public mintEpochLength;                             // seconds; 0 = no schedule
+    uint64 public mintScheduleStart;                           // epoch 0 starts here
+    uint64 private _mintEpoch;                                 // epoch _mintedInEpoch belongs to
+    uint256 public maxMintPerEpoch;                            // tokens
+    uint256 private _mintedInEpoch;
+
+    // ====== Launch protection (only for transfers where neither side is excluded from fee) ======
+    // Flags and blocks share one slot so transfers after launch pay a single extra read
+    bool public tradingEnabled;                                // pair transfers revert until the owner enables trading
+    bool public buyCooldown;                                   // at most one buy per block per buyer and per tx.origin
+    bool private _launchLimitsSet;                             // any of max tx / max wallet / buy cooldown is on
+    uint64 public tradingEnabledBlock;
+    uint64 public launchLimitsBlocks;                          // limits lapse this many blocks after trading starts; 0 = never
+    uint256 public maxTxAmount;                                // tokens; 0 = no limit
+    uint256 public maxWalletAmount;                            // tokens; 0 = no limit (pairs are never limited)
+    mapping(address => uint256) private _lastBuyBlock;
+
+    // ====== AMM pairs & exclusions ======
+    mapping(address => bool) public automatedMarketMakerPairs; // mark AMM pairs (Uniswap V2/V3 pools, etc.)
+    mapping(address => bool) public isExcludedFromFee;         // wallets excluded from swap burn tax
+
+    // ====== Compliance (frozen accounts cannot send, receive, spend allowances, delegate or vote) ======
+    mapping(address => bytes32) public frozenReason;           // reason code of the current freeze, e.g. "STOLEN_FUNDS"
+
+    /// @notice Track current unique holders (balance > 0), enumerable through holderAt / holders
+    /// @dev Swap-and-pop list; holderIndex is 1-based so 0 means "not a holder".
+    ///      The frozen flag shares the slot, so the transfer check warms it for the registry update.
+    struct AccountState {
+        uint128 holderIndex;
+        bool frozen;
+    }
+    address[] private _holders;
+    mapping(address => AccountState) private _accounts;
+
+    // ====== Events ======
+    event AutomatedMarketMakerPairSet(address indexed pair, bool value);
+    event ExcludedFromFee(address indexed account, bool isExcluded);
+    event BurnTaxUpdated(uint256 oldTax, uint256 newTax);
+    event BuyTaxUpdated(uint256 oldTax, uint256 newTax);
+    event SellTaxUpdated(uint256 oldTax, uint256 newTax);
+    event PairTaxOverrideSet(address indexed pair, bool enabled, uint256 buyTax, uint256 sellTax);
+    event PairToPairTaxExemptSet(bool exempt);
+    event SupplyFloorUpdated(uint256 oldFloor, uint256 newFloor);
+    event TaxBurnApplied(address indexed from, address indexed to, uint256 amountBurned, uint256 newTotalSupply);
+    event MaxTaxBurnUpdated(uint256 oldMax, uint256 newMax);
+    event TaxBurnCapReached(uint256 totalTaxBurned);
+    event FeeSplitUpdated(uint256 burnShare, uint256 treasuryShare, uint256 rewardsShare);
+    event FeeRecipientsUpdated(address indexed treasury, address indexed rewards);
+    event AccountFrozen(address indexed account, bytes32 indexed reason, address indexed by);
+    event AccountUnfrozen(address indexed account, bytes32 indexed reason, address indexed by);
+    event FrozenFundsRecovered(address indexed account, address indexed to, uint256 amount, bytes32 reason);
+    event MintScheduleUpdated(uint256 epochLength, uint256 maxMintPerEpoch);
+    event TradingEnabled(uint256 blockNumber);
+    event LaunchLimitsUpdated(uint256 maxTxAmount, uint256 maxWalletAmount, bool buyCooldown, uint256 launchLimitsBlocks);
+    event BridgeLimitsSet(uint256 mintingLimit, uint256 burningLimit, address indexed bridge);
+    event TaxDistributed(
+        address indexed from,
+        address indexed to,
+        uint256 burned,
+        address treasury,
+        uint256 toTreasury,
+        address rewards,
+        uint256 toRewards
+    );
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /// @notice Proxy counterpart of the HedgexDao constructor; called once through deployProxy
+    function initialize(
+        string memory _name,
+        string memory _symbol,
+        uint256 _initialSupply,
+        uint256 _maxSupply,
+        uint256 _supplyFloor
+    ) external initializer {
+        // Parents with state to set, in linearization order (the other parents' initializers are empty)
+        __Ownable_init_unchained();
+        __ERC20_init_unchained(_name, _symbol);
+        __ERC20Capped_init_unchained(_maxSupply);
+        __ERC20Permit_init(_name);
+
+        // HedgexDao's inline defaults
+        buyTax = 10;
+        sellTax = 10;
+        burnTaxCap = 100;
+        burnShare = FEE_DENOMINATOR;
+        maxTaxBurn = type(uint256).max;
+
+        // Mint initial supply to deployer
+        _mint(msg.sender, _initialSupply);
+
+        // Reasonable defaults (owner can change later)
+        isExcludedFromFee[owner()] = true;
+        isExcludedFromFee[address(this)] = true;
+        supplyFloor = _supplyFloor;
+    }
+
+    // =========================================================
+    //                         ROLES
+    // =========================================================
+
+    /// @dev The owner (admin) may act as every role
+    modifier onlyRoleOrOwner(bytes32 role) {
+        _checkRoleOrOwner(role);
+        _;
+    }
+
+    /// @dev Shared by the fee setters, so the role constant is not repeated in each of them
+    modifier onlyFeeManager() {
+        _checkFeeManager();
+        _;
+    }
+
+    function _checkFeeManager() private view {
+        _checkRoleOrOwner(FEE_MANAGER_ROLE);
+    }
+
+    function _checkRoleOrOwner(bytes32 role) internal view {
+        if (msg.sender != owner()) {
+            _checkRole(role);
+        }
+    }
+
+    /// @dev DEFAULT_ADMIN_ROLE follows ownership; use transferOwnership / renounceOwnership
+    function grantRole(bytes32 role, address account) public override {
+        require(role != DEFAULT_ADMIN_ROLE, "HedgexDao: Admin follows owner");
+        super.grantRole(role, account);
+    }
+
+    function revokeRole(bytes32 role, address account) public override {
+        require(role != DEFAULT_ADMIN_ROLE, "HedgexDao: Admin follows owner");
+        super.revokeRole(role, account);
+    }
+
+    function renounceRole(bytes32 role, address account) public override {
+        require(role != DEFAULT_ADMIN_ROLE, "HedgexDao: Admin follows owner");
+        super.renounceRole(role, account);
+    }
+
+    /// @dev Moves DEFAULT_ADMIN_ROLE with ownership (also runs for the deployer in Ownable's constructor)
+    function _transferOwnership(address newOwner) internal override {
+        _revokeRole(DEFAULT_ADMIN_ROLE, owner());
+        if (newOwner != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, newOwner);
+        }
+        super._transferOwnership(newOwner);
+    }
+
+    // =========================================================
+    //                  FEE MANAGER / OWNER CONFIG
+    // =========================================================
+
+    /// @notice Mark/unmark an address as an AMM pair. Burn tax applies when either side is a marked pair.
+    function setAutomatedMarketMakerPair(address pair, bool value) external onlyFeeManager {
+        require(pair != address(0), "HedgexDao: Invalid Pair");
+        automatedMarketMakerPairs[pair] = value;
+        emit AutomatedMarketMakerPairSet(pair, value);
+    }
+
+    /// @notice Exclude or include an address from paying burn tax on buys/sells.
+    function setExcludedFromFee(address account, bool excluded) external onlyFeeManager {
+        require(account != address(0), "HedgexDao: Invalid Account");
+        isExcludedFromFee[account] = excluded;
+        emit ExcludedFromFee(account, excluded);
+    }
+
+    /// @notice Set both buy and sell tax in basis points (e.g., 200 = 2%). Cannot exceed burnTaxCap.
+    function setBurnTax(uint256 newBurnTaxBps) external onlyFeeManager {
+        _checkTaxCap(newBurnTaxBps);
+        emit BurnTaxUpdated(burnTax(), newBurnTaxBps);
+        buyTax = newBurnTaxBps;
+        sellTax = newBurnTaxBps;
+    }
+
+    /// @notice Set the tax on buys (pair -> wallet) in basis points. Cannot exceed burnTaxCap.
+    function setBuyTax(uint256 newBuyTaxBps) external onlyFeeManager {
+        _checkTaxCap(newBuyTaxBps);
+        emit BuyTaxUpdated(buyTax, newBuyTaxBps);
+        buyTax = newBuyTaxBps;
+    }
+
+    /// @notice Set the tax on sells (wallet -> pair) in basis points. Cannot exceed burnTaxCap.
+    function setSellTax(uint256 newSellTaxBps) external onlyFeeManager {
+        _checkTaxCap(newSellTaxBps);
+        emit SellTaxUpdated(sellTax, newSellTaxBps);
+        sellTax = newSellTaxBps;
+    }
+
+    /// @notice Override buy/sell rates for one pair. enabled = false falls back to buyTax/sellTax.
+    function setPairTaxOverride(address pair, bool enabled, uint256 pairBuyTax, uint256 pairSellTax) external onlyFeeManager {
+        require(pair != address(0), "HedgexDao: Invalid Pair");
+        _checkTaxCap(pairBuyTax > pairSellTax ? pairBuyTax : pairSellTax);
+        pairTaxOverrides[pair] = PairTax(enabled, pairBuyTax, pairSellTax);
+        emit PairTaxOverrideSet(pair, enabled, pairBuyTax, pairSellTax);
+    }
+
+    function _checkTaxCap(uint256 rate) private view {
+        require(rate <= burnTaxCap, "Burn tax > cap");
+    }
+
+    /// @notice Exempt pair -> pair transfers (multi-hop swaps) from tax.
+    function setPairToPairTaxExempt(bool exempt) external onlyFeeManager {
+        pairToPairTaxExempt = exempt;
+        emit PairToPairTaxExemptSet(exempt);
+    }
+
+    /// @notice Set the supply floor: burn tax never reduces totalSupply below this value.
+    /// @dev Can be set above/below current supply. Must be <= cap().
+    function setSupplyFloor(uint256 newFloor) external onlyFeeManager {
+        require(newFloor <= cap(), "Floor > cap");
+        emit SupplyFloorUpdated(supplyFloor, newFloor);
+        supplyFloor = newFloor;
+    }
+
+    /// @notice Set the cumulative cap on tokens burned by swap tax. Once totalTaxBurned reaches it, tax switches off.
+    /// @dev Independent of supplyFloor; manual burns do not count. May be set at/below totalTaxBurned to stop tax now.
+    function setMaxTaxBurn(uint256 newMax) external onlyFeeManager {
+        emit MaxTaxBurnUpdated(maxTaxBurn, newMax);
+        maxTaxBurn = newMax;
+    }
+
+    /// @notice Split the swap tax between burning, the treasury and rewards (bps of the fee, must sum to 100%).
+    /// @dev A non-zero treasury/rewards share requires that recipient to be set.
+    function setFeeSplit(uint256 newBurnShare, uint256 newTreasuryShare, uint256 newRewardsShare) external onlyFeeManager {
+        require(newBurnShare + newTreasuryShare + newRewardsShare == FEE_DENOMINATOR, "Fee split != 100%");
+        require(newTreasuryShare == 0 || treasury != address(0), "HedgexDao: Treasury not set");
+        require(newRewardsShare == 0 || rewards != address(0), "HedgexDao: Rewards not set");
+        burnShare = newBurnShare;
+        treasuryShare = newTreasuryShare;
+        rewardsShare = newRewardsShare;
+        emit FeeSplitUpdated(newBurnShare, newTreasuryShare, newRewardsShare);
+    }
+
+    /// @notice Set where the treasury and rewards shares of the swap tax are sent.
+    /// @dev A recipient with a non-zero share cannot be cleared, and a frozen account cannot be a recipient.
+    function setFeeRecipients(address newTreasury, address newRewards) external onlyOwner {
+        require(treasuryShare == 0 || newTreasury != address(0), "HedgexDao: Invalid Treasury");
+        require(rewardsShare == 0 || newRewards != address(0), "HedgexDao: Invalid Rewards");
+        _requireNotFrozen(newTreasury);
+        _requireNotFrozen(newRewards);
+        treasury = newTreasury;
+        rewards = newRewards;
+        emit FeeRecipientsUpdated(newTreasury, newRewards);
+    }
+
+    /// @notice Open pair transfers (buys/sells) to everyone. One-way; starts the launch limits countdown.
+    function enableTrading() external onlyOwner {
+        require(!tradingEnabled, "HedgexDao: Trading already enabled");
+        tradingEnabled = true;
+        tradingEnabledBlock = uint64(block.number);
+        emit TradingEnabled(block.number);
+    }
+
+    /// @notice Set the launch limits (0 = off). They lapse `newLimitsBlocks` blocks after trading is enabled.
+    /// @dev Limits cannot go below 0.1% of totalSupply and cannot be set again once lapsed.
+    function setLaunchLimits(uint256 newMaxTx, uint256 newMaxWallet, bool newBuyCooldown, uint64 newLimitsBlocks)
+        external
+        onlyOwner
+    {
+        require(!launchLimitsExpired(), "HedgexDao: Limits expired");
+        uint256 minLimit = totalSupply() / 1000;
+        require(
+            (newMaxTx == 0 || newMaxTx >= minLimit) && (newMaxWallet == 0 || newMaxWallet >= minLimit),
+            "HedgexDao: Limit too low"
+        );
+        maxTxAmount = newMaxTx;
+        maxWalletAmount = newMaxWallet;
+        buyCooldown = newBuyCooldown;
+        _launchLimitsSet = newMaxTx > 0 || newMaxWallet > 0 || newBuyCooldown;
+        launchLimitsBlocks = newLimitsBlocks;
+        emit LaunchLimitsUpdated(newMaxTx, newMaxWallet, newBuyCooldown, newLimitsBlocks);
+    }
+
+    // Helpful view utilities
+
+    /// @notice Whether launchLimitsBlocks have passed since trading was enabled (never when launchLimitsBlocks == 0).
+    function launchLimitsExpired() public view returns (bool) {
+        return tradingEnabled && launchLimitsBlocks > 0 && block.number >= tradingEnabledBlock + launchLimitsBlocks;
+    }
+
+    /// @notice Whether any of max tx / max wallet / buy cooldown is set and has not expired.
+    function launchLimitsActive() public view returns (bool) {
+        return _launchLimitsSet && !launchLimitsExpired();
+    }
+
+    /// @notice Highest default rate (buy or sell). Kept for the single-rate API; per-pair overrides not included.
+    function burnTax() public view returns (uint256) {
+        return buyTax > sellTax ? buyTax : sellTax;
+    }
+
+    /// @notice Tax rate in bps a transfer from -> to is charged, before exclusions, floor and cap.
+    /// @dev Sells (and pair -> pair hops) use the destination pair's sell rate, buys the source pair's buy rate.
+    function getTaxRate(address from, address to) public view returns (uint256) {
+        bool fromPair = automatedMarketMakerPairs[from];
+        bool toPair = automatedMarketMakerPairs[to];
+
+        if (toPair) {
+            if (fromPair && pairToPairTaxExempt) {
+                return 0;
+            }
+            PairTax storage o = pairTaxOverrides[to];
+            return o.enabled ? o.sellTax : sellTax;
+        }
+        if (fromPair) {
+            PairTax storage o = pairTaxOverrides[from];
+            return o.enabled ? o.buyTax : buyTax;
+        }
+        return 0;
+    }
+
+    function isBurnActive() public view returns (bool) {
+        return burnTax() > 0 && totalSupply() > supplyFloor && !isTaxBurnCapReached();
+    }
+
+    function remainingBurnableUntilFloor() public view returns (uint256) {
+        uint256 ts = totalSupply();
+        return ts > supplyFloor ? ts - supplyFloor : 0;
+    }
+
+    function isTaxBurnCapReached() public view returns (bool) {
+        return totalTaxBurned >= maxTaxBurn;
+    }
+
+    function remainingTaxBurn() public view returns (uint256) {
+        return totalTaxBurned < maxTaxBurn ? maxTaxBurn - totalTaxBurned : 0;
+    }
+
+    /// @notice Tokens swap tax can still burn: the tighter of the floor room and the tax burn cap.
+    function remainingBurnableByTax() public view returns (uint256) {
+        uint256 untilFloor = remainingBurnableUntilFloor();
+        uint256 untilCap = remainingTaxBurn();
+        return untilFloor < untilCap ? untilFloor : untilCap;
+    }
+
+    // =========================================================
+    //                        COMPLIANCE
+    // =========================================================
+
+    /// @notice Freeze `account` with a non-zero reason code. Its own delegation is removed.
+    /// @dev The treasury and rewards addresses cannot be frozen: every taxed swap pays them.
+    function freeze(address account, bytes32 reason) external onlyRoleOrOwner(COMPLIANCE_ROLE) {
+        require(account != address(0), "HedgexDao: Invalid Account");
+        require(reason != bytes32(0), "HedgexDao: Reason required");
+        require(account != treasury && account != rewards, "HedgexDao: Fee recipient");
+        require(!isFrozen(account), "HedgexDao: Already frozen");
+        _accounts[account].frozen = true;
+        frozenReason[account] = reason;
+        // The frozen balance stops counting for its delegatee right away
+        super._delegate(account, address(0));
+        emit AccountFrozen(account, reason, msg.sender);
+    }
+
+    /// @notice Lift a freeze; `reason` records why. The account has to delegate again to vote.
+    function unfreeze(address account, bytes32 reason) external onlyRoleOrOwner(COMPLIANCE_ROLE) {
+        _requireFrozen(account);
+        _accounts[account].frozen = false;
+        delete frozenReason[account];
+        emit AccountUnfrozen(account, reason, msg.sender);
+    }
+
+    /// @notice Move a frozen account's whole balance to the treasury, untaxed. The account stays frozen.
+    function recoverFrozenFunds(address account) external onlyOwner {
+        _requireFrozen(account);
+        address to = treasury;
+        require(to != address(0), "HedgexDao: Treasury not set");
+        uint256 amount = balanceOf(account);
+        _accounts[account].frozen = false;
+        super._transfer(account, to, amount);
+        _accounts[account].frozen = true;
+        emit FrozenFundsRecovered(account, to, amount, frozenReason[account]);
+    }
+
+    function isFrozen(address account) public view returns (bool) {
+        return _accounts[account].frozen;
+    }
+
+    function _requireFrozen(address account) private view {
+        require(isFrozen(account), "HedgexDao: Not frozen");
+    }
+
+    function _requireNotFrozen(address account) private view {
+        require(!isFrozen(account), "HedgexDao: Account frozen");
+    }
+
+    // =========================================================
+    //                      HOLDER REGISTRY
+    // =========================================================
+
+    /// @notice Number of addresses with a non-zero balance (pairs and contracts included)
+    function holdersCount() public view returns (uint256) {
+        return _holders.length;
+    }
+
+    /// @notice Holder at `index` (0-based). Order is not stable: removing a holder moves the last one into its slot.
+    function holderAt(uint256 index) external view returns (address) {
+        require(index < _holders.length, "HedgexDao: Index out of bounds");
+        return _holders[index];
+    }
+
+    /// @notice Up to `limit` holders starting at `offset`; empty once `offset` is past the end
+    /// @dev Page through at a fixed blockTag so removals between calls cannot skip or repeat holders
+    function holders(uint256 offset, uint256 limit) external view returns (address[] memory page) {
+        uint256 length = _holders.length;
+        if (offset >= length) {
+            return new address[](0);
+        }
+        uint256 end = limit > length - offset ? length : offset + limit;
+        page = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = _holders[i];
+        }
+    }
+
+    // =========================================================
+    //                   SNAPSHOT (Snapshotter)
+    // =========================================================
+
+    function snapshot() public onlyRoleOrOwner(SNAPSHOT_ROLE) {
+        _snapshot();
+    }
+
+    function getCurrentSnapshot() public view onlyRoleOrOwner(SNAPSHOT_ROLE) returns (uint256) {
+        return _getCurrentSnapshotId();
+    }
+
+    // =========================================================
+    //                    MINT / BURN (Minter)
+    // =========================================================
+
+    /// @notice Minter / owner mint within the emission schedule, or a bridge mint within its minting limit.
+    /// @dev Bridged tokens moved here from another chain, where they were burned: they use the bridge limit, not
+    ///      the emission schedule, so minter emissions can never hold up a transfer in flight. Either way cap()
+    ///      applies to this chain's supply.
+    function mint(address to, uint256 amount) public {
+        if (!_useBridgeLimit(0, amount)) {
+            _checkRoleOrOwner(MINTER_ROLE);
+            if (mintEpochLength > 0) {
+                uint256 minted = mintedInCurrentEpoch() + amount;
+                require(minted <= maxMintPerEpoch, "HedgexDao: Epoch mint limit");
+                _mintEpoch = currentMintEpoch();
+                _mintedInEpoch = minted;
+            }
+        }
+        _mint(to, amount);
+    }
+
+    /// @notice Limit mint() to `newMaxPerEpoch` tokens per `newEpochLength` seconds; epoch 0 starts now.
+    /// @dev Once set, the rate (max / length) can only go down. What was minted in the running epoch counts
+    ///      against the new epoch 0, so re-setting the schedule never frees extra headroom.
+    function setMintSchedule(uint64 newEpochLength, uint256 newMaxPerEpoch) external onlyOwner {
+        require(newEpochLength > 0, "HedgexDao: Invalid epoch");
+        require(
+            mintEpochLength == 0 || newMaxPerEpoch * mintEpochLength <= maxMintPerEpoch * newEpochLength,
+            "HedgexDao: Emission rate increase"
+        );
+        _mintedInEpoch = mintedInCurrentEpoch();
+        _mintEpoch = 0;
+        mintScheduleStart = uint64(block.timestamp);
+        mintEpochLength = newEpochLength;
+        maxMintPerEpoch = newMaxPerEpoch;
+        emit MintScheduleUpdated(newEpochLength, newMaxPerEpoch);
+    }
+
+    function currentMintEpoch() public view returns (uint64) {
+        return mintEpochLength == 0 ? 0 : (uint64(block.timestamp) - mintScheduleStart) / mintEpochLength;
+    }
+
+    function mintedInCurrentEpoch() public view returns (uint256) {
+        return _mintEpoch == currentMintEpoch() ? _mintedInEpoch : 0;
+    }
+
+    /// @notice Owner-only override for burn function (manual burns are NOT counted toward tax burn cap).
+    /// @dev Burns by a bridge use its burning limit.
+    function burn(uint256 amount) public override {
+        _useBridgeLimit(1, amount);
+        super.burn(amount);
+    }
+
+    /// @notice Owner-only override for burnFrom function.
+    function burnFrom(address account, uint256 amount) public override {
+        _useBridgeLimit(1, amount);
+        super.burnFrom(account, amount);
+    }
+
+    // =========================================================
+    //                   BRIDGES (xERC20-style)
+    // =========================================================
+
+    /// @notice Let `bridge` mint / burn up to the given tokens per BRIDGE_LIMIT_DURATION; 0 / 0 removes it.
+    /// @dev As in xERC20, changing a limit moves what is available now by the difference and the available
+    ///      amount refills linearly to the limit. Bridges are excluded from fee so bridged transfers are never
+    ///      taxed; removing a bridge lifts that exclusion again unless it was there before.
+    function setLimits(address bridge, uint256 mintingLimit, uint256 burningLimit) external onlyOwner {
+        require(bridge != address(0), "HedgexDao: Invalid bridge");
+        _setBridgeLimit(_bridgeLimitOf(bridge, 0), mintingLimit);
+        _setBridgeLimit(_bridgeLimitOf(bridge, 1), burningLimit);
+        bool isBridge = _isBridge(bridge);
+        if (isBridge ? !isExcludedFromFee[bridge] : _excludedAsBridge[bridge]) {
+            isExcludedFromFee[bridge] = isBridge;
+            _excludedAsBridge[bridge] = isBridge;
+            emit ExcludedFromFee(bridge, isBridge);
+        }
+        emit BridgeLimitsSet(mintingLimit, burningLimit, bridge);
+    }
+
+    function mintingMaxLimitOf(address bridge) external view returns (uint256) {
+        return _bridgeLimitOf(bridge, 0).maxLimit;
+    }
+
+    function burningMaxLimitOf(address bridge) external view returns (uint256) {
+        return _bridgeLimitOf(bridge, 1).maxLimit;
+    }
+
+    function mintingCurrentLimitOf(address bridge) external view returns (uint256) {
+        return _currentLimit(_bridgeLimitOf(bridge, 0));
+    }
+
+    function burningCurrentLimitOf(address bridge) external view returns (uint256) {
+        return _currentLimit(_bridgeLimitOf(bridge, 1));
+    }
+
+    function _isBridge(address account) private view returns (bool) {
+        return _bridgeLimitOf(account, 0).maxLimit > 0 || _bridgeLimitOf(account, 1).maxLimit > 0;
+    }
+
+    /// @dev [0] = minting, [1] = burning
+    function _bridgeLimitOf(address bridge, uint256 kind) private view returns (BridgeLimit storage) {
+        return _bridgeLimits[bridge][kind];
+    }
+
+    /// @dev Spends the caller's minting ([0]) or burning ([1]) limit if it is a bridge; returns whether it is one.
+    function _useBridgeLimit(uint256 kind, uint256 amount) private returns (bool isBridge) {
+        isBridge = _isBridge(msg.sender);
+        if (isBridge) {
+            BridgeLimit storage limit = _bridgeLimitOf(msg.sender, kind);
+            uint256 current = _currentLimit(limit);
+            require(amount <= current, "HedgexDao: Bridge limit exceeded");
+            limit.currentLimit = current - amount;
+            limit.timestamp = block.timestamp;
+        }
+    }
+
+    function _currentLimit(BridgeLimit storage limit) private view returns (uint256) {
+        uint256 max = limit.maxLimit;
+        uint256 refilled = limit.currentLimit + (block.timestamp - limit.timestamp) * (max / BRIDGE_LIMIT_DURATION);
+        return refilled < max ? refilled : max;
+    }
+
+    function _setBridgeLimit(BridgeLimit storage limit, uint256 newLimit) private {
+        // current + new - old, floored at 0
+        uint256 available = _currentLimit(limit) + newLimit;
+        uint256 oldLimit = limit.maxLimit;
+        limit.maxLimit = newLimit;
+        limit.currentLimit = available > oldLimit ? available - oldLimit : 0;
+        limit.timestamp = block.timestamp;
+    }
+
+    // =========================================================
+    //                    TRANSFER + TAX LOGIC
+    // =========================================================
+
+    /// @dev Applies swap tax ONLY when either 'from' or 'to' is a marked AMM pair, at getTaxRate(from, to).
+    ///      The fee is split into burn / treasury / rewards legs; floor and tax burn cap limit the burn leg only.
+    ///      If totalTaxBurned >= maxTaxBurn, burning is disabled automatically.
+    function _transfer(address from, address to, uint256 amount) internal override(ERC20Upgradeable) {
+        uint256 sendAmount = amount;
+        bool limited = _checkLaunchLimits(from, to, amount);
+
+        // Buy, sell or pair -> pair rate; 0 when neither side is an AMM pair
+        uint256 rate = getTaxRate(from, to);
+
+        if (
+            rate > 0 &&
+            !isExcludedFromFee[from] &&
+            !isExcludedFromFee[to]
+        ) {
+            uint256 fee = (amount * rate) / FEE_DENOMINATOR;
+            if (fee == 0 && amount > 1 && amount < 1000) {
+                fee = 1; // enforce minimum 1
+            }
+
+            if (fee > 0) {
+                // Total debited from 'from' == taken + (amount - taken) == amount.
+                sendAmount = amount - _takeFee(from, to, fee);
+            }
+        }
+
+        super._transfer(from, to, sendAmount);
+
+        // Checked on what actually arrived (after tax)
+        if (limited && maxWalletAmount > 0 && !automatedMarketMakerPairs[to]) {
+            require(balanceOf(to) <= maxWalletAmount, "HedgexDao: Max wallet exceeded");
+        }
+    }
+
+    /// @dev Trading gate, max tx and buy cooldown for transfers where neither side is excluded from fee.
+    ///      Returns whether the launch limits are active (max wallet is checked after the transfer).
+    function _checkLaunchLimits(address from, address to, uint256 amount) private returns (bool) {
+        // Both flags before any branch, so the packed slot is read once
+        bool trading = tradingEnabled;
+        bool active = _launchLimitsSet;
+        if (active) {
+            active = !launchLimitsExpired();
+        }
+        if ((trading && !active) || isExcludedFromFee[from] || isExcludedFromFee[to]) {
+            return false;
+        }
+        bool fromPair = automatedMarketMakerPairs[from];
+        bool toPair = automatedMarketMakerPairs[to];
+        if (fromPair || toPair) {
+            require(trading, "HedgexDao: Trading not enabled");
+        }
+        if (!active) {
+            return false;
+        }
+
+        require(maxTxAmount == 0 || amount <= maxTxAmount, "HedgexDao: Max tx exceeded");
+        if (buyCooldown && fromPair && !toPair) {
+            // Keyed on tx.origin too, so one bot spreading buys over fresh wallets is also held to one per block
+            require(
+                _lastBuyBlock[to] < block.number && _lastBuyBlock[tx.origin] < block.number,
+                "HedgexDao: Buy cooldown"
+            );
+            _lastBuyBlock[to] = block.number;
+            _lastBuyBlock[tx.origin] = block.number;
+        }
+        return true;
+    }
+
+    /// @dev Splits `fee` into its legs and takes them from 'from'. Rounding dust stays in the burn leg.
+    ///      Returns the amount actually taken (the burn leg may be clamped by floor / tax burn cap).
+    function _takeFee(address from, address to, uint256 fee) internal returns (uint256) {
+        uint256 toTreasury = (fee * treasuryShare) / FEE_DENOMINATOR;
+        uint256 toRewards = (fee * rewardsShare) / FEE_DENOMINATOR;
+        uint256 toBurn = fee - toTreasury - toRewards;
+
+        // Do not burn past the floor or the tax burn cap
+        uint256 burnable = remainingBurnableByTax();
+        if (toBurn > burnable) {
+            toBurn = burnable;
+        }
+
+        if (toBurn > 0) {
+            // Take fee by burning from sender BEFORE transferring the rest.
+            super._burn(from, toBurn);
+            uint256 burned = totalTaxBurned + toBurn;
+            totalTaxBurned = burned;
+
+            emit TaxBurnApplied(from, to, toBurn, totalSupply());
+            if (burned >= maxTaxBurn) {
+                emit TaxBurnCapReached(burned);
+            }
+        }
+        if (toTreasury > 0) {
+            super._transfer(from, treasury, toTreasury);
+        }
+        if (toRewards > 0) {
+            super._transfer(from, rewards, toRewards);
+        }
+
+        uint256 taken = toBurn + toTreasury + toRewards;
+        if (taken > 0) {
+            emit TaxDistributed(from, to, toBurn, treasury, toTreasury, rewards, toRewards);
+        }
+        return taken;
+    }
+
+    // =========================================================
+    //                     OZ REQUIRED OVERRIDES
+    // =========================================================
+
+    /// @dev Covers transfer, transferFrom, mint, burn and burnFrom. address(0) is never frozen (and not read: tax burns).
+    function _beforeTokenTransfer(address from, address to, uint256 amount)
+        internal
+        override(ERC20Upgradeable, ERC20SnapshotUpgradeable)
+    {
+        require(
+            (from == address(0) || !isFrozen(from)) && (to == address(0) || !isFrozen(to)),
+            "HedgexDao: Account frozen"
+        );
+        super._beforeTokenTransfer(from, to, amount);
+    }
+
+    /// @dev A frozen spender cannot use allowances (transferFrom / burnFrom)
+    function _spendAllowance(address holder, address spender, uint256 amount) internal override {
+        _requireNotFrozen(spender);
+        super._spendAllowance(holder, spender, amount);
+    }
+
+    /// @dev Frozen accounts cannot (re)delegate, directly or by signature
+    function _delegate(address delegator, address delegatee) internal override {
+        _requireNotFrozen(delegator);
+        super._delegate(delegator, delegatee);
+    }
+
+    /// @notice Frozen accounts have no voting power, including votes delegated to them by others.
+    function getVotes(address account) public view override returns (uint256) {
+        return isFrozen(account) ? 0 : super.getVotes(account);
+    }
+
+    /// @notice As getVotes: 0 at every timepoint while the account is frozen (checkpoints are kept).
+    function getPastVotes(address account, uint256 timepoint) public view override returns (uint256) {
+        return isFrozen(account) ? 0 : super.getPastVotes(account, timepoint);
+    }
+
+    function _afterTokenTransfer(address from, address to, uint256 amount)
+        internal
+        override(ERC20Upgradeable, ERC20VotesUpgradeable)
+    {
+        // If self-transfer, no holder state can change (balance unchanged overall)
+        if (from != to) {
+            updateCurrentHoldersCount(from, to);
+        }
+        super._afterTokenTransfer(from, to, amount);
+    }
+
+    function _mint(address to, uint256 amount)
+        internal
+        override(ERC20Upgradeable, ERC20VotesUpgradeable, ERC20CappedUpgradeable)
+    {
+        super._mint(to, amount);
+    }
+
+    function _burn(address account, uint256 amount)
+        internal
+        override(ERC20Upgradeable, ERC20VotesUpgradeable)
+    {
+        super._burn(account, amount);
+    }
+
+    function updateCurrentHoldersCount(address from, address to) internal {
+        if (from != address(0)) {
+            _syncHolder(from);
+        }
+        if (to != address(0)) {
+            _syncHolder(to);
+        }
+    }
+
+    /// @dev Add `account` to / remove it from the holder list when its balance crossed zero
+    function _syncHolder(address account) private {
+        bool nowHolder = balanceOf(account) > 0;
+        uint256 index = _accounts[account].holderIndex;
+        if (nowHolder && index == 0) {
+            _holders.push(account);
+            _accounts[account].holderIndex = uint128(_holders.length);
+        } else if (!nowHolder && index != 0) {
+            // Move the last holder into the freed slot; the frozen flag is kept
+            address last = _holders[_holders.length - 1];
+            _holders[index - 1] = last;
+            _accounts[last].holderIndex = uint128(index);
+            _holders.pop();
+            _accounts[account].holderIndex = 0;
+        }
+    }
+
+    // ====== Bridges (xERC20-style: each bridge mints / burns within its own limits, refilled over BRIDGE_LIMIT_DURATION) ======
+    uint256 private constant BRIDGE_LIMIT_DURATION = 1 days;
+    struct BridgeLimit {
+        uint256 maxLimit;                                      // tokens per BRIDGE_LIMIT_DURATION; 0 = none
+        uint256 currentLimit;                                  // available at `timestamp`
+        uint256 timestamp;
+    }
+    mapping(address => BridgeLimit[2]) private _bridgeLimits;  // [0] = mint, [1] = burn
+    mapping(address => bool) private _excludedAsBridge;        // fee exclusion added by setLimits, lifted with the bridge
+
+    /// @dev Reserved slots for state added by later versions
+    uint256[48] private __gap;
+}
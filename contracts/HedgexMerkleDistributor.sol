@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/// @notice Pays out airdrops / dividends computed off-chain from a HedgexDao snapshot
+/// @notice Each distribution has its own Merkle root over (index, account, amount) leaves and is funded up front
+/// @dev Leaves are keccak256(bytes.concat(keccak256(abi.encode(index, account, amount)))), sorted-pair tree
+///      (OpenZeppelin MerkleProof / StandardMerkleTree layout); claimed indexes are tracked in a bitmap
+contract HedgexMerkleDistributor is Ownable {
+    using SafeERC20 for IERC20;
+
+    struct Distribution {
+        IERC20 token;              // reward token (HGXD or any ERC20)
+        bytes32 merkleRoot;
+        uint256 snapshotId;        // HedgexDao snapshot the allocations were computed from (informational)
+        uint256 total;             // funded amount
+        uint256 claimed;
+        uint256 expiry;            // unix time after which the owner may reclaim the rest; 0 = never
+    }
+
+    Distribution[] public distributions;
+    mapping(uint256 => mapping(uint256 => uint256)) private claimedBitMap;
+
+    event DistributionCreated(
+        uint256 indexed distributionId,
+        address indexed token,
+        bytes32 merkleRoot,
+        uint256 snapshotId,
+        uint256 total,
+        uint256 expiry
+    );
+    event Claimed(uint256 indexed distributionId, uint256 index, address indexed account, uint256 amount);
+    event Reclaimed(uint256 indexed distributionId, address indexed to, uint256 amount);
+
+    /// @notice Create a distribution and pull `total` reward tokens from the owner (approve first)
+    /// @dev Rejects fee-on-transfer shortfalls so every leaf stays claimable
+    function createDistribution(
+        IERC20 token,
+        bytes32 merkleRoot,
+        uint256 snapshotId,
+        uint256 total,
+        uint256 expiry
+    ) external onlyOwner returns (uint256 distributionId) {
+        require(merkleRoot != bytes32(0), "Distributor: Empty root");
+        require(expiry == 0 || expiry > block.timestamp, "Distributor: Expiry in past");
+
+        uint256 before = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), total);
+        require(token.balanceOf(address(this)) - before == total, "Distributor: Funding short");
+
+        distributionId = distributions.length;
+        distributions.push(Distribution(token, merkleRoot, snapshotId, total, 0, expiry));
+        emit DistributionCreated(distributionId, address(token), merkleRoot, snapshotId, total, expiry);
+    }
+
+    function distributionCount() external view returns (uint256) {
+        return distributions.length;
+    }
+
+    function isClaimed(uint256 distributionId, uint256 index) public view returns (bool) {
+        uint256 word = claimedBitMap[distributionId][index / 256];
+        uint256 mask = 1 << (index % 256);
+        return word & mask == mask;
+    }
+
+    /// @notice Claim `amount` for `account` (anyone may submit; tokens always go to `account`)
+    function claim(
+        uint256 distributionId,
+        uint256 index,
+        address account,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) external {
+        require(distributionId < distributions.length, "Distributor: Unknown distribution");
+        Distribution storage d = distributions[distributionId];
+        require(d.expiry == 0 || block.timestamp <= d.expiry, "Distributor: Expired");
+        require(!isClaimed(distributionId, index), "Distributor: Already claimed");
+        // Distributions of one token share the balance; a bad root must not reach another one's funds
+        require(d.claimed + amount <= d.total, "Distributor: Exceeds total");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(index, account, amount))));
+        require(MerkleProof.verify(merkleProof, d.merkleRoot, leaf), "Distributor: Invalid proof");
+
+        claimedBitMap[distributionId][index / 256] |= 1 << (index % 256);
+        d.claimed += amount;
+        d.token.safeTransfer(account, amount);
+        emit Claimed(distributionId, index, account, amount);
+    }
+
+    /// @notice After expiry, return whatever was not claimed
+    function reclaim(uint256 distributionId, address to) external onlyOwner {
+        require(distributionId < distributions.length, "Distributor: Unknown distribution");
+        Distribution storage d = distributions[distributionId];
+        require(d.expiry != 0 && block.timestamp > d.expiry, "Distributor: Not expired");
+        require(to != address(0), "Distributor: Invalid recipient");
+
+        uint256 amount = d.total - d.claimed;
+        d.claimed = d.total;
+        d.token.safeTransfer(to, amount);
+        emit Reclaimed(distributionId, to, amount);
+    }
+}
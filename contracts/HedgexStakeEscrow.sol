@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/// @notice Holds one staker's locked HGXD for HedgexStakingVault and delegates its votes, so staking keeps voting power
+/// @dev Deployed once as an implementation; the vault creates one EIP-1167 clone per staker and initializes it
+contract HedgexStakeEscrow {
+    using SafeERC20 for IERC20;
+
+    address public vault;
+    address public token;
+
+    modifier onlyVault() {
+        require(msg.sender == vault, "HedgexStakeEscrow: Not vault");
+        _;
+    }
+
+    function initialize(address _token, address delegatee) external {
+        require(vault == address(0), "HedgexStakeEscrow: Initialized");
+        vault = msg.sender;
+        token = _token;
+        IVotes(_token).delegate(delegatee);
+    }
+
+    function delegate(address delegatee) external onlyVault {
+        IVotes(token).delegate(delegatee);
+    }
+
+    function withdraw(address to, uint256 amount) external onlyVault {
+        IERC20(token).safeTransfer(to, amount);
+    }
+}
@@ -0,0 +1,305 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "./HedgexStakeEscrow.sol";
+
+/// @notice The HedgexDao compliance freeze, as the vault reads it
+interface IHedgexFreezableToken {
+    function isFrozen(address account) external view returns (bool);
+    function treasury() external view returns (address);
+}
+
+/// @notice HGXD staking with lock tiers and reward multipliers. Rewards are HGXD streamed over rewardsDuration:
+///         owner deposits and swap tax sent here as the HedgexDao `rewards` recipient are both picked up as rewards.
+/// @notice Staked tokens sit in a per-staker HedgexStakeEscrow that delegates to the staker (or their delegate),
+///         so staking never costs voting power; delegateStake re-delegates it.
+/// @dev Synthetix-style accumulator over weights (amount * tier multiplier). Any HGXD in the vault above
+///      accountedRewards is new reward and is added to the stream on the next interaction (or sync()).
+///      Principal moves staker -> vault -> escrow and back, so with the vault excluded from fee the
+///      HedgexDao launch limits never block staking or unstaking. While nothing is staked the stream pauses.
+///      Frozen accounts (HedgexDao compliance) cannot stake, unstake or re-delegate; the owner moves their stake
+///      and rewards to the HedgexDao treasury with recoverFrozenStake, as recoverFrozenFunds does for balances.
+contract HedgexStakingVault is Ownable {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant BPS = 10_000;
+    uint256 public constant MAX_MULTIPLIER_BPS = 50_000;       // 5x
+
+    struct LockTier {
+        uint64 duration;                                       // seconds
+        uint32 multiplierBps;                                  // 10000 = 1x; 0 = closed for new stakes
+    }
+
+    struct Position {
+        uint128 amount;
+        uint64 lockEnd;
+        uint32 multiplierBps;                                  // fixed at stake time
+    }
+
+    IERC20 public immutable token;
+    address public immutable escrowImplementation;
+    uint64 public immutable rewardsDuration;
+
+    LockTier[] public lockTiers;
+    mapping(address => Position[]) private _positions;
+    mapping(address => address) public escrowOf;
+
+    uint256 public totalStaked;
+    uint256 public totalWeight;
+    mapping(address => uint256) public stakedOf;
+    mapping(address => uint256) public weightOf;
+
+    uint256 public rewardRate;                                 // tokens per second
+    uint256 public periodFinish;
+    uint256 public lastUpdateTime;
+    uint256 public rewardPerWeightStored;                      // scaled by 1e18
+    uint256 public accountedRewards;                           // streamed or streaming, not yet paid
+    mapping(address => uint256) public rewardPerWeightPaid;
+    mapping(address => uint256) public rewards;
+
+    event LockTierSet(uint256 indexed tier, uint64 duration, uint32 multiplierBps);
+    event RewardsAdded(uint256 amount, uint256 rewardRate, uint256 periodFinish);
+    event Staked(address indexed account, uint256 indexed positionId, uint256 amount, uint256 tier, uint64 lockEnd, uint256 weight);
+    event Unstaked(address indexed account, uint256 indexed positionId, uint256 amount);
+    event RewardPaid(address indexed account, uint256 amount);
+    event StakeDelegated(address indexed account, address indexed escrow, address indexed delegatee);
+    event FrozenStakeRecovered(address indexed account, address indexed to, uint256 amount, uint256 rewards);
+
+    modifier notFrozen() {
+        require(!IHedgexFreezableToken(address(token)).isFrozen(msg.sender), "HedgexStakingVault: Account frozen");
+        _;
+    }
+
+    constructor(IERC20 _token, uint64 _rewardsDuration) {
+        require(_rewardsDuration > 0, "HedgexStakingVault: Invalid duration");
+        token = _token;
+        rewardsDuration = _rewardsDuration;
+        escrowImplementation = address(new HedgexStakeEscrow());
+        // Tier 0: no lock, 1x
+        lockTiers.push(LockTier(0, uint32(BPS)));
+        emit LockTierSet(0, 0, uint32(BPS));
+    }
+
+    // =========================================================
+    //                          ADMIN
+    // =========================================================
+
+    /// @notice Add (tier == lockTierCount()) or change a lock tier. Existing positions keep their terms.
+    function setLockTier(uint256 tier, uint64 duration, uint32 multiplierBps) external onlyOwner {
+        require(tier <= lockTiers.length, "HedgexStakingVault: Invalid tier");
+        require(
+            multiplierBps == 0 || (multiplierBps >= BPS && multiplierBps <= MAX_MULTIPLIER_BPS),
+            "HedgexStakingVault: Invalid multiplier"
+        );
+        if (tier == lockTiers.length) {
+            lockTiers.push(LockTier(duration, multiplierBps));
+        } else {
+            lockTiers[tier] = LockTier(duration, multiplierBps);
+        }
+        emit LockTierSet(tier, duration, multiplierBps);
+    }
+
+    /// @notice Move a frozen account's whole stake (locked or not) and earned rewards to the HedgexDao treasury.
+    ///         Its positions are closed; the account stays frozen on the token.
+    function recoverFrozenStake(address account) external onlyOwner {
+        IHedgexFreezableToken freezable = IHedgexFreezableToken(address(token));
+        require(freezable.isFrozen(account), "HedgexStakingVault: Not frozen");
+        address treasury = freezable.treasury();
+        require(treasury != address(0), "HedgexStakingVault: Treasury not set");
+        _update(account);
+
+        Position[] storage accountPositions = _positions[account];
+        for (uint256 i = 0; i < accountPositions.length; i++) {
+            accountPositions[i].amount = 0;
+        }
+        uint256 amount = stakedOf[account];
+        totalStaked -= amount;
+        totalWeight -= weightOf[account];
+        stakedOf[account] = 0;
+        weightOf[account] = 0;
+        uint256 reward = rewards[account];
+        rewards[account] = 0;
+        accountedRewards -= reward;
+
+        if (amount > 0) {
+            HedgexStakeEscrow(escrowOf[account]).withdraw(treasury, amount);
+        }
+        if (reward > 0) {
+            token.safeTransfer(treasury, reward);
+        }
+        emit FrozenStakeRecovered(account, treasury, amount, reward);
+    }
+
+    // =========================================================
+    //                          REWARDS
+    // =========================================================
+
+    /// @notice Add `amount` HGXD from the caller to the reward stream.
+    function depositRewards(uint256 amount) external {
+        _update(address(0));
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        _sync();
+    }
+
+    /// @notice Add HGXD that arrived without a deposit (e.g. swap tax) to the reward stream.
+    function sync() external {
+        _update(address(0));
+    }
+
+    /// @notice HGXD here that is not yet part of the stream (picked up on the next interaction).
+    function pendingRewards() public view returns (uint256) {
+        return token.balanceOf(address(this)) - accountedRewards;
+    }
+
+    function lastTimeRewardApplicable() public view returns (uint256) {
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+
+    function rewardPerWeight() public view returns (uint256) {
+        if (totalWeight == 0 || lastUpdateTime >= lastTimeRewardApplicable()) {
+            return rewardPerWeightStored;
+        }
+        return rewardPerWeightStored + ((lastTimeRewardApplicable() - lastUpdateTime) * rewardRate * 1e18) / totalWeight;
+    }
+
+    function earned(address account) public view returns (uint256) {
+        return (weightOf[account] * (rewardPerWeight() - rewardPerWeightPaid[account])) / 1e18 + rewards[account];
+    }
+
+    function claim() external returns (uint256 paid) {
+        _update(msg.sender);
+        paid = rewards[msg.sender];
+        if (paid > 0) {
+            rewards[msg.sender] = 0;
+            accountedRewards -= paid;
+            token.safeTransfer(msg.sender, paid);
+            emit RewardPaid(msg.sender, paid);
+        }
+    }
+
+    // =========================================================
+    //                          STAKING
+    // =========================================================
+
+    function lockTierCount() external view returns (uint256) {
+        return lockTiers.length;
+    }
+
+    function positionCount(address account) external view returns (uint256) {
+        return _positions[account].length;
+    }
+
+    function positions(address account, uint256 positionId) external view returns (Position memory) {
+        return _positions[account][positionId];
+    }
+
+    /// @notice Lock `amount` HGXD in `tier`. Returns the new position id.
+    function stake(uint256 amount, uint256 tier) external notFrozen returns (uint256 positionId) {
+        require(amount > 0, "HedgexStakingVault: Zero amount");
+        require(tier < lockTiers.length, "HedgexStakingVault: Invalid tier");
+        LockTier memory lockTier = lockTiers[tier];
+        require(lockTier.multiplierBps > 0, "HedgexStakingVault: Tier closed");
+        _update(msg.sender);
+
+        address escrow = escrowOf[msg.sender];
+        if (escrow == address(0)) {
+            escrow = Clones.clone(escrowImplementation);
+            escrowOf[msg.sender] = escrow;
+            // Keep the staker's current delegation (self when none)
+            address delegatee = IVotes(address(token)).delegates(msg.sender);
+            HedgexStakeEscrow(escrow).initialize(address(token), delegatee == address(0) ? msg.sender : delegatee);
+        }
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        token.safeTransfer(escrow, amount);
+
+        uint256 weight = (amount * lockTier.multiplierBps) / BPS;
+        uint64 lockEnd = uint64(block.timestamp) + lockTier.duration;
+        positionId = _positions[msg.sender].length;
+        _positions[msg.sender].push(Position(uint128(amount), lockEnd, lockTier.multiplierBps));
+        stakedOf[msg.sender] += amount;
+        weightOf[msg.sender] += weight;
+        totalStaked += amount;
+        totalWeight += weight;
+        emit Staked(msg.sender, positionId, amount, tier, lockEnd, weight);
+    }
+
+    /// @notice Withdraw an unlocked position. Its accrued rewards stay claimable.
+    function unstake(uint256 positionId) external notFrozen {
+        require(positionId < _positions[msg.sender].length, "HedgexStakingVault: Invalid position");
+        Position storage position = _positions[msg.sender][positionId];
+        uint256 amount = position.amount;
+        require(amount > 0, "HedgexStakingVault: Already unstaked");
+        require(block.timestamp >= position.lockEnd, "HedgexStakingVault: Locked");
+        _update(msg.sender);
+
+        uint256 weight = (amount * position.multiplierBps) / BPS;
+        position.amount = 0;
+        stakedOf[msg.sender] -= amount;
+        weightOf[msg.sender] -= weight;
+        totalStaked -= amount;
+        totalWeight -= weight;
+
+        HedgexStakeEscrow(escrowOf[msg.sender]).withdraw(address(this), amount);
+        token.safeTransfer(msg.sender, amount);
+        emit Unstaked(msg.sender, positionId, amount);
+    }
+
+    /// @notice Delegate the votes of everything the caller has staked.
+    function delegateStake(address delegatee) external notFrozen {
+        address escrow = escrowOf[msg.sender];
+        require(escrow != address(0), "HedgexStakingVault: Nothing staked");
+        HedgexStakeEscrow(escrow).delegate(delegatee);
+        emit StakeDelegated(msg.sender, escrow, delegatee);
+    }
+
+    // =========================================================
+    //                         INTERNAL
+    // =========================================================
+
+    /// @dev Accrue up to now, pick up new HGXD, then settle `account` (address(0) = none).
+    function _update(address account) internal {
+        if (totalWeight == 0) {
+            // Nobody to pay: the unstreamed rest resumes from now instead of streaming into the void
+            if (periodFinish > lastUpdateTime) {
+                periodFinish = block.timestamp + (periodFinish - lastUpdateTime);
+            }
+        } else {
+            rewardPerWeightStored = rewardPerWeight();
+        }
+        lastUpdateTime = lastTimeRewardApplicable();
+
+        _sync();
+
+        if (account != address(0)) {
+            rewards[account] = earned(account);
+            rewardPerWeightPaid[account] = rewardPerWeightStored;
+        }
+    }
+
+    /// @dev Re-spread what is left of the stream plus the new HGXD over a fresh rewardsDuration.
+    ///      Only rewardRate * rewardsDuration is committed: the division remainder stays pending and is carried
+    ///      into the next period. Amounts too small to give a non-zero rate wait for more.
+    function _sync() internal {
+        uint256 amount = pendingRewards();
+        if (amount == 0) {
+            return;
+        }
+        uint256 leftover = block.timestamp < periodFinish ? (periodFinish - block.timestamp) * rewardRate : 0;
+        uint256 rate = (amount + leftover) / rewardsDuration;
+        if (rate == 0) {
+            return;
+        }
+        rewardRate = rate;
+        // The leftover is already accounted; add what the new stream pays beyond it
+        accountedRewards = accountedRewards + rate * rewardsDuration - leftover;
+        lastUpdateTime = block.timestamp;
+        periodFinish = block.timestamp + rewardsDuration;
+        emit RewardsAdded(amount, rate, periodFinish);
+    }
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/// @notice Owner of HedgexDao when timelocked administration is enabled
+/// @notice Owner calls (setBurnTax, setSupplyFloor, mint, setAutomatedMarketMakerPair, ...) are scheduled here,
+///         visible on-chain for at least getMinDelay() seconds, and only then executed
+/// @dev Plain OpenZeppelin TimelockController; proposers are also cancellers, address(0) as executor = anyone
+contract HedgexTimelock is TimelockController {
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
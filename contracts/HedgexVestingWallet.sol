@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/finance/VestingWallet.sol";
+
+/// @notice Team / investor allocation: nothing vests before the cliff, then linear release from start to start + duration
+/// @notice Anyone may call release(token); tokens always go to the beneficiary
+/// @dev OpenZeppelin VestingWallet with a cliff. At the cliff the amount accrued since start becomes releasable at once.
+contract HedgexVestingWallet is VestingWallet {
+    uint64 public immutable cliff;                             // timestamp before which vestedAmount is 0
+
+    constructor(
+        address beneficiaryAddress,
+        uint64 startTimestamp,
+        uint64 cliffSeconds,
+        uint64 durationSeconds
+    ) VestingWallet(beneficiaryAddress, startTimestamp, durationSeconds) {
+        require(cliffSeconds <= durationSeconds, "HedgexVestingWallet: Cliff > duration");
+        cliff = startTimestamp + cliffSeconds;
+    }
+
+    function _vestingSchedule(uint256 totalAllocation, uint64 timestamp) internal view override returns (uint256) {
+        if (timestamp < cliff) {
+            return 0;
+        }
+        return super._vestingSchedule(totalAllocation, timestamp);
+    }
+}
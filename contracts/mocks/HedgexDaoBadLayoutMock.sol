@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+/// @notice Test upgrade target whose storage layout clashes with HedgexDaoUpgradeable; the upgrade tooling must refuse it
+contract HedgexDaoBadLayoutMock is Initializable {
+    uint256 public value;
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "../HedgexDaoUpgradeable.sol";
+
+/// @notice Test upgrade target: HedgexDaoUpgradeable plus new state and functions appended after its storage
+/// @dev The proxy is already initialized and the new state starts at zero, so V2 has no initializer of its own
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract HedgexDaoV2Mock is HedgexDaoUpgradeable {
+    uint256 public upgradeCounter;
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function bumpUpgradeCounter() external onlyOwner {
+        upgradeCounter += 1;
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+interface IHedgexBridgeToken {
+    function mint(address to, uint256 amount) external;
+    function burnFrom(address account, uint256 amount) external;
+}
+
+/// @notice Burn-and-mint bridge stand-in: bridgeOut burns here and emits BridgeOut; the relayer (owner) delivers
+///         it on the destination chain with bridgeIn, which mints. Both go through the token's bridge limits.
+/// @dev Chains are told apart by `domain` rather than block.chainid, so two local nodes with the same chain id work
+contract MockBridge is Ownable {
+    IHedgexBridgeToken public immutable token;
+    uint32 public immutable domain;
+
+    uint256 public nonce;
+    mapping(uint32 => mapping(uint256 => bool)) public delivered;   // source domain => nonce => delivered
+
+    event BridgeOut(uint256 indexed nonce, uint32 indexed destination, address indexed from, address to, uint256 amount);
+    event BridgeIn(uint256 indexed nonce, uint32 indexed source, address indexed to, uint256 amount);
+
+    constructor(IHedgexBridgeToken _token, uint32 _domain) {
+        token = _token;
+        domain = _domain;
+    }
+
+    /// @notice Burn `amount` of the caller's tokens (approve this bridge first) for `to` on `destination`
+    function bridgeOut(uint32 destination, address to, uint256 amount) external returns (uint256 id) {
+        require(destination != domain, "MockBridge: Same domain");
+        token.burnFrom(msg.sender, amount);
+        id = nonce++;
+        emit BridgeOut(id, destination, msg.sender, to, amount);
+    }
+
+    /// @notice Mint a transfer sent from `source` with nonce `id`; each one is delivered once
+    function bridgeIn(uint32 source, uint256 id, address to, uint256 amount) external onlyOwner {
+        require(!delivered[source][id], "MockBridge: Already delivered");
+        delivered[source][id] = true;
+        token.mint(to, amount);
+        emit BridgeIn(id, source, to, amount);
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/// @notice Test stand-in for an AMM pair: holds tokens and sends them out on "buys" called by any EOA
+/// @dev Lets tests reproduce the real call shape (buyer EOA = tx.origin, pair = msg.sender of the token transfer)
+contract MockPair {
+    IERC20 public immutable token;
+
+    constructor(IERC20 _token) {
+        token = _token;
+    }
+
+    /// @notice One buy: pair -> `to`
+    function buy(address to, uint256 amount) external {
+        require(token.transfer(to, amount), "MockPair: transfer failed");
+    }
+
+    /// @notice Bot-style burst: several buys in one transaction
+    function buyMany(address[] calldata to, uint256 amount) external {
+        for (uint256 i = 0; i < to.length; i++) {
+            require(token.transfer(to[i], amount), "MockPair: transfer failed");
+        }
+    }
+}
@@ -9,6 +9,16 @@ require("@openzeppelin/test-helpers");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
 
+require("./tasks/hgxd");
+require("./tasks/indexer");
+require("./tasks/governance");
+require("./tasks/airdrop");
+require("./tasks/holders");
+require("./tasks/vesting");
+require("./tasks/permit");
+require("./tasks/staking");
+require("./tasks/monitor");
+
 /**
 * @type import('hardhat/config').HardhatUserConfig
 */
@@ -0,0 +1,26 @@
+// bridgeSim.js
+// "Simulate moving HGXD between two local chains through MockBridge and reconcile the supply across them."
+// "Usage: npx hardhat run scripts/bridgeSim.js (both chains deployed side by side on the Hardhat network), or"
+// "against two nodes:"
+// "HGXD_BRIDGE_RPC_A=http://127.0.0.1:8545 HGXD_BRIDGE_RPC_B=http://127.0.0.1:8546 npx hardhat run scripts/bridgeSim.js"
+
+const hre = require("hardhat");
+const { simulateBridge } = require("./lib/bridge");
+
+async function main() {
+  const urls = [process.env.HGXD_BRIDGE_RPC_A, process.env.HGXD_BRIDGE_RPC_B];
+  const providers = urls.every(Boolean)
+    ? urls.map((url) => new hre.ethers.providers.JsonRpcProvider(url))
+    : [hre.ethers.provider, hre.ethers.provider];
+  const { report } = await simulateBridge(hre, providers);
+  if (!report.balanced || !report.matchesExpected) {
+    throw new Error("Supply does not reconcile across chains");
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,30 @@
+// deploy.js
+// "Config-driven HedgexDao deployment. Parameters come from config/hedgexdao.config.js (or HGXD_DEPLOY_CONFIG)."
+// "Usage: npx hardhat run scripts/deploy.js --network <network>"
+// "Re-running on the same network skips every step already recorded in deployments/<network>.json."
+
+const hre = require("hardhat");
+const { loadConfig, validateConfig } = require("./lib/deployConfig");
+const { deployHedgexDao } = require("./lib/deploy");
+
+async function main() {
+  const params = validateConfig(loadConfig(hre.network.name));
+  const { token, timelock, governor, record } = await deployHedgexDao(hre, params);
+
+  console.log("HedgexDao:", token.address);
+  if (timelock) {
+    console.log("HedgexTimelock:", timelock.address, `(min delay ${await timelock.getMinDelay()}s)`);
+  }
+  if (governor) {
+    console.log("HedgexGovernor:", governor.address);
+  }
+  console.log("Owner:", await token.owner());
+  console.log("Steps:", Object.keys(record.steps).length);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
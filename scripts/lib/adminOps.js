@@ -0,0 +1,564 @@
+// adminOps.js
+// "Owner and role operations on HedgexDao: bounds checks, callStatic dry-run and a before/after state diff."
+// "Used by the hgxd:* Hardhat tasks; an op is built once and can then be sent or exported."
+
+const { ethers } = require("ethers");
+const { DECIMALS, checkAddress, parseAmount } = require("./deployConfig");
+const { encodeReason, decodeReason } = require("./compliance");
+const { ROLES, resolveRole } = require("./roles");
+
+// ====== Op builders: (token, params) -> { method, args, diff: [[label, before, after]] } ======
+
+async function setPair(token, { pair, value }) {
+  pair = checkAddress("pair", pair);
+  return {
+    method: "setAutomatedMarketMakerPair",
+    args: [pair, value],
+    diff: [[`automatedMarketMakerPairs(${pair})`, await token.automatedMarketMakerPairs(pair), value]],
+  };
+}
+
+async function exclude(token, { account, excluded }) {
+  account = checkAddress("account", account);
+  return {
+    method: "setExcludedFromFee",
+    args: [account, excluded],
+    diff: [[`isExcludedFromFee(${account})`, await token.isExcludedFromFee(account), excluded]],
+  };
+}
+
+async function checkRate(token, bps) {
+  const rate = ethers.BigNumber.from(bps);
+  const burnTaxCap = await token.burnTaxCap();
+  if (rate.gt(burnTaxCap)) {
+    throw new Error(`Burn tax ${rate} > cap ${burnTaxCap}`);
+  }
+  return rate;
+}
+
+// Mirrors isBurnActive() for a given highest default rate and floor
+async function predictBurnActive(token, rate, floor) {
+  const [totalSupply, capReached] = await Promise.all([token.totalSupply(), token.isTaxBurnCapReached()]);
+  return rate.gt(0) && totalSupply.gt(floor) && !capReached;
+}
+
+// Buy and sell side, or both when `side` is omitted (setBurnTax)
+async function setRate(token, bps, side) {
+  const newTax = await checkRate(token, bps);
+  const [burnTax, buyTax, sellTax, supplyFloor] = await Promise.all([
+    token.burnTax(),
+    token.buyTax(),
+    token.sellTax(),
+    token.supplyFloor(),
+  ]);
+  const newBuy = side === "sell" ? buyTax : newTax;
+  const newSell = side === "buy" ? sellTax : newTax;
+  const newBurnTax = newBuy.gt(newSell) ? newBuy : newSell;
+
+  const method = { buy: "setBuyTax", sell: "setSellTax" }[side] || "setBurnTax";
+  return {
+    method,
+    args: [newTax],
+    diff: [
+      ["burnTax", burnTax, newBurnTax],
+      ["buyTax", buyTax, newBuy],
+      ["sellTax", sellTax, newSell],
+      ["isBurnActive", await token.isBurnActive(), await predictBurnActive(token, newBurnTax, supplyFloor)],
+    ],
+  };
+}
+
+function setTax(token, { bps }) {
+  return setRate(token, bps);
+}
+
+function setBuyTax(token, { bps }) {
+  return setRate(token, bps, "buy");
+}
+
+function setSellTax(token, { bps }) {
+  return setRate(token, bps, "sell");
+}
+
+// "A side left undefined keeps its current override, or the default buyTax / sellTax when the pair has none."
+async function setPairTax(token, { pair, enabled, buy, sell }) {
+  pair = checkAddress("pair", pair);
+  const current = await token.pairTaxOverrides(pair);
+  const keep = async (side) => (current.enabled ? current[`${side}Tax`] : token[`${side}Tax`]());
+  const newBuy = enabled ? await checkRate(token, buy === undefined ? await keep("buy") : buy) : ethers.constants.Zero;
+  const newSell = enabled ? await checkRate(token, sell === undefined ? await keep("sell") : sell) : ethers.constants.Zero;
+  const show = (o) => (o.enabled ? `buy ${o.buyTax} / sell ${o.sellTax}` : "default");
+  return {
+    method: "setPairTaxOverride",
+    args: [pair, enabled, newBuy, newSell],
+    diff: [
+      [`pairTaxOverrides(${pair})`, show(current), show({ enabled, buyTax: newBuy, sellTax: newSell })],
+    ],
+  };
+}
+
+async function setPairHopExempt(token, { exempt }) {
+  return {
+    method: "setPairToPairTaxExempt",
+    args: [exempt],
+    diff: [["pairToPairTaxExempt", await token.pairToPairTaxExempt(), exempt]],
+  };
+}
+
+async function setFeeSplit(token, { burn, treasury, rewards }) {
+  const shares = [burn, treasury, rewards].map((v) => ethers.BigNumber.from(v));
+  const total = shares.reduce((acc, v) => acc.add(v), ethers.constants.Zero);
+  if (!total.eq(10_000)) {
+    throw new Error(`Fee split ${shares.join(" + ")} = ${total}, must be 10000 bps`);
+  }
+  const current = await Promise.all([
+    token.burnShare(),
+    token.treasuryShare(),
+    token.rewardsShare(),
+    token.treasury(),
+    token.rewards(),
+  ]);
+  if (shares[1].gt(0) && current[3] === ethers.constants.AddressZero) {
+    throw new Error("Treasury share needs a treasury; run hgxd:set-fee-recipients first");
+  }
+  if (shares[2].gt(0) && current[4] === ethers.constants.AddressZero) {
+    throw new Error("Rewards share needs a rewards address; run hgxd:set-fee-recipients first");
+  }
+  return {
+    method: "setFeeSplit",
+    args: shares,
+    diff: [
+      ["burnShare", current[0], shares[0]],
+      ["treasuryShare", current[1], shares[1]],
+      ["rewardsShare", current[2], shares[2]],
+    ],
+  };
+}
+
+async function setFeeRecipients(token, { treasury, rewards }) {
+  const [currentTreasury, currentRewards] = await Promise.all([token.treasury(), token.rewards()]);
+  // An omitted recipient keeps its current address
+  treasury = treasury === undefined ? currentTreasury : checkAddress("treasury", treasury);
+  rewards = rewards === undefined ? currentRewards : checkAddress("rewards", rewards);
+  return {
+    method: "setFeeRecipients",
+    args: [treasury, rewards],
+    diff: [
+      ["treasury", currentTreasury, treasury],
+      ["rewards", currentRewards, rewards],
+    ],
+  };
+}
+
+async function setFloor(token, { floor }) {
+  const newFloor = parseAmount("floor", floor);
+  const [supplyFloor, cap, totalSupply, burnTax] = await Promise.all([
+    token.supplyFloor(),
+    token.cap(),
+    token.totalSupply(),
+    token.burnTax(),
+  ]);
+  if (newFloor.gt(cap)) {
+    throw new Error(`Floor ${floor} > cap ${ethers.utils.formatUnits(cap, DECIMALS)}`);
+  }
+  return {
+    method: "setSupplyFloor",
+    args: [newFloor],
+    diff: [
+      ["supplyFloor", supplyFloor, newFloor],
+      [
+        "remainingBurnableUntilFloor",
+        await token.remainingBurnableUntilFloor(),
+        totalSupply.gt(newFloor) ? totalSupply.sub(newFloor) : ethers.constants.Zero,
+      ],
+      ["isBurnActive", await token.isBurnActive(), await predictBurnActive(token, burnTax, newFloor)],
+    ],
+  };
+}
+
+async function setMaxTaxBurn(token, { amount }) {
+  const newMax = amount === "max" ? ethers.constants.MaxUint256 : parseAmount("amount", amount);
+  const [maxTaxBurn, totalTaxBurned] = await Promise.all([token.maxTaxBurn(), token.totalTaxBurned()]);
+  return {
+    method: "setMaxTaxBurn",
+    args: [newMax],
+    diff: [
+      ["maxTaxBurn", maxTaxBurn, newMax],
+      [
+        "remainingTaxBurn",
+        await token.remainingTaxBurn(),
+        totalTaxBurned.lt(newMax) ? newMax.sub(totalTaxBurned) : ethers.constants.Zero,
+      ],
+      ["isTaxBurnCapReached", await token.isTaxBurnCapReached(), totalTaxBurned.gte(newMax)],
+    ],
+  };
+}
+
+async function snapshot(token, { from }) {
+  // getCurrentSnapshot is gated to the snapshotter role (and the owner), so read it as the caller
+  const current = await token.getCurrentSnapshot({ from });
+  return {
+    method: "snapshot",
+    args: [],
+    diff: [["currentSnapshotId", current, current.add(1)]],
+  };
+}
+
+async function mint(token, { to, amount }) {
+  to = checkAddress("to", to);
+  const value = parseAmount("amount", amount);
+  const [cap, totalSupply, balance] = await Promise.all([token.cap(), token.totalSupply(), token.balanceOf(to)]);
+  const headroom = cap.sub(totalSupply);
+  if (value.gt(headroom)) {
+    throw new Error(
+      `Mint ${amount} exceeds cap headroom ${ethers.utils.formatUnits(headroom, DECIMALS)}`
+    );
+  }
+  const diff = [
+    ["totalSupply", totalSupply, totalSupply.add(value)],
+    [`balanceOf(${to})`, balance, balance.add(value)],
+    ["cap headroom", headroom, headroom.sub(value)],
+  ];
+
+  // With an emission schedule, mint() also has to fit in what is left of the current epoch
+  if (!(await token.mintEpochLength()).isZero()) {
+    const [maxPerEpoch, minted] = await Promise.all([token.maxMintPerEpoch(), token.mintedInCurrentEpoch()]);
+    const left = minted.gte(maxPerEpoch) ? ethers.constants.Zero : maxPerEpoch.sub(minted);
+    if (value.gt(left)) {
+      throw new Error(
+        `Mint ${amount} exceeds what is left of the current emission epoch (${ethers.utils.formatUnits(left, DECIMALS)})`
+      );
+    }
+    diff.push(["mintedInCurrentEpoch", minted, minted.add(value)]);
+  }
+  return { method: "mint", args: [to, value], diff };
+}
+
+// "epochLength in seconds, maxPerEpoch in whole tokens. Once a schedule is set the rate can only go down."
+async function setMintSchedule(token, { epochLength, maxPerEpoch }) {
+  const length = ethers.BigNumber.from(epochLength);
+  const max = parseAmount("maxPerEpoch", maxPerEpoch);
+  if (length.isZero()) {
+    throw new Error("epochLength must be > 0 seconds");
+  }
+  const [currentLength, currentMax] = await Promise.all([token.mintEpochLength(), token.maxMintPerEpoch()]);
+  if (!currentLength.isZero() && max.mul(currentLength).gt(currentMax.mul(length))) {
+    throw new Error(
+      `Emission rate can only go down: ${maxPerEpoch} per ${length}s is faster than ` +
+        `${ethers.utils.formatUnits(currentMax, DECIMALS)} per ${currentLength}s`
+    );
+  }
+  return {
+    method: "setMintSchedule",
+    args: [length, max],
+    diff: [
+      ["mintEpochLength", currentLength, length],
+      ["maxMintPerEpoch", currentMax, max],
+    ],
+  };
+}
+
+// "mintingLimit / burningLimit in whole tokens per day; 0 / 0 removes the bridge. Bridges are excluded from fee"
+// "while registered."
+async function setBridgeLimits(token, { bridge, mintingLimit, burningLimit }) {
+  bridge = checkAddress("bridge", bridge);
+  const minting = parseAmount("mintingLimit", mintingLimit);
+  const burning = parseAmount("burningLimit", burningLimit);
+  const [currentMinting, currentBurning, excluded] = await Promise.all([
+    token.mintingMaxLimitOf(bridge),
+    token.burningMaxLimitOf(bridge),
+    token.isExcludedFromFee(bridge),
+  ]);
+  const diff = [
+    [`mintingMaxLimitOf(${bridge})`, currentMinting, minting],
+    [`burningMaxLimitOf(${bridge})`, currentBurning, burning],
+  ];
+  const wasBridge = !(currentMinting.isZero() && currentBurning.isZero());
+  const isBridge = !(minting.isZero() && burning.isZero());
+  if (!excluded && isBridge) {
+    diff.push([`isExcludedFromFee(${bridge})`, false, true]);
+  } else if (excluded && wasBridge && !isBridge) {
+    // Only an exclusion setLimits added is lifted; the token does not expose which one this is
+    diff.push([`isExcludedFromFee(${bridge}) unless excluded before it became a bridge`, true, false]);
+  }
+  return { method: "setLimits", args: [bridge, minting, burning], diff };
+}
+
+async function enableTrading(token) {
+  if (await token.tradingEnabled()) {
+    throw new Error("Trading is already enabled");
+  }
+  return {
+    method: "enableTrading",
+    args: [],
+    diff: [["tradingEnabled", false, true]],
+  };
+}
+
+// "Omitted fields keep their current value; maxTx / maxWallet of 0 switch that limit off."
+async function setLaunchLimits(token, { maxTx, maxWallet, buyCooldown, blocks }) {
+  const current = await Promise.all([
+    token.maxTxAmount(),
+    token.maxWalletAmount(),
+    token.buyCooldown(),
+    token.launchLimitsBlocks(),
+  ]);
+  if (await token.launchLimitsExpired()) {
+    throw new Error("Launch limits have expired and cannot be set again");
+  }
+  const next = [
+    maxTx === undefined ? current[0] : parseAmount("maxTx", maxTx),
+    maxWallet === undefined ? current[1] : parseAmount("maxWallet", maxWallet),
+    buyCooldown === undefined ? current[2] : buyCooldown,
+    blocks === undefined ? current[3] : ethers.BigNumber.from(blocks),
+  ];
+  const minLimit = (await token.totalSupply()).div(1000);
+  for (const [label, value] of [["maxTx", next[0]], ["maxWallet", next[1]]]) {
+    if (!value.isZero() && value.lt(minLimit)) {
+      throw new Error(`${label} must be 0 or at least 0.1% of totalSupply (${ethers.utils.formatUnits(minLimit, DECIMALS)})`);
+    }
+  }
+  return {
+    method: "setLaunchLimits",
+    args: next,
+    diff: [
+      ["maxTxAmount", current[0], next[0]],
+      ["maxWalletAmount", current[1], next[1]],
+      ["buyCooldown", current[2], next[2]],
+      ["launchLimitsBlocks", current[3], next[3]],
+    ],
+  };
+}
+
+async function setRole(token, { role, account, granted }) {
+  const { name, id } = resolveRole(role);
+  account = checkAddress("account", account);
+  const current = await token.hasRole(id, account);
+  if (current === granted) {
+    throw new Error(`${account} ${granted ? "already has" : "does not have"} the ${name} role`);
+  }
+  return {
+    method: granted ? "grantRole" : "revokeRole",
+    args: [id, account],
+    diff: [[`hasRole(${ROLES[name]}, ${account})`, current, granted]],
+  };
+}
+
+function grantRole(token, { role, account }) {
+  return setRole(token, { role, account, granted: true });
+}
+
+function revokeRole(token, { role, account }) {
+  return setRole(token, { role, account, granted: false });
+}
+
+async function freeze(token, { account, reason }) {
+  account = checkAddress("account", account);
+  const code = encodeReason(reason);
+  if (await token.isFrozen(account)) {
+    throw new Error(`${account} is already frozen (${decodeReason(await token.frozenReason(account))})`);
+  }
+  return {
+    method: "freeze",
+    args: [account, code],
+    diff: [
+      [`isFrozen(${account})`, false, true],
+      [`frozenReason(${account})`, "", reason],
+      [`getVotes(${account})`, await token.getVotes(account), ethers.constants.Zero],
+    ],
+  };
+}
+
+async function unfreeze(token, { account, reason }) {
+  account = checkAddress("account", account);
+  const code = encodeReason(reason);
+  if (!(await token.isFrozen(account))) {
+    throw new Error(`${account} is not frozen`);
+  }
+  return {
+    method: "unfreeze",
+    args: [account, code],
+    diff: [
+      [`isFrozen(${account})`, true, false],
+      [`frozenReason(${account})`, decodeReason(await token.frozenReason(account)), ""],
+    ],
+  };
+}
+
+async function recoverFrozen(token, { account }) {
+  account = checkAddress("account", account);
+  const [frozen, treasury, balance] = await Promise.all([
+    token.isFrozen(account),
+    token.treasury(),
+    token.balanceOf(account),
+  ]);
+  if (!frozen) {
+    throw new Error(`${account} is not frozen; only frozen balances can be recovered`);
+  }
+  if (treasury === ethers.constants.AddressZero) {
+    throw new Error("No treasury to recover to; run hgxd:set-fee-recipients first");
+  }
+  const treasuryBalance = await token.balanceOf(treasury);
+  return {
+    method: "recoverFrozenFunds",
+    args: [account],
+    diff: [
+      [`balanceOf(${account})`, balance, ethers.constants.Zero],
+      [`balanceOf(${treasury})`, treasuryBalance, treasuryBalance.add(balance)],
+    ],
+  };
+}
+
+// "Runs against a HedgexStakingVault (owned like the token), not the token itself."
+async function recoverFrozenStake(vault, { account }) {
+  account = checkAddress("account", account);
+  const token = new ethers.Contract(
+    await vault.token(),
+    ["function isFrozen(address) view returns (bool)", "function treasury() view returns (address)"],
+    vault.provider
+  );
+  const [frozen, treasury, staked, earned] = await Promise.all([
+    token.isFrozen(account),
+    token.treasury(),
+    vault.stakedOf(account),
+    vault.earned(account),
+  ]);
+  if (!frozen) {
+    throw new Error(`${account} is not frozen; only frozen stakes can be recovered`);
+  }
+  if (treasury === ethers.constants.AddressZero) {
+    throw new Error("No treasury to recover to; run hgxd:set-fee-recipients first");
+  }
+  return {
+    method: "recoverFrozenStake",
+    args: [account],
+    diff: [
+      [`stakedOf(${account})`, staked, ethers.constants.Zero],
+      [`earned(${account})`, earned, ethers.constants.Zero],
+    ],
+  };
+}
+
+// "Runs against the ProxyAdmin of an upgradeable HedgexDao (owned like the token), not the token itself."
+async function upgrade(proxyAdmin, { proxy, implementation }) {
+  proxy = checkAddress("proxy", proxy);
+  implementation = checkAddress("implementation", implementation);
+  const current = await proxyAdmin.getProxyImplementation(proxy);
+  if (current === implementation) {
+    throw new Error(`HedgexDao ${proxy} already runs implementation ${implementation}`);
+  }
+  if ((await proxyAdmin.provider.getCode(implementation)) === "0x") {
+    throw new Error(`No contract code at implementation ${implementation}`);
+  }
+  return {
+    method: "upgrade",
+    args: [proxy, implementation],
+    diff: [[`implementation(${proxy})`, current, implementation]],
+  };
+}
+
+const OPS = {
+  setPair,
+  exclude,
+  setTax,
+  setBuyTax,
+  setSellTax,
+  setPairTax,
+  setPairHopExempt,
+  setFeeSplit,
+  setFeeRecipients,
+  setFloor,
+  setMaxTaxBurn,
+  snapshot,
+  mint,
+  setMintSchedule,
+  setBridgeLimits,
+  enableTrading,
+  setLaunchLimits,
+  freeze,
+  unfreeze,
+  recoverFrozen,
+  recoverFrozenStake,
+  grantRole,
+  revokeRole,
+  upgrade,
+};
+
+// Role that may send each op besides the owner; ops not listed are owner-only
+const OP_ROLES = {
+  setPair: "feeManager",
+  exclude: "feeManager",
+  setTax: "feeManager",
+  setBuyTax: "feeManager",
+  setSellTax: "feeManager",
+  setPairTax: "feeManager",
+  setPairHopExempt: "feeManager",
+  setFeeSplit: "feeManager",
+  setFloor: "feeManager",
+  setMaxTaxBurn: "feeManager",
+  snapshot: "snapshotter",
+  mint: "minter",
+  freeze: "compliance",
+  unfreeze: "compliance",
+};
+
+// "True when `from` holds the role op `name` needs, so it can send the op itself (no timelock / Safe)."
+async function isRoleCaller(token, name, from) {
+  if (!OP_ROLES[name]) {
+    return false;
+  }
+  return token.hasRole(resolveRole(OP_ROLES[name]).id, from);
+}
+
+// ====== Shared flow ======
+
+// "Build an op, check `from` is the owner or holds the op's role, and dry-run it with callStatic from that address."
+async function prepareOp(token, name, params, from) {
+  const build = OPS[name];
+  if (!build) {
+    throw new Error(`Unknown HedgexDao admin op: ${name}`);
+  }
+
+  const owner = await token.owner();
+  if (owner.toLowerCase() !== from.toLowerCase() && !(await isRoleCaller(token, name, from))) {
+    const role = OP_ROLES[name] ? ` and does not have the ${OP_ROLES[name]} role` : "";
+    throw new Error(`${from} is not the HedgexDao owner (${owner})${role}`);
+  }
+
+  // Signer-less instance: ethers refuses a `from` override on a contract bound to a signer
+  const reader = token.connect(token.provider);
+  const op = await build(reader, { ...params, from });
+  // Surfaces the contract's own revert reason before anything is broadcast
+  await reader.callStatic[op.method](...op.args, { from });
+  return op;
+}
+
+function formatValue(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  return String(value);
+}
+
+function formatDiff(op) {
+  const lines = [`${op.method}(${op.args.map(formatValue).join(", ")})`];
+  for (const [label, before, after] of op.diff) {
+    const changed = formatValue(before) !== formatValue(after);
+    lines.push(`  ${changed ? "~" : "="} ${label}: ${formatValue(before)} -> ${formatValue(after)}`);
+  }
+  return lines.join("\n");
+}
+
+async function sendOp(token, op) {
+  const tx = await token[op.method](...op.args);
+  return tx.wait();
+}
+
+module.exports = {
+  OPS,
+  OP_ROLES,
+  isRoleCaller,
+  prepareOp,
+  formatDiff,
+  sendOp,
+};
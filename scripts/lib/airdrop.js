@@ -0,0 +1,175 @@
+// airdrop.js
+// "Snapshot-based airdrops / dividends: read balanceOfAt/totalSupplyAt for a HedgexDao snapshot, split a"
+// "reward pro rata over eligible holders, and build the Merkle tree + proof file HedgexMerkleDistributor pays against."
+// "Holders are found from Transfer logs up to the snapshot block; AMM pairs and the token itself are excluded."
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { MerkleTree } = require("merkletreejs");
+const keccak256 = require("keccak256");
+
+const { BigNumber } = ethers;
+
+// ====== Snapshot ======
+
+// "queryFilter over [fromBlock, toBlock] in `chunkSize`-block requests, as public RPCs cap the range."
+async function queryInChunks(contract, filter, fromBlock, toBlock, chunkSize) {
+  const events = [];
+  for (let from = fromBlock; from <= toBlock; from += chunkSize) {
+    events.push(...(await contract.queryFilter(filter, from, Math.min(from + chunkSize - 1, toBlock))));
+  }
+  return events;
+}
+
+// "The Snapshot(id) log for `snapshotId`, or the latest one when it is omitted."
+async function findSnapshot(token, snapshotId, { fromBlock = 0, chunkSize = 2000 } = {}) {
+  const latest = (await token.provider.getBlock("latest")).number;
+  const events = await queryInChunks(token, token.filters.Snapshot(), fromBlock, latest, chunkSize);
+  if (events.length === 0) {
+    throw new Error(`HedgexDao ${token.address} has no snapshots (run hgxd:snapshot first)`);
+  }
+  const event =
+    snapshotId === undefined
+      ? events[events.length - 1]
+      : events.find((e) => e.args.id.eq(snapshotId));
+  if (!event) {
+    throw new Error(`Snapshot ${snapshotId} not found on HedgexDao ${token.address}`);
+  }
+  return { id: event.args.id.toNumber(), block: event.blockNumber };
+}
+
+// "Every address that ever received HGXD up to the snapshot block (candidates; balances decide)."
+async function candidateHolders(token, snapshot, { fromBlock = 0, chunkSize = 2000 } = {}) {
+  const transfers = await queryInChunks(token, token.filters.Transfer(), fromBlock, snapshot.block, chunkSize);
+  const seen = new Set();
+  for (const { args } of transfers) {
+    if (args.to !== ethers.constants.AddressZero) {
+      seen.add(args.to);
+    }
+  }
+  return [...seen];
+}
+
+// "Balances at the snapshot, split into eligible holders and excluded ones."
+// "`exclude` adds to the automatic exclusions (the token contract and addresses marked as AMM pairs"
+// "at the snapshot block). Throws when the eligible balances do not add up to totalSupplyAt."
+async function snapshotBalances(token, snapshotId, { exclude = [], fromBlock = 0, chunkSize = 2000 } = {}) {
+  const snapshot = await findSnapshot(token, snapshotId, { fromBlock, chunkSize });
+  const accounts = await candidateHolders(token, snapshot, { fromBlock, chunkSize });
+  const manual = new Set(exclude.map((a) => ethers.utils.getAddress(a)));
+  manual.add(token.address);
+
+  const holders = [];
+  const excluded = [];
+  for (const account of accounts) {
+    const balance = await token.balanceOfAt(account, snapshot.id);
+    if (balance.isZero()) {
+      continue;
+    }
+    const isPair = await token.automatedMarketMakerPairs(account, { blockTag: snapshot.block });
+    (manual.has(account) || isPair ? excluded : holders).push({ account, balance });
+  }
+
+  const totalSupply = await token.totalSupplyAt(snapshot.id);
+  const sum = (list) => list.reduce((acc, h) => acc.add(h.balance), BigNumber.from(0));
+  const eligibleSupply = totalSupply.sub(sum(excluded));
+  if (!sum(holders).eq(eligibleSupply)) {
+    throw new Error(
+      `Holder balances ${sum(holders)} do not add up to totalSupplyAt - excluded ${eligibleSupply}; ` +
+        "is fromBlock after the first transfer?"
+    );
+  }
+
+  holders.sort((a, b) => a.account.toLowerCase().localeCompare(b.account.toLowerCase()));
+  return { snapshot, totalSupply, eligibleSupply, holders, excluded };
+}
+
+// ====== Allocation and tree ======
+
+// "Pro-rata split of `reward` (rounded down per holder); `dust` is what rounding leaves undistributed."
+function allocate(holders, eligibleSupply, reward) {
+  reward = BigNumber.from(reward);
+  const allocations = holders
+    .map((h) => ({ ...h, amount: h.balance.mul(reward).div(eligibleSupply) }))
+    .filter((a) => !a.amount.isZero());
+  const total = allocations.reduce((acc, a) => acc.add(a.amount), BigNumber.from(0));
+  return { allocations, total, dust: reward.sub(total) };
+}
+
+// "Leaf layout of HedgexMerkleDistributor.claim: keccak256(keccak256(abi.encode(index, account, amount)))."
+function leafHash(index, account, amount) {
+  const inner = ethers.utils.keccak256(
+    ethers.utils.defaultAbiCoder.encode(["uint256", "address", "uint256"], [index, account, amount])
+  );
+  return ethers.utils.keccak256(inner);
+}
+
+function buildTree(allocations) {
+  const leaves = allocations.map((a, index) => leafHash(index, a.account, a.amount));
+  return new MerkleTree(leaves, keccak256, { sortPairs: true });
+}
+
+// "The proof file: root, totals and one { index, amount, balance, proof } entry per account."
+function buildDistribution({ token, rewardToken, reward, balances }) {
+  const { allocations, total, dust } = allocate(balances.holders, balances.eligibleSupply, reward);
+  if (allocations.length === 0) {
+    throw new Error("No eligible holder receives a non-zero amount");
+  }
+  const tree = buildTree(allocations);
+
+  const claims = {};
+  allocations.forEach((a, index) => {
+    claims[a.account] = {
+      index,
+      amount: a.amount.toString(),
+      balance: a.balance.toString(),
+      proof: tree.getHexProof(leafHash(index, a.account, a.amount)),
+    };
+  });
+
+  return {
+    token,
+    rewardToken,
+    snapshotId: balances.snapshot.id,
+    snapshotBlock: balances.snapshot.block,
+    totalSupply: balances.totalSupply.toString(),
+    eligibleSupply: balances.eligibleSupply.toString(),
+    reward: BigNumber.from(reward).toString(),
+    total: total.toString(),
+    dust: dust.toString(),
+    merkleRoot: tree.getHexRoot(),
+    excluded: balances.excluded.map((e) => ({ account: e.account, balance: e.balance.toString() })),
+    claims,
+  };
+}
+
+// "Re-check one account's proof against the file's root (what the contract will do)."
+function verifyClaim(distribution, account) {
+  const claim = distribution.claims[ethers.utils.getAddress(account)];
+  if (!claim) {
+    return false;
+  }
+  const leaf = leafHash(claim.index, ethers.utils.getAddress(account), claim.amount);
+  return MerkleTree.verify(claim.proof, leaf, distribution.merkleRoot, keccak256, { sortPairs: true });
+}
+
+function loadDistribution(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveDistribution(file, distribution) {
+  fs.writeFileSync(file, JSON.stringify(distribution, null, 2) + "\n");
+}
+
+module.exports = {
+  findSnapshot,
+  candidateHolders,
+  snapshotBalances,
+  allocate,
+  leafHash,
+  buildTree,
+  buildDistribution,
+  verifyClaim,
+  loadDistribution,
+  saveDistribution,
+};
@@ -0,0 +1,192 @@
+// bridge.js
+// "Cross-chain HGXD helpers for the xERC20-style bridge limits (HedgexDao.setLimits) and MockBridge."
+// "A chain is { name, domain, token, bridge } with both contracts attached to a signer on that chain; the"
+// "signer owns the bridge and relays to it. Supply moves by burning on the source (bridgeOut) and minting on"
+// "the destination (bridgeIn), so across chains sum(totalSupply) + in flight stays constant."
+
+const { ethers } = require("ethers");
+
+const { BigNumber } = ethers;
+
+// "ethers ContractFactory for a compiled artifact of this repo, on any signer (e.g. another chain's)."
+async function contractFactory(hre, name, signer) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  return new hre.ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+}
+
+// "Deploy HedgexDao and a MockBridge for `domain` on `signer`'s chain, and let the bridge mint / burn"
+// "`limits.mint` / `limits.burn` tokens per day."
+async function deployBridgeChain(hre, signer, { name, domain, initialSupply, maxSupply, supplyFloor = 0, limits }) {
+  const HedgexDao = await contractFactory(hre, "HedgexDao", signer);
+  const token = await HedgexDao.deploy("HedgexDao", "HGXD", initialSupply, maxSupply, supplyFloor);
+  const MockBridge = await contractFactory(hre, "MockBridge", signer);
+  const bridge = await MockBridge.deploy(token.address, domain);
+  await (await token.setLimits(bridge.address, limits.mint, limits.burn)).wait();
+  return { name, domain, token, bridge };
+}
+
+// "Every BridgeOut from `source` since `fromBlock`, with its destination chain (null when unknown) and"
+// "whether it was delivered there."
+async function bridgeTransfers(source, chains, { fromBlock = 0 } = {}) {
+  const events = await source.bridge.queryFilter(source.bridge.filters.BridgeOut(), fromBlock);
+  const transfers = [];
+  for (const { args, transactionHash } of events) {
+    const destination = chains.find((c) => c.domain === args.destination) || null;
+    transfers.push({
+      source: source.name,
+      destination: destination ? destination.name : `domain ${args.destination}`,
+      nonce: args.nonce.toNumber(),
+      from: args.from,
+      to: args.to,
+      amount: args.amount,
+      transactionHash,
+      delivered: destination ? await destination.bridge.delivered(source.domain, args.nonce) : false,
+      chain: destination,
+    });
+  }
+  return transfers;
+}
+
+// "Deliver every undelivered transfer between `chains`. One the destination refuses (e.g. over its bridge"
+// "minting limit, or over cap) stays in flight and is returned in `failed` with the reason."
+async function relayTransfers(chains, { log = () => {} } = {}) {
+  const delivered = [];
+  const failed = [];
+  for (const source of chains) {
+    for (const transfer of await bridgeTransfers(source, chains)) {
+      if (transfer.delivered || !transfer.chain) {
+        continue;
+      }
+      const { bridge } = transfer.chain;
+      const label = `${transfer.source} #${transfer.nonce} -> ${transfer.destination}`;
+      try {
+        await bridge.callStatic.bridgeIn(source.domain, transfer.nonce, transfer.to, transfer.amount);
+        await (await bridge.bridgeIn(source.domain, transfer.nonce, transfer.to, transfer.amount)).wait();
+        delivered.push(transfer);
+        log(`Delivered ${label}: ${ethers.utils.formatUnits(transfer.amount, 18)} HGXD to ${transfer.to}`);
+      } catch (err) {
+        const reason = err.reason || err.message;
+        failed.push({ ...transfer, reason });
+        log(`Kept ${label} in flight: ${reason}`);
+      }
+    }
+  }
+  return { delivered, failed };
+}
+
+// "Supply per chain and in flight. `balanced` checks bridge conservation (everything burned by bridgeOut was"
+// "minted by bridgeIn or is still in flight); with `expectedTotal`, the grand total is checked against it too."
+async function reconcileSupply(chains, { expectedTotal } = {}) {
+  const rows = [];
+  let inFlight = BigNumber.from(0);
+  let sent = BigNumber.from(0);
+  let received = BigNumber.from(0);
+  for (const chain of chains) {
+    const [totalSupply, cap] = await Promise.all([chain.token.totalSupply(), chain.token.cap()]);
+    const out = await bridgeTransfers(chain, chains);
+    const ins = await chain.bridge.queryFilter(chain.bridge.filters.BridgeIn());
+    const chainSent = out.reduce((acc, t) => acc.add(t.amount), BigNumber.from(0));
+    const chainReceived = ins.reduce((acc, e) => acc.add(e.args.amount), BigNumber.from(0));
+    const pending = out.filter((t) => !t.delivered).reduce((acc, t) => acc.add(t.amount), BigNumber.from(0));
+    inFlight = inFlight.add(pending);
+    sent = sent.add(chainSent);
+    received = received.add(chainReceived);
+    rows.push({
+      name: chain.name,
+      domain: chain.domain,
+      totalSupply,
+      cap,
+      headroom: cap.sub(totalSupply),
+      sent: chainSent,
+      received: chainReceived,
+      inFlight: pending,
+    });
+  }
+  const total = rows.reduce((acc, r) => acc.add(r.totalSupply), BigNumber.from(0)).add(inFlight);
+  return {
+    chains: rows,
+    inFlight,
+    total,
+    balanced: sent.eq(received.add(inFlight)),
+    matchesExpected: expectedTotal === undefined ? null : total.eq(expectedTotal),
+  };
+}
+
+function formatReconciliation(report) {
+  const fmt = (v) => ethers.utils.formatUnits(v, 18);
+  const lines = report.chains.map(
+    (c) =>
+      `${c.name} (domain ${c.domain}): supply ${fmt(c.totalSupply)}, cap headroom ${fmt(c.headroom)}, ` +
+      `sent ${fmt(c.sent)}, received ${fmt(c.received)}, in flight ${fmt(c.inFlight)}`
+  );
+  lines.push(`Total: ${fmt(report.total)} (in flight ${fmt(report.inFlight)})`);
+  lines.push(`Bridge accounting: ${report.balanced ? "balanced" : "MISMATCH"}`);
+  if (report.matchesExpected !== null) {
+    lines.push(`Expected total: ${report.matchesExpected ? "matches" : "MISMATCH"}`);
+  }
+  return lines.join("\n");
+}
+
+// "Two-chain walk-through on `providers` ([home, remote], accounts unlocked, e.g. Hardhat nodes; the same"
+// "provider twice deploys both chains side by side on one network): HGXD starts on home only, a holder bridges"
+// "out and back, and a transfer over the remote minting limit waits in flight until the limit refills a day"
+// "later. Reconciles after every step; returns the chains and final report."
+async function simulateBridge(hre, providers, { log = console.log } = {}) {
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+  const deployer = (i) => providers[i].getSigner(0);
+  const user = (i) => providers[i].getSigner(1);
+
+  // HGXD exists on home only; the remote bridge may mint 50000 a day
+  const home = await deployBridgeChain(hre, deployer(0), {
+    name: "home",
+    domain: 1,
+    initialSupply: U(1000000),
+    maxSupply: U(2000000),
+    limits: { mint: U(100000), burn: U(100000) },
+  });
+  const remote = await deployBridgeChain(hre, deployer(1), {
+    name: "remote",
+    domain: 2,
+    initialSupply: 0,
+    maxSupply: U(2000000),
+    limits: { mint: U(50000), burn: U(100000) },
+  });
+  const chains = [home, remote];
+  const genesis = await home.token.totalSupply();
+
+  const holder = await user(0).getAddress();
+  await (await home.token.transfer(holder, U(200000))).wait();
+  const homeBridge = home.bridge.connect(user(0));
+  const remoteBridge = remote.bridge.connect(user(1));
+  await (await home.token.connect(user(0)).approve(home.bridge.address, ethers.constants.MaxUint256)).wait();
+  await (await remote.token.connect(user(1)).approve(remote.bridge.address, ethers.constants.MaxUint256)).wait();
+
+  const step = async (title, action) => {
+    log(`== ${title}`);
+    await (await action()).wait();
+    await relayTransfers(chains, { log });
+    const report = await reconcileSupply(chains, { expectedTotal: genesis });
+    log(formatReconciliation(report));
+    return report;
+  };
+
+  await step("home -> remote: 40000", () => homeBridge.bridgeOut(remote.domain, holder, U(40000)));
+  await step("home -> remote: 30000 (remote can mint 10000 more today)", () =>
+    homeBridge.bridgeOut(remote.domain, holder, U(30000))
+  );
+  await step("remote -> home: 15000", () => remoteBridge.bridgeOut(home.domain, holder, U(15000)));
+  await providers[1].send("evm_increaseTime", [24 * 60 * 60]);
+  // The mined block carries the relay past the refill
+  const report = await step("one day later", () => user(1).sendTransaction({ to: holder, value: 0 }));
+  return { chains, holder, genesis, report };
+}
+
+module.exports = {
+  contractFactory,
+  deployBridgeChain,
+  bridgeTransfers,
+  relayTransfers,
+  reconcileSupply,
+  formatReconciliation,
+  simulateBridge,
+};
@@ -0,0 +1,32 @@
+// compliance.js
+// "Reason codes for HedgexDao freeze / unfreeze: short ASCII labels stored on-chain as bytes32."
+
+const { ethers } = require("ethers");
+
+// "A label up to 31 chars (e.g. STOLEN_FUNDS) or a raw 32-byte hex code, as the bytes32 the contract takes."
+function encodeReason(reason) {
+  if (typeof reason !== "string" || reason.length === 0) {
+    throw new Error("A reason code is required (e.g. STOLEN_FUNDS)");
+  }
+  if (ethers.utils.isHexString(reason, 32)) {
+    return reason;
+  }
+  if (ethers.utils.toUtf8Bytes(reason).length > 31) {
+    throw new Error(`Reason "${reason}" is longer than 31 bytes`);
+  }
+  return ethers.utils.formatBytes32String(reason);
+}
+
+// "The label back from a bytes32 code; codes that are not a label come back as hex."
+function decodeReason(code) {
+  try {
+    return ethers.utils.parseBytes32String(code);
+  } catch (err) {
+    return ethers.utils.hexlify(code);
+  }
+}
+
+module.exports = {
+  encodeReason,
+  decodeReason,
+};
@@ -0,0 +1,263 @@
+// deploy.js (lib)
+// "Idempotent HedgexDao deployment: deploy, run post-deploy owner calls, record every step."
+// "Each finished step is written to deployments/<network>.json, so a re-run only does what is left."
+// "With a timelock in the params a HedgexTimelock is deployed as well and receives ownership last;"
+// "with a governor, a HedgexGovernor becomes the timelock's proposer/executor before the deployer"
+// "gives up its temporary timelock admin role."
+// "Configured role members (minter, fee manager, snapshotter, compliance) are granted before the handover."
+// "With upgradeable: true, HedgexDaoUpgradeable is deployed behind a transparent proxy instead (the record keeps"
+// "the proxy as HedgexDao.address) and its ProxyAdmin is handed over together with the token."
+
+const { loadRecord, saveRecord, DEFAULT_DIR } = require("./deployments");
+const { ROLES, resolveRole } = require("./roles");
+const { deployHedgexDaoProxy, getProxyAdmin } = require("./upgrades");
+
+// Networks whose state does not survive the process; a stale record there is simply discarded.
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+async function deployHedgexDao(hre, params, { dir = DEFAULT_DIR, log = console.log } = {}) {
+  const { ethers } = hre;
+  const network = hre.network.name;
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+
+  let record = loadRecord(network, dir);
+  if (record.HedgexDao) {
+    const code = await ethers.provider.getCode(record.HedgexDao.address);
+    if (code === "0x") {
+      if (!EPHEMERAL_NETWORKS.includes(network)) {
+        throw new Error(
+          `Recorded HedgexDao ${record.HedgexDao.address} has no code on ${network}; remove ${network}.json to redeploy`
+        );
+      }
+      log(`Discarding stale ${network} record (no code at ${record.HedgexDao.address})`);
+      record = { network, steps: {} };
+    }
+  }
+  record.chainId = chainId;
+
+  // Deploy `name` once; later runs attach to the recorded address
+  async function deployOnce(name, args) {
+    if (record[name]) {
+      log(`${name} already deployed at: ${record[name].address} (skipping)`);
+      return ethers.getContractAt(name, record[name].address, deployer);
+    }
+    const factory = await ethers.getContractFactory(name, deployer);
+    const contract = await factory.deploy(...args);
+    const receipt = await contract.deployTransaction.wait();
+    record[name] = {
+      address: contract.address,
+      deployer: deployer.address,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      args: args.map((a) => (Array.isArray(a) ? a.map(String) : a.toString())),
+    };
+    saveRecord(record, dir);
+    log(`${name} deployed at: ${contract.address}`);
+    return contract;
+  }
+
+  // Proxy variant of deployOnce: `name` is recorded at the proxy, `contractName` is the implementation
+  async function deployProxyOnce(name, contractName, args) {
+    if (record[name]) {
+      log(`${name} already deployed at: ${record[name].address} (skipping)`);
+      return ethers.getContractAt(name, record[name].address, deployer);
+    }
+    const { proxy, receipt, implementation, admin } = await deployHedgexDaoProxy(hre, contractName, args, deployer);
+    record[name] = {
+      address: proxy.address,
+      deployer: deployer.address,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      args: args.map((a) => a.toString()),
+      contract: contractName,
+      implementation,
+      proxyAdmin: admin,
+    };
+    saveRecord(record, dir);
+    log(`${name} (${contractName} proxy) deployed at: ${proxy.address}, implementation ${implementation}`);
+    return ethers.getContractAt(name, proxy.address, deployer);
+  }
+
+  // 1. Deploy HedgexDao
+  const tokenArgs = [params.name, params.symbol, params.initialSupply, params.maxSupply, params.supplyFloor];
+  const token = params.upgradeable
+    ? await deployProxyOnce("HedgexDao", "HedgexDaoUpgradeable", tokenArgs)
+    : await deployOnce("HedgexDao", tokenArgs);
+
+  // 2. Timelock owner and governor (optional)
+  let timelock;
+  let governor;
+  if (params.timelock) {
+    timelock = await deployOnce("HedgexTimelock", [
+      params.timelock.minDelay,
+      params.timelock.proposers,
+      params.timelock.executors,
+      // Self-administered; with a governor the deployer is admin only until the governor roles are granted
+      params.governor ? deployer.address : ethers.constants.AddressZero,
+    ]);
+  }
+  if (params.governor) {
+    governor = await deployOnce("HedgexGovernor", [
+      token.address,
+      timelock.address,
+      params.governor.votingDelay,
+      params.governor.votingPeriod,
+      params.governor.proposalThreshold,
+      params.governor.quorumPercent,
+    ]);
+  }
+
+  // 3. Post-deploy owner calls
+  const steps = [];
+
+  if (params.burnTax !== undefined) {
+    steps.push({
+      id: "setBurnTax",
+      // burnTax() is the higher of the two rates, so check each side
+      done: async () => (await token.buyTax()).eq(params.burnTax) && (await token.sellTax()).eq(params.burnTax),
+      check: async () => {
+        const cap = await token.burnTaxCap();
+        if (cap.lt(params.burnTax)) {
+          throw new Error(`burnTax ${params.burnTax} > on-chain burnTaxCap ${cap}`);
+        }
+      },
+      send: () => token.setBurnTax(params.burnTax),
+    });
+  }
+
+  for (const pair of params.ammPairs) {
+    steps.push({
+      id: `setAutomatedMarketMakerPair:${pair}`,
+      done: () => token.automatedMarketMakerPairs(pair),
+      send: () => token.setAutomatedMarketMakerPair(pair, true),
+    });
+  }
+
+  for (const account of params.excludedFromFee) {
+    steps.push({
+      id: `setExcludedFromFee:${account}`,
+      done: () => token.isExcludedFromFee(account),
+      send: () => token.setExcludedFromFee(account, true),
+    });
+  }
+
+  const { launch } = params;
+  if (launch && (!launch.maxTx.isZero() || !launch.maxWallet.isZero() || launch.buyCooldown)) {
+    steps.push({
+      id: "setLaunchLimits",
+      done: async () =>
+        (await token.maxTxAmount()).eq(launch.maxTx) &&
+        (await token.maxWalletAmount()).eq(launch.maxWallet) &&
+        (await token.buyCooldown()) === launch.buyCooldown &&
+        (await token.launchLimitsBlocks()).eq(launch.limitsBlocks),
+      send: () => token.setLaunchLimits(launch.maxTx, launch.maxWallet, launch.buyCooldown, launch.limitsBlocks),
+    });
+  }
+  if (launch && launch.enableTrading) {
+    steps.push({
+      id: "enableTrading",
+      done: () => token.tradingEnabled(),
+      send: () => token.enableTrading(),
+    });
+  }
+
+  for (const [name, accounts] of Object.entries(params.roles || {})) {
+    const { id } = resolveRole(name);
+    for (const account of accounts) {
+      steps.push({
+        id: `grantRole:${ROLES[name]}:${account}`,
+        done: () => token.hasRole(id, account),
+        send: () => token.grantRole(id, account),
+      });
+    }
+  }
+
+  // Timelock role steps run as its temporary admin instead of as the token owner
+  const timelockAdmin = async (id) => {
+    const admin = await timelock.TIMELOCK_ADMIN_ROLE();
+    if (!(await timelock.hasRole(admin, deployer.address))) {
+      throw new Error(`${id}: signer ${deployer.address} is not a HedgexTimelock admin`);
+    }
+  };
+  if (governor) {
+    for (const role of ["PROPOSER_ROLE", "CANCELLER_ROLE", "EXECUTOR_ROLE"]) {
+      steps.push({
+        id: `grantRole:${role}:${governor.address}`,
+        done: async () => timelock.hasRole(await timelock[role](), governor.address),
+        authorize: timelockAdmin,
+        send: async () => timelock.grantRole(await timelock[role](), governor.address),
+      });
+    }
+  }
+
+  // Ownership handover always goes last: afterwards the deployer can no longer run owner calls.
+  const newOwner = timelock ? timelock.address : params.finalOwner;
+  if (newOwner && params.upgradeable) {
+    const proxyAdmin = await getProxyAdmin(token.address, deployer);
+    steps.push({
+      id: `transferProxyAdminOwnership:${newOwner}`,
+      done: async () => (await proxyAdmin.owner()) === newOwner,
+      authorize: async (id) => {
+        const owner = await proxyAdmin.owner();
+        if (owner !== deployer.address) {
+          throw new Error(`${id}: signer ${deployer.address} is not the ProxyAdmin owner (${owner})`);
+        }
+      },
+      send: () => proxyAdmin.transferOwnership(newOwner),
+    });
+  }
+  if (newOwner) {
+    steps.push({
+      id: `transferOwnership:${newOwner}`,
+      done: async () => (await token.owner()) === newOwner,
+      send: () => token.transferOwnership(newOwner),
+    });
+  }
+  if (governor) {
+    steps.push({
+      id: `renounceRole:TIMELOCK_ADMIN_ROLE:${deployer.address}`,
+      done: async () => !(await timelock.hasRole(await timelock.TIMELOCK_ADMIN_ROLE(), deployer.address)),
+      authorize: timelockAdmin,
+      send: async () => timelock.renounceRole(await timelock.TIMELOCK_ADMIN_ROLE(), deployer.address),
+    });
+  }
+
+  for (const step of steps) {
+    if (record.steps[step.id]) {
+      log(`${step.id}: recorded (skipping)`);
+      continue;
+    }
+    if (await step.done()) {
+      record.steps[step.id] = { transactionHash: null };
+      saveRecord(record, dir);
+      log(`${step.id}: already set on-chain (skipping)`);
+      continue;
+    }
+
+    if (step.authorize) {
+      await step.authorize(step.id);
+    } else {
+      const owner = await token.owner();
+      if (owner !== deployer.address) {
+        throw new Error(`${step.id}: signer ${deployer.address} is not the owner (${owner})`);
+      }
+    }
+    if (step.check) {
+      await step.check();
+    }
+
+    const tx = await step.send();
+    const receipt = await tx.wait();
+    record.steps[step.id] = { transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber };
+    saveRecord(record, dir);
+    log(`${step.id}: ${receipt.transactionHash}`);
+  }
+
+  saveRecord(record, dir);
+  return { token, timelock, governor, record };
+}
+
+module.exports = {
+  deployHedgexDao,
+};
@@ -0,0 +1,194 @@
+// deployConfig.js
+// "Load and validate per-network HedgexDao deployment parameters."
+// "Rules mirror the HedgexDao constructor / setters so a bad config fails before any gas is spent."
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { ROLES } = require("./roles");
+
+const DEFAULT_CONFIG = path.join(__dirname, "..", "..", "config", "hedgexdao.config.js");
+
+// Default burnTaxCap of HedgexDao (1.00%). Re-checked against the deployed contract before setBurnTax.
+const BURN_TAX_CAP = 100;
+const DECIMALS = 18;
+
+function loadConfig(network, file = process.env.HGXD_DEPLOY_CONFIG || DEFAULT_CONFIG) {
+  const all = require(path.resolve(file));
+  const params = all[network];
+  if (!params) {
+    throw new Error(`No HedgexDao deployment config for network "${network}" in ${file}`);
+  }
+  return params;
+}
+
+function parseAmount(field, value) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    throw new Error(`${field} is required`);
+  }
+  try {
+    return ethers.utils.parseUnits(String(value), DECIMALS);
+  } catch (err) {
+    throw new Error(`${field} is not a valid token amount: ${value}`);
+  }
+}
+
+function checkAddress(field, value) {
+  if (!ethers.utils.isAddress(value) || value === ethers.constants.AddressZero) {
+    throw new Error(`${field} is not a valid address: ${value}`);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+// "Optional timelock owner: { minDelay (seconds), proposers, executors }. Proposers default to finalOwner"
+// "and executors to the proposers; the timelock becomes the HedgexDao owner instead of finalOwner."
+// "With a governor, proposers do not default to finalOwner: the governor is the only proposer unless listed."
+function validateTimelock(raw, finalOwner, hasGovernor) {
+  const minDelay = Number(raw.minDelay);
+  if (raw.minDelay === undefined || raw.minDelay === "" || !Number.isInteger(minDelay) || minDelay < 0) {
+    throw new Error(`timelock.minDelay must be a non-negative integer (seconds): ${raw.minDelay}`);
+  }
+  const proposers = (raw.proposers || []).map((a, i) => checkAddress(`timelock.proposers[${i}]`, a));
+  if (proposers.length === 0 && !hasGovernor) {
+    if (!finalOwner) {
+      throw new Error("timelock.proposers is required when finalOwner is not set");
+    }
+    proposers.push(finalOwner);
+  }
+  const executors = (raw.executors || []).map((a, i) => checkAddress(`timelock.executors[${i}]`, a));
+  return { minDelay, proposers, executors: executors.length ? executors : [...proposers] };
+}
+
+// "Optional governor: { votingDelay, votingPeriod (blocks), proposalThreshold (tokens), quorumPercent }."
+function validateGovernor(raw) {
+  const blocks = (field) => {
+    const value = Number(raw[field]);
+    if (raw[field] === undefined || raw[field] === "" || !Number.isInteger(value) || value < 0) {
+      throw new Error(`governor.${field} must be a non-negative integer (blocks): ${raw[field]}`);
+    }
+    return value;
+  };
+  const votingDelay = blocks("votingDelay");
+  const votingPeriod = blocks("votingPeriod");
+  // Governor: "GovernorSettings: voting period too low"
+  if (votingPeriod === 0) {
+    throw new Error("governor.votingPeriod must be > 0");
+  }
+  const proposalThreshold = parseAmount("governor.proposalThreshold", raw.proposalThreshold);
+  const quorumPercent = Number(raw.quorumPercent);
+  if (!Number.isInteger(quorumPercent) || quorumPercent < 0 || quorumPercent > 100) {
+    throw new Error(`governor.quorumPercent must be an integer 0-100: ${raw.quorumPercent}`);
+  }
+  return { votingDelay, votingPeriod, proposalThreshold, quorumPercent };
+}
+
+// "Optional launch protection: { maxTx, maxWallet (tokens, 0 = off), buyCooldown, limitsBlocks, enableTrading }."
+// "Limits are set before ownership moves. Without enableTrading, the owner opens trading later (hgxd:enable-trading)."
+function validateLaunch(raw, initialSupply) {
+  const amount = (field) =>
+    raw[field] === undefined || raw[field] === "" ? ethers.constants.Zero : parseAmount(`launch.${field}`, raw[field]);
+  const maxTx = amount("maxTx");
+  const maxWallet = amount("maxWallet");
+  // setLaunchLimits: "HedgexDao: Limit too low" (0.1% of the supply at that point)
+  const minLimit = initialSupply.div(1000);
+  for (const [field, value] of [["maxTx", maxTx], ["maxWallet", maxWallet]]) {
+    if (!value.isZero() && value.lt(minLimit)) {
+      throw new Error(
+        `launch.${field} must be 0 or at least 0.1% of initialSupply (${ethers.utils.formatUnits(minLimit, DECIMALS)})`
+      );
+    }
+  }
+  const limitsBlocks = Number(raw.limitsBlocks || 0);
+  if (!Number.isInteger(limitsBlocks) || limitsBlocks < 0) {
+    throw new Error(`launch.limitsBlocks must be a non-negative integer (blocks): ${raw.limitsBlocks}`);
+  }
+  return {
+    maxTx,
+    maxWallet,
+    buyCooldown: Boolean(raw.buyCooldown),
+    limitsBlocks,
+    enableTrading: Boolean(raw.enableTrading),
+  };
+}
+
+// "Optional role members: { minter, feeManager, snapshotter, compliance } -> address lists."
+// "Granted before ownership moves; the owner itself never needs a role."
+function validateRoles(raw) {
+  const roles = {};
+  for (const [name, accounts] of Object.entries(raw)) {
+    if (!ROLES[name]) {
+      throw new Error(`Unknown role "${name}" (expected one of ${Object.keys(ROLES).join(", ")})`);
+    }
+    roles[name] = (accounts || []).map((a, i) => checkAddress(`roles.${name}[${i}]`, a));
+  }
+  return roles;
+}
+
+// "Validate raw config and return normalized params (BigNumber supplies, checksummed addresses)."
+function validateConfig(raw) {
+  if (!raw.name || !raw.symbol) {
+    throw new Error("name and symbol are required");
+  }
+
+  const initialSupply = parseAmount("initialSupply", raw.initialSupply);
+  const maxSupply = parseAmount("maxSupply", raw.maxSupply);
+  const supplyFloor = parseAmount("supplyFloor", raw.supplyFloor);
+
+  // ERC20Capped: cap must be > 0, initial mint must fit under it
+  if (maxSupply.isZero()) {
+    throw new Error("maxSupply must be > 0");
+  }
+  if (initialSupply.gt(maxSupply)) {
+    throw new Error("initialSupply > maxSupply");
+  }
+  // setSupplyFloor: "Floor > cap"
+  if (supplyFloor.gt(maxSupply)) {
+    throw new Error("supplyFloor > maxSupply");
+  }
+
+  const burnTax = raw.burnTax === undefined ? undefined : Number(raw.burnTax);
+  if (burnTax !== undefined && (!Number.isInteger(burnTax) || burnTax < 0)) {
+    throw new Error(`burnTax must be a non-negative integer (bps): ${raw.burnTax}`);
+  }
+  // setBurnTax: "Burn tax > cap"
+  if (burnTax !== undefined && burnTax > BURN_TAX_CAP) {
+    throw new Error(`burnTax ${burnTax} > burnTaxCap ${BURN_TAX_CAP}`);
+  }
+
+  const ammPairs = (raw.ammPairs || []).map((a, i) => checkAddress(`ammPairs[${i}]`, a));
+  const excludedFromFee = (raw.excludedFromFee || []).map((a, i) => checkAddress(`excludedFromFee[${i}]`, a));
+  const finalOwner = raw.finalOwner ? checkAddress("finalOwner", raw.finalOwner) : undefined;
+  if (raw.governor && !raw.timelock) {
+    throw new Error("governor requires a timelock (the governor acts through it)");
+  }
+  const governor = raw.governor ? validateGovernor(raw.governor) : undefined;
+  const timelock = raw.timelock ? validateTimelock(raw.timelock, finalOwner, Boolean(governor)) : undefined;
+  const launch = raw.launch ? validateLaunch(raw.launch, initialSupply) : undefined;
+  const roles = validateRoles(raw.roles || {});
+
+  return {
+    upgradeable: Boolean(raw.upgradeable),
+    name: raw.name,
+    symbol: raw.symbol,
+    initialSupply,
+    maxSupply,
+    supplyFloor,
+    burnTax,
+    ammPairs,
+    excludedFromFee,
+    finalOwner,
+    timelock,
+    governor,
+    launch,
+    roles,
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  BURN_TAX_CAP,
+  DECIMALS,
+  checkAddress,
+  parseAmount,
+  loadConfig,
+  validateConfig,
+};
@@ -0,0 +1,58 @@
+// deployments.js
+// "Read/write deployments/<network>.json records shared by the deploy script and tasks."
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "..", "deployments");
+
+function recordPath(network, dir = DEFAULT_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+function loadRecord(network, dir = DEFAULT_DIR) {
+  const file = recordPath(network, dir);
+  if (!fs.existsSync(file)) {
+    return { network, steps: {} };
+  }
+  const record = JSON.parse(fs.readFileSync(file, "utf8"));
+  record.steps = record.steps || {};
+  return record;
+}
+
+function saveRecord(record, dir = DEFAULT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(recordPath(record.network, dir), JSON.stringify(record, null, 2) + "\n");
+}
+
+// "Resolve a deployed contract (`name` = artifact and record key) for the current network,"
+// "attached to `signer` (defaults to first signer)."
+async function getDeployed(hre, name, { address, signer, dir } = {}) {
+  let contractAddress = address;
+  if (!contractAddress) {
+    const record = loadRecord(hre.network.name, dir);
+    if (!record[name]) {
+      throw new Error(`No ${name} deployment recorded in ${recordPath(hre.network.name, dir)}`);
+    }
+    contractAddress = record[name].address;
+  }
+  const code = await hre.ethers.provider.getCode(contractAddress);
+  if (code === "0x") {
+    throw new Error(`No contract code at ${contractAddress} on ${hre.network.name}`);
+  }
+  const from = signer || (await hre.ethers.getSigners())[0];
+  return hre.ethers.getContractAt(name, contractAddress, from);
+}
+
+function getHedgexDao(hre, options) {
+  return getDeployed(hre, "HedgexDao", options);
+}
+
+module.exports = {
+  DEFAULT_DIR,
+  recordPath,
+  loadRecord,
+  saveRecord,
+  getDeployed,
+  getHedgexDao,
+};
@@ -0,0 +1,132 @@
+// fuzz.js
+// "Seeded action-sequence fuzzing with shrinking, for invariant tests against a Hardhat fixture."
+// "Each run generates a random sequence of actions, applies them one by one from a fresh fixture and"
+// "checks every invariant after each step. A failing sequence is shrunk to a minimal one that still"
+// "breaks the same invariant, then formatted with what is needed to replay it."
+// "Actions are plain JSON so a printed sequence can be fed back in unchanged."
+
+// "Small deterministic PRNG (mulberry32): the same seed always yields the same sequence."
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// "Integer in [min, max] and random list element, drawn from `rand`."
+function randInt(rand, min, max) {
+  return min + Math.floor(rand() * (max - min + 1));
+}
+
+function pick(rand, list) {
+  return list[Math.floor(rand() * list.length)];
+}
+
+// "Apply `actions` from `reset()`'s fresh state; null if every invariant held, else the first failure as"
+// "{ index, name, message }. A step that throws fails as the pseudo-invariant "step"."
+async function runSequence(actions, { reset, apply, invariants }) {
+  const ctx = await reset();
+  for (let index = 0; index < actions.length; index++) {
+    try {
+      await apply(ctx, actions[index]);
+    } catch (err) {
+      return { index, name: "step", message: err.message };
+    }
+    for (const [name, check] of Object.entries(invariants)) {
+      try {
+        await check(ctx, actions[index]);
+      } catch (err) {
+        return { index, name, message: err.message };
+      }
+    }
+  }
+  return null;
+}
+
+// "Smallest sequence found that still fails `failure.name`: drop chunks of halving size, then replace"
+// "single actions with the simpler variants `simplify(action)` offers, until neither makes progress."
+async function shrinkSequence(actions, failure, suite, { simplify = () => [], maxRuns = 400 } = {}) {
+  let best = actions.slice(0, failure.index + 1);
+  let bestFailure = failure;
+  let runs = 0;
+
+  const attempt = async (candidate) => {
+    if (candidate.length === 0 || runs >= maxRuns) {
+      return false;
+    }
+    runs++;
+    const result = await runSequence(candidate, suite);
+    if (!result || result.name !== failure.name) {
+      return false;
+    }
+    // Steps after the failing one never matter
+    best = candidate.slice(0, result.index + 1);
+    bestFailure = result;
+    return true;
+  };
+
+  let progress = true;
+  while (progress && runs < maxRuns) {
+    progress = false;
+    for (let chunk = Math.ceil(best.length / 2); chunk >= 1; chunk = Math.floor(chunk / 2)) {
+      for (let start = 0; start < best.length; ) {
+        if (await attempt([...best.slice(0, start), ...best.slice(start + chunk)])) {
+          progress = true;
+        } else {
+          start += chunk;
+        }
+      }
+    }
+    for (let i = 0; i < best.length; i++) {
+      for (const simpler of simplify(best[i])) {
+        if (await attempt([...best.slice(0, i), simpler, ...best.slice(i + 1)])) {
+          progress = true;
+          break;
+        }
+      }
+    }
+  }
+  return { actions: best, failure: bestFailure, runs };
+}
+
+// "`runs` random sequences of `steps` actions from `generate(rand)`; the first failure, shrunk, or null."
+async function fuzz(suite, { seed, runs, steps, generate, simplify, maxShrinkRuns }) {
+  const rand = rng(seed);
+  for (let run = 0; run < runs; run++) {
+    const actions = Array.from({ length: steps }, () => generate(rand));
+    const failure = await runSequence(actions, suite);
+    if (failure) {
+      const shrunk = await shrinkSequence(actions, failure, suite, { simplify, maxRuns: maxShrinkRuns });
+      return { seed, run, original: actions.slice(0, failure.index + 1), failure, shrunk };
+    }
+  }
+  return null;
+}
+
+// "Readable failure report: the broken invariant, the shrunk steps and a replay env line."
+function formatFailure({ seed, run, original, shrunk }, { describe = JSON.stringify, replayEnv, command } = {}) {
+  const { actions, failure } = shrunk;
+  const lines = [
+    `Invariant "${failure.name}" broken at step ${failure.index + 1} (seed ${seed}, run ${run + 1}; ` +
+      `shrunk from ${original.length} to ${actions.length} step(s)): ${failure.message}`,
+    ...actions.map((action, i) => `  ${i + 1}. ${describe(action)}`),
+  ];
+  if (replayEnv) {
+    lines.push(`Replay: ${replayEnv}='${JSON.stringify(actions)}' ${command || ""}`.trimEnd());
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  rng,
+  randInt,
+  pick,
+  runSequence,
+  shrinkSequence,
+  fuzz,
+  formatFailure,
+};
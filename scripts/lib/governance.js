@@ -0,0 +1,164 @@
+// governance.js
+// "HedgexGovernor proposals built from the same admin ops as the hgxd:* tasks."
+// "A proposal is found again by id from its ProposalCreated log, so vote/queue/execute only need the id."
+
+const { ethers } = require("ethers");
+
+// IGovernor.ProposalState order
+const PROPOSAL_STATES = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+// GovernorCountingSimple.VoteType
+const VOTE_TYPES = { against: 0, for: 1, abstain: 2 };
+
+// "targets/values/calldatas for a list of admin ops on `token`, plus the id the governor will assign."
+async function buildProposal(governor, token, ops, description) {
+  const proposal = {
+    targets: ops.map(() => token.address),
+    values: ops.map(() => 0),
+    calldatas: ops.map((op) => token.interface.encodeFunctionData(op.method, op.args)),
+    description,
+    descriptionHash: ethers.utils.id(description),
+  };
+  proposal.id = await governor.hashProposal(
+    proposal.targets,
+    proposal.values,
+    proposal.calldatas,
+    proposal.descriptionHash
+  );
+  return proposal;
+}
+
+// "Votes of `account` at the latest mined block against the proposal threshold."
+async function checkProposer(governor, account) {
+  const [clock, threshold] = await Promise.all([governor.clock(), governor.proposalThreshold()]);
+  // getVotes needs a past timepoint
+  const votes = await governor.getVotes(account, Math.max(0, Number(clock) - 1));
+  if (votes.lt(threshold)) {
+    throw new Error(`${account} has ${votes} votes, proposal threshold is ${threshold} (delegate first)`);
+  }
+}
+
+async function propose(governor, proposal, from) {
+  await checkProposer(governor, from);
+  const state = await proposalState(governor, proposal.id);
+  if (state !== null) {
+    throw new Error(`Proposal ${proposal.id} already exists (${state}); change the description to propose again`);
+  }
+  const tx = await governor.propose(proposal.targets, proposal.values, proposal.calldatas, proposal.description);
+  return tx.wait();
+}
+
+// "State name, or null when the governor has no proposal with this id."
+async function proposalState(governor, id) {
+  try {
+    return PROPOSAL_STATES[await governor.state(id)];
+  } catch (err) {
+    // Governor reverts with "Governor: unknown proposal id"
+    return null;
+  }
+}
+
+// "The proposal as created on-chain, rebuilt from its ProposalCreated log."
+async function findProposal(governor, id, { fromBlock = 0 } = {}) {
+  id = ethers.BigNumber.from(id);
+  const events = await governor.queryFilter(governor.filters.ProposalCreated(), fromBlock);
+  const event = events.find((e) => e.args.proposalId.eq(id));
+  if (!event) {
+    throw new Error(`No ProposalCreated log for proposal ${id}`);
+  }
+  const { proposer, targets, calldatas, voteStart, voteEnd, description } = event.args;
+  return {
+    id,
+    proposer,
+    targets,
+    values: event.args[3],
+    calldatas,
+    voteStart,
+    voteEnd,
+    description,
+    descriptionHash: ethers.utils.id(description),
+    block: event.blockNumber,
+  };
+}
+
+// "Everything a voter needs: state, tallies against quorum, voting window and the decoded calls."
+async function describeProposal(governor, token, proposal) {
+  const [state, votes, quorum, eta] = await Promise.all([
+    proposalState(governor, proposal.id),
+    governor.proposalVotes(proposal.id),
+    governor.quorum(proposal.voteStart),
+    governor.proposalEta(proposal.id),
+  ]);
+  const calls = proposal.calldatas.map((data, i) => {
+    if (ethers.utils.getAddress(proposal.targets[i]) !== token.address) {
+      return `${proposal.targets[i]} ${data.slice(0, 10)}`;
+    }
+    const parsed = token.interface.parseTransaction({ data });
+    return `${parsed.name}(${parsed.args.map(String).join(", ")})`;
+  });
+  return {
+    ...proposal,
+    state,
+    forVotes: votes.forVotes,
+    againstVotes: votes.againstVotes,
+    abstainVotes: votes.abstainVotes,
+    quorum,
+    eta: eta.toNumber(),
+    calls,
+  };
+}
+
+function toSupport(support) {
+  const value = VOTE_TYPES[String(support).toLowerCase()];
+  if (value === undefined) {
+    throw new Error(`Vote must be one of ${Object.keys(VOTE_TYPES).join(", ")}: ${support}`);
+  }
+  return value;
+}
+
+async function castVote(governor, id, support, reason) {
+  const state = await proposalState(governor, id);
+  if (state !== "Active") {
+    throw new Error(`Proposal ${id} is ${state || "unknown"}, voting needs Active`);
+  }
+  const tx = reason
+    ? await governor.castVoteWithReason(id, toSupport(support), reason)
+    : await governor.castVote(id, toSupport(support));
+  return tx.wait();
+}
+
+async function queueProposal(governor, proposal) {
+  const state = await proposalState(governor, proposal.id);
+  if (state !== "Succeeded") {
+    throw new Error(`Proposal ${proposal.id} is ${state}, queueing needs Succeeded`);
+  }
+  const tx = await governor.queue(proposal.targets, proposal.values, proposal.calldatas, proposal.descriptionHash);
+  return tx.wait();
+}
+
+async function executeProposal(governor, proposal) {
+  const state = await proposalState(governor, proposal.id);
+  if (state !== "Queued") {
+    throw new Error(`Proposal ${proposal.id} is ${state}, executing needs Queued`);
+  }
+  const now = (await governor.provider.getBlock("latest")).timestamp;
+  const eta = (await governor.proposalEta(proposal.id)).toNumber();
+  if (eta > now) {
+    throw new Error(`Proposal ${proposal.id} is in the timelock until ${new Date(eta * 1000).toISOString()}`);
+  }
+  const tx = await governor.execute(proposal.targets, proposal.values, proposal.calldatas, proposal.descriptionHash);
+  return tx.wait();
+}
+
+module.exports = {
+  PROPOSAL_STATES,
+  VOTE_TYPES,
+  buildProposal,
+  checkProposer,
+  propose,
+  proposalState,
+  findProposal,
+  describeProposal,
+  castVote,
+  queueProposal,
+  executeProposal,
+};
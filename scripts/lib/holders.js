@@ -0,0 +1,102 @@
+// holders.js
+// "Holder list export from the on-chain registry (HedgexDao.holders(offset, limit)), with balances now or at a snapshot."
+// "All reads use one blockTag so the list and balances are consistent while pages are fetched."
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { findSnapshot } = require("./airdrop");
+
+const { BigNumber } = ethers;
+
+// "Every address in the registry at `blockTag`, paged `pageSize` at a time."
+async function fetchHolders(token, { blockTag, pageSize = 500 } = {}) {
+  const count = (await token.holdersCount({ blockTag })).toNumber();
+  const accounts = [];
+  for (let offset = 0; offset < count; offset += pageSize) {
+    accounts.push(...(await token.holders(offset, pageSize, { blockTag })));
+  }
+  return accounts;
+}
+
+// "Holders with balances, largest first. With `snapshotId` the registry is read at the snapshot block and"
+// "balances come from balanceOfAt; without it, from balanceOf at the latest block."
+// "Throws when the balances do not add up to the total supply (a holder left later in the snapshot block)."
+async function holderBalances(token, { snapshotId, pageSize, fromBlock = 0 } = {}) {
+  let snapshot = null;
+  let blockTag;
+  if (snapshotId !== undefined) {
+    snapshot = await findSnapshot(token, snapshotId, { fromBlock });
+    blockTag = snapshot.block;
+  } else {
+    blockTag = (await token.provider.getBlock("latest")).number;
+  }
+
+  const accounts = await fetchHolders(token, { blockTag, pageSize });
+  const holders = [];
+  for (const account of accounts) {
+    const balance = snapshot
+      ? await token.balanceOfAt(account, snapshot.id)
+      : await token.balanceOf(account, { blockTag });
+    if (balance.isZero()) {
+      // Became a holder after the snapshot, within the same block
+      continue;
+    }
+    const pair = await token.automatedMarketMakerPairs(account, { blockTag });
+    holders.push({ account, balance, pair });
+  }
+
+  const totalSupply = snapshot ? await token.totalSupplyAt(snapshot.id) : await token.totalSupply({ blockTag });
+  const sum = holders.reduce((acc, h) => acc.add(h.balance), BigNumber.from(0));
+  if (!sum.eq(totalSupply)) {
+    throw new Error(
+      `Holder balances ${sum} do not add up to total supply ${totalSupply} at block ${blockTag}; ` +
+        "use hgxd:airdrop-build for snapshots taken mid-block"
+    );
+  }
+
+  holders.sort((a, b) => (a.balance.eq(b.balance) ? 0 : a.balance.gt(b.balance) ? -1 : 1));
+  return {
+    token: token.address,
+    block: blockTag,
+    snapshotId: snapshot ? snapshot.id : null,
+    totalSupply,
+    holders,
+  };
+}
+
+// ====== Export ======
+
+function toCsv(result, decimals = 18) {
+  const rows = result.holders.map((h) =>
+    [h.account, ethers.utils.formatUnits(h.balance, decimals), h.balance.toString(), h.pair].join(",")
+  );
+  return ["account,balance,balanceWei,pair", ...rows].join("\n") + "\n";
+}
+
+function toJson(result) {
+  const json = {
+    ...result,
+    totalSupply: result.totalSupply.toString(),
+    holders: result.holders.map((h) => ({ ...h, balance: h.balance.toString() })),
+  };
+  return JSON.stringify(json, null, 2) + "\n";
+}
+
+// "Write CSV or JSON, picked by `format` or else by the file extension."
+function exportHolders(file, result, { format, decimals } = {}) {
+  format = (format || path.extname(file).slice(1) || "csv").toLowerCase();
+  if (format !== "csv" && format !== "json") {
+    throw new Error(`Unknown export format "${format}" (csv or json)`);
+  }
+  fs.writeFileSync(file, format === "csv" ? toCsv(result, decimals) : toJson(result));
+  return format;
+}
+
+module.exports = {
+  fetchHolders,
+  holderBalances,
+  toCsv,
+  toJson,
+  exportHolders,
+};
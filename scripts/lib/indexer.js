@@ -0,0 +1,389 @@
+// indexer.js
+// "Burn / supply indexer for HedgexDao built from Transfer, TaxBurnApplied, TaxDistributed,"
+// "BurnTaxUpdated, BuyTaxUpdated, SellTaxUpdated, SupplyFloorUpdated and AutomatedMarketMakerPairSet"
+// "logs, kept in a local JSON store, plus a compliance log from AccountFrozen, AccountUnfrozen and"
+// "FrozenFundsRecovered."
+// "Sync resumes from store.lastBlock; reports are pure functions over the store."
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { decodeReason } = require("./compliance");
+
+const { BigNumber } = ethers;
+const DEFAULT_DIR = path.join(__dirname, "..", "..", "indexer-data");
+const INDEXED_EVENTS = [
+  "Transfer",
+  "TaxBurnApplied",
+  "TaxDistributed",
+  "BurnTaxUpdated",
+  "BuyTaxUpdated",
+  "SellTaxUpdated",
+  "SupplyFloorUpdated",
+  "AutomatedMarketMakerPairSet",
+  "AccountFrozen",
+  "AccountUnfrozen",
+  "FrozenFundsRecovered",
+];
+
+// ====== Store ======
+
+function storePath(network, dir = DEFAULT_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+function emptyStore({ network, token, startBlock }) {
+  return {
+    network,
+    token,
+    startBlock,
+    lastBlock: startBlock - 1,
+    totalSupply: "0",
+    initial: { buyTax: null, sellTax: null, supplyFloor: null, totalSupply: "0" },
+    pairs: {},
+    blocks: {},
+    taxBurns: [],
+    taxDistributions: [],
+    manualBurns: [],
+    mints: [],
+    taxRates: [],
+    floors: [],
+    supply: [],
+    compliance: [],
+  };
+}
+
+function loadStore(network, dir = DEFAULT_DIR) {
+  const file = storePath(network, dir);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function saveStore(store, dir = DEFAULT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(storePath(store.network, dir), JSON.stringify(store, null, 2) + "\n");
+}
+
+// ====== Sync ======
+
+// "Apply a chunk of parsed logs (sorted by block, then logIndex) to the store."
+function applyLogs(store, logs) {
+  // Burn Transfers waiting to be claimed by a TaxBurnApplied in the same transaction
+  const pendingBurns = [];
+
+  const flushPending = () => {
+    for (const burn of pendingBurns.splice(0)) {
+      store.manualBurns.push(burn);
+    }
+  };
+
+  let currentTx = null;
+  for (const { log, event } of logs) {
+    if (log.transactionHash !== currentTx) {
+      flushPending();
+      currentTx = log.transactionHash;
+    }
+    const at = { block: log.blockNumber, tx: log.transactionHash, logIndex: log.logIndex };
+
+    switch (event.name) {
+      case "Transfer": {
+        const [from, to, value] = event.args;
+        if (from === ethers.constants.AddressZero) {
+          store.totalSupply = BigNumber.from(store.totalSupply).add(value).toString();
+          store.mints.push({ ...at, to, amount: value.toString() });
+          store.supply.push({ block: at.block, totalSupply: store.totalSupply });
+        } else if (to === ethers.constants.AddressZero) {
+          store.totalSupply = BigNumber.from(store.totalSupply).sub(value).toString();
+          pendingBurns.push({ ...at, from, amount: value.toString() });
+          store.supply.push({ block: at.block, totalSupply: store.totalSupply });
+        }
+        break;
+      }
+      case "TaxBurnApplied": {
+        const { from, to, amountBurned: amount, newTotalSupply: totalSupply } = event.args;
+        const i = pendingBurns.findIndex((b) => b.from === from && b.amount === amount.toString());
+        if (i !== -1) {
+          pendingBurns.splice(i, 1);
+        }
+        const side = store.pairs[to] && store.pairs[from] ? "pair-to-pair" : store.pairs[to] ? "sell" : "buy";
+        store.taxBurns.push({
+          ...at,
+          from,
+          to,
+          pair: side === "buy" ? from : to,
+          side,
+          amount: amount.toString(),
+          totalSupply: totalSupply.toString(),
+        });
+        break;
+      }
+      case "TaxDistributed": {
+        // Every leg of a swap tax; the burn leg is also recorded in taxBurns via TaxBurnApplied
+        const [from, to, burned, treasury, toTreasury, rewards, toRewards] = event.args;
+        // Stores created before fee splitting existed have no taxDistributions yet
+        store.taxDistributions = store.taxDistributions || [];
+        store.taxDistributions.push({
+          ...at,
+          from,
+          to,
+          burned: burned.toString(),
+          treasury,
+          toTreasury: toTreasury.toString(),
+          rewards,
+          toRewards: toRewards.toString(),
+        });
+        break;
+      }
+      case "BurnTaxUpdated":
+      case "BuyTaxUpdated":
+      case "SellTaxUpdated": {
+        // BurnTaxUpdated sets both sides; its oldTax is the higher of the two previous rates
+        const [oldTax, newTax] = event.args;
+        const side = { BurnTaxUpdated: "both", BuyTaxUpdated: "buy", SellTaxUpdated: "sell" }[event.name];
+        for (const key of side === "both" ? ["buyTax", "sellTax"] : [`${side}Tax`]) {
+          if (!store.taxRates.some((r) => r.side === "both" || `${r.side}Tax` === key)) {
+            store.initial[key] = oldTax.toString();
+          }
+        }
+        store.taxRates.push({ block: at.block, side, oldTax: oldTax.toString(), newTax: newTax.toString() });
+        break;
+      }
+      case "SupplyFloorUpdated": {
+        const [oldFloor, newFloor] = event.args;
+        if (store.floors.length === 0) {
+          store.initial.supplyFloor = oldFloor.toString();
+        }
+        store.floors.push({ block: at.block, oldFloor: oldFloor.toString(), newFloor: newFloor.toString() });
+        break;
+      }
+      case "AutomatedMarketMakerPairSet": {
+        const [pair, value] = event.args;
+        store.pairs[pair] = value;
+        break;
+      }
+      case "AccountFrozen":
+      case "AccountUnfrozen":
+      case "FrozenFundsRecovered": {
+        // Stores created before the compliance freeze existed have no compliance log yet
+        store.compliance = store.compliance || [];
+        const action = { AccountFrozen: "freeze", AccountUnfrozen: "unfreeze", FrozenFundsRecovered: "recover" }[event.name];
+        const entry = { ...at, action, account: event.args.account, reason: decodeReason(event.args.reason) };
+        if (action === "recover") {
+          entry.to = event.args.to;
+          entry.amount = event.args.amount.toString();
+        } else {
+          entry.by = event.args.by;
+        }
+        store.compliance.push(entry);
+        break;
+      }
+    }
+  }
+  flushPending();
+}
+
+// "A store that starts after the deployment block takes totalSupply and the AMM pairs as they were at"
+// "startBlock - 1; the logs from startBlock on update them from there."
+async function seedStore(token, store) {
+  const blockTag = store.startBlock - 1;
+  if (blockTag < 0 || (await token.provider.getCode(token.address, blockTag)) === "0x") {
+    return;
+  }
+  store.totalSupply = (await token.totalSupply({ blockTag })).toString();
+  store.initial.totalSupply = store.totalSupply;
+
+  // Every pair ever flagged before startBlock is a candidate; keep the ones still flagged then
+  const raw = await token.provider.getLogs({
+    address: token.address,
+    topics: [token.interface.getEventTopic("AutomatedMarketMakerPairSet")],
+    fromBlock: 0,
+    toBlock: blockTag,
+  });
+  for (const pair of new Set(raw.map((l) => token.interface.parseLog(l).args.pair))) {
+    if (await token.automatedMarketMakerPairs(pair, { blockTag })) {
+      store.pairs[pair] = true;
+    }
+  }
+}
+
+// "Index [store.lastBlock + 1, toBlock] in chunks, saving after each chunk so an interrupted sync resumes."
+async function syncIndex(token, { network, startBlock = 0, toBlock, chunkSize = 2000, dir = DEFAULT_DIR, log = () => {} }) {
+  const provider = token.provider;
+  const iface = token.interface;
+
+  let store = loadStore(network, dir);
+  if (store && store.token !== token.address) {
+    throw new Error(`Index at ${storePath(network, dir)} is for ${store.token}, not ${token.address}`);
+  }
+  if (!store) {
+    store = emptyStore({ network, token: token.address, startBlock });
+    await seedStore(token, store);
+  }
+
+  const latest = toBlock === undefined ? (await provider.getBlock("latest")).number : toBlock;
+  const topics = [INDEXED_EVENTS.map((name) => iface.getEventTopic(name))];
+
+  for (let from = store.lastBlock + 1; from <= latest; from += chunkSize) {
+    const to = Math.min(from + chunkSize - 1, latest);
+    const raw = await provider.getLogs({ address: token.address, topics, fromBlock: from, toBlock: to });
+    raw.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const parsed = raw.map((l) => ({ log: l, event: iface.parseLog(l) }));
+    for (const blockNumber of [...new Set(raw.map((l) => l.blockNumber))]) {
+      store.blocks[blockNumber] = (await provider.getBlock(blockNumber)).timestamp;
+    }
+    applyLogs(store, parsed);
+
+    store.lastBlock = to;
+    saveStore(store, dir);
+    log(`Indexed blocks ${from}-${to}: ${raw.length} logs`);
+  }
+
+  // Without an update event the starting values are unknown; fall back to the values at lastBlock
+  if (store.lastBlock >= store.startBlock) {
+    const blockTag = store.lastBlock;
+    if (store.initial.buyTax === null) {
+      store.initial.buyTax = (await token.buyTax({ blockTag })).toString();
+    }
+    if (store.initial.sellTax === null) {
+      store.initial.sellTax = (await token.sellTax({ blockTag })).toString();
+    }
+    if (store.initial.supplyFloor === null) {
+      store.initial.supplyFloor = (await token.supplyFloor({ blockTag })).toString();
+    }
+  }
+  saveStore(store, dir);
+  return store;
+}
+
+// ====== Reports ======
+
+function inRange(store, block, { fromTime, toTime } = {}) {
+  const ts = store.blocks[block];
+  return (fromTime === undefined || ts >= fromTime) && (toTime === undefined || ts <= toTime);
+}
+
+function sum(entries) {
+  return entries.reduce((acc, e) => acc.add(e.amount), BigNumber.from(0));
+}
+
+// "Tax vs manual burns (optionally within a unix-time range), with tax burns split per AMM pair"
+// "and the swap tax sent to the treasury / rewards recipients."
+function burnReport(store, range) {
+  const taxBurns = store.taxBurns.filter((e) => inRange(store, e.block, range));
+  const manualBurns = store.manualBurns.filter((e) => inRange(store, e.block, range));
+  const distributions = (store.taxDistributions || []).filter((e) => inRange(store, e.block, range));
+
+  const byPair = {};
+  for (const burn of taxBurns) {
+    byPair[burn.pair] = BigNumber.from(byPair[burn.pair] || 0).add(burn.amount);
+  }
+
+  return {
+    taxBurned: sum(taxBurns),
+    manualBurned: sum(manualBurns),
+    taxBurnCount: taxBurns.length,
+    manualBurnCount: manualBurns.length,
+    byPair,
+    toTreasury: distributions.reduce((acc, e) => acc.add(e.toTreasury), BigNumber.from(0)),
+    toRewards: distributions.reduce((acc, e) => acc.add(e.toRewards), BigNumber.from(0)),
+  };
+}
+
+function cumulativeTaxBurn(store) {
+  let total = BigNumber.from(0);
+  return store.taxBurns.map((burn) => {
+    total = total.add(burn.amount);
+    return { block: burn.block, timestamp: store.blocks[burn.block], total };
+  });
+}
+
+// "Replay a value history: initial value, then one entry per update event."
+function history(store, initial, updates, field) {
+  const points = [{ block: store.startBlock, value: BigNumber.from(initial || 0) }];
+  for (const u of updates) {
+    points.push({ block: u.block, value: BigNumber.from(u[field]) });
+  }
+  return points;
+}
+
+// "Buy/sell rate after every rate change; burnTax is the higher of the two (as HedgexDao.burnTax())."
+function taxRateHistory(store) {
+  let buyTax = Number(store.initial.buyTax || 0);
+  let sellTax = Number(store.initial.sellTax || 0);
+  const point = (block) => ({
+    block,
+    timestamp: store.blocks[block],
+    buyTax,
+    sellTax,
+    burnTax: Math.max(buyTax, sellTax),
+  });
+
+  const points = [point(store.startBlock)];
+  for (const rate of store.taxRates) {
+    const value = Number(rate.newTax);
+    if (rate.side !== "sell") buyTax = value;
+    if (rate.side !== "buy") sellTax = value;
+    points.push(point(rate.block));
+  }
+  return points;
+}
+
+// "totalSupply, supplyFloor and their distance after every supply or floor change."
+function floorDistanceHistory(store) {
+  const floors = history(store, store.initial.supplyFloor, store.floors, "newFloor");
+  const changes = [
+    ...store.supply.map((s) => ({ block: s.block, totalSupply: s.totalSupply })),
+    ...store.floors.map((f) => ({ block: f.block })),
+  ].sort((a, b) => a.block - b.block);
+
+  // Stores created before seeding existed start from zero
+  let totalSupply = BigNumber.from(store.initial.totalSupply || 0);
+  return changes.map((c) => {
+    if (c.totalSupply !== undefined) {
+      totalSupply = BigNumber.from(c.totalSupply);
+    }
+    const floor = floors.filter((f) => f.block <= c.block).pop().value;
+    return {
+      block: c.block,
+      timestamp: store.blocks[c.block],
+      totalSupply,
+      supplyFloor: floor,
+      distance: totalSupply.gt(floor) ? totalSupply.sub(floor) : BigNumber.from(0),
+    };
+  });
+}
+
+// "Freeze / unfreeze / recovery entries in order (optionally within a unix-time range), with timestamps."
+function complianceLog(store, range) {
+  return (store.compliance || [])
+    .filter((e) => inRange(store, e.block, range))
+    .map((e) => ({ ...e, timestamp: store.blocks[e.block] }));
+}
+
+// "Accounts frozen as of store.lastBlock, with the reason and block of their current freeze."
+function frozenAccounts(store) {
+  const frozen = {};
+  for (const e of store.compliance || []) {
+    if (e.action === "freeze") {
+      frozen[e.account] = { account: e.account, reason: e.reason, block: e.block, by: e.by };
+    } else if (e.action === "unfreeze") {
+      delete frozen[e.account];
+    }
+  }
+  return Object.values(frozen);
+}
+
+module.exports = {
+  DEFAULT_DIR,
+  INDEXED_EVENTS,
+  storePath,
+  loadStore,
+  saveStore,
+  syncIndex,
+  burnReport,
+  cumulativeTaxBurn,
+  taxRateHistory,
+  floorDistanceHistory,
+  complianceLog,
+  frozenAccounts,
+};
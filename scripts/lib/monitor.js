@@ -0,0 +1,680 @@
+// monitor.js
+// "State drift monitor for HedgexDao. Compares live state (owner, roles, tax rates and pair overrides, fee split and"
+// "recipients, burnTaxCap, supplyFloor, maxTaxBurn, mint schedule, cap headroom, AMM pairs, fee exclusions, bridge"
+// "limits) against an expected-state file and watches the events that change it, sending"
+// "alerts to pluggable sinks. A sink is any { name, send(alert) }; one failing sink never stops the others."
+// "Events are read with getLogs from the last polled block, like the indexer, so a slow or restarted"
+// "monitor does not miss any; state is re-checked on every poll and a drift is alerted once until it changes."
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { checkAddress, parseAmount, DECIMALS } = require("./deployConfig");
+const { ROLES, ROLE_IDS, resolveRole, roleName } = require("./roles");
+
+const { BigNumber } = ethers;
+const WATCHED_EVENTS = [
+  "BurnTaxUpdated",
+  "BuyTaxUpdated",
+  "SellTaxUpdated",
+  "PairTaxOverrideSet",
+  "FeeSplitUpdated",
+  "FeeRecipientsUpdated",
+  "SupplyFloorUpdated",
+  "MaxTaxBurnUpdated",
+  "MintScheduleUpdated",
+  "OwnershipTransferred",
+  "RoleGranted",
+  "RoleRevoked",
+  "AutomatedMarketMakerPairSet",
+  "ExcludedFromFee",
+  "BridgeLimitsSet",
+];
+// Watched events about one account -> the argument naming it; such accounts are checked on every poll
+const ACCOUNT_EVENTS = {
+  RoleGranted: "account",
+  RoleRevoked: "account",
+  PairTaxOverrideSet: "pair",
+  AutomatedMarketMakerPairSet: "pair",
+  ExcludedFromFee: "account",
+  BridgeLimitsSet: "bridge",
+};
+const RECIPIENT_FIELDS = ["treasury", "rewards"];
+const RATE_FIELDS = ["burnTax", "buyTax", "sellTax", "burnTaxCap", "burnShare", "treasuryShare", "rewardsShare"];
+const SECONDS_FIELDS = ["mintEpochLength"];
+// Token parameters; minCapHeadroom and maxMint are alert thresholds
+const PARAMETER_AMOUNTS = ["supplyFloor", "maxTaxBurn", "maxMintPerEpoch"];
+const AMOUNT_FIELDS = [...PARAMETER_AMOUNTS, "minCapHeadroom", "maxMint"];
+const EXPECTED_FIELDS = [
+  "token",
+  "owner",
+  ...RECIPIENT_FIELDS,
+  ...RATE_FIELDS,
+  ...SECONDS_FIELDS,
+  ...AMOUNT_FIELDS,
+  "roles",
+  "ammPairs",
+  "excludedFromFee",
+  "pairTaxOverrides",
+  "bridges",
+];
+
+const fmt = (value) => ethers.utils.formatUnits(value, DECIMALS);
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+const unit = (field) => (SECONDS_FIELDS.includes(field) ? "seconds" : "bps");
+const overrideText = (o) => (o ? `${o.buyTax}/${o.sellTax} bps` : "none");
+const limitsText = (l) => `mint ${fmt(l.mintingLimit)} / burn ${fmt(l.burningLimit)}`;
+const NO_LIMITS = { mintingLimit: 0, burningLimit: 0 };
+
+function nonNegativeInteger(field, value, fieldUnit) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${field} must be a non-negative integer (${fieldUnit}): ${value}`);
+  }
+  return number;
+}
+
+// ====== Expected state ======
+
+// "Validate a raw expected-state object: every field is optional; amounts are in tokens, rates in bps."
+// "ammPairs / excludedFromFee list every account that should be a pair / excluded, roles the members of each"
+// "role (minter, feeManager, ...), pairTaxOverrides { pair: { buyTax, sellTax } } and bridges"
+// "{ bridge: { mintingLimit, burningLimit } } the enabled ones; any other account seen in such an event is"
+// "expected not to be. Roles, overrides and bridges left out are not checked."
+function validateExpected(raw) {
+  for (const key of Object.keys(raw)) {
+    if (!EXPECTED_FIELDS.includes(key)) {
+      throw new Error(`Unknown expected-state field "${key}" (expected one of ${EXPECTED_FIELDS.join(", ")})`);
+    }
+  }
+  const expected = {
+    ammPairs: (raw.ammPairs || []).map((a, i) => checkAddress(`ammPairs[${i}]`, a)),
+    excludedFromFee: (raw.excludedFromFee || []).map((a, i) => checkAddress(`excludedFromFee[${i}]`, a)),
+  };
+  for (const field of ["token", "owner"]) {
+    if (raw[field] !== undefined) {
+      expected[field] = checkAddress(field, raw[field]);
+    }
+  }
+  for (const field of RECIPIENT_FIELDS) {
+    if (raw[field] !== undefined) {
+      // An unset recipient is the zero address
+      expected[field] = raw[field] === ethers.constants.AddressZero ? raw[field] : checkAddress(field, raw[field]);
+    }
+  }
+  for (const field of [...RATE_FIELDS, ...SECONDS_FIELDS]) {
+    if (raw[field] !== undefined) {
+      expected[field] = nonNegativeInteger(field, raw[field], unit(field));
+    }
+  }
+  for (const field of AMOUNT_FIELDS) {
+    if (raw[field] !== undefined) {
+      expected[field] = parseAmount(field, raw[field]);
+    }
+  }
+  if (raw.roles !== undefined) {
+    expected.roles = {};
+    for (const [role, members] of Object.entries(raw.roles)) {
+      expected.roles[resolveRole(role).name] = members.map((a, i) => checkAddress(`roles.${role}[${i}]`, a));
+    }
+  }
+  if (raw.pairTaxOverrides !== undefined) {
+    expected.pairTaxOverrides = {};
+    for (const [pair, rates] of Object.entries(raw.pairTaxOverrides)) {
+      const field = `pairTaxOverrides.${pair}`;
+      expected.pairTaxOverrides[checkAddress(field, pair)] = {
+        buyTax: nonNegativeInteger(`${field}.buyTax`, rates.buyTax, "bps"),
+        sellTax: nonNegativeInteger(`${field}.sellTax`, rates.sellTax, "bps"),
+      };
+    }
+  }
+  if (raw.bridges !== undefined) {
+    expected.bridges = {};
+    for (const [bridge, limits] of Object.entries(raw.bridges)) {
+      const field = `bridges.${bridge}`;
+      expected.bridges[checkAddress(field, bridge)] = {
+        mintingLimit: parseAmount(`${field}.mintingLimit`, limits.mintingLimit),
+        burningLimit: parseAmount(`${field}.burningLimit`, limits.burningLimit),
+      };
+    }
+  }
+  return expected;
+}
+
+function loadExpected(file) {
+  return validateExpected(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+// "Accounts that were ever given a role, an AMM pair flag, a fee exclusion, a pair tax override or bridge limits,"
+// "from the token's logs since `fromBlock`, read `chunkSize` blocks per getLogs request like the monitor itself."
+async function discoverAccounts(token, { fromBlock = 0, toBlock, chunkSize = 2000 } = {}) {
+  const iface = token.interface;
+  const topics = [Object.keys(ACCOUNT_EVENTS).map((name) => iface.getEventTopic(name))];
+  const latest = toBlock === undefined ? (await token.provider.getBlock("latest")).number : toBlock;
+  const accounts = new Set();
+  for (let from = fromBlock; from <= latest; from += chunkSize) {
+    const range = { address: token.address, topics, fromBlock: from, toBlock: Math.min(from + chunkSize - 1, latest) };
+    for (const l of await token.provider.getLogs(range)) {
+      const event = iface.parseLog(l);
+      accounts.add(event.args[ACCOUNT_EVENTS[event.name]]);
+    }
+  }
+  return [...accounts];
+}
+
+// "The current state as a raw expected-state object (JSON-ready), for `accounts` plus the owner and token."
+async function snapshotExpected(token, { accounts = [], minCapHeadroom, maxMint } = {}) {
+  const [owner, treasury, rewards, ...values] = await Promise.all([
+    token.owner(),
+    token.treasury(),
+    token.rewards(),
+    ...[...RATE_FIELDS, ...SECONDS_FIELDS, ...PARAMETER_AMOUNTS].map((field) => token[field]()),
+  ]);
+  const raw = { token: token.address, owner, treasury, rewards };
+  [...RATE_FIELDS, ...SECONDS_FIELDS].forEach((field, i) => (raw[field] = values[i].toNumber()));
+  PARAMETER_AMOUNTS.forEach((field, i) => (raw[field] = fmt(values[RATE_FIELDS.length + SECONDS_FIELDS.length + i])));
+  if (minCapHeadroom !== undefined) {
+    raw.minCapHeadroom = String(minCapHeadroom);
+  }
+  if (maxMint !== undefined) {
+    raw.maxMint = String(maxMint);
+  }
+
+  const candidates = [...new Set([owner, token.address, ...accounts])];
+  const roles = Object.fromEntries(Object.keys(ROLES).map((name) => [name, []]));
+  const ammPairs = [];
+  const excludedFromFee = [];
+  const pairTaxOverrides = {};
+  const bridges = {};
+  for (const account of candidates) {
+    for (const name of Object.keys(ROLES)) {
+      if (await token.hasRole(ROLE_IDS[name], account)) {
+        roles[name].push(account);
+      }
+    }
+    if (await token.automatedMarketMakerPairs(account)) {
+      ammPairs.push(account);
+    }
+    if (await token.isExcludedFromFee(account)) {
+      excludedFromFee.push(account);
+    }
+    const override = await token.pairTaxOverrides(account);
+    if (override.enabled) {
+      pairTaxOverrides[account] = { buyTax: override.buyTax.toNumber(), sellTax: override.sellTax.toNumber() };
+    }
+    const [mintingLimit, burningLimit] = await Promise.all([
+      token.mintingMaxLimitOf(account),
+      token.burningMaxLimitOf(account),
+    ]);
+    if (!mintingLimit.isZero() || !burningLimit.isZero()) {
+      bridges[account] = { mintingLimit: fmt(mintingLimit), burningLimit: fmt(burningLimit) };
+    }
+  }
+  return { ...raw, roles, ammPairs, excludedFromFee, pairTaxOverrides, bridges };
+}
+
+// ====== Checks ======
+
+// "Compare live state with `expected`; returns one finding per check that differs."
+// "`accounts` are extra addresses whose pair / exclusion flags are checked (e.g. seen in events)."
+async function checkState(token, expected, { accounts = [], blockTag = "latest" } = {}) {
+  const overrides = { blockTag };
+  const findings = [];
+  const differs = (check, level, expectedValue, actual, message) => {
+    if (String(expectedValue) !== String(actual)) {
+      findings.push({ check, level, expected: String(expectedValue), actual: String(actual), message });
+    }
+  };
+
+  if (expected.token !== undefined && !sameAddress(expected.token, token.address)) {
+    throw new Error(`Expected state is for token ${expected.token}, not ${token.address}`);
+  }
+  for (const field of ["owner", ...RECIPIENT_FIELDS]) {
+    if (expected[field] !== undefined) {
+      const value = await token[field](overrides);
+      differs(field, "critical", expected[field], value, `${field} is ${value}, expected ${expected[field]}`);
+    }
+  }
+  for (const field of [...RATE_FIELDS, ...SECONDS_FIELDS]) {
+    if (expected[field] !== undefined) {
+      const value = (await token[field](overrides)).toNumber();
+      differs(field, "warning", expected[field], value, `${field} is ${value} ${unit(field)}, expected ${expected[field]}`);
+    }
+  }
+  for (const field of PARAMETER_AMOUNTS) {
+    if (expected[field] !== undefined) {
+      const value = fmt(await token[field](overrides));
+      const want = fmt(expected[field]);
+      differs(field, "warning", want, value, `${field} is ${value}, expected ${want}`);
+    }
+  }
+  if (expected.minCapHeadroom !== undefined) {
+    const [cap, totalSupply] = await Promise.all([token.cap(overrides), token.totalSupply(overrides)]);
+    const headroom = cap.sub(totalSupply);
+    if (headroom.lt(expected.minCapHeadroom)) {
+      findings.push({
+        check: "capHeadroom",
+        level: "critical",
+        expected: `>= ${fmt(expected.minCapHeadroom)}`,
+        actual: fmt(headroom),
+        message: `only ${fmt(headroom)} left under cap ${fmt(cap)}, expected at least ${fmt(expected.minCapHeadroom)}`,
+      });
+    }
+  }
+
+  const listed = (list, account) => list.some((a) => sameAddress(a, account));
+  const flagged = [
+    ...new Set([
+      ...expected.ammPairs,
+      ...expected.excludedFromFee,
+      ...Object.values(expected.roles || {}).flat(),
+      ...Object.keys(expected.pairTaxOverrides || {}),
+      ...Object.keys(expected.bridges || {}),
+      ...accounts,
+    ]),
+  ];
+  for (const account of flagged) {
+    const pair = await token.automatedMarketMakerPairs(account, overrides);
+    const wantPair = listed(expected.ammPairs, account);
+    differs(
+      `automatedMarketMakerPairs(${account})`,
+      "critical",
+      wantPair,
+      pair,
+      `${account} is ${pair ? "" : "not "}an AMM pair`
+    );
+    const excluded = await token.isExcludedFromFee(account, overrides);
+    const wantExcluded = listed(expected.excludedFromFee, account);
+    differs(
+      `isExcludedFromFee(${account})`,
+      "critical",
+      wantExcluded,
+      excluded,
+      `${account} is ${excluded ? "" : "not "}excluded from fee`
+    );
+    for (const [name, members] of Object.entries(expected.roles || {})) {
+      const member = await token.hasRole(ROLE_IDS[name], account, overrides);
+      differs(
+        `hasRole(${name}, ${account})`,
+        "critical",
+        listed(members, account),
+        member,
+        `${account} ${member ? "has" : "does not have"} the ${name} role`
+      );
+    }
+    if (expected.pairTaxOverrides !== undefined) {
+      const override = await token.pairTaxOverrides(account, overrides);
+      const actual = overrideText(override.enabled && override);
+      differs(
+        `pairTaxOverrides(${account})`,
+        "critical",
+        overrideText(expected.pairTaxOverrides[ethers.utils.getAddress(account)]),
+        actual,
+        `${account} pair tax override is ${actual}`
+      );
+    }
+    if (expected.bridges !== undefined) {
+      const [mintingLimit, burningLimit] = await Promise.all([
+        token.mintingMaxLimitOf(account, overrides),
+        token.burningMaxLimitOf(account, overrides),
+      ]);
+      const actual = limitsText({ mintingLimit, burningLimit });
+      differs(
+        `bridgeLimits(${account})`,
+        "critical",
+        limitsText(expected.bridges[ethers.utils.getAddress(account)] || NO_LIMITS),
+        actual,
+        `${account} bridge limits are ${actual}`
+      );
+    }
+  }
+  return findings;
+}
+
+// "Turn a watched log into an alert, or null when it needs none. Changes that land on the expected value"
+// "are info; changes away from it are critical; with no expectation for the field they are warnings."
+function eventAlert(expected, event) {
+  const level = (expectedValue, actual) =>
+    expectedValue === undefined ? "warning" : String(expectedValue) === String(actual) ? "info" : "critical";
+  // Several fields set by one event: fields without an expectation count as expected
+  const combined = (wants, actuals) =>
+    wants.every((w) => w === undefined) ? undefined : wants.map((w, i) => (w === undefined ? actuals[i] : w)).join(", ");
+  const args = event.args;
+  switch (event.name) {
+    case "BurnTaxUpdated":
+    case "BuyTaxUpdated":
+    case "SellTaxUpdated": {
+      const field = { BurnTaxUpdated: "burnTax", BuyTaxUpdated: "buyTax", SellTaxUpdated: "sellTax" }[event.name];
+      const [oldTax, newTax] = args;
+      return {
+        check: field,
+        level: level(expected[field], newTax),
+        expected: expected[field],
+        actual: newTax.toString(),
+        message: `${event.name}: ${oldTax} -> ${newTax} bps`,
+      };
+    }
+    case "PairTaxOverrideSet": {
+      const { pair, enabled, buyTax, sellTax } = args;
+      const actual = overrideText(enabled && { buyTax, sellTax });
+      const want =
+        expected.pairTaxOverrides === undefined
+          ? undefined
+          : overrideText(expected.pairTaxOverrides[ethers.utils.getAddress(pair)]);
+      return {
+        check: `pairTaxOverrides(${pair})`,
+        level: level(want, actual),
+        expected: want,
+        actual,
+        message: `PairTaxOverrideSet: ${pair} ${actual}`,
+      };
+    }
+    case "FeeSplitUpdated": {
+      const actuals = args.slice(0, 3).map(String);
+      const want = combined(
+        ["burnShare", "treasuryShare", "rewardsShare"].map((f) => expected[f]),
+        actuals
+      );
+      return {
+        check: "feeSplit",
+        level: level(want, actuals.join(", ")),
+        expected: want,
+        actual: actuals.join(", "),
+        message: `FeeSplitUpdated: burn ${actuals[0]}, treasury ${actuals[1]}, rewards ${actuals[2]} bps`,
+      };
+    }
+    case "FeeRecipientsUpdated": {
+      const { treasury, rewards } = args;
+      const want = combined([expected.treasury, expected.rewards], [treasury, rewards]);
+      return {
+        check: "feeRecipients",
+        level: level(want, `${treasury}, ${rewards}`),
+        expected: want,
+        actual: `${treasury}, ${rewards}`,
+        message: `FeeRecipientsUpdated: treasury ${treasury}, rewards ${rewards}`,
+      };
+    }
+    case "SupplyFloorUpdated":
+    case "MaxTaxBurnUpdated": {
+      const field = event.name === "SupplyFloorUpdated" ? "supplyFloor" : "maxTaxBurn";
+      const [oldValue, newValue] = args;
+      const want = expected[field] === undefined ? undefined : fmt(expected[field]);
+      return {
+        check: field,
+        level: level(want, fmt(newValue)),
+        expected: want,
+        actual: fmt(newValue),
+        message: `${event.name}: ${fmt(oldValue)} -> ${fmt(newValue)}`,
+      };
+    }
+    case "MintScheduleUpdated": {
+      const actuals = [args.epochLength.toString(), fmt(args.maxMintPerEpoch)];
+      const want = combined(
+        [expected.mintEpochLength, expected.maxMintPerEpoch === undefined ? undefined : fmt(expected.maxMintPerEpoch)],
+        actuals
+      );
+      return {
+        check: "mintSchedule",
+        level: level(want, actuals.join(", ")),
+        expected: want,
+        actual: actuals.join(", "),
+        message: `MintScheduleUpdated: ${actuals[1]} per ${actuals[0]} seconds`,
+      };
+    }
+    case "OwnershipTransferred": {
+      const [previousOwner, newOwner] = args;
+      return {
+        check: "owner",
+        level: level(expected.owner, newOwner),
+        expected: expected.owner,
+        actual: newOwner,
+        message: `OwnershipTransferred: ${previousOwner} -> ${newOwner}`,
+      };
+    }
+    case "RoleGranted":
+    case "RoleRevoked": {
+      // The admin role follows ownership, alerted as OwnershipTransferred
+      if (args.role === ethers.constants.HashZero) {
+        return null;
+      }
+      const name = roleName(args.role);
+      const members = expected.roles && expected.roles[name];
+      const granted = event.name === "RoleGranted";
+      const want = members === undefined ? undefined : members.some((a) => sameAddress(a, args.account));
+      return {
+        check: `hasRole(${name}, ${args.account})`,
+        level: level(want, granted),
+        expected: want,
+        actual: granted,
+        message: `${event.name}: ${name} ${granted ? "to" : "from"} ${args.account} by ${args.sender}`,
+      };
+    }
+    case "BridgeLimitsSet": {
+      const { bridge } = args;
+      const actual = limitsText(args);
+      const want =
+        expected.bridges === undefined ? undefined : limitsText(expected.bridges[ethers.utils.getAddress(bridge)] || NO_LIMITS);
+      return {
+        check: `bridgeLimits(${bridge})`,
+        level: level(want, actual),
+        expected: want,
+        actual,
+        message: `BridgeLimitsSet: ${bridge} ${actual}`,
+      };
+    }
+    case "AutomatedMarketMakerPairSet":
+    case "ExcludedFromFee": {
+      const [account, value] = args;
+      const pair = event.name === "AutomatedMarketMakerPairSet";
+      const list = pair ? expected.ammPairs : expected.excludedFromFee;
+      const want = list.some((a) => sameAddress(a, account));
+      return {
+        check: pair ? `automatedMarketMakerPairs(${account})` : `isExcludedFromFee(${account})`,
+        level: want === value ? "info" : "critical",
+        expected: want,
+        actual: value,
+        message: `${event.name}: ${account} ${value}`,
+      };
+    }
+    case "Transfer": {
+      // Mints only (the log filter asks for from == 0); maxMint unset alerts on every mint
+      const [, to, value] = args;
+      const limit = expected.maxMint || BigNumber.from(0);
+      if (value.lte(limit)) {
+        return null;
+      }
+      return {
+        check: "mint",
+        level: expected.maxMint === undefined ? "warning" : "critical",
+        expected: `<= ${fmt(limit)}`,
+        actual: fmt(value),
+        message: `Mint of ${fmt(value)} to ${to}`,
+      };
+    }
+  }
+  return null;
+}
+
+// ====== Sinks ======
+
+function formatAlert(alert) {
+  const where = alert.transactionHash ? ` (block ${alert.block}, tx ${alert.transactionHash})` : ` (block ${alert.block})`;
+  return `[${alert.level.toUpperCase()}] ${alert.type} ${alert.check}: ${alert.message}${where}`;
+}
+
+function stdoutSink({ log = console.log } = {}) {
+  return { name: "stdout", send: async (alert) => log(formatAlert(alert)) };
+}
+
+// "One JSON alert per line, appended to `file`."
+function jsonLogSink(file) {
+  return { name: `json-log ${file}`, send: async (alert) => fs.appendFileSync(file, JSON.stringify(alert) + "\n") };
+}
+
+// "POST each alert as JSON to `url`; a non-2xx reply, or none within `timeout` ms, counts as a failed delivery."
+function webhookSink(url, { headers = {}, timeout = 10000 } = {}) {
+  return {
+    name: `webhook ${url}`,
+    send: async (alert) => {
+      const signal = AbortSignal.timeout(timeout);
+      let res;
+      try {
+        res = await fetch(url, {
+          method: "POST",
+          headers: { "content-type": "application/json", ...headers },
+          body: JSON.stringify(alert),
+          signal,
+        });
+      } catch (err) {
+        throw signal.aborted ? new Error(`No reply within ${timeout} ms`) : err;
+      }
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+    },
+  };
+}
+
+// ====== Monitor ======
+
+// "Watch `token` against `expected`. poll() reads new logs, re-checks state and sends the resulting alerts;"
+// "start() polls every `interval` ms until stop(). Polls never overlap. Logs are read from `fromBlock`"
+// "(default: the next block, so history is covered by the first state check instead)."
+function createMonitor(
+  token,
+  expected,
+  { sinks = [stdoutSink()], fromBlock, accounts = [], chunkSize = 2000, log = console.log } = {}
+) {
+  const provider = token.provider;
+  const iface = token.interface;
+  const topics = [WATCHED_EVENTS.map((name) => iface.getEventTopic(name))];
+  const mintTopics = [iface.getEventTopic("Transfer"), ethers.utils.hexZeroPad(ethers.constants.AddressZero, 32)];
+  const seen = new Set(accounts);
+  // check -> actual value of the drift last alerted
+  const drifts = new Map();
+  let nextBlock = fromBlock;
+  let running = Promise.resolve();
+  let timer = null;
+
+  async function send(alert) {
+    for (const sink of sinks) {
+      try {
+        await sink.send(alert);
+      } catch (err) {
+        log(`Alert sink ${sink.name} failed: ${err.message}`);
+      }
+    }
+  }
+
+  async function readEvents(latest) {
+    const alerts = [];
+    for (let from = nextBlock; from <= latest; from += chunkSize) {
+      const to = Math.min(from + chunkSize - 1, latest);
+      const range = { address: token.address, fromBlock: from, toBlock: to };
+      const raw = [
+        ...(await provider.getLogs({ ...range, topics })),
+        ...(await provider.getLogs({ ...range, topics: mintTopics })),
+      ];
+      raw.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      for (const l of raw) {
+        const event = iface.parseLog(l);
+        if (ACCOUNT_EVENTS[event.name]) {
+          seen.add(event.args[ACCOUNT_EVENTS[event.name]]);
+        }
+        const found = eventAlert(expected, event);
+        if (found) {
+          alerts.push({
+            type: "event",
+            event: event.name,
+            ...found,
+            expected: found.expected === undefined ? null : String(found.expected),
+            actual: String(found.actual),
+            block: l.blockNumber,
+            transactionHash: l.transactionHash,
+          });
+        }
+      }
+    }
+    return alerts;
+  }
+
+  async function checkDrift(latest) {
+    const alerts = [];
+    const findings = await checkState(token, expected, { accounts: [...seen], blockTag: latest });
+    const current = new Set();
+    for (const finding of findings) {
+      current.add(finding.check);
+      if (drifts.get(finding.check) !== finding.actual) {
+        drifts.set(finding.check, finding.actual);
+        alerts.push({ type: "drift", ...finding, block: latest });
+      }
+    }
+    for (const [check] of drifts) {
+      if (!current.has(check)) {
+        drifts.delete(check);
+        alerts.push({
+          type: "resolved",
+          check,
+          level: "info",
+          message: `${check} is back to the expected value`,
+          block: latest,
+        });
+      }
+    }
+    return alerts;
+  }
+
+  async function pollOnce() {
+    const latest = (await provider.getBlock("latest")).number;
+    if (nextBlock === undefined) {
+      nextBlock = latest + 1;
+    }
+    const alerts = await readEvents(latest);
+    nextBlock = Math.max(nextBlock, latest + 1);
+    alerts.push(...(await checkDrift(latest)));
+    const sent = alerts.map((alert) => ({ token: token.address, ...alert }));
+    for (const alert of sent) {
+      await send(alert);
+    }
+    return sent;
+  }
+
+  // "Check once; resolves to the alerts sent."
+  function poll() {
+    const result = running.then(pollOnce);
+    running = result.catch(() => {});
+    return result;
+  }
+
+  function start({ interval = 15000 } = {}) {
+    if (timer) {
+      return;
+    }
+    const tick = () => poll().catch((err) => log(`Monitor poll failed: ${err.message}`));
+    timer = setInterval(tick, interval);
+    return tick();
+  }
+
+  // "Stop polling; resolves once an in-flight poll has finished."
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    return running;
+  }
+
+  return { poll, start, stop };
+}
+
+module.exports = {
+  WATCHED_EVENTS,
+  validateExpected,
+  loadExpected,
+  discoverAccounts,
+  snapshotExpected,
+  checkState,
+  eventAlert,
+  formatAlert,
+  stdoutSink,
+  jsonLogSink,
+  webhookSink,
+  createMonitor,
+};
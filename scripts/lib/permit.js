@@ -0,0 +1,135 @@
+// permit.js
+// "Gasless approvals and vote delegation for HedgexDao: builds and signs EIP-2612 permits and EIP-712"
+// "delegateBySig payloads, verifies a signed payload against the chain and submits it from any signer."
+// "Payloads are plain JSON (numbers as decimal strings), so they can be handed to a relayer over HTTP."
+// "Permits and delegations share one nonce per holder (ERC20Permit.nonces): sign them one at a time."
+
+const { ethers } = require("ethers");
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const DELEGATION_TYPES = {
+  Delegation: [
+    { name: "delegatee", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+// "EIP-712 domain of `token`, as reported by the token itself (EIP-5267)."
+async function tokenDomain(token) {
+  const [, name, version, chainId, verifyingContract] = await token.eip712Domain();
+  return { name, version, chainId: chainId.toNumber(), verifyingContract };
+}
+
+// ====== Sign ======
+
+// "Signed permit letting `spender` spend `value` of the signer's tokens until `deadline` (unix seconds)."
+// "`nonce` defaults to the holder's current on-chain nonce."
+async function signPermit(token, signer, { spender, value, deadline, nonce }) {
+  const owner = await signer.getAddress();
+  const message = {
+    owner,
+    spender: ethers.utils.getAddress(spender),
+    value: ethers.BigNumber.from(value).toString(),
+    nonce: (nonce === undefined ? await token.nonces(owner) : ethers.BigNumber.from(nonce)).toString(),
+    deadline: String(deadline),
+  };
+  const signature = await signer._signTypedData(await tokenDomain(token), PERMIT_TYPES, message);
+  return { type: "permit", token: token.address, ...message, ...splitSignature(signature) };
+}
+
+// "Signed delegation of the signer's votes to `delegatee`, valid until `expiry` (unix seconds)."
+async function signDelegation(token, signer, { delegatee, expiry, nonce }) {
+  const delegator = await signer.getAddress();
+  const message = {
+    delegatee: ethers.utils.getAddress(delegatee),
+    nonce: (nonce === undefined ? await token.nonces(delegator) : ethers.BigNumber.from(nonce)).toString(),
+    expiry: String(expiry),
+  };
+  const signature = await signer._signTypedData(await tokenDomain(token), DELEGATION_TYPES, message);
+  return { type: "delegation", token: token.address, delegator, ...message, ...splitSignature(signature) };
+}
+
+function splitSignature(signature) {
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+  return { v, r, s };
+}
+
+// ====== Verify / submit ======
+
+// "Signing account, deadline and typed data a payload claims, by payload type."
+function describePayload(payload) {
+  if (payload.type === "permit") {
+    const { owner, spender, value, nonce, deadline } = payload;
+    return { signer: owner, deadline, types: PERMIT_TYPES, message: { owner, spender, value, nonce, deadline } };
+  }
+  if (payload.type === "delegation") {
+    const { delegator, delegatee, nonce, expiry } = payload;
+    return { signer: delegator, deadline: expiry, types: DELEGATION_TYPES, message: { delegatee, nonce, expiry } };
+  }
+  throw new Error(`Unknown payload type "${payload.type}" (expected permit or delegation)`);
+}
+
+// "Check a signed payload before anything is sent: right token, not expired, current nonce, and signed"
+// "by the holder it names. Returns the holder address."
+async function verifyPayload(token, payload) {
+  const { signer, deadline, types, message } = describePayload(payload);
+  if (!ethers.utils.isAddress(payload.token || "") || ethers.utils.getAddress(payload.token) !== token.address) {
+    throw new Error(`Payload is for token ${payload.token}, not HedgexDao ${token.address}`);
+  }
+
+  let recovered;
+  try {
+    const signature = ethers.utils.joinSignature({ v: payload.v, r: payload.r, s: payload.s });
+    recovered = ethers.utils.verifyTypedData(await tokenDomain(token), types, message, signature);
+  } catch (err) {
+    throw new Error(`Malformed ${payload.type}: ${err.reason || err.message}`);
+  }
+  const holder = ethers.utils.getAddress(signer);
+  if (recovered !== holder) {
+    throw new Error(`Signature is not from ${holder} (recovers to ${recovered})`);
+  }
+
+  const { timestamp } = await token.provider.getBlock("latest");
+  if (ethers.BigNumber.from(deadline).lte(timestamp)) {
+    throw new Error(`${payload.type === "permit" ? "Permit" : "Delegation"} expired at ${deadline} (now ${timestamp})`);
+  }
+  const nonce = await token.nonces(holder);
+  if (!nonce.eq(message.nonce)) {
+    throw new Error(`Nonce ${message.nonce} is not the current nonce ${nonce} of ${holder}`);
+  }
+  return holder;
+}
+
+// "Verify, dry-run and send a payload from `token`'s signer (the relayer pays the gas)."
+// "Returns { holder, receipt }."
+async function submitPayload(token, payload) {
+  const holder = await verifyPayload(token, payload);
+  const { method, args } =
+    payload.type === "permit"
+      ? { method: "permit", args: [payload.owner, payload.spender, payload.value, payload.deadline, payload.v, payload.r, payload.s] }
+      : { method: "delegateBySig", args: [payload.delegatee, payload.nonce, payload.expiry, payload.v, payload.r, payload.s] };
+  // Surfaces the contract's own revert reason (e.g. a frozen holder) before anything is broadcast
+  await token.callStatic[method](...args);
+  const tx = await token[method](...args);
+  return { holder, receipt: await tx.wait() };
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  DELEGATION_TYPES,
+  tokenDomain,
+  signPermit,
+  signDelegation,
+  verifyPayload,
+  submitPayload,
+};
@@ -0,0 +1,189 @@
+// quote.js
+// "Tax-aware transfer quotes for HedgexDao, mirroring HedgexDao._transfer exactly."
+// "Works on a cached state object (no RPC) or fetches it from a deployed token."
+
+const { ethers } = require("ethers");
+
+const { BigNumber } = ethers;
+const FEE_DENOMINATOR = BigNumber.from(10_000);
+
+// "Read everything a quote between `accounts` depends on. The result can be cached and reused."
+async function fetchTaxState(token, accounts = []) {
+  const [
+    buyTax,
+    sellTax,
+    pairToPairTaxExempt,
+    supplyFloor,
+    totalSupply,
+    totalTaxBurned,
+    maxTaxBurn,
+    treasuryShare,
+    rewardsShare,
+  ] = await Promise.all([
+    token.buyTax(),
+    token.sellTax(),
+    token.pairToPairTaxExempt(),
+    token.supplyFloor(),
+    token.totalSupply(),
+    token.totalTaxBurned(),
+    token.maxTaxBurn(),
+    token.treasuryShare(),
+    token.rewardsShare(),
+  ]);
+  const pairs = {};
+  const excluded = {};
+  const overrides = {};
+  for (const account of accounts) {
+    const key = ethers.utils.getAddress(account);
+    let override;
+    [pairs[key], excluded[key], override] = await Promise.all([
+      token.automatedMarketMakerPairs(key),
+      token.isExcludedFromFee(key),
+      token.pairTaxOverrides(key),
+    ]);
+    if (override.enabled) {
+      overrides[key] = { buyTax: override.buyTax, sellTax: override.sellTax };
+    }
+  }
+  return {
+    buyTax,
+    sellTax,
+    pairToPairTaxExempt,
+    supplyFloor,
+    totalSupply,
+    totalTaxBurned,
+    maxTaxBurn,
+    treasuryShare,
+    rewardsShare,
+    pairs,
+    excluded,
+    overrides,
+  };
+}
+
+function flag(map, account) {
+  const key = ethers.utils.getAddress(account);
+  if (!(key in map)) {
+    throw new Error(`Tax state has no entry for ${key}; include it when fetching state`);
+  }
+  return map[key];
+}
+
+// "Rate in bps for from -> to, mirroring HedgexDao.getTaxRate. A cached state with a single"
+// "`burnTax` (and no buyTax/sellTax) is treated as the same rate for buys and sells."
+function taxRate(state, from, to) {
+  const fromPair = flag(state.pairs, from);
+  const toPair = flag(state.pairs, to);
+  const overrides = state.overrides || {};
+  const buyTax = state.buyTax === undefined ? state.burnTax : state.buyTax;
+  const sellTax = state.sellTax === undefined ? state.burnTax : state.sellTax;
+
+  if (toPair) {
+    if (fromPair && state.pairToPairTaxExempt) {
+      return BigNumber.from(0);
+    }
+    const o = overrides[ethers.utils.getAddress(to)];
+    return BigNumber.from(o ? o.sellTax : sellTax);
+  }
+  if (fromPair) {
+    const o = overrides[ethers.utils.getAddress(from)];
+    return BigNumber.from(o ? o.buyTax : buyTax);
+  }
+  return BigNumber.from(0);
+}
+
+// "What a transfer of `amount` from `from` to `to` burns, sends to treasury/rewards and delivers."
+// "Returns { amount, fee, burned, toTreasury, toRewards, received, taxed, clamped } as BigNumbers/booleans;"
+// "`fee` is the total taken and `clamped` means the burn leg hit the floor or the tax burn cap."
+// "totalTaxBurned/maxTaxBurn may be omitted from a cached state, meaning no tax burn cap;"
+// "treasuryShare/rewardsShare may be omitted, meaning the whole fee is burned."
+function quoteTransfer(state, from, to, amount) {
+  amount = BigNumber.from(amount);
+  const rate = taxRate(state, from, to);
+  const supplyFloor = BigNumber.from(state.supplyFloor);
+  const totalSupply = BigNumber.from(state.totalSupply);
+  const totalTaxBurned = BigNumber.from(state.totalTaxBurned || 0);
+  const maxTaxBurn = state.maxTaxBurn === undefined ? ethers.constants.MaxUint256 : BigNumber.from(state.maxTaxBurn);
+
+  const taxed = rate.gt(0) && !flag(state.excluded, from) && !flag(state.excluded, to);
+
+  let burned = BigNumber.from(0);
+  let toTreasury = BigNumber.from(0);
+  let toRewards = BigNumber.from(0);
+  let clamped = false;
+  if (taxed) {
+    let fee = amount.mul(rate).div(FEE_DENOMINATOR);
+    if (fee.isZero() && amount.gt(1) && amount.lt(1000)) {
+      fee = BigNumber.from(1); // contract enforces a minimum of 1 wei
+    }
+
+    // Split the fee; rounding dust stays in the burn leg
+    toTreasury = fee.mul(state.treasuryShare || 0).div(FEE_DENOMINATOR);
+    toRewards = fee.mul(state.rewardsShare || 0).div(FEE_DENOMINATOR);
+    burned = fee.sub(toTreasury).sub(toRewards);
+
+    // Do not burn past the floor or the tax burn cap (burn leg only)
+    const room = totalSupply.gt(supplyFloor) ? totalSupply.sub(supplyFloor) : BigNumber.from(0);
+    const budget = totalTaxBurned.lt(maxTaxBurn) ? maxTaxBurn.sub(totalTaxBurned) : BigNumber.from(0);
+    const burnable = room.lt(budget) ? room : budget;
+    if (burned.gt(burnable)) {
+      burned = burnable;
+      clamped = true;
+    }
+  }
+
+  const fee = burned.add(toTreasury).add(toRewards);
+  return {
+    amount,
+    fee,
+    burned,
+    toTreasury,
+    toRewards,
+    received: amount.sub(fee),
+    taxed: fee.gt(0),
+    clamped,
+  };
+}
+
+// "Smallest amount `from` must send so that `to` receives at least `receive`."
+// "`exact` is false when no amount delivers exactly `receive` (the fee rounding skips it)."
+function quoteForReceive(state, from, to, receive) {
+  receive = BigNumber.from(receive);
+  const rate = taxRate(state, from, to);
+  if (rate.gte(FEE_DENOMINATOR)) {
+    throw new Error("Burn tax of 100% or more can never deliver tokens");
+  }
+
+  // received(amount) is non-decreasing, so binary search between receive and the untaxed upper bound
+  let low = receive;
+  let high = receive.mul(FEE_DENOMINATOR).div(FEE_DENOMINATOR.sub(rate)).add(2);
+  while (low.lt(high)) {
+    const mid = low.add(high).div(2);
+    if (quoteTransfer(state, from, to, mid).received.gte(receive)) {
+      high = mid;
+    } else {
+      low = mid.add(1);
+    }
+  }
+
+  const quote = quoteTransfer(state, from, to, low);
+  return { ...quote, exact: quote.received.eq(receive) };
+}
+
+async function quoteTransferOnChain(token, from, to, amount) {
+  return quoteTransfer(await fetchTaxState(token, [from, to]), from, to, amount);
+}
+
+async function quoteForReceiveOnChain(token, from, to, receive) {
+  return quoteForReceive(await fetchTaxState(token, [from, to]), from, to, receive);
+}
+
+module.exports = {
+  FEE_DENOMINATOR,
+  fetchTaxState,
+  taxRate,
+  quoteTransfer,
+  quoteForReceive,
+  quoteTransferOnChain,
+  quoteForReceiveOnChain,
+};
@@ -0,0 +1,99 @@
+// relayer.js
+// "Minimal HTTP relayer for one HedgexDao: accepts signed permits and delegations (scripts/lib/permit.js)"
+// "and submits them from its own signer, so holders approve and delegate without spending gas."
+// "  POST /permit, POST /delegate  body: signed payload -> 200 { transactionHash, blockNumber, holder }"
+// "  GET  /status                  -> 200 { token, chainId, relayer, balance }"
+// "Invalid, expired, replayed or reverting payloads get 400 { error } and nothing is sent."
+// "Submissions run one at a time, so the relayer's own nonces never race."
+
+const http = require("http");
+const { submitPayload } = require("./permit");
+
+const ROUTES = { "/permit": "permit", "/delegate": "delegation" };
+const MAX_BODY_BYTES = 16 * 1024;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error(`Body larger than ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// "http.Server relaying for `token`, whose signer pays the gas. Call listen() on it to start."
+function createRelayer(token, { log = console.log } = {}) {
+  const signer = token.signer;
+  let queue = Promise.resolve();
+  const serial = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  async function handle(req, res) {
+    if (req.method === "GET" && req.url === "/status") {
+      const [{ chainId }, relayer] = await Promise.all([token.provider.getNetwork(), signer.getAddress()]);
+      const balance = await token.provider.getBalance(relayer);
+      return send(res, 200, { token: token.address, chainId, relayer, balance: balance.toString() });
+    }
+    const type = ROUTES[req.url];
+    if (req.method !== "POST" || !type) {
+      return send(res, 404, { error: `No route ${req.method} ${req.url}` });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (err) {
+      return send(res, 400, { error: `Invalid JSON body: ${err.message}` });
+    }
+    if (!payload || payload.type !== type) {
+      return send(res, 400, { error: `${req.url} expects a ${type} payload` });
+    }
+
+    try {
+      const { holder, receipt } = await serial(() => submitPayload(token, payload));
+      log(`${type} for ${holder}: ${receipt.transactionHash}`);
+      return send(res, 200, { transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber, holder });
+    } catch (err) {
+      log(`${type} rejected: ${err.message}`);
+      return send(res, 400, { error: err.message });
+    }
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((err) => send(res, 500, { error: err.message }));
+  });
+}
+
+// "POST a signed payload to a relayer at `url` (e.g. http://127.0.0.1:8787); resolves to its JSON reply."
+async function relayPayload(url, payload) {
+  const path = payload.type === "permit" ? "/permit" : "/delegate";
+  const res = await fetch(new URL(path, url), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  const body = await res.json();
+  if (!res.ok) {
+    throw new Error(`Relayer refused the ${payload.type}: ${body.error}`);
+  }
+  return body;
+}
+
+module.exports = {
+  createRelayer,
+  relayPayload,
+};
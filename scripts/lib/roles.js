@@ -0,0 +1,62 @@
+// roles.js
+// "HedgexDao roles: names, ids and current members replayed from RoleGranted / RoleRevoked logs."
+// "The admin is the owner (it holds DEFAULT_ADMIN_ROLE and may act as every role); the other roles"
+// "are granted by it with hgxd:grant-role / hgxd:revoke-role."
+
+const { ethers } = require("ethers");
+
+// Short names used by the tasks and the deploy config -> role constant on HedgexDao
+const ROLES = {
+  minter: "MINTER_ROLE",
+  feeManager: "FEE_MANAGER_ROLE",
+  snapshotter: "SNAPSHOT_ROLE",
+  compliance: "COMPLIANCE_ROLE",
+};
+
+const ROLE_IDS = Object.fromEntries(Object.entries(ROLES).map(([name, constant]) => [name, ethers.utils.id(constant)]));
+
+// "A role given as a short name (minter), its constant (MINTER_ROLE) or id -> { name, id }."
+function resolveRole(role) {
+  const byConstant = Object.keys(ROLES).find((name) => ROLES[name] === role);
+  const byId = Object.keys(ROLE_IDS).find((name) => ROLE_IDS[name] === String(role).toLowerCase());
+  const name = ROLES[role] ? role : byConstant || byId;
+  if (!name) {
+    throw new Error(`Unknown HedgexDao role "${role}" (expected one of ${Object.keys(ROLES).join(", ")})`);
+  }
+  return { name, id: ROLE_IDS[name] };
+}
+
+function roleName(id) {
+  const name = Object.keys(ROLE_IDS).find((n) => ROLE_IDS[n] === id);
+  return name || (id === ethers.constants.HashZero ? "admin" : id);
+}
+
+// "Members of every role at `toBlock`: { admin: [owner], minter: [...], ... }, replayed from fromBlock."
+async function roleMembers(token, { fromBlock = 0, toBlock } = {}) {
+  const latest = toBlock === undefined ? (await token.provider.getBlock("latest")).number : toBlock;
+  const iface = token.interface;
+  const logs = await token.provider.getLogs({
+    address: token.address,
+    topics: [[iface.getEventTopic("RoleGranted"), iface.getEventTopic("RoleRevoked")]],
+    fromBlock,
+    toBlock: latest,
+  });
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const members = Object.fromEntries(["admin", ...Object.keys(ROLES)].map((name) => [name, new Set()]));
+  for (const log of logs) {
+    const event = iface.parseLog(log);
+    const name = roleName(event.args.role);
+    members[name] = members[name] || new Set();
+    members[name][event.name === "RoleGranted" ? "add" : "delete"](event.args.account);
+  }
+  return Object.fromEntries(Object.entries(members).map(([name, set]) => [name, [...set]]));
+}
+
+module.exports = {
+  ROLES,
+  ROLE_IDS,
+  resolveRole,
+  roleName,
+  roleMembers,
+};
@@ -0,0 +1,186 @@
+// safeBatch.js
+// "Encode HedgexDao owner calls into a Safe Transaction Builder batch instead of broadcasting them,"
+// "and decode such a batch back into readable HedgexDao calls for the signers to review."
+// "When HedgexDao is owned by a timelock, the batch holds timelock schedule/execute calls wrapping them."
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const TX_BUILDER_VERSION = "1.16.5";
+
+function createBatch({ chainId, safe, name = "HedgexDao admin batch" }) {
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description: "",
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safe,
+      createdFromOwnerAddress: "",
+    },
+    transactions: [],
+  };
+}
+
+function formatArg(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(formatArg).join(",")}]`;
+  }
+  return String(value);
+}
+
+function summarize(fragment, args) {
+  const parts = fragment.inputs.map((input, i) => `${input.name || `arg${i}`}=${formatArg(args[i])}`);
+  return `${fragment.name}(${parts.join(", ")})`;
+}
+
+// "Encode one call as a Transaction Builder entry (raw calldata plus the method/inputs the UI displays)."
+function encodeTransaction(iface, to, method, args, value = 0) {
+  const fragment = iface.getFunction(method);
+  const data = iface.encodeFunctionData(fragment, args);
+  const contractInputsValues = {};
+  fragment.inputs.forEach((input, i) => {
+    contractInputsValues[input.name] = formatArg(args[i]);
+  });
+
+  return {
+    to: ethers.utils.getAddress(to),
+    value: ethers.BigNumber.from(value).toString(),
+    data,
+    contractMethod: {
+      inputs: fragment.inputs.map((input) => ({ internalType: input.type, name: input.name, type: input.type })),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues,
+    summary: summarize(fragment, args),
+  };
+}
+
+// "Encode a timelock schedule/execute of a HedgexDao call; the summary names the wrapped call."
+function encodeTimelockTransaction(timelockIface, timelock, method, args, iface) {
+  const tx = encodeTransaction(timelockIface, timelock, method, args);
+  const inner = iface.parseTransaction({ data: args[2] });
+  tx.summary = `${method} via timelock: ${summarize(inner.functionFragment, inner.args)}`;
+  return tx;
+}
+
+function addTransaction(batch, tx) {
+  batch.transactions.push(tx);
+  batch.meta.description = batch.transactions.map((t, i) => `${i + 1}. ${t.summary}`).join("\n");
+  return batch;
+}
+
+function loadBatch(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveBatch(file, batch) {
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+}
+
+function parseWith(ifaces, data, value) {
+  for (const iface of ifaces) {
+    try {
+      return iface.parseTransaction({ data, value });
+    } catch (err) {
+      // try the next ABI
+    }
+  }
+  return null;
+}
+
+// "Decode every transaction of a batch against the HedgexDao ABI, and timelock schedule/execute"
+// "calls (when `timelockIface` is given) down to the HedgexDao call they wrap."
+// "Entries exported by the Safe UI may carry only contractMethod/contractInputsValues (data: null);"
+// "those are re-encoded so both shapes decode the same way."
+function decodeBatch(batch, iface, { token, timelockIface } = {}) {
+  const ifaces = timelockIface ? [iface, timelockIface] : [iface];
+  return batch.transactions.map((tx, index) => {
+    let data = tx.data;
+    if (!data || data === "0x") {
+      if (!tx.contractMethod) {
+        throw new Error(`Transaction ${index}: no calldata and no contractMethod`);
+      }
+      const known = ifaces.find((i) => Object.values(i.functions).some((f) => f.name === tx.contractMethod.name));
+      if (!known) {
+        throw new Error(`Transaction ${index}: ${tx.contractMethod.name} is not a HedgexDao call`);
+      }
+      const fragment = known.getFunction(tx.contractMethod.name);
+      const inputs = fragment.inputs.map((input) => {
+        const raw = tx.contractInputsValues[input.name];
+        return input.type === "bool" ? raw === true || raw === "true" : raw;
+      });
+      data = known.encodeFunctionData(fragment, inputs);
+    }
+
+    let parsed = parseWith([iface], data, tx.value);
+    let summary = parsed && summarize(parsed.functionFragment, parsed.args);
+    // HedgexDao address the call ends up at (the wrapped target for timelock calls)
+    let target = tx.to;
+    if (!parsed && timelockIface) {
+      parsed = parseWith([timelockIface], data, tx.value);
+      const inner = parsed && ["schedule", "execute"].includes(parsed.name) && parseWith([iface], parsed.args[2]);
+      if (!inner) {
+        parsed = null;
+      } else {
+        summary = `${parsed.name} via timelock: ${summarize(inner.functionFragment, inner.args)}`;
+        target = parsed.args[0];
+      }
+    }
+    if (!parsed) {
+      throw new Error(`Transaction ${index}: calldata is not a HedgexDao call (${data.slice(0, 10)})`);
+    }
+
+    const args = {};
+    parsed.functionFragment.inputs.forEach((input, i) => {
+      args[input.name] = parsed.args[i];
+    });
+
+    const warnings = [];
+    if (token && ethers.utils.getAddress(target) !== ethers.utils.getAddress(token)) {
+      warnings.push(`target ${target} is not HedgexDao ${token}`);
+    }
+    if (!ethers.BigNumber.from(tx.value || 0).isZero()) {
+      warnings.push(`sends ${tx.value} wei`);
+    }
+
+    return {
+      index,
+      to: ethers.utils.getAddress(tx.to),
+      value: ethers.BigNumber.from(tx.value || 0).toString(),
+      method: parsed.name,
+      args,
+      summary,
+      warnings,
+    };
+  });
+}
+
+function formatDecoded(decoded) {
+  return decoded
+    .map((call) => {
+      const lines = [`#${call.index + 1} ${call.to}: ${call.summary}`];
+      for (const warning of call.warnings) {
+        lines.push(`   ! ${warning}`);
+      }
+      return lines.join("\n");
+    })
+    .join("\n");
+}
+
+module.exports = {
+  createBatch,
+  encodeTransaction,
+  encodeTimelockTransaction,
+  addTransaction,
+  loadBatch,
+  saveBatch,
+  decodeBatch,
+  formatDecoded,
+};
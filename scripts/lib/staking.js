@@ -0,0 +1,151 @@
+// staking.js
+// "HedgexStakingVault helpers: deploy (recorded as HedgexStakingVault in deployments/<network>.json, with its"
+// "lock tiers brought in line on re-runs), stake / unstake / claim from a signer, and a readable state summary."
+// "Excluding the vault from fee and pointing the HedgexDao `rewards` recipient at it are owner calls and go"
+// "through the admin tasks (hgxd:exclude, hgxd:set-fee-recipients, hgxd:set-fee-split)."
+
+const { ethers } = require("ethers");
+const { loadRecord, saveRecord, DEFAULT_DIR } = require("./deployments");
+
+const DAY = 24 * 60 * 60;
+const BPS = 10000;
+
+// "\"0:1,30:1.25,365:2\" (lock days : reward multiplier) -> [{ duration, multiplierBps }]. Tier 0 must not lock."
+function parseTiers(text) {
+  const tiers = text.split(",").map((item, i) => {
+    const [days, multiplier] = item.split(":").map((s) => s.trim());
+    const duration = Number(days);
+    const multiplierBps = Math.round(Number(multiplier) * BPS);
+    if (!Number.isInteger(duration) || duration < 0) {
+      throw new Error(`tier ${i}: lock days must be a non-negative integer: ${days}`);
+    }
+    if (!(multiplierBps >= BPS && multiplierBps <= 5 * BPS)) {
+      throw new Error(`tier ${i}: multiplier must be between 1 and 5: ${multiplier}`);
+    }
+    return { duration: duration * DAY, multiplierBps };
+  });
+  if (tiers[0].duration !== 0) {
+    throw new Error("tier 0 must have no lock (0 days)");
+  }
+  return tiers;
+}
+
+// "Deploy HedgexStakingVault once and set `tiers`; later runs attach to the recorded vault and only send"
+// "setLockTier for tiers that differ on-chain."
+async function deployStakingVault(hre, token, { rewardsDuration, tiers = [], dir = DEFAULT_DIR, log = console.log }) {
+  const [deployer] = await hre.ethers.getSigners();
+  const record = loadRecord(hre.network.name, dir);
+
+  let vault;
+  if (record.HedgexStakingVault) {
+    vault = await hre.ethers.getContractAt("HedgexStakingVault", record.HedgexStakingVault.address, deployer);
+    log(`HedgexStakingVault already deployed at: ${vault.address} (skipping)`);
+  } else {
+    const factory = await hre.ethers.getContractFactory("HedgexStakingVault", deployer);
+    vault = await factory.deploy(token.address, rewardsDuration);
+    const receipt = await vault.deployTransaction.wait();
+    record.HedgexStakingVault = {
+      address: vault.address,
+      deployer: deployer.address,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      args: [token.address, String(rewardsDuration)],
+    };
+    saveRecord(record, dir);
+    log(`HedgexStakingVault deployed at: ${vault.address}`);
+  }
+
+  const count = (await vault.lockTierCount()).toNumber();
+  for (let i = 0; i < tiers.length; i++) {
+    const { duration, multiplierBps } = tiers[i];
+    if (i < count) {
+      const current = await vault.lockTiers(i);
+      if (current.duration.eq(duration) && current.multiplierBps === multiplierBps) {
+        continue;
+      }
+    }
+    await (await vault.setLockTier(i, duration, multiplierBps)).wait();
+    log(`Lock tier ${i}: ${duration / DAY} days, ${multiplierBps / BPS}x`);
+  }
+  return { vault, record };
+}
+
+// "Approve (when needed) and stake `amount` in `tier` from `signer`; returns { positionId, receipt }."
+async function stake(vault, token, signer, amount, tier) {
+  const owner = await signer.getAddress();
+  if ((await token.allowance(owner, vault.address)).lt(amount)) {
+    await (await token.connect(signer).approve(vault.address, amount)).wait();
+  }
+  const receipt = await (await vault.connect(signer).stake(amount, tier)).wait();
+  const event = receipt.events.find((e) => e.event === "Staked");
+  return { positionId: event.args.positionId.toNumber(), receipt };
+}
+
+async function unstake(vault, signer, positionId) {
+  return (await vault.connect(signer).unstake(positionId)).wait();
+}
+
+// "Claim from `signer`; returns { paid, receipt }."
+async function claim(vault, signer) {
+  const receipt = await (await vault.connect(signer).claim()).wait();
+  const event = receipt.events.find((e) => e.event === "RewardPaid");
+  return { paid: event ? event.args.amount : ethers.constants.Zero, receipt };
+}
+
+// "Vault-wide state, plus `account`'s positions, rewards and escrow delegation when given."
+async function stakingInfo(vault, token, account) {
+  const [totalStaked, totalWeight, rewardRate, periodFinish, pendingRewards, tierCount, latest] = await Promise.all([
+    vault.totalStaked(),
+    vault.totalWeight(),
+    vault.rewardRate(),
+    vault.periodFinish(),
+    vault.pendingRewards(),
+    vault.lockTierCount(),
+    vault.provider.getBlock("latest"),
+  ]);
+  const tiers = [];
+  for (let i = 0; i < tierCount.toNumber(); i++) {
+    const { duration, multiplierBps } = await vault.lockTiers(i);
+    tiers.push({ tier: i, duration: duration.toNumber(), multiplierBps, open: multiplierBps > 0 });
+  }
+  const info = {
+    totalStaked,
+    totalWeight,
+    rewardRate,
+    periodFinish: periodFinish.toNumber(),
+    pendingRewards,
+    streaming: periodFinish.gt(latest.timestamp),
+    tiers,
+  };
+  if (!account) {
+    return info;
+  }
+
+  const [staked, weight, earned, escrow, count] = await Promise.all([
+    vault.stakedOf(account),
+    vault.weightOf(account),
+    vault.earned(account),
+    vault.escrowOf(account),
+    vault.positionCount(account),
+  ]);
+  const positions = [];
+  for (let id = 0; id < count.toNumber(); id++) {
+    const { amount, lockEnd, multiplierBps } = await vault.positions(account, id);
+    if (!amount.isZero()) {
+      positions.push({ id, amount, lockEnd: lockEnd.toNumber(), multiplierBps, unlocked: lockEnd.lte(latest.timestamp) });
+    }
+  }
+  const delegatee = escrow === ethers.constants.AddressZero ? null : await token.delegates(escrow);
+  info.account = { address: account, staked, weight, earned, escrow, delegatee, positions };
+  return info;
+}
+
+module.exports = {
+  DAY,
+  parseTiers,
+  deployStakingVault,
+  stake,
+  unstake,
+  claim,
+  stakingInfo,
+};
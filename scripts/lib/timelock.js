@@ -0,0 +1,148 @@
+// timelock.js
+// "HedgexDao owner calls routed through a HedgexTimelock (OpenZeppelin TimelockController) owner."
+// "An op is identified by its target, calldata and salt, so re-running the same admin task finds it again:"
+// "the first run schedules it, later runs report it as queued, and once the delay has passed it is executed."
+
+const { ethers } = require("ethers");
+
+const TIMELOCK_ABI = [
+  "function getMinDelay() view returns (uint256)",
+  "function hashOperation(address target, uint256 value, bytes data, bytes32 predecessor, bytes32 salt) pure returns (bytes32)",
+  "function getTimestamp(bytes32 id) view returns (uint256)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function PROPOSER_ROLE() view returns (bytes32)",
+  "function EXECUTOR_ROLE() view returns (bytes32)",
+  "function CANCELLER_ROLE() view returns (bytes32)",
+  "function schedule(address target, uint256 value, bytes data, bytes32 predecessor, bytes32 salt, uint256 delay)",
+  "function execute(address target, uint256 value, bytes payload, bytes32 predecessor, bytes32 salt) payable",
+  "function cancel(bytes32 id)",
+  "event CallScheduled(bytes32 indexed id, uint256 indexed index, address target, uint256 value, bytes data, bytes32 predecessor, uint256 delay)",
+  "event CallExecuted(bytes32 indexed id, uint256 indexed index, address target, uint256 value, bytes data)",
+  "event CallSalt(bytes32 indexed id, bytes32 salt)",
+  "event Cancelled(bytes32 indexed id)",
+];
+
+// TimelockController marks executed operations with timestamp 1
+const DONE_TIMESTAMP = 1;
+
+// "Return `address` as a timelock contract (on `signerOrProvider`) if it is one, otherwise null."
+async function asTimelock(address, signerOrProvider) {
+  const provider = signerOrProvider.provider || signerOrProvider;
+  if ((await provider.getCode(address)) === "0x") {
+    return null;
+  }
+  const timelock = new ethers.Contract(address, TIMELOCK_ABI, signerOrProvider);
+  try {
+    await timelock.getMinDelay();
+  } catch (err) {
+    return null;
+  }
+  return timelock;
+}
+
+// "Salt for an op: zero by default, or the keccak256 of a label so the same call can be queued again."
+function toSalt(label) {
+  return label ? ethers.utils.id(label) : ethers.constants.HashZero;
+}
+
+// "The timelock operation that runs `op` on `token`."
+async function timelockCall(timelock, token, op, { salt } = {}) {
+  const call = {
+    target: token.address,
+    value: 0,
+    data: token.interface.encodeFunctionData(op.method, op.args),
+    predecessor: ethers.constants.HashZero,
+    salt: toSalt(salt),
+  };
+  call.id = await timelock.hashOperation(call.target, call.value, call.data, call.predecessor, call.salt);
+  return call;
+}
+
+// "unset | pending | ready | done, plus the unix time it becomes executable (null unless pending/ready)."
+async function operationState(timelock, id) {
+  const timestamp = (await timelock.getTimestamp(id)).toNumber();
+  if (timestamp === 0) {
+    return { state: "unset", eta: null };
+  }
+  if (timestamp === DONE_TIMESTAMP) {
+    return { state: "done", eta: null };
+  }
+  const now = (await timelock.provider.getBlock("latest")).timestamp;
+  return { state: timestamp <= now ? "ready" : "pending", eta: timestamp };
+}
+
+async function requireRole(timelock, role, account, label) {
+  const roleId = await timelock[role]();
+  // Granting a role to address(0) opens it to anyone (OpenZeppelin convention for executors)
+  const open = role === "EXECUTOR_ROLE" && (await timelock.hasRole(roleId, ethers.constants.AddressZero));
+  if (!open && !(await timelock.hasRole(roleId, account))) {
+    throw new Error(`${account} is not a ${label} on timelock ${timelock.address}`);
+  }
+}
+
+async function scheduleCall(timelock, call, from) {
+  await requireRole(timelock, "PROPOSER_ROLE", from, "proposer");
+  const delay = await timelock.getMinDelay();
+  const tx = await timelock.schedule(call.target, call.value, call.data, call.predecessor, call.salt, delay);
+  return tx.wait();
+}
+
+async function executeCall(timelock, call, from) {
+  await requireRole(timelock, "EXECUTOR_ROLE", from, "executor");
+  const tx = await timelock.execute(call.target, call.value, call.data, call.predecessor, call.salt);
+  return tx.wait();
+}
+
+async function cancelOperation(timelock, id, from) {
+  await requireRole(timelock, "CANCELLER_ROLE", from, "canceller");
+  const { state } = await operationState(timelock, id);
+  if (state !== "pending" && state !== "ready") {
+    throw new Error(`Operation ${id} is ${state}, nothing to cancel`);
+  }
+  const tx = await timelock.cancel(id);
+  return tx.wait();
+}
+
+// "Every operation ever scheduled on the timelock, with its current state and the decoded call"
+// "when it targets `token`."
+async function listOperations(timelock, token, { fromBlock = 0 } = {}) {
+  const scheduled = await timelock.queryFilter(timelock.filters.CallScheduled(), fromBlock);
+  const operations = [];
+  for (const event of scheduled) {
+    const { id, target, value, data, delay } = event.args;
+    let call = null;
+    if (ethers.utils.getAddress(target) === token.address) {
+      try {
+        call = token.interface.parseTransaction({ data, value });
+      } catch (err) {
+        call = null;
+      }
+    }
+    // A cancelled id reads as unset again
+    const { state, eta } = await operationState(timelock, id);
+    operations.push({
+      id,
+      block: event.blockNumber,
+      target,
+      data,
+      delay,
+      call,
+      state: state === "unset" ? "cancelled" : state,
+      eta,
+    });
+  }
+  return operations;
+}
+
+module.exports = {
+  TIMELOCK_ABI,
+  asTimelock,
+  toSalt,
+  timelockCall,
+  operationState,
+  requireRole,
+  scheduleCall,
+  executeCall,
+  cancelOperation,
+  listOperations,
+};
@@ -0,0 +1,57 @@
+// uniswapV2.js
+// "Local Uniswap V2 (factory, router, WETH9) deployed from the official npm build artifacts, so HGXD pairs"
+// "can be exercised with real swaps on the Hardhat network or a local node."
+// "The published UniswapV2Pair bytecode hashes to the init code hash compiled into the router, so the"
+// "router finds pairs created by this factory exactly as on mainnet."
+
+const ARTIFACTS = {
+  UniswapV2Factory: "@uniswap/v2-core/build/UniswapV2Factory.json",
+  UniswapV2Pair: "@uniswap/v2-core/build/UniswapV2Pair.json",
+  UniswapV2Router02: "@uniswap/v2-periphery/build/UniswapV2Router02.json",
+  WETH9: "@uniswap/v2-periphery/build/WETH9.json",
+  // Plain test ERC20 (constructor(uint256 totalSupply) mints to the deployer), e.g. for multi-hop routes
+  ERC20: "@uniswap/v2-periphery/build/ERC20.json",
+};
+
+// "ethers ContractFactory for one of the Uniswap build artifacts above."
+function uniswapFactory(hre, name, signer) {
+  if (!ARTIFACTS[name]) {
+    throw new Error(`Unknown Uniswap V2 artifact "${name}" (expected ${Object.keys(ARTIFACTS).join(", ")})`);
+  }
+  const artifact = require(ARTIFACTS[name]);
+  return new hre.ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+}
+
+// "Deploy WETH9, UniswapV2Factory (feeToSetter = signer) and UniswapV2Router02."
+async function deployUniswapV2(hre, signer) {
+  const weth = await uniswapFactory(hre, "WETH9", signer).deploy();
+  const factory = await uniswapFactory(hre, "UniswapV2Factory", signer).deploy(signer.address);
+  const router = await uniswapFactory(hre, "UniswapV2Router02", signer).deploy(factory.address, weth.address);
+  await router.deployTransaction.wait();
+  return { weth, factory, router };
+}
+
+// "The tokenA/tokenB pair (created if missing) as a UniswapV2Pair contract on `signer`."
+async function getOrCreatePair(hre, { factory }, tokenA, tokenB, signer) {
+  let address = await factory.getPair(tokenA, tokenB);
+  if (address === hre.ethers.constants.AddressZero) {
+    await (await factory.connect(signer).createPair(tokenA, tokenB)).wait();
+    address = await factory.getPair(tokenA, tokenB);
+  }
+  return uniswapFactory(hre, "UniswapV2Pair", signer).attach(address);
+}
+
+// "Reserves of `pair` as { token, other } for `token` (UniswapV2Pair orders them by address)."
+async function pairReserves(pair, token) {
+  const [reserve0, reserve1] = await pair.getReserves();
+  const isToken0 = (await pair.token0()).toLowerCase() === token.toLowerCase();
+  return isToken0 ? { token: reserve0, other: reserve1 } : { token: reserve1, other: reserve0 };
+}
+
+module.exports = {
+  ARTIFACTS,
+  uniswapFactory,
+  deployUniswapV2,
+  getOrCreatePair,
+  pairReserves,
+};
@@ -0,0 +1,81 @@
+// upgrades.js
+// "Upgradeable HedgexDao: HedgexDaoUpgradeable behind a transparent proxy (OpenZeppelin Upgrades plugin)."
+// "The proxy's ProxyAdmin is handed to the same owner as the token, so an upgrade is just another owner"
+// "call and goes through the same timelock / Safe / governor path (hgxd:upgrade)."
+// "Every new implementation is checked against the running one's storage layout before it is deployed."
+
+const { ethers } = require("ethers");
+
+// ERC-1967 slots: keccak256("eip1967.proxy.implementation") - 1 and keccak256("eip1967.proxy.admin") - 1
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+const PROXY_ADMIN_ABI = [
+  "function owner() view returns (address)",
+  "function getProxyImplementation(address proxy) view returns (address)",
+  "function getProxyAdmin(address proxy) view returns (address)",
+  "function upgrade(address proxy, address implementation)",
+  "function transferOwnership(address newOwner)",
+];
+
+const PROXY_KIND = "transparent";
+
+async function readSlotAddress(provider, address, slot) {
+  const value = await provider.getStorageAt(address, slot);
+  return ethers.utils.getAddress(ethers.utils.hexDataSlice(value, 12));
+}
+
+// "{ implementation, admin } of an ERC-1967 proxy, or null when `address` is not one (e.g. a plain HedgexDao)."
+async function proxyInfo(provider, address) {
+  const implementation = await readSlotAddress(provider, address, IMPLEMENTATION_SLOT);
+  if (implementation === ethers.constants.AddressZero) {
+    return null;
+  }
+  return { implementation, admin: await readSlotAddress(provider, address, ADMIN_SLOT) };
+}
+
+// "The ProxyAdmin of the HedgexDao proxy at `proxy`, on `signerOrProvider`."
+async function getProxyAdmin(proxy, signerOrProvider) {
+  const provider = signerOrProvider.provider || signerOrProvider;
+  const info = await proxyInfo(provider, proxy);
+  if (!info) {
+    throw new Error(`HedgexDao ${proxy} is not an upgradeable proxy (deploy with upgradeable: true)`);
+  }
+  return new ethers.Contract(info.admin, PROXY_ADMIN_ABI, signerOrProvider);
+}
+
+// "Deploy `contractName` behind a new transparent proxy and run initialize(...args)."
+async function deployHedgexDaoProxy(hre, contractName, args, signer) {
+  const factory = await hre.ethers.getContractFactory(contractName, signer);
+  const proxy = await hre.upgrades.deployProxy(factory, args, { kind: PROXY_KIND, initializer: "initialize" });
+  const receipt = await proxy.deployTransaction.wait();
+  return { proxy, receipt, ...(await proxyInfo(hre.ethers.provider, proxy.address)) };
+}
+
+// "Storage-layout and upgrade-safety check of `contractName` against the implementation `proxy` runs now."
+async function validateHedgexDaoUpgrade(hre, proxy, contractName) {
+  const factory = await hre.ethers.getContractFactory(contractName);
+  try {
+    await hre.upgrades.validateUpgrade(proxy, factory, { kind: PROXY_KIND });
+  } catch (err) {
+    throw new Error(`${contractName} cannot upgrade HedgexDao ${proxy}: ${err.message}`);
+  }
+}
+
+// "Validate, then deploy the `contractName` implementation (an identical one already deployed is reused)."
+async function prepareHedgexDaoUpgrade(hre, proxy, contractName) {
+  await validateHedgexDaoUpgrade(hre, proxy, contractName);
+  const factory = await hre.ethers.getContractFactory(contractName);
+  return hre.upgrades.prepareUpgrade(proxy, factory, { kind: PROXY_KIND });
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  ADMIN_SLOT,
+  PROXY_ADMIN_ABI,
+  proxyInfo,
+  getProxyAdmin,
+  deployHedgexDaoProxy,
+  validateHedgexDaoUpgrade,
+  prepareHedgexDaoUpgrade,
+};
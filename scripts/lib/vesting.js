@@ -0,0 +1,311 @@
+// vesting.js
+// "Team / investor vesting from a CSV: one HedgexVestingWallet per row (cliff + linear release), funded by"
+// "transfer from the signer or by mint. Wallets are recorded in deployments/<network>.json under `vesting`,"
+// "so a re-run only deploys / funds what is missing."
+// "Also projects circulating supply (totalSupply minus unvested allocations) against supplyFloor and cap,"
+// "with the most the emission schedule lets mint() add by each point in time."
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { DECIMALS, checkAddress, parseAmount } = require("./deployConfig");
+const { loadRecord, saveRecord, DEFAULT_DIR } = require("./deployments");
+
+const { BigNumber } = ethers;
+const DAY = 24 * 60 * 60;
+const CSV_COLUMNS = ["beneficiary", "amount", "start", "cliffDays", "durationDays"];
+
+// ====== CSV ======
+
+// "start is a unix timestamp or an ISO date (2027-01-01 = midnight UTC)."
+function parseStart(value, line) {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`line ${line}: start is not a unix timestamp or ISO date: ${value}`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+// "Rows of beneficiary,amount,start,cliffDays,durationDays[,label] -> normalized vesting entries."
+function parseVestingCsv(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim());
+  const header = lines[0].split(",").map((h) => h.trim());
+  const missing = CSV_COLUMNS.filter((c) => !header.includes(c));
+  if (missing.length) {
+    throw new Error(`Vesting CSV is missing column(s): ${missing.join(", ")}`);
+  }
+  const col = (cells, name) => (cells[header.indexOf(name)] || "").trim();
+
+  const entries = [];
+  const keys = new Set();
+  lines.slice(1).forEach((raw, i) => {
+    const line = i + 2;
+    if (raw === "" || raw.startsWith("#")) {
+      return;
+    }
+    const cells = raw.split(",");
+    const days = (name) => {
+      const value = Number(col(cells, name));
+      if (col(cells, name) === "" || !Number.isInteger(value) || value < 0) {
+        throw new Error(`line ${line}: ${name} must be a non-negative integer: ${col(cells, name)}`);
+      }
+      return value;
+    };
+    const entry = {
+      beneficiary: checkAddress(`line ${line}: beneficiary`, col(cells, "beneficiary")),
+      amount: parseAmount(`line ${line}: amount`, col(cells, "amount")),
+      start: parseStart(col(cells, "start"), line),
+      cliff: days("cliffDays") * DAY,
+      duration: days("durationDays") * DAY,
+      label: header.includes("label") ? col(cells, "label") : "",
+    };
+    if (entry.amount.isZero()) {
+      throw new Error(`line ${line}: amount must be > 0`);
+    }
+    if (entry.duration === 0) {
+      throw new Error(`line ${line}: durationDays must be > 0`);
+    }
+    // HedgexVestingWallet: "Cliff > duration"
+    if (entry.cliff > entry.duration) {
+      throw new Error(`line ${line}: cliffDays > durationDays`);
+    }
+    entry.key = vestingKey(entry);
+    if (keys.has(entry.key)) {
+      throw new Error(`line ${line}: duplicate vesting for ${entry.beneficiary} with the same schedule`);
+    }
+    keys.add(entry.key);
+    entries.push(entry);
+  });
+  return entries;
+}
+
+function vestingKey({ beneficiary, start, cliff, duration }) {
+  return `${beneficiary}:${start}:${cliff}:${duration}`;
+}
+
+function loadVestingCsv(file) {
+  return parseVestingCsv(fs.readFileSync(file, "utf8"));
+}
+
+// ====== Deploy / fund ======
+
+// "Deploy and fund the wallets for `entries`; fund = "transfer" (from the signer) or "mint" (minter / owner)."
+async function deployVesting(hre, token, entries, { fund = "transfer", dryRun = false, dir = DEFAULT_DIR, log = console.log } = {}) {
+  if (!["transfer", "mint"].includes(fund)) {
+    throw new Error(`Unknown funding "${fund}" (expected transfer or mint)`);
+  }
+  const { ethers: hreEthers } = hre;
+  const [signer] = await hreEthers.getSigners();
+  const record = loadRecord(hre.network.name, dir);
+  record.vesting = record.vesting || {};
+
+  // What is still to be funded, per entry
+  const plan = [];
+  for (const entry of entries) {
+    const recorded = record.vesting[entry.key];
+    let funded = BigNumber.from(0);
+    if (recorded) {
+      const wallet = await hreEthers.getContractAt("HedgexVestingWallet", recorded.address);
+      funded = (await token.balanceOf(wallet.address)).add(await wallet["released(address)"](token.address));
+    }
+    plan.push({ entry, recorded, missing: funded.gte(entry.amount) ? BigNumber.from(0) : entry.amount.sub(funded) });
+  }
+
+  const total = plan.reduce((acc, p) => acc.add(p.missing), BigNumber.from(0));
+  const fmt = (v) => ethers.utils.formatUnits(v, DECIMALS);
+  if (fund === "transfer") {
+    const balance = await token.balanceOf(signer.address);
+    if (balance.lt(total)) {
+      throw new Error(`Funding needs ${fmt(total)} HGXD, signer ${signer.address} holds ${fmt(balance)}`);
+    }
+  } else {
+    const headroom = (await token.cap()).sub(await token.totalSupply());
+    if (headroom.lt(total)) {
+      throw new Error(`Minting ${fmt(total)} HGXD exceeds cap headroom ${fmt(headroom)}`);
+    }
+    // Checked before deploying anything, so a mint the schedule refuses leaves no unfunded wallet behind
+    const [epochLength, maxPerEpoch, minted] = await Promise.all([
+      token.mintEpochLength(),
+      token.maxMintPerEpoch(),
+      token.mintedInCurrentEpoch(),
+    ]);
+    const epochLeft = maxPerEpoch.sub(minted);
+    if (!epochLength.isZero() && epochLeft.lt(total)) {
+      throw new Error(`Minting ${fmt(total)} HGXD exceeds the ${fmt(epochLeft)} left in the current mint epoch`);
+    }
+  }
+
+  for (const { entry, recorded, missing } of plan) {
+    const name = entry.label || entry.beneficiary;
+    log(`${name}: ${fmt(entry.amount)} HGXD, cliff ${entry.cliff / DAY}d, duration ${entry.duration / DAY}d` +
+      `${recorded ? ` at ${recorded.address}` : ""}, to fund ${fmt(missing)}`);
+  }
+  log(`Total to ${fund}: ${fmt(total)} HGXD`);
+  if (dryRun) {
+    log("Dry run: nothing deployed or sent");
+    return { record, plan, total };
+  }
+
+  for (const { entry, missing } of plan) {
+    let recorded = record.vesting[entry.key];
+    if (!recorded) {
+      const factory = await hreEthers.getContractFactory("HedgexVestingWallet", signer);
+      const wallet = await factory.deploy(entry.beneficiary, entry.start, entry.cliff, entry.duration);
+      const receipt = await wallet.deployTransaction.wait();
+      recorded = record.vesting[entry.key] = {
+        address: wallet.address,
+        label: entry.label,
+        beneficiary: entry.beneficiary,
+        amount: entry.amount.toString(),
+        start: entry.start,
+        cliff: entry.cliff,
+        duration: entry.duration,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+      };
+      saveRecord(record, dir);
+      log(`${entry.label || entry.beneficiary}: HedgexVestingWallet deployed at ${wallet.address}`);
+    }
+    if (!missing.isZero()) {
+      const connected = token.connect(signer);
+      const tx = fund === "mint" ? await connected.mint(recorded.address, missing) : await connected.transfer(recorded.address, missing);
+      const receipt = await tx.wait();
+      recorded.amount = entry.amount.toString();
+      recorded.funded = receipt.transactionHash;
+      saveRecord(record, dir);
+      log(`${entry.label || entry.beneficiary}: funded ${fmt(missing)} (${receipt.transactionHash})`);
+    }
+  }
+  return { record, plan, total };
+}
+
+// ====== Projection ======
+
+// "Mirror of HedgexVestingWallet.vestedAmount: 0 before the cliff, then linear from start to start + duration."
+function vestedAt({ amount, start, cliff, duration }, timestamp) {
+  const total = BigNumber.from(amount);
+  if (timestamp < start + cliff) {
+    return BigNumber.from(0);
+  }
+  if (timestamp >= start + duration) {
+    return total;
+  }
+  return total.mul(timestamp - start).div(duration);
+}
+
+// "Recorded wallets with their on-chain allocation (balance + released) and schedule."
+async function loadVestingWallets(hre, token, { dir = DEFAULT_DIR } = {}) {
+  const record = loadRecord(hre.network.name, dir);
+  const wallets = [];
+  for (const recorded of Object.values(record.vesting || {})) {
+    const wallet = await hre.ethers.getContractAt("HedgexVestingWallet", recorded.address);
+    const [balance, released, start, cliff, duration] = await Promise.all([
+      token.balanceOf(wallet.address),
+      wallet["released(address)"](token.address),
+      wallet.start(),
+      wallet.cliff(),
+      wallet.duration(),
+    ]);
+    wallets.push({
+      address: wallet.address,
+      label: recorded.label,
+      beneficiary: recorded.beneficiary,
+      amount: balance.add(released),
+      start: start.toNumber(),
+      cliff: Number(cliff) - start.toNumber(),
+      duration: duration.toNumber(),
+    });
+  }
+  return wallets;
+}
+
+// "Current supply state and emission schedule, as projectSupply takes them."
+async function supplyState(token) {
+  const [totalSupply, cap, supplyFloor, epochLength, scheduleStart, maxPerEpoch, mintedInEpoch] = await Promise.all([
+    token.totalSupply(),
+    token.cap(),
+    token.supplyFloor(),
+    token.mintEpochLength(),
+    token.mintScheduleStart(),
+    token.maxMintPerEpoch(),
+    token.mintedInCurrentEpoch(),
+  ]);
+  const schedule = epochLength.isZero()
+    ? null
+    : { epochLength: Number(epochLength), start: Number(scheduleStart), maxPerEpoch, mintedInEpoch };
+  return { totalSupply, cap, supplyFloor, schedule };
+}
+
+// "Upper bound on mint() between `from` and `to`: what is left of the running epoch plus maxPerEpoch for"
+// "each epoch that starts by `to`. Without a schedule everything up to cap can be minted at once."
+function maxEmission(schedule, from, to) {
+  if (!schedule) {
+    return ethers.constants.MaxUint256;
+  }
+  const epochOf = (t) => Math.floor((t - schedule.start) / schedule.epochLength);
+  const current = schedule.maxPerEpoch.gt(schedule.mintedInEpoch)
+    ? schedule.maxPerEpoch.sub(schedule.mintedInEpoch)
+    : BigNumber.from(0);
+  return current.add(schedule.maxPerEpoch.mul(Math.max(0, epochOf(to) - epochOf(from))));
+}
+
+// "One point per `step` seconds from `from`: locked (unvested) allocations, circulating supply, the most"
+// "totalSupply can reach through mint() by then, and supplyFloor / cap for comparison."
+function projectSupply({ totalSupply, cap, supplyFloor, schedule, wallets }, { from, step = 30 * DAY, points = 37 }) {
+  const result = [];
+  for (let i = 0; i < points; i++) {
+    const timestamp = from + i * step;
+    const locked = wallets.reduce(
+      (acc, w) => acc.add(BigNumber.from(w.amount).sub(vestedAt(w, timestamp))),
+      BigNumber.from(0)
+    );
+    const emission = maxEmission(schedule, from, timestamp);
+    const headroom = cap.sub(totalSupply);
+    const maxSupply = totalSupply.add(emission.lt(headroom) ? emission : headroom);
+    result.push({
+      timestamp,
+      locked,
+      circulating: totalSupply.sub(locked),
+      maxSupply,
+      maxCirculating: maxSupply.sub(locked),
+      supplyFloor,
+      cap,
+    });
+  }
+  return result;
+}
+
+function projectionCsv(points) {
+  const fmt = (v) => ethers.utils.formatUnits(v, DECIMALS);
+  const rows = ["date,timestamp,locked,circulating,maxSupply,maxCirculating,supplyFloor,cap"];
+  for (const p of points) {
+    rows.push(
+      [
+        new Date(p.timestamp * 1000).toISOString().slice(0, 10),
+        p.timestamp,
+        fmt(p.locked),
+        fmt(p.circulating),
+        fmt(p.maxSupply),
+        fmt(p.maxCirculating),
+        fmt(p.supplyFloor),
+        fmt(p.cap),
+      ].join(",")
+    );
+  }
+  return rows.join("\n") + "\n";
+}
+
+module.exports = {
+  DAY,
+  parseVestingCsv,
+  loadVestingCsv,
+  deployVesting,
+  vestedAt,
+  loadVestingWallets,
+  supplyState,
+  maxEmission,
+  projectSupply,
+  projectionCsv,
+};
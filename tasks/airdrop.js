@@ -0,0 +1,149 @@
+// airdrop.js
+// "Hardhat tasks for snapshot airdrops / dividends (scripts/lib/airdrop.js + HedgexMerkleDistributor)."
+// "build: snapshot -> allocations -> Merkle proof file; fund: create the distribution on-chain; claim: pay out."
+
+const { task, types } = require("hardhat/config");
+const { getDeployed, getHedgexDao, loadRecord, saveRecord } = require("../scripts/lib/deployments");
+const { checkAddress } = require("../scripts/lib/deployConfig");
+const {
+  snapshotBalances,
+  buildDistribution,
+  verifyClaim,
+  loadDistribution,
+  saveDistribution,
+} = require("../scripts/lib/airdrop");
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+];
+
+// "The recorded distributor, or a fresh one deployed and recorded when none exists yet."
+async function getOrDeployDistributor(hre, { address, signer }) {
+  const record = loadRecord(hre.network.name);
+  if (address || record.HedgexMerkleDistributor) {
+    return getDeployed(hre, "HedgexMerkleDistributor", { address, signer });
+  }
+  const factory = await hre.ethers.getContractFactory("HedgexMerkleDistributor", signer);
+  const distributor = await factory.deploy();
+  const receipt = await distributor.deployTransaction.wait();
+  record.HedgexMerkleDistributor = {
+    address: distributor.address,
+    deployer: signer.address,
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    args: [],
+  };
+  saveRecord(record);
+  console.log(`HedgexMerkleDistributor deployed at: ${distributor.address}`);
+  return distributor;
+}
+
+task("hgxd:airdrop-build", "Compute pro-rata allocations for a snapshot and write the Merkle proof file")
+  .addParam("amount", "Reward to split, in whole reward tokens (e.g. 100000)")
+  .addParam("out", "Proof file to write (JSON)")
+  .addOptionalParam("snapshotId", "HedgexDao snapshot id (defaults to the latest)", undefined, types.int)
+  .addOptionalParam("rewardToken", "ERC20 paid out (defaults to HGXD itself)")
+  .addOptionalParam("exclude", "Extra comma-separated addresses to exclude (pairs and the token are always excluded)", "")
+  .addOptionalParam("fromBlock", "First block to scan for holders (defaults to the deployment block)", undefined, types.int)
+  .addOptionalParam("chunkSize", "Blocks per getLogs request", 2000, types.int)
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .setAction(async (args, hre) => {
+    const token = await getHedgexDao(hre, { address: args.token });
+    const rewardToken = args.rewardToken ? checkAddress("rewardToken", args.rewardToken) : token.address;
+    const reward = new hre.ethers.Contract(rewardToken, ERC20_ABI, hre.ethers.provider);
+    const decimals = await reward.decimals();
+
+    let fromBlock = args.fromBlock;
+    if (fromBlock === undefined) {
+      const record = loadRecord(hre.network.name);
+      fromBlock = record.HedgexDao && record.HedgexDao.address === token.address ? record.HedgexDao.blockNumber : 0;
+    }
+    const exclude = args.exclude
+      .split(",")
+      .map((a) => a.trim())
+      .filter(Boolean)
+      .map((a, i) => checkAddress(`exclude[${i}]`, a));
+
+    const balances = await snapshotBalances(token, args.snapshotId, { exclude, fromBlock, chunkSize: args.chunkSize });
+    const distribution = buildDistribution({
+      token: token.address,
+      rewardToken,
+      reward: hre.ethers.utils.parseUnits(args.amount, decimals),
+      balances,
+    });
+    saveDistribution(args.out, distribution);
+
+    const fmt = (v) => hre.ethers.utils.formatUnits(v, decimals);
+    console.log(`Snapshot ${distribution.snapshotId} (block ${distribution.snapshotBlock}): ${Object.keys(distribution.claims).length} claims`);
+    console.log(`  eligible supply ${hre.ethers.utils.formatUnits(distribution.eligibleSupply, 18)} HGXD, ${distribution.excluded.length} excluded`);
+    console.log(`  total ${fmt(distribution.total)} ${await reward.symbol()}, rounding dust ${fmt(distribution.dust)}`);
+    console.log(`  merkle root ${distribution.merkleRoot} -> ${args.out}`);
+    return distribution;
+  });
+
+task("hgxd:airdrop-fund", "Create the distribution from a proof file on HedgexMerkleDistributor (pulls the total)")
+  .addParam("file", "Proof file from hgxd:airdrop-build")
+  .addOptionalParam("distributor", "HedgexMerkleDistributor address (defaults to the record; deployed if missing)")
+  .addOptionalParam("expiryDays", "Days after which unclaimed rewards can be reclaimed (0 = never)", 0, types.int)
+  .setAction(async ({ file, distributor: address, expiryDays }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const distribution = loadDistribution(file);
+    if (distribution.distributionId !== undefined) {
+      throw new Error(`${file} is already funded as distribution ${distribution.distributionId} on ${distribution.distributor}`);
+    }
+
+    const distributor = await getOrDeployDistributor(hre, { address, signer });
+    const reward = new hre.ethers.Contract(distribution.rewardToken, ERC20_ABI, signer);
+    if ((await reward.allowance(signer.address, distributor.address)).lt(distribution.total)) {
+      await (await reward.approve(distributor.address, distribution.total)).wait();
+    }
+
+    const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+    const expiry = expiryDays > 0 ? now + expiryDays * 24 * 60 * 60 : 0;
+    const receipt = await (
+      await distributor.createDistribution(
+        distribution.rewardToken,
+        distribution.merkleRoot,
+        distribution.snapshotId,
+        distribution.total,
+        expiry
+      )
+    ).wait();
+    const { distributionId } = receipt.events.find((e) => e.event === "DistributionCreated").args;
+
+    distribution.distributor = distributor.address;
+    distribution.distributionId = distributionId.toNumber();
+    distribution.expiry = expiry;
+    saveDistribution(file, distribution);
+    console.log(`Distribution ${distributionId} funded on ${distributor.address}: ${receipt.transactionHash}`);
+    return distribution;
+  });
+
+task("hgxd:airdrop-claim", "Claim an account's allocation from a funded proof file (anyone can submit)")
+  .addParam("file", "Proof file from hgxd:airdrop-build / hgxd:airdrop-fund")
+  .addOptionalParam("account", "Account to claim for (defaults to the signer)")
+  .setAction(async ({ file, account }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const distribution = loadDistribution(file);
+    if (distribution.distributionId === undefined) {
+      throw new Error(`${file} has not been funded yet (run hgxd:airdrop-fund)`);
+    }
+    const beneficiary = hre.ethers.utils.getAddress(account || signer.address);
+    const claim = distribution.claims[beneficiary];
+    if (!claim || !verifyClaim(distribution, beneficiary)) {
+      throw new Error(`${beneficiary} has no valid claim in ${file}`);
+    }
+
+    const distributor = await getDeployed(hre, "HedgexMerkleDistributor", { address: distribution.distributor, signer });
+    if (await distributor.isClaimed(distribution.distributionId, claim.index)) {
+      throw new Error(`${beneficiary} already claimed distribution ${distribution.distributionId}`);
+    }
+    const receipt = await (
+      await distributor.claim(distribution.distributionId, claim.index, beneficiary, claim.amount, claim.proof)
+    ).wait();
+    console.log(`Claimed ${claim.amount} for ${beneficiary}: ${receipt.transactionHash}`);
+    return receipt;
+  });
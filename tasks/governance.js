@@ -0,0 +1,116 @@
+// governance.js
+// "Hardhat tasks for HedgexGovernor proposals: delegate, vote, queue, execute and inspect."
+// "Proposals are created with any hgxd:* admin task plus --propose <description> (tasks/hgxd.js)."
+
+const { ethers } = require("ethers");
+const { task, types } = require("hardhat/config");
+const { getDeployed, getHedgexDao } = require("../scripts/lib/deployments");
+const {
+  proposalState,
+  findProposal,
+  describeProposal,
+  castVote,
+  queueProposal,
+  executeProposal,
+} = require("../scripts/lib/governance");
+
+async function resolve(hre, { token, governor }) {
+  const [signer] = await hre.ethers.getSigners();
+  return {
+    signer,
+    token: await getHedgexDao(hre, { address: token, signer }),
+    governor: await getDeployed(hre, "HedgexGovernor", { address: governor, signer }),
+  };
+}
+
+function governorTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+    .addOptionalParam("governor", "HedgexGovernor address (defaults to the deployment record)");
+}
+
+const fmt = (v) => ethers.utils.formatUnits(v, 18);
+
+function printProposal(p) {
+  console.log(`Proposal ${p.id} (${p.state}): ${p.description}`);
+  console.log(`  proposer ${p.proposer}, voting blocks ${p.voteStart}-${p.voteEnd}`);
+  console.log(`  for ${fmt(p.forVotes)} / against ${fmt(p.againstVotes)} / abstain ${fmt(p.abstainVotes)}, quorum ${fmt(p.quorum)}`);
+  if (p.eta) {
+    console.log(`  executable after ${new Date(p.eta * 1000).toISOString()}`);
+  }
+  for (const call of p.calls) {
+    console.log(`  - ${call}`);
+  }
+}
+
+governorTask("hgxd:delegate", "Delegate HGXD voting power (needed once before voting or proposing)")
+  .addOptionalParam("to", "Delegatee (defaults to the signer itself)")
+  .setAction(async (args, hre) => {
+    const { signer, token } = await resolve(hre, args);
+    const delegatee = args.to || signer.address;
+    const receipt = await (await token.delegate(delegatee)).wait();
+    console.log(`Delegated ${signer.address} -> ${delegatee}: ${receipt.transactionHash}`);
+    return receipt;
+  });
+
+governorTask("hgxd:proposals", "List HedgexGovernor proposals with their state and tallies")
+  .addOptionalParam("fromBlock", "First block to search for ProposalCreated", 0, types.int)
+  .setAction(async (args, hre) => {
+    const { token, governor } = await resolve(hre, args);
+    const events = await governor.queryFilter(governor.filters.ProposalCreated(), args.fromBlock);
+    const proposals = [];
+    for (const event of events) {
+      const proposal = await findProposal(governor, event.args.proposalId, { fromBlock: event.blockNumber });
+      proposals.push(await describeProposal(governor, token, proposal));
+    }
+    proposals.forEach(printProposal);
+    if (proposals.length === 0) {
+      console.log("No proposals");
+    }
+    return proposals;
+  });
+
+governorTask("hgxd:vote", "Vote on an active proposal")
+  .addParam("id", "Proposal id")
+  .addOptionalParam("support", "for, against or abstain", "for")
+  .addOptionalParam("reason", "Reason recorded on-chain")
+  .setAction(async (args, hre) => {
+    const { signer, governor } = await resolve(hre, args);
+    const receipt = await castVote(governor, args.id, args.support, args.reason);
+    const weight = receipt.events.find((e) => e.event === "VoteCast").args.weight;
+    console.log(`${signer.address} voted ${args.support} with ${fmt(weight)}: ${receipt.transactionHash}`);
+    return receipt;
+  });
+
+governorTask("hgxd:queue", "Queue a succeeded proposal on the timelock")
+  .addParam("id", "Proposal id")
+  .setAction(async (args, hre) => {
+    const { governor } = await resolve(hre, args);
+    const receipt = await queueProposal(governor, await findProposal(governor, args.id));
+    const eta = (await governor.proposalEta(args.id)).toNumber();
+    console.log(`Queued: ${receipt.transactionHash}, executable after ${new Date(eta * 1000).toISOString()}`);
+    return receipt;
+  });
+
+governorTask("hgxd:execute", "Execute a queued proposal once the timelock delay has passed")
+  .addParam("id", "Proposal id")
+  .setAction(async (args, hre) => {
+    const { governor } = await resolve(hre, args);
+    const receipt = await executeProposal(governor, await findProposal(governor, args.id));
+    console.log(`Executed: ${receipt.transactionHash} (${await proposalState(governor, args.id)})`);
+    return receipt;
+  });
+
+task("hgxd:mine", "Advance a local chain by blocks and/or seconds (hardhat / localhost only)")
+  .addOptionalParam("blocks", "Blocks to mine", 1, types.int)
+  .addOptionalParam("seconds", "Seconds to add before mining", 0, types.int)
+  .setAction(async ({ blocks, seconds }, hre) => {
+    if (!["hardhat", "localhost"].includes(hre.network.name)) {
+      throw new Error(`hgxd:mine only runs on a local network, not ${hre.network.name}`);
+    }
+    if (seconds > 0) {
+      await hre.network.provider.send("evm_increaseTime", [seconds]);
+    }
+    await hre.network.provider.send("hardhat_mine", [hre.ethers.utils.hexValue(blocks)]);
+    console.log(`Mined ${blocks} blocks, now at ${(await hre.ethers.provider.getBlock("latest")).number}`);
+  });
@@ -0,0 +1,527 @@
+// hgxd.js
+// "Hardhat tasks for day-to-day HedgexDao owner operations."
+// "Every task resolves the token from deployments/<network>.json (or --token), checks owner and bounds,"
+// "dry-runs the call with callStatic, prints the state diff and only then sends the transaction."
+// "With --safe-batch <file> the call is dry-run as the owner (the Safe) and appended to a"
+// "Transaction Builder batch file instead of being broadcast."
+// "When the owner is a HedgexTimelock, the call is scheduled on the first run and executed by a re-run"
+// "once the delay has passed (or, with --safe-batch, the schedule/execute call is exported)."
+// "With --propose <description> the call becomes a HedgexGovernor proposal instead (see tasks/governance.js)."
+// "A signer holding the op's role (e.g. a snapshotter bot running hgxd:snapshot) sends it directly,"
+// "whoever the owner is."
+// "hgxd:upgrade sends its op to the ProxyAdmin of an upgradeable HedgexDao, which has the same owner."
+
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { getDeployed, getHedgexDao, loadRecord } = require("../scripts/lib/deployments");
+const { buildProposal, propose } = require("../scripts/lib/governance");
+const { checkAddress } = require("../scripts/lib/deployConfig");
+const { isRoleCaller, prepareOp, formatDiff, sendOp } = require("../scripts/lib/adminOps");
+const { ROLES, roleMembers } = require("../scripts/lib/roles");
+const { getProxyAdmin, validateHedgexDaoUpgrade, prepareHedgexDaoUpgrade } = require("../scripts/lib/upgrades");
+const {
+  createBatch,
+  encodeTransaction,
+  encodeTimelockTransaction,
+  addTransaction,
+  loadBatch,
+  saveBatch,
+  decodeBatch,
+  formatDecoded,
+} = require("../scripts/lib/safeBatch");
+const {
+  TIMELOCK_ABI,
+  asTimelock,
+  timelockCall,
+  operationState,
+  requireRole,
+  scheduleCall,
+  executeCall,
+  cancelOperation,
+  listOperations,
+} = require("../scripts/lib/timelock");
+
+const isoTime = (t) => new Date(t * 1000).toISOString();
+
+// "`target` is the contract the op is sent to; defaults to HedgexDao."
+async function runAdminOp(
+  hre,
+  name,
+  params,
+  { token: address, dryRun, safeBatch, safe, salt, propose: description, governor },
+  target
+) {
+  const [signer] = await hre.ethers.getSigners();
+  const token = target || (await getHedgexDao(hre, { address, signer }));
+  // A role holder acts on its own: no timelock, Safe or proposal in between
+  const direct = (await token.owner()) !== signer.address && (await isRoleCaller(token, name, signer.address));
+  const timelock = direct ? null : await asTimelock(await token.owner(), signer);
+
+  if (description) {
+    return proposeOp(hre, token, name, params, { description, governor, dryRun, from: signer.address });
+  }
+  if (safeBatch) {
+    return exportToSafeBatch(hre, token, name, params, safeBatch, { timelock, safe, salt });
+  }
+  if (timelock) {
+    return runTimelocked(token, timelock, name, params, { dryRun, salt, from: signer.address });
+  }
+
+  const op = await prepareOp(token, name, params, signer.address);
+  console.log(formatDiff(op));
+
+  if (dryRun) {
+    console.log("Dry run: transaction not sent");
+    return op;
+  }
+
+  const receipt = await sendOp(token, op);
+  console.log(`Sent: ${receipt.transactionHash} (block ${receipt.blockNumber})`);
+  return receipt;
+}
+
+// "Schedule the op on the first run, report it while the delay runs, execute it once ready."
+async function runTimelocked(token, timelock, name, params, { dryRun, salt, from }) {
+  // Dry-run as the timelock: it is the caller when the operation executes
+  const op = await prepareOp(token, name, params, timelock.address);
+  console.log(formatDiff(op));
+
+  const call = await timelockCall(timelock, token, op, { salt });
+  const { state, eta } = await operationState(timelock, call.id);
+  console.log(`Timelock ${timelock.address} operation ${call.id}: ${state}${eta ? `, executable after ${isoTime(eta)}` : ""}`);
+  if (state === "done") {
+    throw new Error(`Operation ${call.id} was already executed; pass --salt to queue the same call again`);
+  }
+
+  if (dryRun) {
+    console.log("Dry run: transaction not sent");
+    return op;
+  }
+  if (state === "pending") {
+    console.log("Still in the timelock delay: nothing sent, re-run after the time above to execute");
+    return op;
+  }
+
+  if (state === "unset") {
+    const receipt = await scheduleCall(timelock, call, from);
+    const scheduled = await operationState(timelock, call.id);
+    console.log(`Scheduled: ${receipt.transactionHash} (block ${receipt.blockNumber}), executable after ${isoTime(scheduled.eta)}`);
+    return receipt;
+  }
+  const receipt = await executeCall(timelock, call, from);
+  console.log(`Executed: ${receipt.transactionHash} (block ${receipt.blockNumber})`);
+  return receipt;
+}
+
+// "Submit the op as a governor proposal; it is dry-run as the owner (the timelock) it will execute as."
+async function proposeOp(hre, token, name, params, { description, governor: address, dryRun, from }) {
+  const governor = await getDeployed(hre, "HedgexGovernor", { address });
+  const owner = await token.owner();
+  if (owner !== (await governor.timelock())) {
+    throw new Error(`HedgexDao owner ${owner} is not the timelock of governor ${governor.address}`);
+  }
+
+  const op = await prepareOp(token, name, params, owner);
+  console.log(formatDiff(op));
+  const proposal = await buildProposal(governor, token, [op], description);
+  console.log(`Proposal ${proposal.id}: ${description}`);
+
+  if (dryRun) {
+    console.log("Dry run: transaction not sent");
+    return proposal;
+  }
+  const receipt = await propose(governor, proposal, from);
+  const voteStart = await governor.proposalSnapshot(proposal.id);
+  const voteEnd = await governor.proposalDeadline(proposal.id);
+  console.log(`Proposed: ${receipt.transactionHash} (block ${receipt.blockNumber}), voting blocks ${voteStart}-${voteEnd}`);
+  return proposal;
+}
+
+// "The batch entry for `op`: the call itself, or its timelock schedule/execute when a timelock is the owner."
+async function batchTransaction(token, op, { timelock, safe, salt }) {
+  if (!timelock) {
+    return encodeTransaction(token.interface, token.address, op.method, op.args);
+  }
+  const call = await timelockCall(timelock, token, op, { salt });
+  const { state } = await operationState(timelock, call.id);
+  const args = [call.target, call.value, call.data, call.predecessor, call.salt];
+  if (state === "unset") {
+    await requireRole(timelock, "PROPOSER_ROLE", safe, "proposer");
+    args.push(await timelock.getMinDelay());
+    return encodeTimelockTransaction(timelock.interface, timelock.address, "schedule", args, token.interface);
+  }
+  if (state === "ready") {
+    await requireRole(timelock, "EXECUTOR_ROLE", safe, "executor");
+    return encodeTimelockTransaction(timelock.interface, timelock.address, "execute", args, token.interface);
+  }
+  throw new Error(`Timelock operation ${call.id} is ${state}; nothing to add to the batch`);
+}
+
+async function exportToSafeBatch(hre, token, name, params, file, { timelock, safe: proposer, salt } = {}) {
+  const owner = await token.owner();
+  // With a timelock owner the Safe is one of its proposers/executors, not the owner itself
+  if (timelock && !proposer) {
+    throw new Error(`HedgexDao is owned by timelock ${owner}; pass --safe <proposer Safe address>`);
+  }
+  const safe = timelock ? checkAddress("safe", proposer) : owner;
+  const op = await prepareOp(token, name, params, owner);
+  console.log(formatDiff(op));
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const batch = fs.existsSync(file) ? loadBatch(file) : createBatch({ chainId, safe });
+  if (batch.chainId !== String(chainId)) {
+    throw new Error(`${file} is a batch for chain ${batch.chainId}, not ${chainId}`);
+  }
+  if (batch.meta.createdFromSafeAddress !== safe) {
+    throw new Error(`${file} was created for Safe ${batch.meta.createdFromSafeAddress}, owner is ${safe}`);
+  }
+
+  addTransaction(batch, await batchTransaction(token, op, { timelock, safe, salt }));
+  saveBatch(file, batch);
+  console.log(`Added to Safe batch ${file} (${batch.transactions.length} transactions), not sent`);
+  return batch;
+}
+
+function adminTask(name, description, opName, declare, toParams, resolveTarget) {
+  const t = task(name, description)
+    .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+    .addOptionalParam("safeBatch", "Append the call to this Safe Transaction Builder file instead of sending")
+    .addOptionalParam("safe", "Proposer Safe for --safe-batch when the owner is a timelock")
+    .addOptionalParam("salt", "Timelock salt label, to queue a call identical to an executed one again")
+    .addOptionalParam("propose", "Submit the call as a HedgexGovernor proposal with this description")
+    .addOptionalParam("governor", "HedgexGovernor address for --propose (defaults to the deployment record)")
+    .addFlag("dryRun", "Only check and print the diff, do not send");
+  declare(t);
+  t.setAction(async (args, hre) =>
+    runAdminOp(hre, opName, await toParams(args, hre), args, resolveTarget && (await resolveTarget(args, hre)))
+  );
+  return t;
+}
+
+adminTask(
+  "hgxd:set-pair",
+  "Mark/unmark an AMM pair (setAutomatedMarketMakerPair)",
+  "setPair",
+  (t) =>
+    t
+      .addParam("pair", "Pair address")
+      .addOptionalParam("value", "true to mark, false to unmark", true, types.boolean),
+  ({ pair, value }) => ({ pair, value })
+);
+
+adminTask(
+  "hgxd:exclude",
+  "Exclude/include an account from burn tax (setExcludedFromFee)",
+  "exclude",
+  (t) =>
+    t
+      .addParam("account", "Account address")
+      .addOptionalParam("excluded", "true to exclude, false to include", true, types.boolean),
+  ({ account, excluded }) => ({ account, excluded })
+);
+
+adminTask(
+  "hgxd:set-tax",
+  "Set both buy and sell tax in basis points (setBurnTax)",
+  "setTax",
+  (t) => t.addParam("bps", "New burn tax in bps (e.g. 200 = 2%)", undefined, types.int),
+  ({ bps }) => ({ bps })
+);
+
+adminTask(
+  "hgxd:set-buy-tax",
+  "Set the buy tax (pair -> wallet) in basis points (setBuyTax)",
+  "setBuyTax",
+  (t) => t.addParam("bps", "New buy tax in bps", undefined, types.int),
+  ({ bps }) => ({ bps })
+);
+
+adminTask(
+  "hgxd:set-sell-tax",
+  "Set the sell tax (wallet -> pair) in basis points (setSellTax)",
+  "setSellTax",
+  (t) => t.addParam("bps", "New sell tax in bps", undefined, types.int),
+  ({ bps }) => ({ bps })
+);
+
+adminTask(
+  "hgxd:set-pair-tax",
+  "Override buy/sell tax for one pair, or --clear to use the defaults (setPairTaxOverride)",
+  "setPairTax",
+  (t) =>
+    t
+      .addParam("pair", "Pair address")
+      .addOptionalParam("buy", "Buy tax in bps for this pair (default: keep the current one)", undefined, types.int)
+      .addOptionalParam("sell", "Sell tax in bps for this pair (default: keep the current one)", undefined, types.int)
+      .addFlag("clear", "Remove the override"),
+  ({ pair, buy, sell, clear }) => ({ pair, enabled: !clear, buy, sell })
+);
+
+adminTask(
+  "hgxd:exempt-pair-hops",
+  "Exempt (or tax again) pair -> pair transfers (setPairToPairTaxExempt)",
+  "setPairHopExempt",
+  (t) => t.addOptionalParam("value", "true to exempt, false to tax", true, types.boolean),
+  ({ value }) => ({ exempt: value })
+);
+
+adminTask(
+  "hgxd:set-fee-split",
+  "Split the swap tax between burn, treasury and rewards in bps of the fee, summing to 10000 (setFeeSplit)",
+  "setFeeSplit",
+  (t) =>
+    t
+      .addParam("burn", "Burned share in bps", undefined, types.int)
+      .addOptionalParam("treasury", "Treasury share in bps", 0, types.int)
+      .addOptionalParam("rewards", "Rewards share in bps", 0, types.int),
+  ({ burn, treasury, rewards }) => ({ burn, treasury, rewards })
+);
+
+adminTask(
+  "hgxd:set-fee-recipients",
+  "Set the treasury and rewards addresses for the swap tax split (setFeeRecipients)",
+  "setFeeRecipients",
+  (t) =>
+    t
+      .addOptionalParam("treasury", "Treasury address (defaults to the current one)")
+      .addOptionalParam("rewards", "Rewards address (defaults to the current one)"),
+  ({ treasury, rewards }) => ({ treasury, rewards })
+);
+
+adminTask(
+  "hgxd:set-floor",
+  "Set the supply floor in whole tokens (setSupplyFloor)",
+  "setFloor",
+  (t) => t.addParam("floor", "New supply floor in tokens (e.g. 20000000)"),
+  ({ floor }) => ({ floor })
+);
+
+adminTask(
+  "hgxd:set-max-tax-burn",
+  "Set the cumulative swap-tax burn cap in whole tokens, or \"max\" for no cap (setMaxTaxBurn)",
+  "setMaxTaxBurn",
+  (t) => t.addParam("amount", "Cap in tokens (e.g. 1000000) or max"),
+  ({ amount }) => ({ amount })
+);
+
+adminTask(
+  "hgxd:snapshot",
+  "Take an ERC20Snapshot (snapshot)",
+  "snapshot",
+  (t) => t,
+  () => ({})
+);
+
+adminTask(
+  "hgxd:mint",
+  "Mint tokens within the cap (mint)",
+  "mint",
+  (t) => t.addParam("to", "Recipient address").addParam("amount", "Amount in tokens (e.g. 1000)"),
+  ({ to, amount }) => ({ to, amount })
+);
+
+adminTask(
+  "hgxd:set-mint-schedule",
+  "Limit mint to a max per epoch; once set the rate can only go down (setMintSchedule)",
+  "setMintSchedule",
+  (t) =>
+    t
+      .addParam("epochLength", "Epoch length in seconds (e.g. 2592000 = 30 days)", undefined, types.int)
+      .addParam("maxPerEpoch", "Max tokens minted per epoch (e.g. 100000)"),
+  ({ epochLength, maxPerEpoch }) => ({ epochLength, maxPerEpoch })
+);
+
+adminTask(
+  "hgxd:set-bridge-limits",
+  "Let a bridge mint / burn up to these whole tokens per day, excluded from fee; 0 / 0 removes it (setLimits)",
+  "setBridgeLimits",
+  (t) =>
+    t
+      .addParam("bridge", "Bridge contract address")
+      .addParam("mintingLimit", "Max tokens the bridge may mint per day (e.g. 100000)")
+      .addParam("burningLimit", "Max tokens the bridge may burn per day (e.g. 100000)"),
+  ({ bridge, mintingLimit, burningLimit }) => ({ bridge, mintingLimit, burningLimit })
+);
+
+adminTask(
+  "hgxd:enable-trading",
+  "Open buys/sells on AMM pairs to everyone; one-way, starts the launch limits countdown (enableTrading)",
+  "enableTrading",
+  (t) => t,
+  () => ({})
+);
+
+adminTask(
+  "hgxd:set-launch-limits",
+  "Set launch max tx / max wallet in whole tokens (0 = off), buy cooldown and expiry in blocks (setLaunchLimits)",
+  "setLaunchLimits",
+  (t) =>
+    t
+      .addOptionalParam("maxTx", "Max tokens per transfer (0 = off; defaults to the current value)")
+      .addOptionalParam("maxWallet", "Max tokens per wallet (0 = off; defaults to the current value)")
+      .addOptionalParam("buyCooldown", "true = one buy per block per buyer / tx.origin", undefined, types.boolean)
+      .addOptionalParam("blocks", "Limits lapse this many blocks after trading opens (0 = never)", undefined, types.int),
+  ({ maxTx, maxWallet, buyCooldown, blocks }) => ({ maxTx, maxWallet, buyCooldown, blocks })
+);
+
+adminTask(
+  "hgxd:freeze",
+  "Freeze an account with a reason code: no transfers, approvals spent or votes (freeze)",
+  "freeze",
+  (t) =>
+    t
+      .addParam("account", "Account address")
+      .addParam("reason", "Reason code, up to 31 chars (e.g. STOLEN_FUNDS) or 32-byte hex"),
+  ({ account, reason }) => ({ account, reason })
+);
+
+adminTask(
+  "hgxd:unfreeze",
+  "Lift a freeze, recording why (unfreeze)",
+  "unfreeze",
+  (t) =>
+    t
+      .addParam("account", "Account address")
+      .addParam("reason", "Reason code for the unfreeze (e.g. CLEARED)"),
+  ({ account, reason }) => ({ account, reason })
+);
+
+adminTask(
+  "hgxd:recover-frozen",
+  "Move a frozen account's whole balance to the treasury (recoverFrozenFunds)",
+  "recoverFrozen",
+  (t) => t.addParam("account", "Frozen account address"),
+  ({ account }) => ({ account })
+);
+
+adminTask(
+  "hgxd:recover-frozen-stake",
+  "Move a frozen account's staked HGXD and staking rewards to the treasury (HedgexStakingVault.recoverFrozenStake)",
+  "recoverFrozenStake",
+  (t) =>
+    t
+      .addParam("account", "Frozen account address")
+      .addOptionalParam("vault", "HedgexStakingVault address (defaults to the deployment record)"),
+  ({ account }) => ({ account }),
+  async ({ vault }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    return getDeployed(hre, "HedgexStakingVault", { address: vault, signer });
+  }
+);
+
+adminTask(
+  "hgxd:grant-role",
+  `Grant a role (${Object.keys(ROLES).join(", ")}) to an account (grantRole)`,
+  "grantRole",
+  (t) => t.addParam("role", "Role name, e.g. snapshotter").addParam("account", "Account address"),
+  ({ role, account }) => ({ role, account })
+);
+
+adminTask(
+  "hgxd:revoke-role",
+  "Revoke a role from an account (revokeRole)",
+  "revokeRole",
+  (t) => t.addParam("role", "Role name, e.g. snapshotter").addParam("account", "Account address"),
+  ({ role, account }) => ({ role, account })
+);
+
+task("hgxd:prepare-upgrade", "Check a new implementation against the HedgexDao proxy's storage layout and deploy it")
+  .addParam("contract", "Implementation contract name, e.g. HedgexDaoV2")
+  .addOptionalParam("token", "HedgexDao proxy address (defaults to the deployment record)")
+  .addFlag("dryRun", "Only run the storage layout / upgrade safety checks")
+  .setAction(async ({ contract, token: address, dryRun }, hre) => {
+    const token = await getHedgexDao(hre, { address });
+    await getProxyAdmin(token.address, hre.ethers.provider);
+    await validateHedgexDaoUpgrade(hre, token.address, contract);
+    console.log(`${contract}: storage layout compatible with HedgexDao ${token.address}`);
+    if (dryRun) {
+      console.log("Dry run: implementation not deployed");
+      return null;
+    }
+    const implementation = await prepareHedgexDaoUpgrade(hre, token.address, contract);
+    console.log(`Implementation: ${implementation}`);
+    console.log(`Upgrade with: npx hardhat hgxd:upgrade --implementation ${implementation} --network ${hre.network.name}`);
+    return implementation;
+  });
+
+adminTask(
+  "hgxd:upgrade",
+  "Point the HedgexDao proxy at an implementation from hgxd:prepare-upgrade (ProxyAdmin.upgrade)",
+  "upgrade",
+  (t) => t.addParam("implementation", "Implementation address printed by hgxd:prepare-upgrade"),
+  async ({ implementation, token }, hre) => ({ proxy: (await getHedgexDao(hre, { address: token })).address, implementation }),
+  async ({ token }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    return getProxyAdmin((await getHedgexDao(hre, { address: token })).address, signer);
+  }
+);
+
+task("hgxd:roles", "List the members of every HedgexDao role (admin = owner)")
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .addOptionalParam("fromBlock", "First block to scan for role events (defaults to the deployment block)", undefined, types.int)
+  .setAction(async ({ token: address, fromBlock }, hre) => {
+    const token = await getHedgexDao(hre, { address });
+    if (fromBlock === undefined) {
+      const record = loadRecord(hre.network.name);
+      fromBlock = record.HedgexDao && record.HedgexDao.address === token.address ? record.HedgexDao.blockNumber : 0;
+    }
+    const members = await roleMembers(token, { fromBlock });
+    for (const [name, accounts] of Object.entries(members)) {
+      console.log(`${name}: ${accounts.length ? accounts.join(", ") : "-"}`);
+    }
+    return members;
+  });
+
+task("hgxd:timelock-queue", "List operations scheduled on the HedgexDao owner timelock and their state")
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .addOptionalParam("fromBlock", "First block to search for CallScheduled", 0, types.int)
+  .setAction(async ({ token: address, fromBlock }, hre) => {
+    const token = await getHedgexDao(hre, { address });
+    const timelock = await asTimelock(await token.owner(), token.provider);
+    if (!timelock) {
+      throw new Error(`HedgexDao owner ${await token.owner()} is not a timelock`);
+    }
+
+    const operations = await listOperations(timelock, token, { fromBlock });
+    console.log(`Timelock ${timelock.address}: ${operations.length} operations (min delay ${await timelock.getMinDelay()}s)`);
+    for (const op of operations) {
+      const call = op.call ? `${op.call.name}(${op.call.args.map(String).join(", ")})` : `${op.target} ${op.data.slice(0, 10)}`;
+      const eta = op.eta ? ` after ${isoTime(op.eta)}` : "";
+      console.log(`  ${op.id} ${op.state}${eta}: ${call}`);
+    }
+    return operations;
+  });
+
+task("hgxd:timelock-cancel", "Cancel a pending timelock operation (signer needs the canceller role)")
+  .addParam("id", "Operation id (see hgxd:timelock-queue)")
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .setAction(async ({ id, token: address }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const token = await getHedgexDao(hre, { address, signer });
+    const timelock = await asTimelock(await token.owner(), signer);
+    if (!timelock) {
+      throw new Error(`HedgexDao owner ${await token.owner()} is not a timelock`);
+    }
+    const receipt = await cancelOperation(timelock, id, signer.address);
+    console.log(`Cancelled ${id}: ${receipt.transactionHash}`);
+    return receipt;
+  });
+
+task("hgxd:decode-batch", "Print the HedgexDao calls contained in a Safe Transaction Builder batch")
+  .addParam("file", "Batch JSON file")
+  .addOptionalParam("token", "Expected HedgexDao address (warns on other targets)")
+  .setAction(async ({ file, token }, hre) => {
+    const { abi } = await hre.artifacts.readArtifact("HedgexDao");
+    const batch = loadBatch(file);
+    const decoded = decodeBatch(batch, new hre.ethers.utils.Interface(abi), {
+      token,
+      timelockIface: new hre.ethers.utils.Interface(TIMELOCK_ABI),
+    });
+    console.log(`Safe ${batch.meta.createdFromSafeAddress} on chain ${batch.chainId}: ${decoded.length} transactions`);
+    console.log(formatDecoded(decoded));
+    return decoded;
+  });
+
+module.exports = {
+  runAdminOp,
+};
@@ -0,0 +1,26 @@
+// holders.js
+// "Hardhat task exporting the HedgexDao holder registry (scripts/lib/holders.js) to CSV / JSON."
+
+const { task, types } = require("hardhat/config");
+const { getHedgexDao, loadRecord } = require("../scripts/lib/deployments");
+const { holderBalances, exportHolders } = require("../scripts/lib/holders");
+
+task("hgxd:holders", "Export holders and balances (now or at a snapshot) to CSV or JSON")
+  .addParam("out", "File to write (.csv or .json)")
+  .addOptionalParam("format", "csv or json (defaults to the file extension)")
+  .addOptionalParam("snapshotId", "Balances at this HedgexDao snapshot id instead of now", undefined, types.int)
+  .addOptionalParam("pageSize", "Holders per holders(offset, limit) call", 500, types.int)
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .setAction(async ({ out, format, snapshotId, pageSize, token: address }, hre) => {
+    const token = await getHedgexDao(hre, { address });
+    const record = loadRecord(hre.network.name);
+    const fromBlock = record.HedgexDao && record.HedgexDao.address === token.address ? record.HedgexDao.blockNumber : 0;
+
+    const result = await holderBalances(token, { snapshotId, pageSize, fromBlock });
+    const written = exportHolders(out, result, { format });
+
+    const at = result.snapshotId === null ? `block ${result.block}` : `snapshot ${result.snapshotId} (block ${result.block})`;
+    const pairs = result.holders.filter((h) => h.pair).length;
+    console.log(`${result.holders.length} holders at ${at}, ${pairs} AMM pairs -> ${out} (${written})`);
+    return result;
+  });
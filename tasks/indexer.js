@@ -0,0 +1,121 @@
+// indexer.js
+// "Hardhat tasks for the HedgexDao burn / supply indexer (scripts/lib/indexer.js)."
+// "hgxd:compliance-log prints (or exports to CSV) the freeze / unfreeze / recovery log from the same index."
+
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { getHedgexDao, loadRecord } = require("../scripts/lib/deployments");
+const {
+  loadStore,
+  syncIndex,
+  burnReport,
+  cumulativeTaxBurn,
+  taxRateHistory,
+  floorDistanceHistory,
+  complianceLog,
+  frozenAccounts,
+} = require("../scripts/lib/indexer");
+
+task("hgxd:index", "Index HedgexDao burn/supply events into indexer-data/<network>.json (resumes)")
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .addOptionalParam("startBlock", "First block to index (defaults to the deployment block)", undefined, types.int)
+  .addOptionalParam("chunkSize", "Blocks per getLogs request", 2000, types.int)
+  .setAction(async ({ token: address, startBlock, chunkSize }, hre) => {
+    const token = await getHedgexDao(hre, { address });
+    if (startBlock === undefined) {
+      const record = loadRecord(hre.network.name);
+      startBlock = record.HedgexDao && record.HedgexDao.address === token.address ? record.HedgexDao.blockNumber : 0;
+    }
+    const store = await syncIndex(token, { network: hre.network.name, startBlock, chunkSize, log: console.log });
+    console.log(`Indexed up to block ${store.lastBlock}`);
+    return store;
+  });
+
+task("hgxd:report", "Print burn and supply reports from the local index")
+  .addOptionalParam("days", "Only count burns from the last N days (default: all time)", undefined, types.int)
+  .setAction(async ({ days }, hre) => {
+    const { formatUnits } = hre.ethers.utils;
+    const fmt = (v) => formatUnits(v, 18);
+
+    const store = loadStore(hre.network.name);
+    if (!store) {
+      throw new Error(`No index for ${hre.network.name}; run hgxd:index first`);
+    }
+
+    const range = {};
+    if (days !== undefined) {
+      const latest = Math.max(0, ...Object.values(store.blocks));
+      range.fromTime = latest - days * 24 * 60 * 60;
+    }
+
+    const burns = burnReport(store, range);
+    console.log(`HedgexDao ${store.token} (${store.network}), blocks ${store.startBlock}-${store.lastBlock}`);
+    console.log(days === undefined ? "Burns (all time):" : `Burns (last ${days} days):`);
+    console.log(`  tax:    ${fmt(burns.taxBurned)} (${burns.taxBurnCount} transfers)`);
+    console.log(`  manual: ${fmt(burns.manualBurned)} (${burns.manualBurnCount} burns)`);
+    for (const [pair, amount] of Object.entries(burns.byPair)) {
+      console.log(`  pair ${pair}: ${fmt(amount)}`);
+    }
+    console.log(`Tax to treasury: ${fmt(burns.toTreasury)}, to rewards: ${fmt(burns.toRewards)}`);
+
+    const cumulative = cumulativeTaxBurn(store);
+    console.log(`Cumulative tax burn: ${fmt(cumulative.length ? cumulative[cumulative.length - 1].total : 0)}`);
+
+    console.log("Tax rate history:");
+    for (const point of taxRateHistory(store)) {
+      console.log(`  block ${point.block}: buy ${point.buyTax} bps, sell ${point.sellTax} bps`);
+    }
+
+    const frozen = frozenAccounts(store);
+    if (frozen.length) {
+      console.log(`Frozen accounts: ${frozen.length} (see hgxd:compliance-log)`);
+    }
+
+    console.log("Distance to supplyFloor:");
+    for (const point of floorDistanceHistory(store)) {
+      console.log(
+        `  block ${point.block}: supply ${fmt(point.totalSupply)}, floor ${fmt(point.supplyFloor)}, distance ${fmt(point.distance)}`
+      );
+    }
+  });
+
+task("hgxd:compliance-log", "Print the freeze / unfreeze / recovery log from the local index, or write it to CSV")
+  .addOptionalParam("out", "Write the log to this CSV file instead of printing it")
+  .addOptionalParam("days", "Only entries from the last N days (default: all time)", undefined, types.int)
+  .setAction(async ({ out, days }, hre) => {
+    const { formatUnits } = hre.ethers.utils;
+
+    const store = loadStore(hre.network.name);
+    if (!store) {
+      throw new Error(`No index for ${hre.network.name}; run hgxd:index first`);
+    }
+
+    const range = {};
+    if (days !== undefined) {
+      const latest = Math.max(0, ...Object.values(store.blocks));
+      range.fromTime = latest - days * 24 * 60 * 60;
+    }
+    const entries = complianceLog(store, range);
+
+    if (out) {
+      // Reason labels are free text: quote any that would break the row
+      const cell = (v) => (/[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+      const rows = ["block,timestamp,tx,action,account,reason,by,to,amountWei"];
+      for (const e of entries) {
+        const row = [e.block, e.timestamp, e.tx, e.action, e.account, cell(e.reason), e.by || "", e.to || "", e.amount || ""];
+        rows.push(row.join(","));
+      }
+      fs.writeFileSync(out, rows.join("\n") + "\n");
+      console.log(`${entries.length} compliance entries -> ${out}`);
+      return entries;
+    }
+
+    console.log(`HedgexDao ${store.token} (${store.network}) compliance log, blocks ${store.startBlock}-${store.lastBlock}:`);
+    for (const e of entries) {
+      const detail = e.action === "recover" ? `${formatUnits(e.amount, 18)} to ${e.to}` : `by ${e.by}`;
+      console.log(`  block ${e.block} ${new Date(e.timestamp * 1000).toISOString()}: ${e.action} ${e.account} (${e.reason}) ${detail}`);
+    }
+    const frozen = frozenAccounts(store);
+    console.log(`Frozen now: ${frozen.length ? frozen.map((f) => `${f.account} (${f.reason})`).join(", ") : "none"}`);
+    return entries;
+  });
@@ -0,0 +1,73 @@
+// monitor.js
+// "Hardhat tasks for the HedgexDao state drift monitor (scripts/lib/monitor.js)."
+// "hgxd:monitor-snapshot writes the current state as an expected-state file; hgxd:monitor checks the live"
+// "contract against it and alerts to stdout plus an optional JSON log and webhook, once or as a daemon."
+
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { getHedgexDao, loadRecord } = require("../scripts/lib/deployments");
+const {
+  loadExpected,
+  discoverAccounts,
+  snapshotExpected,
+  stdoutSink,
+  jsonLogSink,
+  webhookSink,
+  createMonitor,
+} = require("../scripts/lib/monitor");
+
+// "Deployment block of the recorded HedgexDao (0 when `token` is not the recorded one)."
+function deploymentBlock(hre, token) {
+  const record = loadRecord(hre.network.name);
+  return record.HedgexDao && record.HedgexDao.address === token.address ? record.HedgexDao.blockNumber : 0;
+}
+
+task("hgxd:monitor-snapshot", "Write the current HedgexDao state as an expected-state file for hgxd:monitor")
+  .addParam("out", "File to write (JSON)")
+  .addOptionalParam("minCapHeadroom", "Alert when fewer tokens than this are left under cap")
+  .addOptionalParam("maxMint", "Alert on mints above this many tokens")
+  .addOptionalParam("chunkSize", "Blocks per getLogs request", 2000, types.int)
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .setAction(async ({ out, minCapHeadroom, maxMint, chunkSize, token: address }, hre) => {
+    const token = await getHedgexDao(hre, { address });
+    const accounts = await discoverAccounts(token, { fromBlock: deploymentBlock(hre, token), chunkSize });
+    const expected = await snapshotExpected(token, { accounts, minCapHeadroom, maxMint });
+    fs.writeFileSync(out, JSON.stringify(expected, null, 2) + "\n");
+    console.log(`Expected state for HedgexDao ${token.address} -> ${out}`);
+    return expected;
+  });
+
+task("hgxd:monitor", "Watch HedgexDao for drift from an expected-state file and alert")
+  .addParam("expected", "Expected-state JSON file (see hgxd:monitor-snapshot)")
+  .addOptionalParam("jsonLog", "Also append alerts to this file, one JSON object per line")
+  .addOptionalParam("webhook", "Also POST alerts as JSON to this URL")
+  .addOptionalParam("webhookTimeout", "Seconds to wait for the webhook before counting a delivery as failed", 10, types.int)
+  .addOptionalParam("interval", "Seconds between polls", 15, types.int)
+  .addOptionalParam("fromBlock", "Alert on events from this block (default: new blocks only)", undefined, types.int)
+  .addOptionalParam("chunkSize", "Blocks per getLogs request", 2000, types.int)
+  .addFlag("once", "Check once, print the alerts and exit")
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .setAction(async ({ expected: file, jsonLog, webhook, webhookTimeout, interval, fromBlock, chunkSize, once, token: address }, hre) => {
+    const expected = loadExpected(file);
+    const token = await getHedgexDao(hre, { address: address || expected.token });
+    const sinks = [stdoutSink()];
+    if (jsonLog) {
+      sinks.push(jsonLogSink(jsonLog));
+    }
+    if (webhook) {
+      sinks.push(webhookSink(webhook, { timeout: webhookTimeout * 1000 }));
+    }
+    // Accounts flagged before the monitor started are checked from the first poll
+    const accounts = await discoverAccounts(token, { fromBlock: deploymentBlock(hre, token), chunkSize });
+    const monitor = createMonitor(token, expected, { sinks, fromBlock, accounts, chunkSize });
+
+    if (once) {
+      const alerts = await monitor.poll();
+      console.log(`${alerts.length} alert(s) for HedgexDao ${token.address}`);
+      return alerts;
+    }
+    console.log(`Monitoring HedgexDao ${token.address} every ${interval}s (Ctrl-C to stop)`);
+    await monitor.start({ interval: interval * 1000 });
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await monitor.stop();
+  });
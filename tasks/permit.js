@@ -0,0 +1,80 @@
+// permit.js
+// "Hardhat tasks for gasless approvals and delegation (scripts/lib/permit.js, scripts/lib/relayer.js)."
+// "hgxd:sign-permit / hgxd:sign-delegation sign with the first account and print the payload (or --out it,"
+// "or --relay it to a relayer); hgxd:relayer serves POST /permit and POST /delegate, paying the gas."
+
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { getHedgexDao } = require("../scripts/lib/deployments");
+const { checkAddress, parseAmount } = require("../scripts/lib/deployConfig");
+const { signPermit, signDelegation } = require("../scripts/lib/permit");
+const { createRelayer, relayPayload } = require("../scripts/lib/relayer");
+
+// "Print, write or relay a signed payload; returns the payload (and the relayer reply when relayed)."
+async function deliver(payload, { out, relay }) {
+  if (out) {
+    fs.writeFileSync(out, JSON.stringify(payload, null, 2) + "\n");
+    console.log(`Signed ${payload.type} -> ${out}`);
+  }
+  if (relay) {
+    const reply = await relayPayload(relay, payload);
+    console.log(`Relayed ${payload.type}: ${reply.transactionHash}`);
+    return { payload, reply };
+  }
+  if (!out) {
+    console.log(JSON.stringify(payload, null, 2));
+  }
+  return { payload };
+}
+
+async function expiresAt(hre, minutes) {
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+  return timestamp + minutes * 60;
+}
+
+task("hgxd:sign-permit", "Sign an EIP-2612 permit for HedgexDao (no gas)")
+  .addParam("spender", "Address allowed to spend")
+  .addParam("value", "Allowance in tokens, e.g. 1000 (\"max\" = unlimited)")
+  .addOptionalParam("minutes", "Minutes until the permit expires", 60, types.int)
+  .addOptionalParam("out", "Write the signed payload to this file")
+  .addOptionalParam("relay", "Relayer URL to submit the payload to, e.g. http://127.0.0.1:8787")
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .setAction(async ({ spender, value, minutes, out, relay, token: address }, hre) => {
+    const token = await getHedgexDao(hre, { address });
+    const [signer] = await hre.ethers.getSigners();
+    const payload = await signPermit(token, signer, {
+      spender: checkAddress("spender", spender),
+      value: value === "max" ? hre.ethers.constants.MaxUint256 : parseAmount("value", value),
+      deadline: await expiresAt(hre, minutes),
+    });
+    return deliver(payload, { out, relay });
+  });
+
+task("hgxd:sign-delegation", "Sign an EIP-712 HedgexDao vote delegation for delegateBySig (no gas)")
+  .addParam("delegatee", "Address to delegate votes to")
+  .addOptionalParam("minutes", "Minutes until the delegation expires", 60, types.int)
+  .addOptionalParam("out", "Write the signed payload to this file")
+  .addOptionalParam("relay", "Relayer URL to submit the payload to, e.g. http://127.0.0.1:8787")
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .setAction(async ({ delegatee, minutes, out, relay, token: address }, hre) => {
+    const token = await getHedgexDao(hre, { address });
+    const [signer] = await hre.ethers.getSigners();
+    const payload = await signDelegation(token, signer, {
+      delegatee: checkAddress("delegatee", delegatee),
+      expiry: await expiresAt(hre, minutes),
+    });
+    return deliver(payload, { out, relay });
+  });
+
+task("hgxd:relayer", "Serve signed permits / delegations over HTTP and submit them from the first account")
+  .addOptionalParam("port", "Port to listen on", 8787, types.int)
+  .addOptionalParam("host", "Interface to bind", "127.0.0.1")
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .setAction(async ({ port, host, token: address }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const token = await getHedgexDao(hre, { address, signer });
+    const server = createRelayer(token);
+    await new Promise((resolve) => server.listen(port, host, resolve));
+    console.log(`Relaying for HedgexDao ${token.address} from ${signer.address} on http://${host}:${port} (Ctrl-C to stop)`);
+    await new Promise((resolve) => process.once("SIGINT", () => server.close(resolve)));
+  });
@@ -0,0 +1,118 @@
+// staking.js
+// "Hardhat tasks for HedgexStakingVault (scripts/lib/staking.js): deploy and exclude the vault, then"
+// "stake / unstake / claim / re-delegate from the first account and print the vault state."
+
+const { task, types } = require("hardhat/config");
+const { getDeployed, getHedgexDao } = require("../scripts/lib/deployments");
+const { checkAddress, parseAmount } = require("../scripts/lib/deployConfig");
+const { DAY, parseTiers, deployStakingVault, stake, unstake, claim, stakingInfo } = require("../scripts/lib/staking");
+
+function getStakingVault(hre, address) {
+  return getDeployed(hre, "HedgexStakingVault", { address });
+}
+
+task("hgxd:staking-deploy", "Deploy HedgexStakingVault, set its lock tiers and exclude it from fee (re-runs skip what is done)")
+  .addOptionalParam("durationDays", "Days each reward deposit streams over", 7, types.int)
+  .addOptionalParam("tiers", "Lock tiers as days:multiplier, tier 0 first", "0:1,30:1.25,90:1.5,365:2")
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .setAction(async ({ durationDays, tiers, token: address }, hre) => {
+    const token = await getHedgexDao(hre, { address });
+    const { vault } = await deployStakingVault(hre, token, {
+      rewardsDuration: durationDays * DAY,
+      tiers: parseTiers(tiers),
+    });
+    // Principal and rewards move through the vault: taxing them would burn stakes on the way in and out
+    if (!(await token.isExcludedFromFee(vault.address))) {
+      await hre.run("hgxd:exclude", { token: token.address, account: vault.address });
+    }
+    console.log(
+      `To fund rewards from swap tax: hgxd:set-fee-recipients --rewards ${vault.address}, then hgxd:set-fee-split`
+    );
+    return vault;
+  });
+
+task("hgxd:stake", "Stake HGXD from the first account in a lock tier")
+  .addParam("amount", "Amount in tokens, e.g. 1000")
+  .addOptionalParam("tier", "Lock tier (see hgxd:staking-info)", 0, types.int)
+  .addOptionalParam("vault", "HedgexStakingVault address (defaults to the deployment record)")
+  .setAction(async ({ amount, tier, vault: address }, hre) => {
+    const vault = await getStakingVault(hre, address);
+    const token = await getHedgexDao(hre, { address: await vault.token() });
+    const [signer] = await hre.ethers.getSigners();
+    const { positionId, receipt } = await stake(vault, token, signer, parseAmount("amount", amount), tier);
+    const { lockEnd } = await vault.positions(signer.address, positionId);
+    console.log(
+      `Staked ${amount} HGXD in tier ${tier} as position ${positionId}, locked until ` +
+        `${new Date(lockEnd.toNumber() * 1000).toISOString()} (tx ${receipt.transactionHash})`
+    );
+    return positionId;
+  });
+
+task("hgxd:unstake", "Withdraw an unlocked staking position of the first account")
+  .addParam("position", "Position id", undefined, types.int)
+  .addOptionalParam("vault", "HedgexStakingVault address (defaults to the deployment record)")
+  .setAction(async ({ position, vault: address }, hre) => {
+    const vault = await getStakingVault(hre, address);
+    const [signer] = await hre.ethers.getSigners();
+    const receipt = await unstake(vault, signer, position);
+    const event = receipt.events.find((e) => e.event === "Unstaked");
+    console.log(`Unstaked position ${position}: ${hre.ethers.utils.formatUnits(event.args.amount, 18)} HGXD`);
+    return event.args.amount;
+  });
+
+task("hgxd:claim", "Claim the staking rewards of the first account")
+  .addOptionalParam("vault", "HedgexStakingVault address (defaults to the deployment record)")
+  .setAction(async ({ vault: address }, hre) => {
+    const vault = await getStakingVault(hre, address);
+    const [signer] = await hre.ethers.getSigners();
+    const { paid } = await claim(vault, signer);
+    console.log(`Claimed ${hre.ethers.utils.formatUnits(paid, 18)} HGXD`);
+    return paid;
+  });
+
+task("hgxd:stake-delegate", "Delegate the votes of everything the first account has staked")
+  .addParam("delegatee", "Address to delegate staked votes to")
+  .addOptionalParam("vault", "HedgexStakingVault address (defaults to the deployment record)")
+  .setAction(async ({ delegatee, vault: address }, hre) => {
+    const vault = await getStakingVault(hre, address);
+    await (await vault.delegateStake(checkAddress("delegatee", delegatee))).wait();
+    console.log(`Staked votes delegated to ${delegatee}`);
+  });
+
+task("hgxd:staking-info", "Print HedgexStakingVault state and an account's positions")
+  .addOptionalParam("account", "Account to show (defaults to the first account)")
+  .addOptionalParam("vault", "HedgexStakingVault address (defaults to the deployment record)")
+  .setAction(async ({ account, vault: address }, hre) => {
+    const fmt = (v) => hre.ethers.utils.formatUnits(v, 18);
+    const date = (t) => new Date(t * 1000).toISOString();
+
+    const vault = await getStakingVault(hre, address);
+    const token = await getHedgexDao(hre, { address: await vault.token() });
+    const holder = account ? checkAddress("account", account) : (await hre.ethers.getSigners())[0].address;
+    const info = await stakingInfo(vault, token, holder);
+
+    console.log(`HedgexStakingVault ${vault.address}: staked ${fmt(info.totalStaked)}, weight ${fmt(info.totalWeight)}`);
+    console.log(
+      info.streaming
+        ? `Rewards: ${fmt(info.rewardRate.mul(DAY))} HGXD/day until ${date(info.periodFinish)}`
+        : "Rewards: not streaming"
+    );
+    if (!info.pendingRewards.isZero()) {
+      console.log(`Pending (next interaction or sync): ${fmt(info.pendingRewards)}`);
+    }
+    for (const t of info.tiers) {
+      console.log(`  tier ${t.tier}: ${t.duration / DAY} days, ${t.open ? `${t.multiplierBps / 10000}x` : "closed"}`);
+    }
+    const { staked, weight, earned, delegatee, positions } = info.account;
+    console.log(`${holder}: staked ${fmt(staked)}, weight ${fmt(weight)}, earned ${fmt(earned)}`);
+    if (delegatee) {
+      console.log(`  staked votes delegated to ${delegatee}`);
+    }
+    for (const p of positions) {
+      console.log(
+        `  position ${p.id}: ${fmt(p.amount)} at ${p.multiplierBps / 10000}x, ` +
+          (p.unlocked ? "unlocked" : `locked until ${date(p.lockEnd)}`)
+      );
+    }
+    return info;
+  });
@@ -0,0 +1,67 @@
+// vesting.js
+// "Hardhat tasks for vesting wallets from a CSV and the circulating supply projection (scripts/lib/vesting.js)."
+
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { getHedgexDao } = require("../scripts/lib/deployments");
+const {
+  DAY,
+  loadVestingCsv,
+  deployVesting,
+  loadVestingWallets,
+  supplyState,
+  projectSupply,
+  projectionCsv,
+} = require("../scripts/lib/vesting");
+
+task("hgxd:vesting-deploy", "Deploy and fund a HedgexVestingWallet per CSV row (re-runs skip what is done)")
+  .addParam("csv", "CSV with beneficiary,amount,start,cliffDays,durationDays[,label]")
+  .addOptionalParam("fund", "transfer (from the signer) or mint (owner / minter, within the emission schedule)", "transfer")
+  .addFlag("dryRun", "Print the plan without deploying or sending anything")
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .setAction(async ({ csv, fund, dryRun, token: address }, hre) => {
+    const token = await getHedgexDao(hre, { address });
+    const entries = loadVestingCsv(csv);
+    return deployVesting(hre, token, entries, { fund, dryRun, log: console.log });
+  });
+
+task("hgxd:supply-projection", "Project circulating supply from the vesting wallets against supplyFloor and cap")
+  .addOptionalParam("months", "How far to project", 36, types.int)
+  .addOptionalParam("stepDays", "Days between points", 30, types.int)
+  .addOptionalParam("out", "Write the projection to this CSV file instead of printing it")
+  .addOptionalParam("token", "HedgexDao address (defaults to the deployment record)")
+  .setAction(async ({ months, stepDays, out, token: address }, hre) => {
+    const { formatUnits } = hre.ethers.utils;
+    const fmt = (v) => formatUnits(v, 18);
+
+    const token = await getHedgexDao(hre, { address });
+    const [state, wallets, latest] = await Promise.all([
+      supplyState(token),
+      loadVestingWallets(hre, token),
+      hre.ethers.provider.getBlock("latest"),
+    ]);
+    const step = stepDays * DAY;
+    const points = Math.floor((months * 30 * DAY) / step) + 1;
+    const projection = projectSupply({ ...state, wallets }, { from: latest.timestamp, step, points });
+
+    if (out) {
+      fs.writeFileSync(out, projectionCsv(projection));
+      console.log(`${projection.length} points -> ${out}`);
+      return projection;
+    }
+
+    console.log(`HedgexDao ${token.address}: supply ${fmt(state.totalSupply)}, floor ${fmt(state.supplyFloor)}, cap ${fmt(state.cap)}`);
+    console.log(
+      state.schedule
+        ? `Emission: at most ${fmt(state.schedule.maxPerEpoch)} per ${state.schedule.epochLength / DAY} days`
+        : "Emission: no schedule (mint up to cap at any time)"
+    );
+    console.log(`Vesting wallets: ${wallets.length}`);
+    for (const p of projection) {
+      console.log(
+        `  ${new Date(p.timestamp * 1000).toISOString().slice(0, 10)}: locked ${fmt(p.locked)}, circulating ${fmt(p.circulating)}, ` +
+          `max supply ${fmt(p.maxSupply)} (max circulating ${fmt(p.maxCirculating)})`
+      );
+    }
+    return projection;
+  });
@@ -1,11 +1,13 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("HedgexDao", function () {
   // Helpers
   const U = (n, decs = 18) => ethers.utils.parseUnits(String(n), decs);
   const ZERO = 0n;
+  const missingRole = (signer, role) =>
+    `AccessControl: account ${signer.address.toLowerCase()} is missing role ${ethers.utils.id(role)}`;
 
   async function deployFixture() {
     const [owner, alice, bob, carol, pair1, pair2, router, stranger] =
@@ -17,14 +19,16 @@ describe("HedgexDao", function () {
     const maxSupply     = U("30000000");  // 30_000_000
     const supplyFloor   = U("20000000");    // 20_000_000
 
-    const HedgexToken = await ethers.getContractFactory("HedgexToken");
-    const token = await HedgexToken.deploy(
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy(
       name,
       symbol,
       initialSupply,
       maxSupply,
       supplyFloor
     );
+    // Launch protection is covered separately (launchFixture)
+    await token.enableTrading();
 
     return {
       owner,
@@ -73,7 +77,7 @@ describe("HedgexDao", function () {
     const { token, owner, pair1, stranger } = await loadFixture(deployFixture);
 
     await expect(token.connect(stranger).setAutomatedMarketMakerPair(pair1.address, true))
-      .to.be.revertedWith("Ownable: caller is not the owner");
+      .to.be.revertedWith(missingRole(stranger, "FEE_MANAGER_ROLE"));
 
     await expect(token.connect(owner).setAutomatedMarketMakerPair(pair1.address, true))
       .to.emit(token, "AutomatedMarketMakerPairSet")
@@ -93,7 +97,7 @@ describe("HedgexDao", function () {
     const { token, owner, alice, stranger } = await loadFixture(deployFixture);
 
     await expect(token.connect(stranger).setExcludedFromFee(alice.address, true))
-      .to.be.revertedWith("Ownable: caller is not the owner");
+      .to.be.revertedWith(missingRole(stranger, "FEE_MANAGER_ROLE"));
 
     await expect(token.connect(owner).setExcludedFromFee(alice.address, true))
       .to.emit(token, "ExcludedFromFee")
@@ -155,7 +159,7 @@ describe("HedgexDao", function () {
     expect(id.gt(ZERO)).to.equal(true);
 
     await expect(token.connect(stranger).getCurrentSnapshot())
-      .to.be.revertedWith("Ownable: caller is not the owner");
+      .to.be.revertedWith(missingRole(stranger, "SNAPSHOT_ROLE"));
   });
 
   // ------------------------------
@@ -166,7 +170,7 @@ describe("HedgexDao", function () {
 
     // Non-owner revert
     await expect(token.connect(stranger).mint(stranger.address, U(1)))
-      .to.be.revertedWith("Ownable: caller is not the owner");
+      .to.be.revertedWith(missingRole(stranger, "MINTER_ROLE"));
 
     // Mint up to cap
     const remaining = BigInt(await token.cap()) - BigInt(await token.totalSupply());
@@ -388,6 +392,830 @@ describe("HedgexDao", function () {
     });
   });
 
+  // ------------------------------
+  // Buy / sell rates, per-pair overrides, pair->pair exemption
+  // ------------------------------
+  describe("Buy / sell tax split", function () {
+    async function splitFixture() {
+      const f = await deployFixture();
+      await f.token.connect(f.owner).setAutomatedMarketMakerPair(f.pair1.address, true);
+      await f.token.connect(f.owner).setAutomatedMarketMakerPair(f.pair2.address, true);
+      await f.token.transfer(f.alice.address, U(100_000));
+      await f.token.connect(f.owner).mint(f.pair1.address, U(100_000));
+      return f;
+    }
+
+    it("setBurnTax still sets both rates; burnTax() reports the higher one", async () => {
+      const { token, owner } = await loadFixture(splitFixture);
+
+      await token.connect(owner).setBurnTax(40);
+      expect(await token.buyTax()).to.equal(40);
+      expect(await token.sellTax()).to.equal(40);
+
+      await expect(token.connect(owner).setSellTax(70))
+        .to.emit(token, "SellTaxUpdated")
+        .withArgs(40, 70);
+      expect(await token.burnTax()).to.equal(70);
+
+      await expect(token.connect(owner).setBurnTax(20))
+        .to.emit(token, "BurnTaxUpdated")
+        .withArgs(70, 20);
+    });
+
+    it("only owner can set rates and all are bounded by burnTaxCap", async () => {
+      const { token, owner, stranger, pair1 } = await loadFixture(splitFixture);
+
+      await expect(token.connect(stranger).setBuyTax(1)).to.be.revertedWith(missingRole(stranger, "FEE_MANAGER_ROLE"));
+      await expect(token.connect(stranger).setSellTax(1)).to.be.revertedWith(missingRole(stranger, "FEE_MANAGER_ROLE"));
+      await expect(token.connect(stranger).setPairTaxOverride(pair1.address, true, 1, 1))
+        .to.be.revertedWith(missingRole(stranger, "FEE_MANAGER_ROLE"));
+      await expect(token.connect(stranger).setPairToPairTaxExempt(true))
+        .to.be.revertedWith(missingRole(stranger, "FEE_MANAGER_ROLE"));
+
+      await expect(token.connect(owner).setBuyTax(101)).to.be.revertedWith("Burn tax > cap");
+      await expect(token.connect(owner).setSellTax(101)).to.be.revertedWith("Burn tax > cap");
+      await expect(token.connect(owner).setPairTaxOverride(pair1.address, true, 101, 0)).to.be.revertedWith("Burn tax > cap");
+      await expect(token.connect(owner).setPairTaxOverride(pair1.address, true, 0, 101)).to.be.revertedWith("Burn tax > cap");
+      await expect(token.connect(owner).setPairTaxOverride(ethers.constants.AddressZero, true, 0, 0))
+        .to.be.revertedWith("HedgexDao: Invalid Pair");
+    });
+
+    it("charges buyTax on buys and sellTax on sells", async () => {
+      const { token, owner, alice, bob, pair1 } = await loadFixture(splitFixture);
+
+      await expect(token.connect(owner).setBuyTax(20)).to.emit(token, "BuyTaxUpdated").withArgs(10, 20);
+      await token.connect(owner).setSellTax(80);
+
+      await expect(token.connect(pair1).transfer(bob.address, U(1000)))
+        .to.emit(token, "TaxBurnApplied")
+        .withArgs(pair1.address, bob.address, U(2), BigInt(await token.totalSupply()) - BigInt(U(2)));
+
+      await expect(token.connect(alice).transfer(pair1.address, U(1000)))
+        .to.emit(token, "TaxBurnApplied")
+        .withArgs(alice.address, pair1.address, U(8), BigInt(await token.totalSupply()) - BigInt(U(8)));
+
+      expect(await token.getTaxRate(pair1.address, bob.address)).to.equal(20);
+      expect(await token.getTaxRate(alice.address, pair1.address)).to.equal(80);
+      expect(await token.getTaxRate(alice.address, bob.address)).to.equal(0);
+    });
+
+    it("per-pair override replaces the default rates for that pair only", async () => {
+      const { token, owner, alice, pair1, pair2 } = await loadFixture(splitFixture);
+
+      await token.connect(owner).setBurnTax(100);
+      await expect(token.connect(owner).setPairTaxOverride(pair2.address, true, 5, 25))
+        .to.emit(token, "PairTaxOverrideSet")
+        .withArgs(pair2.address, true, 5, 25);
+
+      expect(await token.getTaxRate(alice.address, pair2.address)).to.equal(25);
+      expect(await token.getTaxRate(pair2.address, alice.address)).to.equal(5);
+      expect(await token.getTaxRate(alice.address, pair1.address)).to.equal(100);
+
+      const ts = await token.totalSupply();
+      await expect(token.connect(alice).transfer(pair2.address, U(1000)))
+        .to.emit(token, "TaxBurnApplied")
+        .withArgs(alice.address, pair2.address, U("2.5"), BigInt(ts) - BigInt(U("2.5")));
+
+      // Disabling the override falls back to the defaults
+      await token.connect(owner).setPairTaxOverride(pair2.address, false, 0, 0);
+      expect(await token.getTaxRate(alice.address, pair2.address)).to.equal(100);
+    });
+
+    it("a zero override exempts a pair even when defaults are non-zero", async () => {
+      const { token, owner, alice, pair2 } = await loadFixture(splitFixture);
+
+      await token.connect(owner).setPairTaxOverride(pair2.address, true, 0, 0);
+      await expect(token.connect(alice).transfer(pair2.address, U(1000)))
+        .to.not.emit(token, "TaxBurnApplied");
+      expect(await token.balanceOf(pair2.address)).to.equal(U(1000));
+    });
+
+    it("pair->pair uses the destination sell rate unless exempted", async () => {
+      const { token, owner, pair1, pair2 } = await loadFixture(splitFixture);
+
+      await token.connect(owner).setBuyTax(10);
+      await token.connect(owner).setSellTax(60);
+      expect(await token.getTaxRate(pair1.address, pair2.address)).to.equal(60);
+
+      await expect(token.connect(owner).setPairToPairTaxExempt(true))
+        .to.emit(token, "PairToPairTaxExemptSet")
+        .withArgs(true);
+      expect(await token.getTaxRate(pair1.address, pair2.address)).to.equal(0);
+
+      await expect(token.connect(pair1).transfer(pair2.address, U(1000)))
+        .to.not.emit(token, "TaxBurnApplied");
+      expect(await token.balanceOf(pair2.address)).to.equal(U(1000));
+    });
+
+    it("isBurnActive follows the higher default rate", async () => {
+      const { token, owner } = await loadFixture(splitFixture);
+
+      await token.connect(owner).setBuyTax(0);
+      expect(await token.isBurnActive()).to.equal(true); // sellTax still 10
+      await token.connect(owner).setSellTax(0);
+      expect(await token.isBurnActive()).to.equal(false);
+    });
+  });
+
+  // ------------------------------
+  // Tax burn cap (maxTaxBurn / totalTaxBurned)
+  // ------------------------------
+  describe("Tax burn cap", function () {
+    async function taxedFixture() {
+      const f = await deployFixture();
+      await f.token.connect(f.owner).setAutomatedMarketMakerPair(f.pair1.address, true);
+      await f.token.connect(f.owner).setBurnTax(100); // 1%
+      await f.token.transfer(f.alice.address, U(100_000));
+      return f;
+    }
+
+    it("defaults to no cap and counts only swap tax burns", async () => {
+      const { token, alice, pair1 } = await loadFixture(taxedFixture);
+
+      expect(await token.maxTaxBurn()).to.equal(ethers.constants.MaxUint256);
+      expect(await token.totalTaxBurned()).to.equal(0);
+      expect(await token.isTaxBurnCapReached()).to.equal(false);
+
+      await token.connect(alice).transfer(pair1.address, U(1000)); // burns 10
+      expect(await token.totalTaxBurned()).to.equal(U(10));
+
+      // Manual burns are NOT counted toward the tax burn cap
+      await token.connect(alice).burn(U(50));
+      expect(await token.totalTaxBurned()).to.equal(U(10));
+    });
+
+    it("only owner can set maxTaxBurn; emits MaxTaxBurnUpdated", async () => {
+      const { token, owner, stranger } = await loadFixture(taxedFixture);
+
+      await expect(token.connect(stranger).setMaxTaxBurn(U(1)))
+        .to.be.revertedWith(missingRole(stranger, "FEE_MANAGER_ROLE"));
+
+      await expect(token.connect(owner).setMaxTaxBurn(U(15)))
+        .to.emit(token, "MaxTaxBurnUpdated")
+        .withArgs(ethers.constants.MaxUint256, U(15));
+      expect(await token.maxTaxBurn()).to.equal(U(15));
+      expect(await token.remainingTaxBurn()).to.equal(U(15));
+    });
+
+    it("clamps the last fee to the cap, then switches tax off", async () => {
+      const { token, owner, alice, pair1 } = await loadFixture(taxedFixture);
+
+      await token.connect(owner).setMaxTaxBurn(U(15));
+
+      await token.connect(alice).transfer(pair1.address, U(1000)); // burns 10, 5 left
+      expect(await token.remainingTaxBurn()).to.equal(U(5));
+
+      const tsBefore = await token.totalSupply();
+      await expect(token.connect(alice).transfer(pair1.address, U(1000)))
+        .to.emit(token, "TaxBurnApplied")
+        .withArgs(alice.address, pair1.address, U(5), BigInt(tsBefore) - BigInt(U(5)))
+        .and.to.emit(token, "TaxBurnCapReached")
+        .withArgs(U(15));
+      expect(await token.balanceOf(pair1.address)).to.equal(U(990).add(U(995)));
+
+      expect(await token.totalTaxBurned()).to.equal(U(15));
+      expect(await token.isTaxBurnCapReached()).to.equal(true);
+      expect(await token.isBurnActive()).to.equal(false);
+      expect(await token.remainingBurnableByTax()).to.equal(0);
+
+      // Floor still far away, but no more tax
+      await expect(token.connect(alice).transfer(pair1.address, U(1000)))
+        .to.not.emit(token, "TaxBurnApplied");
+    });
+
+    it("raising the cap resumes tax; lowering it below totalTaxBurned stops it", async () => {
+      const { token, owner, alice, pair1 } = await loadFixture(taxedFixture);
+
+      await token.connect(owner).setMaxTaxBurn(U(10));
+      await token.connect(alice).transfer(pair1.address, U(1000));
+      expect(await token.isTaxBurnCapReached()).to.equal(true);
+
+      await token.connect(owner).setMaxTaxBurn(U(20));
+      await expect(token.connect(alice).transfer(pair1.address, U(1000)))
+        .to.emit(token, "TaxBurnApplied");
+      expect(await token.totalTaxBurned()).to.equal(U(20));
+
+      await token.connect(owner).setMaxTaxBurn(U(1));
+      expect(await token.remainingTaxBurn()).to.equal(0);
+      await expect(token.connect(alice).transfer(pair1.address, U(1000)))
+        .to.not.emit(token, "TaxBurnApplied");
+    });
+
+    it("the tighter of floor room and cap budget wins", async () => {
+      const { token, owner, alice, pair1 } = await loadFixture(taxedFixture);
+
+      // Floor room 3, cap budget 7 -> floor wins
+      const ts = await token.totalSupply();
+      await token.connect(owner).setSupplyFloor(BigInt(ts) - BigInt(U(3)));
+      await token.connect(owner).setMaxTaxBurn(U(7));
+      expect(await token.remainingBurnableByTax()).to.equal(U(3));
+
+      await expect(token.connect(alice).transfer(pair1.address, U(1000)))
+        .to.emit(token, "TaxBurnApplied")
+        .withArgs(alice.address, pair1.address, U(3), BigInt(ts) - BigInt(U(3)))
+        .and.to.not.emit(token, "TaxBurnCapReached");
+      expect(await token.isTaxBurnCapReached()).to.equal(false);
+      expect(await token.isBurnActive()).to.equal(false); // at floor
+
+      // Lower the floor: room 1000, cap budget 4 -> cap wins
+      await token.connect(owner).setSupplyFloor(BigInt(await token.totalSupply()) - BigInt(U(1000)));
+      expect(await token.remainingBurnableByTax()).to.equal(U(4));
+      await expect(token.connect(alice).transfer(pair1.address, U(1000)))
+        .to.emit(token, "TaxBurnCapReached")
+        .withArgs(U(7));
+      expect(await token.remainingBurnableUntilFloor()).to.equal(U(996));
+    });
+  });
+
+  // ------------------------------
+  // Fee split (burn / treasury / rewards)
+  // ------------------------------
+  describe("Fee split", function () {
+    async function splitFixture() {
+      const f = await deployFixture();
+      await f.token.connect(f.owner).setAutomatedMarketMakerPair(f.pair1.address, true);
+      await f.token.connect(f.owner).setBurnTax(100); // 1%
+      await f.token.connect(f.owner).setFeeRecipients(f.carol.address, f.router.address);
+      await f.token.transfer(f.alice.address, U(100_000));
+      return f;
+    }
+
+    it("defaults to burning the whole fee with no recipients", async () => {
+      const { token } = await loadFixture(deployFixture);
+      expect(await token.burnShare()).to.equal(10_000);
+      expect(await token.treasuryShare()).to.equal(0);
+      expect(await token.rewardsShare()).to.equal(0);
+      expect(await token.treasury()).to.equal(ethers.constants.AddressZero);
+      expect(await token.rewards()).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("only owner can set the split; shares must sum to 100% and need recipients", async () => {
+      const { token, owner, stranger, carol, router } = await loadFixture(deployFixture);
+
+      await expect(token.connect(stranger).setFeeSplit(5000, 5000, 0))
+        .to.be.revertedWith(missingRole(stranger, "FEE_MANAGER_ROLE"));
+      await expect(token.connect(stranger).setFeeRecipients(carol.address, router.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(token.connect(owner).setFeeSplit(5000, 4000, 0)).to.be.revertedWith("Fee split != 100%");
+      await expect(token.connect(owner).setFeeSplit(5000, 5000, 0)).to.be.revertedWith("HedgexDao: Treasury not set");
+      await expect(token.connect(owner).setFeeSplit(5000, 0, 5000)).to.be.revertedWith("HedgexDao: Rewards not set");
+
+      await expect(token.connect(owner).setFeeRecipients(carol.address, router.address))
+        .to.emit(token, "FeeRecipientsUpdated")
+        .withArgs(carol.address, router.address);
+      await expect(token.connect(owner).setFeeSplit(5000, 3000, 2000))
+        .to.emit(token, "FeeSplitUpdated")
+        .withArgs(5000, 3000, 2000);
+
+      // A recipient with a non-zero share cannot be cleared
+      await expect(token.connect(owner).setFeeRecipients(ethers.constants.AddressZero, router.address))
+        .to.be.revertedWith("HedgexDao: Invalid Treasury");
+      await expect(token.connect(owner).setFeeRecipients(carol.address, ethers.constants.AddressZero))
+        .to.be.revertedWith("HedgexDao: Invalid Rewards");
+    });
+
+    it("splits a sell fee into burn, treasury and rewards legs", async () => {
+      const { token, owner, alice, carol, router, pair1 } = await loadFixture(splitFixture);
+      await token.connect(owner).setFeeSplit(5000, 3000, 2000);
+
+      const ts = await token.totalSupply();
+      await expect(token.connect(alice).transfer(pair1.address, U(1000))) // fee 10
+        .to.emit(token, "TaxDistributed")
+        .withArgs(alice.address, pair1.address, U(5), carol.address, U(3), router.address, U(2))
+        .and.to.emit(token, "TaxBurnApplied")
+        .withArgs(alice.address, pair1.address, U(5), BigInt(ts) - BigInt(U(5)));
+
+      expect(await token.balanceOf(pair1.address)).to.equal(U(990));
+      expect(await token.balanceOf(carol.address)).to.equal(U(3));
+      expect(await token.balanceOf(router.address)).to.equal(U(2));
+      expect(await token.balanceOf(alice.address)).to.equal(U(99_000));
+      expect(await token.totalTaxBurned()).to.equal(U(5));
+    });
+
+    it("a split without a burn leg emits no TaxBurnApplied; rounding dust is burned", async () => {
+      const { token, owner, alice, carol, pair1 } = await loadFixture(splitFixture);
+
+      await token.connect(owner).setFeeSplit(0, 10_000, 0);
+      await expect(token.connect(alice).transfer(pair1.address, U(1000)))
+        .to.emit(token, "TaxDistributed")
+        .withArgs(alice.address, pair1.address, 0, carol.address, U(10), await token.rewards(), 0)
+        .and.to.not.emit(token, "TaxBurnApplied");
+      expect(await token.totalTaxBurned()).to.equal(0);
+
+      // Minimum fee of 1 wei: 1/3 to each recipient rounds to 0, so the wei is burned
+      await token.connect(owner).setFeeSplit(3334, 3333, 3333);
+      await expect(token.connect(alice).transfer(pair1.address, 50))
+        .to.emit(token, "TaxDistributed")
+        .withArgs(alice.address, pair1.address, 1, carol.address, 0, await token.rewards(), 0);
+    });
+
+    it("the floor and tax burn cap clamp only the burned leg", async () => {
+      const { token, owner, alice, carol, router, pair1 } = await loadFixture(splitFixture);
+      await token.connect(owner).setFeeSplit(5000, 3000, 2000);
+
+      // Floor room 1 token: burn leg 5 -> 1, treasury/rewards legs unchanged
+      const ts = await token.totalSupply();
+      await token.connect(owner).setSupplyFloor(BigInt(ts) - BigInt(U(1)));
+      await expect(token.connect(alice).transfer(pair1.address, U(1000)))
+        .to.emit(token, "TaxDistributed")
+        .withArgs(alice.address, pair1.address, U(1), carol.address, U(3), router.address, U(2));
+      expect(await token.balanceOf(pair1.address)).to.equal(U(994));
+
+      // At the floor: nothing is burned but treasury/rewards are still paid
+      expect(await token.totalSupply()).to.equal(await token.supplyFloor());
+      await expect(token.connect(alice).transfer(pair1.address, U(1000)))
+        .to.emit(token, "TaxDistributed")
+        .withArgs(alice.address, pair1.address, 0, carol.address, U(3), router.address, U(2))
+        .and.to.not.emit(token, "TaxBurnApplied");
+      expect(await token.balanceOf(pair1.address)).to.equal(U(994).add(U(995)));
+
+      // Same once the tax burn cap is reached
+      await token.connect(owner).setSupplyFloor(U("20000000"));
+      await token.connect(owner).setMaxTaxBurn(await token.totalTaxBurned());
+      await expect(token.connect(alice).transfer(pair1.address, U(1000)))
+        .to.emit(token, "TaxDistributed")
+        .withArgs(alice.address, pair1.address, 0, carol.address, U(3), router.address, U(2));
+    });
+
+    it("excluded accounts and plain transfers pay nothing to any leg", async () => {
+      const { token, owner, alice, bob, carol, pair1 } = await loadFixture(splitFixture);
+      await token.connect(owner).setFeeSplit(0, 10_000, 0);
+
+      await expect(token.connect(alice).transfer(bob.address, U(1000))).to.not.emit(token, "TaxDistributed");
+      await token.connect(owner).setExcludedFromFee(alice.address, true);
+      await expect(token.connect(alice).transfer(pair1.address, U(1000))).to.not.emit(token, "TaxDistributed");
+      expect(await token.balanceOf(carol.address)).to.equal(0);
+    });
+  });
+
+  // ------------------------------
+  // Launch protection
+  // ------------------------------
+  describe("Launch protection", function () {
+    // Trading still closed; mockPair lets buys come from the buyer's EOA like a router swap would
+    async function launchFixture() {
+      const [owner, alice, bob, carol, pair1, , , stranger] = await ethers.getSigners();
+      const HedgexDao = await ethers.getContractFactory("HedgexDao");
+      const token = await HedgexDao.deploy("HedgexDao", "HGXD", U("25000000"), U("30000000"), U("20000000"));
+      const MockPair = await ethers.getContractFactory("MockPair");
+      const mockPair = await MockPair.deploy(token.address);
+
+      await token.setAutomatedMarketMakerPair(pair1.address, true);
+      await token.setAutomatedMarketMakerPair(mockPair.address, true);
+      // Liquidity and team transfers from the (excluded) owner work before launch
+      await token.transfer(pair1.address, U("1000000"));
+      await token.transfer(mockPair.address, U("5000000"));
+      await token.transfer(alice.address, U("150000"));
+
+      return { token, mockPair, owner, alice, bob, carol, pair1, stranger };
+    }
+
+    // Sends every tx into one block; returns the receipt statuses (1 = success, 0 = reverted)
+    async function inOneBlock(sends) {
+      const txs = [];
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        for (const send of sends) {
+          txs.push(await send({ gasLimit: 300_000 }));
+        }
+        await ethers.provider.send("evm_mine", []);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+      const receipts = await Promise.all(txs.map((tx) => ethers.provider.getTransactionReceipt(tx.hash)));
+      expect(new Set(receipts.map((r) => r.blockNumber)).size).to.equal(1);
+      return receipts.map((r) => r.status);
+    }
+
+    it("pair transfers wait for enableTrading; wallet transfers and excluded addresses do not", async () => {
+      const { token, mockPair, owner, alice, bob, pair1, stranger } = await loadFixture(launchFixture);
+
+      expect(await token.tradingEnabled()).to.equal(false);
+      await expect(token.connect(alice).transfer(pair1.address, U(100))).to.be.revertedWith("HedgexDao: Trading not enabled");
+      await expect(mockPair.connect(alice).buy(alice.address, U(100))).to.be.revertedWith("HedgexDao: Trading not enabled");
+      await token.connect(alice).transfer(bob.address, U(100));
+      await token.connect(owner).transfer(pair1.address, U(100));
+
+      await expect(token.connect(stranger).enableTrading()).to.be.revertedWith("Ownable: caller is not the owner");
+      const tx = await token.connect(owner).enableTrading();
+      await expect(tx).to.emit(token, "TradingEnabled").withArgs(tx.blockNumber);
+      expect(await token.tradingEnabledBlock()).to.equal(tx.blockNumber);
+      await expect(token.connect(owner).enableTrading()).to.be.revertedWith("HedgexDao: Trading already enabled");
+
+      await token.connect(alice).transfer(pair1.address, U(100));
+      await mockPair.connect(alice).buy(alice.address, U(100));
+    });
+
+    it("max tx and max wallet apply to non-excluded transfers, max wallet on what arrives after tax", async () => {
+      const { token, mockPair, owner, alice, bob, carol, pair1, stranger } = await loadFixture(launchFixture);
+
+      expect(await token.launchLimitsActive()).to.equal(false);
+      await expect(token.connect(stranger).setLaunchLimits(U("100000"), U("200000"), false, 0))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      // 0.1% of 25M = 25k minimum
+      await expect(token.setLaunchLimits(U("24999"), 0, false, 0)).to.be.revertedWith("HedgexDao: Limit too low");
+      await expect(token.setLaunchLimits(0, U("24999"), false, 0)).to.be.revertedWith("HedgexDao: Limit too low");
+      await expect(token.setLaunchLimits(U("100000"), U("200000"), false, 0))
+        .to.emit(token, "LaunchLimitsUpdated")
+        .withArgs(U("100000"), U("200000"), false, 0);
+      expect(await token.launchLimitsActive()).to.equal(true);
+      await token.enableTrading();
+
+      // max tx on buys and wallet transfers alike
+      await expect(mockPair.connect(bob).buy(bob.address, U("100001"))).to.be.revertedWith("HedgexDao: Max tx exceeded");
+      await expect(token.connect(alice).transfer(bob.address, U("100001"))).to.be.revertedWith("HedgexDao: Max tx exceeded");
+
+      // alice holds 150k: a 60k buy lands ~59.94k -> over 200k
+      await expect(mockPair.connect(alice).buy(alice.address, U("60000"))).to.be.revertedWith("HedgexDao: Max wallet exceeded");
+      // 50,050 gross is over the headroom, but 0.1% buy tax leaves 49,999.95
+      await mockPair.connect(alice).buy(alice.address, U("50050"));
+      expect(await token.balanceOf(alice.address)).to.equal(U("199999.95"));
+      await expect(token.connect(bob).transfer(alice.address, 1)).to.be.reverted;
+
+      // Pairs are never wallet-limited; excluded addresses skip both limits
+      await token.connect(alice).transfer(pair1.address, U("100000"));
+      await token.connect(owner).transfer(carol.address, U("1000000"));
+      await token.connect(owner).setExcludedFromFee(carol.address, true);
+      await token.connect(carol).transfer(bob.address, U("500000"));
+
+      // launchLimitsBlocks = 0: no expiry
+      await mine(100);
+      expect(await token.launchLimitsExpired()).to.equal(false);
+      expect(await token.launchLimitsActive()).to.equal(true);
+    });
+
+    it("bot-style multi-buys in one block are held to one buy per buyer and per tx.origin", async () => {
+      const { token, mockPair, alice, bob, carol, pair1, stranger: bot } = await loadFixture(launchFixture);
+      await token.setLaunchLimits(0, 0, true, 0);
+      await token.enableTrading();
+      const fresh = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+
+      // Same buyer twice, a second wallet from the same bot EOA, and an unrelated buyer
+      const statuses = await inOneBlock([
+        (o) => mockPair.connect(bot).buy(bot.address, U(1000), o),
+        (o) => mockPair.connect(bot).buy(bot.address, U(1000), o),
+        (o) => mockPair.connect(bot).buy(fresh[0], U(1000), o),
+        (o) => mockPair.connect(alice).buy(alice.address, U(1000), o),
+      ]);
+      expect(statuses).to.deep.equal([1, 0, 0, 1]);
+      expect(await token.balanceOf(bot.address)).to.equal(U("999")); // one buy, 0.1% tax
+
+      // One transaction fanning out to fresh wallets
+      await expect(mockPair.connect(carol).buyMany(fresh, U(1000))).to.be.revertedWith("HedgexDao: Buy cooldown");
+
+      // Next block is fine again; sells and wallet transfers are not throttled
+      await mockPair.connect(bot).buy(bot.address, U(1000));
+      expect(
+        await inOneBlock([
+          (o) => token.connect(bot).transfer(pair1.address, U(100), o),
+          (o) => token.connect(bot).transfer(pair1.address, U(100), o),
+          (o) => token.connect(bot).transfer(bob.address, U(100), o),
+        ])
+      ).to.deep.equal([1, 1, 1]);
+    });
+
+    it("limits lapse launchLimitsBlocks after trading starts and cannot be re-armed", async () => {
+      const { token, mockPair, bob } = await loadFixture(launchFixture);
+      await token.setLaunchLimits(U("100000"), U("200000"), true, 10);
+      await token.enableTrading();
+
+      await expect(mockPair.connect(bob).buy(bob.address, U("150000"))).to.be.revertedWith("HedgexDao: Max tx exceeded");
+      // enableTrading block + 10
+      await mine(9);
+      expect(await token.launchLimitsExpired()).to.equal(true);
+      expect(await token.launchLimitsActive()).to.equal(false);
+
+      expect(await inOneBlock([
+        (o) => mockPair.connect(bob).buy(bob.address, U("150000"), o),
+        (o) => mockPair.connect(bob).buy(bob.address, U("150000"), o),
+      ])).to.deep.equal([1, 1]);
+      await expect(token.setLaunchLimits(U("100000"), 0, false, 0)).to.be.revertedWith("HedgexDao: Limits expired");
+    });
+  });
+
+  // ------------------------------
+  // Compliance freeze
+  // ------------------------------
+  describe("Compliance freeze", function () {
+    const REASON = ethers.utils.formatBytes32String("STOLEN_FUNDS");
+    const CLEARED = ethers.utils.formatBytes32String("CLEARED");
+
+    async function freezeFixture() {
+      const base = await deployFixture();
+      const { token, owner, alice, bob, carol } = base;
+      await token.connect(owner).transfer(alice.address, U(1000));
+      await token.connect(owner).transfer(bob.address, U(500));
+      await token.connect(owner).grantRole(ethers.utils.id("COMPLIANCE_ROLE"), carol.address);
+      return base;
+    }
+
+    it("owner or compliance role freeze / unfreeze with a reason; recovery is owner-only", async () => {
+      const { token, owner, alice, carol, stranger } = await loadFixture(freezeFixture);
+
+      await expect(token.connect(stranger).freeze(alice.address, REASON)).to.be.revertedWith(missingRole(stranger, "COMPLIANCE_ROLE"));
+      await expect(token.connect(carol).freeze(alice.address, ethers.constants.HashZero)).to.be.revertedWith("HedgexDao: Reason required");
+      await expect(token.connect(carol).freeze(ethers.constants.AddressZero, REASON)).to.be.revertedWith("HedgexDao: Invalid Account");
+
+      await expect(token.connect(carol).freeze(alice.address, REASON))
+        .to.emit(token, "AccountFrozen")
+        .withArgs(alice.address, REASON, carol.address);
+      expect(await token.isFrozen(alice.address)).to.equal(true);
+      expect(await token.frozenReason(alice.address)).to.equal(REASON);
+      await expect(token.connect(owner).freeze(alice.address, REASON)).to.be.revertedWith("HedgexDao: Already frozen");
+      await expect(token.connect(carol).recoverFrozenFunds(alice.address)).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(token.connect(stranger).unfreeze(alice.address, CLEARED)).to.be.revertedWith(missingRole(stranger, "COMPLIANCE_ROLE"));
+      await expect(token.connect(owner).unfreeze(alice.address, CLEARED))
+        .to.emit(token, "AccountUnfrozen")
+        .withArgs(alice.address, CLEARED, owner.address);
+      expect(await token.isFrozen(alice.address)).to.equal(false);
+      expect(await token.frozenReason(alice.address)).to.equal(ethers.constants.HashZero);
+      await expect(token.connect(carol).unfreeze(alice.address, CLEARED)).to.be.revertedWith("HedgexDao: Not frozen");
+
+      // Revoking the role leaves the owner only
+      await token.connect(owner).revokeRole(ethers.utils.id("COMPLIANCE_ROLE"), carol.address);
+      await expect(token.connect(carol).freeze(alice.address, REASON)).to.be.revertedWith(missingRole(carol, "COMPLIANCE_ROLE"));
+    });
+
+    it("blocks transfer, transferFrom and burnFrom involving a frozen holder, recipient or spender", async () => {
+      const { token, owner, alice, bob, carol } = await loadFixture(freezeFixture);
+
+      await token.connect(alice).approve(bob.address, U(300));
+      await token.connect(bob).approve(alice.address, U(300));
+      await token.connect(carol).freeze(alice.address, REASON);
+
+      // Frozen sender / recipient
+      await expect(token.connect(alice).transfer(bob.address, U(1))).to.be.revertedWith("HedgexDao: Account frozen");
+      await expect(token.connect(bob).transfer(alice.address, U(1))).to.be.revertedWith("HedgexDao: Account frozen");
+      await expect(token.connect(owner).mint(alice.address, U(1))).to.be.revertedWith("HedgexDao: Account frozen");
+      await expect(token.connect(alice).burn(U(1))).to.be.revertedWith("HedgexDao: Account frozen");
+      // Frozen holder, spender not frozen
+      await expect(token.connect(bob).transferFrom(alice.address, bob.address, U(1))).to.be.revertedWith("HedgexDao: Account frozen");
+      await expect(token.connect(bob).burnFrom(alice.address, U(1))).to.be.revertedWith("HedgexDao: Account frozen");
+      // Frozen spender, holder not frozen
+      await expect(token.connect(alice).transferFrom(bob.address, carol.address, U(1))).to.be.revertedWith("HedgexDao: Account frozen");
+      await expect(token.connect(alice).burnFrom(bob.address, U(1))).to.be.revertedWith("HedgexDao: Account frozen");
+
+      expect(await token.balanceOf(alice.address)).to.equal(U(1000));
+      expect(await token.balanceOf(bob.address)).to.equal(U(500));
+
+      await token.connect(carol).unfreeze(alice.address, CLEARED);
+      await token.connect(bob).transferFrom(alice.address, bob.address, U(100));
+      await token.connect(alice).burnFrom(bob.address, U(100));
+      expect(await token.balanceOf(alice.address)).to.equal(U(900));
+      expect(await token.balanceOf(bob.address)).to.equal(U(500));
+    });
+
+    it("frozen accounts have no votes, lose their delegation and cannot delegate until unfrozen", async () => {
+      const { token, alice, bob, carol } = await loadFixture(freezeFixture);
+
+      await token.connect(alice).delegate(alice.address);
+      await token.connect(bob).delegate(alice.address);
+      await mine(1);
+      const before = await ethers.provider.getBlockNumber();
+      expect(await token.getVotes(alice.address)).to.equal(U(1500));
+
+      await token.connect(carol).freeze(alice.address, REASON);
+      await mine(1);
+
+      // Own delegation removed; votes delegated by others no longer count either
+      expect(await token.delegates(alice.address)).to.equal(ethers.constants.AddressZero);
+      expect(await token.getVotes(alice.address)).to.equal(0);
+      expect(await token.getPastVotes(alice.address, before)).to.equal(0);
+      await expect(token.connect(alice).delegate(alice.address)).to.be.revertedWith("HedgexDao: Account frozen");
+
+      await token.connect(carol).unfreeze(alice.address, CLEARED);
+      await mine(1);
+      // Checkpoints were kept: bob's delegation counts again, alice's own balance once she re-delegates
+      expect(await token.getPastVotes(alice.address, before)).to.equal(U(1500));
+      expect(await token.getVotes(alice.address)).to.equal(U(500));
+      await token.connect(alice).delegate(alice.address);
+      expect(await token.getVotes(alice.address)).to.equal(U(1500));
+    });
+
+    it("fee recipients cannot be frozen and frozen accounts cannot become fee recipients", async () => {
+      const { token, owner, alice, bob, carol, router } = await loadFixture(freezeFixture);
+      await token.connect(owner).setFeeRecipients(bob.address, router.address);
+
+      // Every taxed swap pays the treasury and rewards, so freezing either would halt trading
+      await expect(token.connect(carol).freeze(bob.address, REASON)).to.be.revertedWith("HedgexDao: Fee recipient");
+      await expect(token.connect(owner).freeze(router.address, REASON)).to.be.revertedWith("HedgexDao: Fee recipient");
+
+      await token.connect(carol).freeze(alice.address, REASON);
+      await expect(token.connect(owner).setFeeRecipients(alice.address, router.address)).to.be.revertedWith("HedgexDao: Account frozen");
+      await expect(token.connect(owner).setFeeRecipients(bob.address, alice.address)).to.be.revertedWith("HedgexDao: Account frozen");
+
+      // Once bob is no longer the treasury, bob can be frozen
+      await token.connect(owner).setFeeRecipients(router.address, router.address);
+      await token.connect(carol).freeze(bob.address, REASON);
+      expect(await token.isFrozen(bob.address)).to.equal(true);
+    });
+
+    it("owner recovers a frozen balance to the treasury; the account stays frozen", async () => {
+      const { token, owner, alice, carol, router } = await loadFixture(freezeFixture);
+      await token.connect(carol).freeze(alice.address, REASON);
+
+      await expect(token.connect(owner).recoverFrozenFunds(owner.address)).to.be.revertedWith("HedgexDao: Not frozen");
+      await expect(token.connect(owner).recoverFrozenFunds(alice.address)).to.be.revertedWith("HedgexDao: Treasury not set");
+
+      await token.connect(owner).setFeeRecipients(router.address, ethers.constants.AddressZero);
+      const holders = await token.holdersCount();
+      const supply = await token.totalSupply();
+      await expect(token.connect(owner).recoverFrozenFunds(alice.address))
+        .to.emit(token, "FrozenFundsRecovered")
+        .withArgs(alice.address, router.address, U(1000), REASON)
+        .and.to.emit(token, "Transfer")
+        .withArgs(alice.address, router.address, U(1000));
+
+      expect(await token.balanceOf(alice.address)).to.equal(0);
+      expect(await token.balanceOf(router.address)).to.equal(U(1000));
+      expect(await token.totalSupply()).to.equal(supply);
+      expect(await token.holdersCount()).to.equal(holders); // alice out, treasury in
+      expect(await token.isFrozen(alice.address)).to.equal(true);
+      await expect(token.connect(owner).transfer(alice.address, U(1))).to.be.revertedWith("HedgexDao: Account frozen");
+    });
+  });
+
+  // ------------------------------
+  // Roles
+  // ------------------------------
+  describe("Roles", function () {
+    const ADMIN = ethers.constants.HashZero;
+    const id = (role) => ethers.utils.id(role);
+    const notAdmin = (signer) => `AccessControl: account ${signer.address.toLowerCase()} is missing role ${ADMIN}`;
+
+    // One sample call per role-gated function, grouped by the role that may make it
+    const ROLE_CALLS = {
+      MINTER_ROLE: {
+        mint: (t, s) => t.mint(s.carol.address, U(1)),
+      },
+      SNAPSHOT_ROLE: {
+        snapshot: (t) => t.snapshot(),
+        getCurrentSnapshot: (t) => t.getCurrentSnapshot(),
+      },
+      FEE_MANAGER_ROLE: {
+        setAutomatedMarketMakerPair: (t, s) => t.setAutomatedMarketMakerPair(s.pair1.address, true),
+        setExcludedFromFee: (t, s) => t.setExcludedFromFee(s.carol.address, true),
+        setBurnTax: (t) => t.setBurnTax(50),
+        setBuyTax: (t) => t.setBuyTax(50),
+        setSellTax: (t) => t.setSellTax(50),
+        setPairTaxOverride: (t, s) => t.setPairTaxOverride(s.pair1.address, true, 1, 1),
+        setPairToPairTaxExempt: (t) => t.setPairToPairTaxExempt(true),
+        setSupplyFloor: (t) => t.setSupplyFloor(U("21000000")),
+        setMaxTaxBurn: (t) => t.setMaxTaxBurn(U(1000)),
+        setFeeSplit: (t) => t.setFeeSplit(10_000, 0, 0),
+      },
+      COMPLIANCE_ROLE: {
+        freeze: (t, s) => t.freeze(s.carol.address, ethers.utils.formatBytes32String("SANCTIONS")),
+        unfreeze: (t, s) => t.unfreeze(s.bob.address, ethers.utils.formatBytes32String("CLEARED")),
+      },
+    };
+    const OWNER_CALLS = {
+      setFeeRecipients: (t, s) => t.setFeeRecipients(s.router.address, ethers.constants.AddressZero),
+      setMintSchedule: (t) => t.setMintSchedule(86400, U(1000)),
+      setLimits: (t, s) => t.setLimits(s.carol.address, U(1000), U(1000)),
+      enableTrading: (t) => t.enableTrading(),
+      setLaunchLimits: (t) => t.setLaunchLimits(0, 0, false, 0),
+      recoverFrozenFunds: (t, s) => t.recoverFrozenFunds(s.bob.address),
+      grantRole: (t, s) => t.grantRole(id("MINTER_ROLE"), s.carol.address),
+      revokeRole: (t, s) => t.revokeRole(id("MINTER_ROLE"), s.carol.address),
+    };
+
+    async function rolesFixture() {
+      const base = await deployFixture();
+      const { token, owner, bob } = base;
+      await token.connect(owner).transfer(bob.address, U(100));
+      await token.connect(owner).freeze(bob.address, ethers.utils.formatBytes32String("STOLEN_FUNDS"));
+      return base;
+    }
+
+    it("each role can make exactly its own calls; owner-only calls stay with the owner", async () => {
+      const signers = await loadFixture(rolesFixture);
+      const { token, owner, alice } = signers;
+
+      for (const role of Object.keys(ROLE_CALLS)) {
+        await token.connect(owner).grantRole(id(role), alice.address);
+        const asAlice = token.connect(alice).callStatic;
+
+        for (const [other, calls] of Object.entries(ROLE_CALLS)) {
+          for (const [name, call] of Object.entries(calls)) {
+            if (other === role) {
+              await call(asAlice, signers);
+            } else {
+              await expect(call(asAlice, signers), `${role} -> ${name}`).to.be.revertedWith(missingRole(alice, other));
+            }
+          }
+        }
+        for (const [name, call] of Object.entries(OWNER_CALLS)) {
+          const reason = name.endsWith("Role") ? notAdmin(alice) : "Ownable: caller is not the owner";
+          await expect(call(asAlice, signers), `${role} -> ${name}`).to.be.revertedWith(reason);
+        }
+        await token.connect(owner).revokeRole(id(role), alice.address);
+      }
+
+      // The owner may act as every role without holding it
+      for (const calls of Object.values(ROLE_CALLS)) {
+        for (const call of Object.values(calls)) {
+          await call(token.connect(owner).callStatic, signers);
+        }
+      }
+    });
+
+    it("a snapshotter bot can snapshot but not mint; revoking or renouncing removes the role", async () => {
+      const { token, owner, alice: bot, carol } = await loadFixture(rolesFixture);
+
+      await expect(token.connect(owner).grantRole(id("SNAPSHOT_ROLE"), bot.address))
+        .to.emit(token, "RoleGranted")
+        .withArgs(id("SNAPSHOT_ROLE"), bot.address, owner.address);
+      await expect(token.connect(bot).snapshot()).to.emit(token, "Snapshot");
+      await expect(token.connect(bot).mint(bot.address, U(1))).to.be.revertedWith(missingRole(bot, "MINTER_ROLE"));
+      await expect(token.connect(bot).grantRole(id("MINTER_ROLE"), bot.address)).to.be.revertedWith(notAdmin(bot));
+
+      await token.connect(owner).revokeRole(id("SNAPSHOT_ROLE"), bot.address);
+      await expect(token.connect(bot).snapshot()).to.be.revertedWith(missingRole(bot, "SNAPSHOT_ROLE"));
+
+      await token.connect(owner).grantRole(id("MINTER_ROLE"), carol.address);
+      await token.connect(carol).mint(carol.address, U(1));
+      await token.connect(carol).renounceRole(id("MINTER_ROLE"), carol.address);
+      expect(await token.hasRole(id("MINTER_ROLE"), carol.address)).to.equal(false);
+    });
+
+    it("the admin role follows ownership and cannot be granted, revoked or renounced directly", async () => {
+      const { token, owner, alice, stranger } = await loadFixture(rolesFixture);
+
+      expect(await token.hasRole(ADMIN, owner.address)).to.equal(true);
+      expect(await token.getRoleAdmin(id("MINTER_ROLE"))).to.equal(ADMIN);
+      for (const method of ["grantRole", "revokeRole"]) {
+        await expect(token.connect(owner)[method](ADMIN, alice.address)).to.be.revertedWith("HedgexDao: Admin follows owner");
+      }
+      await expect(token.connect(owner).renounceRole(ADMIN, owner.address)).to.be.revertedWith("HedgexDao: Admin follows owner");
+
+      await token.connect(owner).grantRole(id("MINTER_ROLE"), stranger.address);
+      await token.connect(owner).transferOwnership(alice.address);
+      expect(await token.hasRole(ADMIN, owner.address)).to.equal(false);
+      expect(await token.hasRole(ADMIN, alice.address)).to.equal(true);
+      // Roles granted by the previous owner stay until the new one revokes them
+      expect(await token.hasRole(id("MINTER_ROLE"), stranger.address)).to.equal(true);
+      await expect(token.connect(owner).mint(owner.address, U(1))).to.be.revertedWith(missingRole(owner, "MINTER_ROLE"));
+      await token.connect(alice).mint(alice.address, U(1));
+      await token.connect(alice).revokeRole(id("MINTER_ROLE"), stranger.address);
+
+      await token.connect(alice).renounceOwnership();
+      expect(await token.hasRole(ADMIN, alice.address)).to.equal(false);
+    });
+  });
+
+  // ------------------------------
+  // Emission schedule
+  // ------------------------------
+  describe("Emission schedule", function () {
+    const EPOCH = 30 * 24 * 60 * 60;
+
+    it("mints without limit until a schedule is set, then at most maxMintPerEpoch per epoch", async () => {
+      const { token, owner, alice, stranger } = await loadFixture(deployFixture);
+      await token.mint(alice.address, U(1000000));
+
+      await expect(token.connect(stranger).setMintSchedule(EPOCH, U(100000))).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(token.setMintSchedule(0, U(100000))).to.be.revertedWith("HedgexDao: Invalid epoch");
+      await expect(token.setMintSchedule(EPOCH, U(100000)))
+        .to.emit(token, "MintScheduleUpdated")
+        .withArgs(EPOCH, U(100000));
+
+      await token.mint(alice.address, U(60000));
+      await expect(token.mint(alice.address, U(40001))).to.be.revertedWith("HedgexDao: Epoch mint limit");
+      await token.mint(alice.address, U(40000));
+      expect(await token.mintedInCurrentEpoch()).to.equal(U(100000));
+      expect(await token.currentMintEpoch()).to.equal(0);
+
+      // Next epoch: full allowance again, unused allowance does not carry over
+      await time.increase(EPOCH);
+      expect(await token.currentMintEpoch()).to.equal(1);
+      expect(await token.mintedInCurrentEpoch()).to.equal(ZERO);
+      await token.mint(owner.address, U(100000));
+      await time.increase(2 * EPOCH);
+      await expect(token.mint(owner.address, U(200000))).to.be.revertedWith("HedgexDao: Epoch mint limit");
+    });
+
+    it("only lets the rate go down, and re-setting never frees headroom in the running epoch", async () => {
+      const { token, alice } = await loadFixture(deployFixture);
+      await token.setMintSchedule(EPOCH, U(100000));
+      await token.mint(alice.address, U(80000));
+
+      await expect(token.setMintSchedule(EPOCH, U(100001))).to.be.revertedWith("HedgexDao: Emission rate increase");
+      // Same rate over a shorter epoch is allowed
+      await token.setMintSchedule(EPOCH / 2, U(50000));
+      expect(await token.mintedInCurrentEpoch()).to.equal(U(80000));
+      await expect(token.mint(alice.address, U(1))).to.be.revertedWith("HedgexDao: Epoch mint limit");
+
+      await time.increase(EPOCH / 2);
+      await token.mint(alice.address, U(50000));
+      await expect(token.setMintSchedule(EPOCH, U(100001))).to.be.revertedWith("HedgexDao: Emission rate increase");
+    });
+  });
+
   // ------------------------------
   // Holders count logic
   // ------------------------------
@@ -436,6 +1264,72 @@ describe("HedgexDao", function () {
       await token.transfer(owner.address, U(1)); // self-transfer
       expect(await token.holdersCount()).to.equal(countBefore);
     });
+
+    it("enumerates holders and moves the last holder into a freed slot", async () => {
+      const { token, owner, alice, bob, carol } = await loadFixture(deployFixture);
+
+      await token.transfer(alice.address, U(100));
+      await token.transfer(bob.address, U(100));
+      await token.transfer(carol.address, U(100));
+      expect(await token.holders(0, 10)).to.deep.equal([owner.address, alice.address, bob.address, carol.address]);
+
+      // alice exits: carol (last) takes index 1
+      await token.connect(alice).transfer(bob.address, U(100));
+      expect(await token.holders(0, 10)).to.deep.equal([owner.address, carol.address, bob.address]);
+      expect(await token.holderAt(1)).to.equal(carol.address);
+
+      // alice comes back at the end
+      await token.transfer(alice.address, U(1));
+      expect(await token.holderAt(3)).to.equal(alice.address);
+      expect(await token.holdersCount()).to.equal(4);
+    });
+
+    it("pages holders(offset, limit) and bounds-checks holderAt", async () => {
+      const { token, owner, alice, bob } = await loadFixture(deployFixture);
+      await token.transfer(alice.address, U(1));
+      await token.transfer(bob.address, U(1));
+
+      expect(await token.holders(0, 2)).to.deep.equal([owner.address, alice.address]);
+      expect(await token.holders(2, 2)).to.deep.equal([bob.address]);
+      expect(await token.holders(3, 2)).to.deep.equal([]);
+      expect(await token.holders(1, 0)).to.deep.equal([]);
+      expect(await token.holders(1, ethers.constants.MaxUint256)).to.deep.equal([alice.address, bob.address]);
+      await expect(token.holderAt(3)).to.be.revertedWith("HedgexDao: Index out of bounds");
+    });
+
+    it("keeps the registry equal to the set of non-zero balances through random transfers", async () => {
+      const { token, owner, alice, bob, carol, pair1 } = await loadFixture(deployFixture);
+      await token.connect(owner).setAutomatedMarketMakerPair(pair1.address, true);
+      const wallets = [owner, alice, bob, carol, pair1];
+
+      // Deterministic pseudo-random walk (taxed pair legs included; the burn leg changes no holder)
+      let seed = 42;
+      const next = (n) => {
+        seed = (seed * 1103515245 + 12345) % 2 ** 31;
+        return seed % n;
+      };
+      for (let i = 0; i < 40; i++) {
+        const from = wallets[next(wallets.length)];
+        const to = wallets[next(wallets.length)];
+        const balance = await token.balanceOf(from.address);
+        if (balance.isZero()) {
+          continue;
+        }
+        // Half of the moves empty the sender
+        const amount = next(2) === 0 ? balance : balance.div(3).add(1);
+        await token.connect(from).transfer(to.address, amount);
+      }
+
+      const holders = await token.holders(0, 100);
+      const expected = [];
+      for (const w of wallets) {
+        if (!(await token.balanceOf(w.address)).isZero()) {
+          expected.push(w.address);
+        }
+      }
+      expect([...holders].sort()).to.deep.equal(expected.sort());
+      expect(await token.holdersCount()).to.equal(expected.length);
+    });
   });
 
   // ------------------------------
@@ -476,7 +1370,7 @@ describe("HedgexDao", function () {
   // ------------------------------
   // Events / miscellaneous
   // ------------------------------
-  it("TaxBurnApplied emits new total supply as 4th arg per implementation", async () => {
+  it("TaxBurnApplied emits the new total supply as newTotalSupply", async () => {
     const { token, owner, alice, pair1 } = await loadFixture(deployFixture);
 
     await token.connect(owner).setAutomatedMarketMakerPair(pair1.address, true);
@@ -488,8 +1382,12 @@ describe("HedgexDao", function () {
     const denom = 10_000n;
     const fee = (BigInt(amount) * BigInt(burnTax)) / BigInt(denom);
 
-    await expect(token.connect(alice).transfer(pair1.address, amount))
+    const tx = await token.connect(alice).transfer(pair1.address, amount);
+    await expect(tx)
       .to.emit(token, "TaxBurnApplied")
       .withArgs(alice.address, pair1.address, fee, BigInt(tsBefore) - BigInt(fee));
+    const { events } = await tx.wait();
+    const { args } = events.find((e) => e.event === "TaxBurnApplied");
+    expect(args.newTotalSupply).to.equal(await token.totalSupply());
   });
 });
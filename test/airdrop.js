@@ -0,0 +1,256 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  snapshotBalances,
+  allocate,
+  buildDistribution,
+  verifyClaim,
+  loadDistribution,
+} = require("../scripts/lib/airdrop");
+const { expectRejected, captureLogs } = require("./helpers");
+
+describe("Snapshot airdrop / Merkle distributor", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+  const BN = ethers.BigNumber;
+
+  // Keep task output out of the test report
+  captureLogs();
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-airdrop-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Small supply so the pro-rata numbers stay readable: 1000 HGXD in total
+  async function deployFixture() {
+    const [owner, alice, bob, carol, pair1, treasury] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U(1000), U(2000), U(0));
+    const Distributor = await ethers.getContractFactory("HedgexMerkleDistributor");
+    const distributor = await Distributor.deploy();
+
+    await token.setAutomatedMarketMakerPair(pair1.address, true);
+    await token.setExcludedFromFee(owner.address, true);
+    await token.transfer(alice.address, U(100));
+    await token.transfer(bob.address, U(300));
+    await token.transfer(carol.address, U(100));
+    await token.transfer(pair1.address, U(200)); // liquidity, excluded automatically
+    await token.transfer(treasury.address, U(100));
+    // owner keeps 200
+    await token.snapshot(); // id 1
+
+    // Movements after the snapshot do not change the allocation
+    await token.connect(alice).transfer(bob.address, U(50));
+    await token.connect(carol).transfer(treasury.address, U(100));
+
+    return { token, distributor, owner, alice, bob, carol, pair1, treasury };
+  }
+
+  // ------------------------------
+  // Off-chain computation
+  // ------------------------------
+  it("reads balances at the snapshot and excludes pairs, the token and listed addresses", async () => {
+    const { token, owner, alice, bob, carol, pair1, treasury } = await loadFixture(deployFixture);
+
+    const balances = await snapshotBalances(token, 1, { exclude: [owner.address] });
+    expect(balances.snapshot.id).to.equal(1);
+    expect(balances.totalSupply).to.equal(U(1000));
+    expect(balances.eligibleSupply).to.equal(U(600));
+    expect(balances.excluded.map((e) => e.account).sort()).to.deep.equal([owner.address, pair1.address].sort());
+
+    const byAccount = Object.fromEntries(balances.holders.map((h) => [h.account, h.balance]));
+    expect(byAccount).to.deep.equal({
+      [alice.address]: U(100),
+      [bob.address]: U(300),
+      [carol.address]: U(100),
+      [treasury.address]: U(100),
+    });
+
+    // Logs are read in block ranges; one block at a time finds the same holders
+    const chunked = await snapshotBalances(token, 1, { exclude: [owner.address], chunkSize: 1 });
+    expect(chunked.holders).to.deep.equal(balances.holders);
+    expect(chunked.snapshot).to.deep.equal(balances.snapshot);
+  });
+
+  it("allocates pro rata, rounding down and reporting the dust", () => {
+    const holders = [
+      { account: "0x0000000000000000000000000000000000000001", balance: BN.from(1) },
+      { account: "0x0000000000000000000000000000000000000002", balance: BN.from(2) },
+    ];
+    const { allocations, total, dust } = allocate(holders, BN.from(3), 100);
+    expect(allocations.map((a) => a.amount.toNumber())).to.deep.equal([33, 66]);
+    expect(total).to.equal(66 + 33);
+    expect(dust).to.equal(1);
+
+    // Holders whose share rounds to zero get no leaf
+    expect(allocate(holders, BN.from(3), 2).allocations.map((a) => a.account)).to.deep.equal([holders[1].account]);
+  });
+
+  it("builds proofs that verify against the root and nowhere else", async () => {
+    const { token, owner, alice, pair1 } = await loadFixture(deployFixture);
+
+    const balances = await snapshotBalances(token, 1, { exclude: [owner.address] });
+    const distribution = buildDistribution({ token: token.address, rewardToken: token.address, reward: U(60), balances });
+
+    expect(distribution.total).to.equal(U(60).toString());
+    expect(distribution.claims[alice.address].amount).to.equal(U(10).toString());
+    expect(verifyClaim(distribution, alice.address)).to.equal(true);
+    expect(verifyClaim(distribution, pair1.address)).to.equal(false);
+
+    const tampered = JSON.parse(JSON.stringify(distribution));
+    tampered.claims[alice.address].amount = U(11).toString();
+    expect(verifyClaim(tampered, alice.address)).to.equal(false);
+  });
+
+  // ------------------------------
+  // Full cycle through the tasks and the contract
+  // ------------------------------
+  it("snapshot -> tree -> fund -> claim pays every holder exactly once", async () => {
+    const { token, distributor, owner, alice, bob, carol, treasury } = await loadFixture(deployFixture);
+    const file = path.join(dir, "airdrop.json");
+
+    await hre.run("hgxd:airdrop-build", {
+      token: token.address,
+      amount: "60",
+      out: file,
+      exclude: owner.address,
+      fromBlock: 0,
+    });
+    await hre.run("hgxd:airdrop-fund", { file, distributor: distributor.address });
+
+    const funded = loadDistribution(file);
+    expect(funded.distributionId).to.equal(0);
+    expect(await token.balanceOf(distributor.address)).to.equal(U(60));
+    const stored = await distributor.distributions(0);
+    expect(stored.merkleRoot).to.equal(funded.merkleRoot);
+    expect(stored.snapshotId).to.equal(1);
+
+    // Each holder claims their snapshot share: 60 * balance / 600
+    const expected = [
+      [alice, U(10)],
+      [bob, U(30)],
+      [carol, U(10)],
+      [treasury, U(10)],
+    ];
+    for (const [holder, amount] of expected) {
+      const before = await token.balanceOf(holder.address);
+      await hre.run("hgxd:airdrop-claim", { file, account: holder.address });
+      expect((await token.balanceOf(holder.address)).sub(before), holder.address).to.equal(amount);
+    }
+    expect(await token.balanceOf(distributor.address)).to.equal(0);
+    expect((await distributor.distributions(0)).claimed).to.equal(U(60));
+
+    await expectRejected(hre.run("hgxd:airdrop-claim", { file, account: alice.address }), "already claimed");
+    await expectRejected(hre.run("hgxd:airdrop-claim", { file, account: owner.address }), "has no valid claim");
+    await expectRejected(hre.run("hgxd:airdrop-fund", { file, distributor: distributor.address }), "already funded");
+  });
+
+  it("pays any ERC20 as a dividend and reclaims after expiry", async () => {
+    const { token, distributor, owner, alice, bob } = await loadFixture(deployFixture);
+    // A second HedgexDao instance stands in for an arbitrary reward token
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const reward = await HedgexDao.deploy("Reward", "RWD", U(1_000_000), U(1_000_000), U(0));
+    const file = path.join(dir, "dividend.json");
+
+    await hre.run("hgxd:airdrop-build", {
+      token: token.address,
+      rewardToken: reward.address,
+      amount: "800",
+      out: file,
+      snapshotId: 1,
+      fromBlock: 0,
+    });
+    await hre.run("hgxd:airdrop-fund", { file, distributor: distributor.address, expiryDays: 7 });
+
+    // owner (200) is eligible here, only the pair is out: 800 * 300 / 800 for bob
+    await hre.run("hgxd:airdrop-claim", { file, account: bob.address });
+    expect(await reward.balanceOf(bob.address)).to.equal(U(300));
+
+    await expect(distributor.reclaim(0, owner.address)).to.be.revertedWith("Distributor: Not expired");
+    await time.increase(8 * 24 * 60 * 60);
+    await expectRejected(hre.run("hgxd:airdrop-claim", { file, account: alice.address }), "Distributor: Expired");
+
+    const before = await reward.balanceOf(owner.address);
+    await expect(distributor.reclaim(0, owner.address))
+      .to.emit(distributor, "Reclaimed")
+      .withArgs(0, owner.address, U(500));
+    expect((await reward.balanceOf(owner.address)).sub(before)).to.equal(U(500));
+  });
+
+  it("the contract rejects bad proofs, unknown distributions and non-owner funding", async () => {
+    const { token, distributor, owner, alice, bob } = await loadFixture(deployFixture);
+
+    const balances = await snapshotBalances(token, 1, { exclude: [owner.address] });
+    const d = buildDistribution({ token: token.address, rewardToken: token.address, reward: U(60), balances });
+    const claim = d.claims[alice.address];
+
+    await expect(
+      distributor.connect(alice).createDistribution(token.address, d.merkleRoot, 1, d.total, 0)
+    ).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(
+      distributor.createDistribution(token.address, ethers.constants.HashZero, 1, d.total, 0)
+    ).to.be.revertedWith("Distributor: Empty root");
+
+    await token.approve(distributor.address, d.total);
+    await distributor.createDistribution(token.address, d.merkleRoot, 1, d.total, 0);
+
+    await expect(distributor.claim(1, claim.index, alice.address, claim.amount, claim.proof)).to.be.revertedWith(
+      "Distributor: Unknown distribution"
+    );
+    await expect(distributor.claim(0, claim.index, bob.address, claim.amount, claim.proof)).to.be.revertedWith(
+      "Distributor: Invalid proof"
+    );
+    await expect(distributor.claim(0, claim.index, alice.address, U(20), claim.proof)).to.be.revertedWith(
+      "Distributor: Invalid proof"
+    );
+
+    // Anyone may submit, the tokens go to the account in the leaf
+    await expect(distributor.connect(bob).claim(0, claim.index, alice.address, claim.amount, claim.proof))
+      .to.emit(distributor, "Claimed")
+      .withArgs(0, claim.index, alice.address, claim.amount);
+    expect(await distributor.isClaimed(0, claim.index)).to.equal(true);
+    await expect(distributor.reclaim(0, owner.address)).to.be.revertedWith("Distributor: Not expired");
+  });
+
+  it("a distribution never pays out more than it was funded with, even from a shared balance", async () => {
+    const { token, distributor, owner, alice, bob, carol } = await loadFixture(deployFixture);
+    const balances = await snapshotBalances(token, 1, { exclude: [owner.address] });
+    const d = buildDistribution({ token: token.address, rewardToken: token.address, reward: U(60), balances });
+
+    // Distribution 0 is funded for its tree; distribution 1 reuses it with only 20 behind it (a bad root)
+    await token.approve(distributor.address, U(80));
+    await distributor.createDistribution(token.address, d.merkleRoot, 1, d.total, 0);
+    await distributor.createDistribution(token.address, d.merkleRoot, 1, U(20), 0);
+
+    const pay = (id, holder) => {
+      const c = d.claims[holder.address];
+      return distributor.claim(id, c.index, holder.address, c.amount, c.proof);
+    };
+    await pay(1, alice); // 10 of 20
+    await expect(pay(1, bob)).to.be.revertedWith("Distributor: Exceeds total");
+    await pay(1, carol); // 20 of 20
+    expect((await distributor.distributions(1)).claimed).to.equal(U(20));
+
+    // Distribution 0 is untouched
+    for (const holder of [alice, bob, carol]) {
+      await pay(0, holder);
+    }
+    expect(await token.balanceOf(distributor.address)).to.equal(U(10));
+  });
+
+  it("refuses to build when the holder scan starts after the first transfers", async () => {
+    const { token } = await loadFixture(deployFixture);
+    const lateBlock = (await token.queryFilter(token.filters.Snapshot()))[0].blockNumber;
+
+    await expectRejected(snapshotBalances(token, 1, { fromBlock: lateBlock }), "do not add up to totalSupplyAt");
+    await expectRejected(snapshotBalances(token, 2), "Snapshot 2 not found");
+  });
+});
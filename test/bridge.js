@@ -0,0 +1,250 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  deployBridgeChain,
+  bridgeTransfers,
+  relayTransfers,
+  reconcileSupply,
+  simulateBridge,
+} = require("../scripts/lib/bridge");
+const { OPS } = require("../scripts/lib/adminOps");
+const { captureLogs } = require("./helpers");
+
+describe("Bridge limits (xERC20-style)", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+  const DAY = 24 * 60 * 60;
+  // Limits refill every second, and each transaction moves the clock on a little
+  const TOLERANCE = U(5);
+
+  // Keep task output out of the test report
+  captureLogs();
+
+  async function bridgeFixture() {
+    const [owner, alice, bridge, other, pair] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U(1000000), U(1100000), U(0));
+    await token.enableTrading();
+    await token.transfer(alice.address, U(100000));
+    return { token, owner, alice, bridge, other, pair };
+  }
+
+  // ------------------------------
+  // Limits
+  // ------------------------------
+  it("only the owner whitelists bridges; a bridge is excluded from fee until it is removed", async () => {
+    const { token, alice, bridge, other } = await loadFixture(bridgeFixture);
+
+    await expect(token.connect(alice).setLimits(bridge.address, U(1000), U(1000))).to.be.revertedWith(
+      "Ownable: caller is not the owner"
+    );
+    await expect(token.setLimits(ethers.constants.AddressZero, U(1000), U(1000))).to.be.revertedWith(
+      "HedgexDao: Invalid bridge"
+    );
+    await expect(token.setLimits(bridge.address, U(1000), U(500)))
+      .to.emit(token, "BridgeLimitsSet")
+      .withArgs(U(1000), U(500), bridge.address)
+      .and.to.emit(token, "ExcludedFromFee")
+      .withArgs(bridge.address, true);
+    expect(await token.isExcludedFromFee(bridge.address)).to.equal(true);
+    expect(await token.mintingMaxLimitOf(bridge.address)).to.equal(U(1000));
+    expect(await token.burningMaxLimitOf(bridge.address)).to.equal(U(500));
+    expect(await token.mintingCurrentLimitOf(bridge.address)).to.equal(U(1000));
+    expect(await token.burningCurrentLimitOf(bridge.address)).to.equal(U(500));
+
+    // Removing the bridge lifts the exclusion setLimits added
+    await expect(token.setLimits(bridge.address, 0, 0))
+      .to.emit(token, "ExcludedFromFee")
+      .withArgs(bridge.address, false);
+    expect(await token.mintingMaxLimitOf(bridge.address)).to.equal(0);
+    expect(await token.burningMaxLimitOf(bridge.address)).to.equal(0);
+    expect(await token.isExcludedFromFee(bridge.address)).to.equal(false);
+
+    // ...but not one the account had before it became a bridge
+    await token.setExcludedFromFee(other.address, true);
+    await expect(token.setLimits(other.address, U(1000), 0)).to.not.emit(token, "ExcludedFromFee");
+    await expect(token.setLimits(other.address, 0, 0)).to.not.emit(token, "ExcludedFromFee");
+    expect(await token.isExcludedFromFee(other.address)).to.equal(true);
+  });
+
+  it("bridge mints use the rolling minting limit instead of the minter role and emission schedule", async () => {
+    const { token, alice, bridge } = await loadFixture(bridgeFixture);
+    await token.setMintSchedule(30 * DAY, U(10));
+    await token.setLimits(bridge.address, U(60000), U(60000));
+    const asBridge = token.connect(bridge);
+
+    await asBridge.mint(alice.address, U(40000));
+    expect(await token.mintedInCurrentEpoch()).to.equal(0);
+    expect(await token.mintingCurrentLimitOf(bridge.address)).to.equal(U(20000));
+    await expect(asBridge.mint(alice.address, U(20001))).to.be.revertedWith("HedgexDao: Bridge limit exceeded");
+
+    // The limit refills linearly over a day and never above the max
+    await time.increase(DAY / 4);
+    expect(await token.mintingCurrentLimitOf(bridge.address)).to.be.closeTo(U(35000), TOLERANCE);
+    await time.increase(DAY);
+    expect(await token.mintingCurrentLimitOf(bridge.address)).to.equal(U(60000));
+
+    // cap() still holds on this chain: 1,040,000 minted of 1,100,000
+    await token.setLimits(bridge.address, U(200000), U(60000));
+    await expect(asBridge.mint(alice.address, U(60000).add(1))).to.be.revertedWith("ERC20Capped: cap exceeded");
+    await asBridge.mint(alice.address, U(60000));
+    expect(await token.totalSupply()).to.equal(U(1100000));
+
+    // A removed bridge is back to an ordinary account
+    await token.setLimits(bridge.address, 0, 0);
+    await expect(asBridge.mint(alice.address, 1)).to.be.revertedWith(
+      `AccessControl: account ${bridge.address.toLowerCase()} is missing role ${ethers.utils.id("MINTER_ROLE")}`
+    );
+  });
+
+  it("minter emissions that fill the epoch do not hold up a bridge mint", async () => {
+    const { token, alice, bridge } = await loadFixture(bridgeFixture);
+    await token.setMintSchedule(DAY, U(1000));
+    await token.setLimits(bridge.address, U(5000), 0);
+
+    await token.mint(alice.address, U(1000));
+    await expect(token.mint(alice.address, 1)).to.be.revertedWith("HedgexDao: Epoch mint limit");
+    // Tokens already burned on the source chain still arrive
+    await token.connect(bridge).mint(alice.address, U(5000));
+    expect(await token.mintedInCurrentEpoch()).to.equal(U(1000));
+    expect(await token.balanceOf(alice.address)).to.equal(U(106000));
+  });
+
+  it("changing a limit shifts what is available now by the difference", async () => {
+    const { token, alice, bridge } = await loadFixture(bridgeFixture);
+    await token.setLimits(bridge.address, U(1000), U(1000));
+    await token.connect(bridge).mint(alice.address, U(700)); // 300 left
+
+    await token.setLimits(bridge.address, U(1500), U(1000));
+    expect(await token.mintingCurrentLimitOf(bridge.address)).to.be.closeTo(U(800), TOLERANCE);
+    await token.setLimits(bridge.address, U(400), U(1000));
+    expect(await token.mintingCurrentLimitOf(bridge.address)).to.equal(0);
+    await expect(token.connect(bridge).mint(alice.address, U(1))).to.be.revertedWith("HedgexDao: Bridge limit exceeded");
+  });
+
+  it("bridge burns spend the holder's allowance and the burning limit; other burns are unlimited", async () => {
+    const { token, owner, alice, bridge, other, pair } = await loadFixture(bridgeFixture);
+    await token.setLimits(bridge.address, U(1000), U(5000));
+    const asBridge = token.connect(bridge);
+
+    await expect(asBridge.burnFrom(alice.address, U(100))).to.be.revertedWith("ERC20: insufficient allowance");
+    await token.connect(alice).approve(bridge.address, U(10000));
+    await asBridge.burnFrom(alice.address, U(4000));
+    expect(await token.burningCurrentLimitOf(bridge.address)).to.be.closeTo(U(1000), TOLERANCE);
+    await expect(asBridge.burnFrom(alice.address, U(1001))).to.be.revertedWith("HedgexDao: Bridge limit exceeded");
+
+    // Its own balance too, e.g. after pulling tokens in
+    await token.connect(alice).transfer(bridge.address, U(2000));
+    await expect(asBridge.burn(U(2000))).to.be.revertedWith("HedgexDao: Bridge limit exceeded");
+    await asBridge.burn(U(900));
+
+    // A mint-only bridge cannot burn at all
+    await token.setLimits(other.address, U(1000), 0);
+    await token.transfer(other.address, U(10));
+    await expect(token.connect(other).burn(U(1))).to.be.revertedWith("HedgexDao: Bridge limit exceeded");
+    await token.burn(U(50000));
+
+    // Bridged tokens leave through pairs untaxed
+    await token.setAutomatedMarketMakerPair(pair.address, true);
+    await token.setSellTax(100);
+    await asBridge.transfer(pair.address, U(1000));
+    expect(await token.balanceOf(pair.address)).to.equal(U(1000));
+    expect(await token.balanceOf(owner.address)).to.equal(U(850000 - 10));
+  });
+
+  it("hgxd:set-bridge-limits previews and sets the limits", async () => {
+    const { token, bridge } = await loadFixture(bridgeFixture);
+    await hre.run("hgxd:set-bridge-limits", {
+      token: token.address,
+      bridge: bridge.address,
+      mintingLimit: "100000",
+      burningLimit: "50000",
+    });
+    expect(await token.mintingMaxLimitOf(bridge.address)).to.equal(U(100000));
+    expect(await token.burningMaxLimitOf(bridge.address)).to.equal(U(50000));
+    expect(await token.isExcludedFromFee(bridge.address)).to.equal(true);
+
+    // The preview shows the exclusion going with the bridge
+    const removal = await OPS.setBridgeLimits(token, { bridge: bridge.address, mintingLimit: "0", burningLimit: "0" });
+    expect(removal.diff.map(([label, , after]) => [label, after])).to.deep.include([
+      `isExcludedFromFee(${bridge.address}) unless excluded before it became a bridge`,
+      false,
+    ]);
+  });
+
+  // ------------------------------
+  // Two chains
+  // ------------------------------
+  describe("between two chains", function () {
+    // Each chain is its own token and bridge, deployed side by side on the Hardhat network
+    const providers = [ethers.provider, ethers.provider];
+
+    async function twoChainFixture() {
+      const common = { maxSupply: U(2000000), limits: { mint: U(50000), burn: U(61000) } };
+      const home = await deployBridgeChain(hre, providers[0].getSigner(0), { ...common, name: "home", domain: 1, initialSupply: U(1000000) });
+      const remote = await deployBridgeChain(hre, providers[1].getSigner(0), { ...common, name: "remote", domain: 2, initialSupply: 0 });
+      return { home, remote };
+    }
+
+    it("MockBridge burns out, relays in once, and the supply reconciles with transfers in flight", async () => {
+      const { home, remote } = await loadFixture(twoChainFixture);
+      const holder = providers[0].getSigner(1);
+      const to = await holder.getAddress();
+      await home.token.transfer(to, U(100000));
+      await home.token.connect(holder).approve(home.bridge.address, ethers.constants.MaxUint256);
+      const homeBridge = home.bridge.connect(holder);
+
+      await expect(homeBridge.bridgeOut(1, to, U(1))).to.be.revertedWith("MockBridge: Same domain");
+      await homeBridge.bridgeOut(remote.domain, to, U(30000));
+      await homeBridge.bridgeOut(remote.domain, to, U(30000)); // over remote's 50000 minting limit together
+      await homeBridge.bridgeOut(9, to, U(1000)); // no such chain
+      // That used up home's 61000 burning limit
+      await expect(homeBridge.bridgeOut(remote.domain, to, U(1000))).to.be.revertedWith("HedgexDao: Bridge limit exceeded");
+
+      const { delivered, failed } = await relayTransfers([home, remote]);
+      expect(delivered.map((t) => t.nonce)).to.deep.equal([0]);
+      expect(failed.map((t) => [t.nonce, t.reason])).to.deep.equal([[1, "HedgexDao: Bridge limit exceeded"]]);
+      expect(await remote.token.balanceOf(to)).to.equal(U(30000));
+      const transfers = await bridgeTransfers(home, [home, remote]);
+      expect(transfers.map((t) => [t.destination, t.delivered])).to.deep.equal([
+        ["remote", true],
+        ["remote", false],
+        ["domain 9", false],
+      ]);
+
+      // Only the relayer delivers, each transfer once
+      await expect(remote.bridge.connect(providers[1].getSigner(1)).bridgeIn(1, 1, to, U(30000))).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(remote.bridge.bridgeIn(1, 0, to, U(30000))).to.be.revertedWith("MockBridge: Already delivered");
+
+      const report = await reconcileSupply([home, remote], { expectedTotal: U(1000000) });
+      expect(report.chains.map((c) => c.totalSupply)).to.deep.equal([U(939000), U(30000)]);
+      expect(report.inFlight).to.equal(U(31000));
+      expect(report.balanced).to.equal(true);
+      expect(report.matchesExpected).to.equal(true);
+
+      // A mint outside the bridge changes the total but not the bridge accounting
+      await remote.token.mint(to, U(5));
+      const after = await reconcileSupply([home, remote], { expectedTotal: U(1000000) });
+      expect(after.balanced).to.equal(true);
+      expect(after.matchesExpected).to.equal(false);
+    });
+
+    it("simulateBridge moves supply out and back and settles once the limit refills", async () => {
+      const log = [];
+      const { chains, holder, genesis, report } = await simulateBridge(hre, providers, { log: (line) => log.push(line) });
+      expect(genesis).to.equal(U(1000000));
+      expect(report.balanced).to.equal(true);
+      expect(report.matchesExpected).to.equal(true);
+      expect(report.inFlight).to.equal(0);
+      expect(report.chains.map((c) => c.totalSupply)).to.deep.equal([U(945000), U(55000)]);
+      expect(await chains[1].token.balanceOf(holder)).to.equal(U(55000));
+      const output = log.join("\n");
+      expect(output).to.include("Kept home #1 -> remote in flight: HedgexDao: Bridge limit exceeded");
+      expect(output).to.include("Total: 1000000.0 (in flight 30000.0)");
+    });
+  });
+});
@@ -0,0 +1,268 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { validateConfig, loadConfig } = require("../scripts/lib/deployConfig");
+const { deployHedgexDao } = require("../scripts/lib/deploy");
+const { loadRecord, saveRecord, getHedgexDao } = require("../scripts/lib/deployments");
+
+describe("Deployment pipeline", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+  const quiet = () => {};
+
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-deploy-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const base = {
+    name: "HedgexDao",
+    symbol: "HGXD",
+    initialSupply: "25000000",
+    maxSupply: "30000000",
+    supplyFloor: "20000000",
+    burnTax: 10,
+    ammPairs: [],
+    excludedFromFee: [],
+    finalOwner: "",
+  };
+
+  // ------------------------------
+  // Config validation
+  // ------------------------------
+  describe("validateConfig", function () {
+    it("normalizes supplies and addresses", async () => {
+      const [, pair] = await ethers.getSigners();
+      const params = validateConfig({ ...base, ammPairs: [pair.address.toLowerCase()] });
+
+      expect(params.initialSupply).to.equal(U(25000000));
+      expect(params.maxSupply).to.equal(U(30000000));
+      expect(params.supplyFloor).to.equal(U(20000000));
+      expect(params.ammPairs).to.deep.equal([pair.address]);
+      expect(params.finalOwner).to.equal(undefined);
+    });
+
+    it("rejects values the constructor/setters would reject", () => {
+      expect(() => validateConfig({ ...base, supplyFloor: "30000001" })).to.throw("supplyFloor > maxSupply");
+      expect(() => validateConfig({ ...base, initialSupply: "30000001" })).to.throw("initialSupply > maxSupply");
+      expect(() => validateConfig({ ...base, burnTax: 101 })).to.throw("burnTax 101 > burnTaxCap 100");
+      expect(() => validateConfig({ ...base, maxSupply: "0" })).to.throw("maxSupply must be > 0");
+    });
+
+    it("rejects missing amounts and bad addresses", () => {
+      expect(() => validateConfig({ ...base, initialSupply: "" })).to.throw("initialSupply is required");
+      expect(() => validateConfig({ ...base, ammPairs: ["0x1234"] })).to.throw("ammPairs[0]");
+      expect(() => validateConfig({ ...base, finalOwner: ethers.constants.AddressZero })).to.throw("finalOwner");
+    });
+
+    it("defaults timelock proposers/executors to finalOwner and validates the delay", async () => {
+      const [, multisig, executor] = await ethers.getSigners();
+
+      const params = validateConfig({ ...base, finalOwner: multisig.address, timelock: { minDelay: 3600 } });
+      expect(params.timelock).to.deep.equal({ minDelay: 3600, proposers: [multisig.address], executors: [multisig.address] });
+
+      const explicit = validateConfig({ ...base, timelock: { minDelay: 0, proposers: [multisig.address], executors: [executor.address] } });
+      expect(explicit.timelock.executors).to.deep.equal([executor.address]);
+
+      expect(() => validateConfig({ ...base, timelock: { minDelay: 60 } })).to.throw("timelock.proposers is required");
+      expect(() => validateConfig({ ...base, finalOwner: multisig.address, timelock: { minDelay: -1 } })).to.throw(
+        "timelock.minDelay must be a non-negative integer"
+      );
+      expect(() => validateConfig({ ...base, timelock: { minDelay: 60, proposers: ["0x1234"] } })).to.throw(
+        "timelock.proposers[0]"
+      );
+    });
+
+    it("validates launch limits against the initial supply", () => {
+      const params = validateConfig({ ...base, launch: { maxTx: "100000", buyCooldown: true, limitsBlocks: 300 } });
+      expect(params.launch).to.deep.equal({
+        maxTx: U(100000),
+        maxWallet: ethers.constants.Zero,
+        buyCooldown: true,
+        limitsBlocks: 300,
+        enableTrading: false,
+      });
+
+      expect(() => validateConfig({ ...base, launch: { maxWallet: "24999" } })).to.throw(
+        "launch.maxWallet must be 0 or at least 0.1% of initialSupply (25000.0)"
+      );
+      expect(() => validateConfig({ ...base, launch: { limitsBlocks: -1 } })).to.throw("launch.limitsBlocks");
+    });
+
+    it("placeholder mainnet config does not validate", () => {
+      expect(() => validateConfig(loadConfig("mainnet"))).to.throw("initialSupply is required");
+    });
+  });
+
+  // ------------------------------
+  // End-to-end on the in-process network
+  // ------------------------------
+  it("deploys, runs owner calls and hands over ownership", async () => {
+    const [deployer, pair1, pair2, treasury, multisig] = await ethers.getSigners();
+    const params = validateConfig({
+      ...base,
+      burnTax: 50,
+      ammPairs: [pair1.address, pair2.address],
+      excludedFromFee: [treasury.address],
+      finalOwner: multisig.address,
+    });
+
+    const { token, record } = await deployHedgexDao(hre, params, { dir, log: quiet });
+
+    expect(await token.totalSupply()).to.equal(U(25000000));
+    expect(await token.cap()).to.equal(U(30000000));
+    expect(await token.supplyFloor()).to.equal(U(20000000));
+    expect(await token.burnTax()).to.equal(50);
+    expect(await token.automatedMarketMakerPairs(pair1.address)).to.equal(true);
+    expect(await token.automatedMarketMakerPairs(pair2.address)).to.equal(true);
+    expect(await token.isExcludedFromFee(treasury.address)).to.equal(true);
+    expect(await token.owner()).to.equal(multisig.address);
+    expect(await token.balanceOf(deployer.address)).to.equal(U(25000000));
+
+    const saved = loadRecord("hardhat", dir);
+    expect(saved.HedgexDao.address).to.equal(token.address);
+    expect(saved.chainId).to.equal(31337);
+    expect(Object.keys(saved.steps)).to.deep.equal(Object.keys(record.steps));
+    expect(Object.keys(saved.steps)).to.have.length(5);
+  });
+
+  it("sets launch limits and opens trading before the ownership handover", async () => {
+    const [, pair1, multisig] = await ethers.getSigners();
+    const params = validateConfig({
+      ...base,
+      ammPairs: [pair1.address],
+      finalOwner: multisig.address,
+      launch: { maxTx: "100000", maxWallet: "250000", buyCooldown: true, limitsBlocks: 300, enableTrading: true },
+    });
+
+    const { token, record } = await deployHedgexDao(hre, params, { dir, log: quiet });
+
+    expect(await token.maxTxAmount()).to.equal(U(100000));
+    expect(await token.maxWalletAmount()).to.equal(U(250000));
+    expect(await token.buyCooldown()).to.equal(true);
+    expect(await token.launchLimitsBlocks()).to.equal(300);
+    expect(await token.tradingEnabled()).to.equal(true);
+    expect(Object.keys(record.steps).slice(-3)).to.deep.equal([
+      "setLaunchLimits",
+      "enableTrading",
+      `transferOwnership:${multisig.address}`,
+    ]);
+  });
+
+  it("grants configured roles before the ownership handover; the deployer keeps none", async () => {
+    const [deployer, bot, multisig] = await ethers.getSigners();
+    const params = validateConfig({ ...base, finalOwner: multisig.address, roles: { snapshotter: [bot.address] } });
+
+    const { token, record } = await deployHedgexDao(hre, params, { dir, log: quiet });
+
+    const ADMIN = ethers.constants.HashZero;
+    expect(await token.hasRole(ethers.utils.id("SNAPSHOT_ROLE"), bot.address)).to.equal(true);
+    expect(await token.hasRole(ADMIN, multisig.address)).to.equal(true);
+    expect(await token.hasRole(ADMIN, deployer.address)).to.equal(false);
+    expect(Object.keys(record.steps).slice(-2)).to.deep.equal([
+      `grantRole:SNAPSHOT_ROLE:${bot.address}`,
+      `transferOwnership:${multisig.address}`,
+    ]);
+    expect(() => validateConfig({ ...base, roles: { burner: [bot.address] } })).to.throw('Unknown role "burner"');
+    expect(() => validateConfig({ ...base, roles: { minter: ["0x1234"] } })).to.throw("roles.minter[0] is not a valid address");
+  });
+
+  it("deploys a timelock and hands ownership to it after the owner calls", async () => {
+    const [, pair1, multisig] = await ethers.getSigners();
+    const params = validateConfig({
+      ...base,
+      burnTax: 50,
+      ammPairs: [pair1.address],
+      finalOwner: multisig.address,
+      timelock: { minDelay: 3600 },
+    });
+
+    const { token, timelock, record } = await deployHedgexDao(hre, params, { dir, log: quiet });
+
+    expect(await token.owner()).to.equal(timelock.address);
+    expect(await token.burnTax()).to.equal(50);
+    expect(await timelock.getMinDelay()).to.equal(3600);
+    expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), multisig.address)).to.equal(true);
+    expect(await timelock.hasRole(await timelock.EXECUTOR_ROLE(), multisig.address)).to.equal(true);
+    expect(await timelock.hasRole(await timelock.CANCELLER_ROLE(), multisig.address)).to.equal(true);
+    // No admin besides the timelock itself
+    const admin = await timelock.TIMELOCK_ADMIN_ROLE();
+    expect(await timelock.hasRole(admin, record.HedgexDao.deployer)).to.equal(false);
+    expect(await timelock.hasRole(admin, timelock.address)).to.equal(true);
+
+    expect(loadRecord("hardhat", dir).HedgexTimelock.address).to.equal(timelock.address);
+    expect(Object.keys(record.steps).pop()).to.equal(`transferOwnership:${timelock.address}`);
+
+    // Re-running finds both contracts and sends nothing
+    const blockBefore = await ethers.provider.getBlockNumber();
+    const again = await deployHedgexDao(hre, params, { dir, log: quiet });
+    expect(again.timelock.address).to.equal(timelock.address);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+  });
+
+  it("re-running skips deployment and recorded steps", async () => {
+    const [, pair1] = await ethers.getSigners();
+    const params = validateConfig({ ...base, ammPairs: [pair1.address] });
+
+    const first = await deployHedgexDao(hre, params, { dir, log: quiet });
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const second = await deployHedgexDao(hre, params, { dir, log: quiet });
+    expect(second.token.address).to.equal(first.token.address);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore); // no transactions sent
+  });
+
+  it("resumes after a partial run and only sends missing steps", async () => {
+    const [, pair1, treasury] = await ethers.getSigners();
+
+    // First run without exclusions, then config grows
+    await deployHedgexDao(hre, validateConfig({ ...base, ammPairs: [pair1.address] }), { dir, log: quiet });
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const params = validateConfig({ ...base, ammPairs: [pair1.address], excludedFromFee: [treasury.address] });
+    const { token, record } = await deployHedgexDao(hre, params, { dir, log: quiet });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore + 1);
+    expect(await token.isExcludedFromFee(treasury.address)).to.equal(true);
+    expect(record.steps[`setExcludedFromFee:${treasury.address}`].transactionHash).to.be.a("string");
+  });
+
+  it("records steps already satisfied on-chain without sending them", async () => {
+    const params = validateConfig({ ...base, burnTax: 10 }); // constructor default
+
+    const { record } = await deployHedgexDao(hre, params, { dir, log: quiet });
+    expect(record.steps.setBurnTax.transactionHash).to.equal(null);
+  });
+
+  it("sends setBurnTax when only one side of the tax matches the target", async () => {
+    const { token } = await deployHedgexDao(hre, validateConfig({ ...base, burnTax: undefined }), { dir, log: quiet });
+    await token.setSellTax(40); // burnTax() is now 40, buyTax still 10
+
+    const { record } = await deployHedgexDao(hre, validateConfig({ ...base, burnTax: 40 }), { dir, log: quiet });
+    expect(record.steps.setBurnTax.transactionHash).to.be.a("string");
+    expect(await token.buyTax()).to.equal(40);
+    expect(await token.sellTax()).to.equal(40);
+  });
+
+  it("discards a stale hardhat record whose contract no longer exists", async () => {
+    const [stranger] = await ethers.getSigners();
+    saveRecord({ network: "hardhat", steps: { setBurnTax: {} }, HedgexDao: { address: stranger.address } }, dir);
+
+    const { token } = await deployHedgexDao(hre, validateConfig(base), { dir, log: quiet });
+    expect(token.address).to.not.equal(stranger.address);
+  });
+
+  it("getHedgexDao resolves the token from the record", async () => {
+    const { token } = await deployHedgexDao(hre, validateConfig(base), { dir, log: quiet });
+
+    const resolved = await getHedgexDao(hre, { dir });
+    expect(resolved.address).to.equal(token.address);
+    expect(await resolved.symbol()).to.equal("HGXD");
+  });
+});
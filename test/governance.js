@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { validateConfig } = require("../scripts/lib/deployConfig");
+const { deployHedgexDao } = require("../scripts/lib/deploy");
+const { expectRejected, captureLogs } = require("./helpers");
+
+describe("Governor", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+  const DELAY = 3600; // timelock, seconds
+  const VOTING_DELAY = 1; // blocks
+  const VOTING_PERIOD = 20; // blocks
+
+  // Capture task output instead of printing it
+  const output = captureLogs();
+
+  // Full deploy pipeline: token, timelock owner, governor as its only proposer
+  async function deployFixture() {
+    const [deployer, alice, bob, stranger] = await ethers.getSigners();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-gov-"));
+    const params = validateConfig({
+      name: "HedgexDao",
+      symbol: "HGXD",
+      initialSupply: "25000000",
+      maxSupply: "30000000",
+      supplyFloor: "20000000",
+      burnTax: 10,
+      timelock: { minDelay: DELAY },
+      governor: { votingDelay: VOTING_DELAY, votingPeriod: VOTING_PERIOD, proposalThreshold: "1000", quorumPercent: 4 },
+    });
+    const { token, timelock, governor } = await deployHedgexDao(hre, params, { dir, log: () => {} });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // Quorum is 4% of 25M = 1M votes
+    await token.transfer(alice.address, U(2_000_000));
+    await token.transfer(bob.address, U(500_000));
+    await token.connect(alice).delegate(alice.address);
+    await token.connect(bob).delegate(bob.address);
+
+    const addresses = { token: token.address, governor: governor.address };
+    return { token, timelock, governor, deployer, alice, bob, stranger, addresses };
+  }
+
+  // Run a task as `signer` (tasks use the first signer, so swap it in for the call)
+  async function runAs(signer, name, args) {
+    const original = hre.ethers.getSigners;
+    hre.ethers.getSigners = async () => [signer, ...(await original())];
+    try {
+      return await hre.run(name, args);
+    } finally {
+      hre.ethers.getSigners = original;
+    }
+  }
+
+  // ------------------------------
+  // Deployment wiring
+  // ------------------------------
+  it("deploys governor + timelock with the timelock owning the token", async () => {
+    const { token, timelock, governor, deployer } = await loadFixture(deployFixture);
+
+    expect(await token.owner()).to.equal(timelock.address);
+    expect(await governor.token()).to.equal(token.address);
+    expect(await governor.timelock()).to.equal(timelock.address);
+    expect(await governor.votingDelay()).to.equal(VOTING_DELAY);
+    expect(await governor.votingPeriod()).to.equal(VOTING_PERIOD);
+    expect(await governor.proposalThreshold()).to.equal(U(1000));
+    expect(await governor["quorumNumerator()"]()).to.equal(4);
+
+    for (const role of ["PROPOSER_ROLE", "CANCELLER_ROLE", "EXECUTOR_ROLE"]) {
+      expect(await timelock.hasRole(await timelock[role](), governor.address), role).to.equal(true);
+    }
+    // The deployer's temporary admin role is gone and it cannot propose directly
+    expect(await timelock.hasRole(await timelock.TIMELOCK_ADMIN_ROLE(), deployer.address)).to.equal(false);
+    expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), deployer.address)).to.equal(false);
+    // Nor run fee manager calls: the timelock is the owner / admin now
+    await expect(token.setBurnTax(50)).to.be.revertedWith(
+      `AccessControl: account ${deployer.address.toLowerCase()} is missing role ${ethers.utils.id("FEE_MANAGER_ROLE")}`
+    );
+  });
+
+  it("rejects a governor without a timelock and bad governor settings", () => {
+    const base = { name: "HedgexDao", symbol: "HGXD", initialSupply: "1", maxSupply: "2", supplyFloor: "0" };
+    const governor = { votingDelay: 1, votingPeriod: 10, proposalThreshold: "0", quorumPercent: 4 };
+
+    expect(() => validateConfig({ ...base, governor })).to.throw("governor requires a timelock");
+    const timelock = { minDelay: 60 };
+    expect(() => validateConfig({ ...base, timelock, governor: { ...governor, votingPeriod: 0 } })).to.throw(
+      "governor.votingPeriod must be > 0"
+    );
+    expect(() => validateConfig({ ...base, timelock, governor: { ...governor, quorumPercent: 101 } })).to.throw(
+      "governor.quorumPercent must be an integer 0-100"
+    );
+    expect(() => validateConfig({ ...base, timelock, governor: { ...governor, proposalThreshold: "" } })).to.throw(
+      "governor.proposalThreshold is required"
+    );
+    // No proposers needed: the governor is the proposer
+    expect(validateConfig({ ...base, timelock, governor }).timelock.proposers).to.deep.equal([]);
+  });
+
+  // ------------------------------
+  // Proposal lifecycle through the tasks
+  // ------------------------------
+  it("propose -> vote -> queue -> execute a burn-tax change", async () => {
+    const { token, alice, bob, addresses } = await loadFixture(deployFixture);
+
+    const proposal = await runAs(alice, "hgxd:set-tax", { ...addresses, bps: 50, propose: "Raise burn tax to 0.5%" });
+    expect(output).to.include("  ~ burnTax: 10 -> 50");
+    expect(output.some((l) => l.startsWith("Proposed: "))).to.equal(true);
+    const id = proposal.id.toString();
+
+    await expectRejected(runAs(alice, "hgxd:vote", { ...addresses, id }), "is Pending, voting needs Active");
+    await mine(VOTING_DELAY + 1);
+
+    await runAs(alice, "hgxd:vote", { ...addresses, id, support: "for", reason: "more burn" });
+    await runAs(bob, "hgxd:vote", { ...addresses, id, support: "against" });
+    await expectRejected(runAs(alice, "hgxd:queue", { ...addresses, id }), "is Active, queueing needs Succeeded");
+
+    await mine(VOTING_PERIOD);
+    const [listed] = await hre.run("hgxd:proposals", addresses);
+    expect(listed.state).to.equal("Succeeded");
+    expect(listed.forVotes).to.equal(U(2_000_000));
+    expect(listed.againstVotes).to.equal(U(500_000));
+    expect(listed.calls).to.deep.equal(["setBurnTax(50)"]);
+
+    // Anyone can queue and execute a succeeded proposal
+    await runAs(bob, "hgxd:queue", { ...addresses, id });
+    await expectRejected(runAs(bob, "hgxd:execute", { ...addresses, id }), "is in the timelock until");
+
+    await time.increase(DELAY);
+    await runAs(bob, "hgxd:execute", { ...addresses, id });
+    expect(await token.burnTax()).to.equal(50);
+    expect(output.some((l) => l.startsWith("Executed: ") && l.endsWith("(Executed)"))).to.equal(true);
+  });
+
+  it("proposals below quorum or with more against votes are defeated", async () => {
+    const { token, governor, deployer, alice, bob, addresses } = await loadFixture(deployFixture);
+    await token.connect(deployer).delegate(deployer.address); // 22.5M
+
+    // bob alone (500k) is below the 1M quorum
+    const low = await runAs(bob, "hgxd:snapshot", { ...addresses, propose: "Snapshot #1" });
+    // alice reaches quorum, but the deployer votes against with more
+    const against = await runAs(alice, "hgxd:snapshot", { ...addresses, propose: "Snapshot #2" });
+    await mine(VOTING_DELAY + 1);
+    await runAs(bob, "hgxd:vote", { ...addresses, id: low.id.toString() });
+    await runAs(alice, "hgxd:vote", { ...addresses, id: against.id.toString() });
+    await runAs(deployer, "hgxd:vote", { ...addresses, id: against.id.toString(), support: "against" });
+    await mine(VOTING_PERIOD);
+
+    expect(await governor.state(low.id)).to.equal(3); // Defeated
+    expect(await governor.state(against.id)).to.equal(3);
+    await expectRejected(runAs(bob, "hgxd:queue", { ...addresses, id: low.id.toString() }), "is Defeated");
+  });
+
+  it("voting power is taken at the proposal snapshot", async () => {
+    const { token, governor, alice, stranger, addresses } = await loadFixture(deployFixture);
+
+    const proposal = await runAs(alice, "hgxd:set-floor", { ...addresses, floor: "21000000", propose: "Raise floor" });
+    await mine(VOTING_DELAY + 1);
+
+    // Tokens moved after the snapshot do not carry their votes along
+    await token.connect(alice).transfer(stranger.address, U(1_000_000));
+    await token.connect(stranger).delegate(stranger.address);
+    await runAs(stranger, "hgxd:vote", { ...addresses, id: proposal.id.toString() });
+    await runAs(alice, "hgxd:vote", { ...addresses, id: proposal.id.toString() });
+
+    const votes = await governor.proposalVotes(proposal.id);
+    expect(votes.forVotes).to.equal(U(2_000_000));
+  });
+
+  it("refuses proposals below the threshold, duplicates and out-of-bounds calls", async () => {
+    const { alice, stranger, addresses } = await loadFixture(deployFixture);
+
+    await expectRejected(
+      runAs(stranger, "hgxd:set-tax", { ...addresses, bps: 50, propose: "No votes" }),
+      "proposal threshold is 1000000000000000000000 (delegate first)"
+    );
+    await expectRejected(
+      runAs(alice, "hgxd:set-tax", { ...addresses, bps: 500, propose: "Too high" }),
+      "Burn tax 500 > cap 100"
+    );
+
+    await runAs(alice, "hgxd:set-tax", { ...addresses, bps: 20, propose: "Same text" });
+    await expectRejected(
+      runAs(alice, "hgxd:set-tax", { ...addresses, bps: 20, propose: "Same text" }),
+      "already exists (Pending)"
+    );
+  });
+
+  it("hgxd:delegate self-delegates by default", async () => {
+    const { token, stranger, addresses } = await loadFixture(deployFixture);
+    await token.transfer(stranger.address, U(10));
+
+    await runAs(stranger, "hgxd:delegate", addresses);
+    expect(await token.delegates(stranger.address)).to.equal(stranger.address);
+  });
+});
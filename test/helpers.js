@@ -0,0 +1,35 @@
+// helpers.js
+// "Helpers shared by the test files: a rejection assertion that works on any promise, and"
+// "console.log capture for tests that run tasks."
+
+const { expect } = require("chai");
+
+// "Assert that `promise` rejects with an error whose message includes `message`."
+async function expectRejected(promise, message) {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  expect(error, "expected call to fail").to.be.instanceOf(Error);
+  expect(error.message).to.include(message);
+}
+
+// "Capture console.log in every test of the calling describe block. Returns the captured lines,"
+// "emptied before each test; the original console.log is restored after it."
+function captureLogs() {
+  const output = [];
+  let originalLog;
+  beforeEach(() => {
+    output.length = 0;
+    originalLog = console.log;
+    console.log = (...args) => output.push(...args.join(" ").split("\n"));
+  });
+  afterEach(() => {
+    console.log = originalLog;
+  });
+  return output;
+}
+
+module.exports = { expectRejected, captureLogs };
@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { fetchHolders, holderBalances } = require("../scripts/lib/holders");
+const { captureLogs } = require("./helpers");
+
+describe("Holder registry export", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+
+  let dir;
+  const output = captureLogs();
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-holders-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [owner, alice, bob, carol, pair1] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U(1000), U(2000), U(0));
+
+    await token.setAutomatedMarketMakerPair(pair1.address, true);
+    await token.transfer(alice.address, U(100));
+    await token.transfer(bob.address, U(300));
+    await token.transfer(pair1.address, U(200));
+    await token.snapshot(); // id 1
+
+    // After the snapshot: bob exits, carol joins
+    await token.connect(bob).transfer(carol.address, U(300));
+
+    return { token, owner, alice, bob, carol, pair1 };
+  }
+
+  it("pages through the registry", async () => {
+    const { token, owner, alice, carol, pair1 } = await loadFixture(deployFixture);
+
+    const accounts = await fetchHolders(token, { pageSize: 2 });
+    expect([...accounts].sort()).to.deep.equal([owner.address, alice.address, carol.address, pair1.address].sort());
+  });
+
+  it("exports current holders to CSV, largest first, with pairs flagged", async () => {
+    const { token, owner, alice, carol, pair1 } = await loadFixture(deployFixture);
+    const file = path.join(dir, "holders.csv");
+
+    await hre.run("hgxd:holders", { token: token.address, out: file, pageSize: 3 });
+
+    expect(fs.readFileSync(file, "utf8").trim().split("\n")).to.deep.equal([
+      "account,balance,balanceWei,pair",
+      `${owner.address},400.0,${U(400)},false`,
+      `${carol.address},300.0,${U(300)},false`,
+      `${pair1.address},200.0,${U(200)},true`,
+      `${alice.address},100.0,${U(100)},false`,
+    ]);
+    expect(output.join("\n")).to.include("4 holders at block");
+    expect(output.join("\n")).to.include("1 AMM pairs");
+  });
+
+  it("exports balances at a snapshot to JSON from the registry at the snapshot block", async () => {
+    const { token, owner, alice, bob, pair1 } = await loadFixture(deployFixture);
+    const file = path.join(dir, "holders.json");
+
+    await hre.run("hgxd:holders", { token: token.address, out: file, snapshotId: 1 });
+
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(json.snapshotId).to.equal(1);
+    expect(json.totalSupply).to.equal(U(1000).toString());
+    expect(json.holders).to.deep.equal([
+      { account: owner.address, balance: U(400).toString(), pair: false },
+      { account: bob.address, balance: U(300).toString(), pair: false },
+      { account: pair1.address, balance: U(200).toString(), pair: true },
+      { account: alice.address, balance: U(100).toString(), pair: false },
+    ]);
+  });
+
+  it("rejects unknown formats and a snapshot whose holders left within the same block", async () => {
+    const { token, alice, bob } = await loadFixture(deployFixture);
+
+    let error;
+    try {
+      await hre.run("hgxd:holders", { token: token.address, out: path.join(dir, "holders.xml") });
+    } catch (err) {
+      error = err;
+    }
+    expect(error && error.message).to.include('Unknown export format "xml"');
+
+    // Snapshot and alice's exit mined in one block
+    await ethers.provider.send("evm_setAutomine", [false]);
+    try {
+      await token.snapshot();
+      await token.connect(alice).transfer(bob.address, U(100));
+      await ethers.provider.send("evm_mine", []);
+    } finally {
+      await ethers.provider.send("evm_setAutomine", [true]);
+    }
+    error = undefined;
+    try {
+      await holderBalances(token, { snapshotId: 2 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error && error.message).to.include("do not add up to total supply");
+  });
+
+  // ------------------------------
+  // Gas benchmarks: registry (and per-transfer check) cost added to transfers
+  // ------------------------------
+  describe("Gas benchmarks", function () {
+    // gasUsed with the previous bool flag + counter (same scenarios, same compiler settings)
+    const BASELINE = {
+      "wallet -> new holder": 99803,
+      "wallet -> existing holder": 57332,
+      "full balance -> existing holder": 56097,
+      "full balance -> new holder": 90980,
+      "taxed sell to pair": 152851,
+    };
+    // Upper bounds on what the registry may add to each scenario
+    const BUDGET = {
+      "wallet -> new holder": 22500,
+      "wallet -> existing holder": 500,
+      "full balance -> existing holder": 1500,
+      "full balance -> new holder": 16500,
+      "taxed sell to pair": 500,
+    };
+    // Plus the checks every transfer pays since: the launch protection read once trading is on and limits
+    // are off (one packed slot) and the frozen flags (same slot as the registry index)
+    const TRANSFER_CHECKS = 3800;
+
+    it("stays within the gas budget per transfer scenario", async () => {
+      const [owner, a, b, c, d, pair] = await ethers.getSigners();
+      const HedgexDao = await ethers.getContractFactory("HedgexDao");
+      const token = await HedgexDao.deploy("HedgexDao", "HGXD", U(1000), U(2000), U(0));
+      await token.enableTrading();
+      await token.setAutomatedMarketMakerPair(pair.address, true);
+      await token.transfer(a.address, U(100));
+      await token.transfer(b.address, U(100));
+      await token.transfer(pair.address, U(100));
+
+      const gasOf = async (tx) => (await (await tx).wait()).gasUsed.toNumber();
+      const measured = {
+        "wallet -> new holder": await gasOf(token.connect(a).transfer(c.address, U(10))),
+        "wallet -> existing holder": await gasOf(token.connect(a).transfer(b.address, U(10))),
+        "full balance -> existing holder": await gasOf(token.connect(c).transfer(b.address, U(10))),
+        "full balance -> new holder": await gasOf(token.connect(a).transfer(d.address, U(80))),
+        "taxed sell to pair": await gasOf(token.connect(b).transfer(pair.address, U(10))),
+      };
+
+      const rows = Object.keys(BASELINE).map((name) => ({
+        scenario: name,
+        before: BASELINE[name],
+        after: measured[name],
+        added: measured[name] - BASELINE[name],
+      }));
+      if (process.env.REPORT_GAS !== undefined) {
+        // console.log is captured; write the report straight to stdout
+        process.stdout.write(rows.map((r) => `      ${r.scenario}: ${r.before} -> ${r.after} (+${r.added})\n`).join(""));
+      }
+      for (const r of rows) {
+        expect(r.added, r.scenario).to.be.at.most(BUDGET[r.scenario] + TRANSFER_CHECKS);
+      }
+    });
+  });
+});
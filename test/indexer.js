@@ -0,0 +1,247 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  syncIndex,
+  loadStore,
+  burnReport,
+  cumulativeTaxBurn,
+  taxRateHistory,
+  floorDistanceHistory,
+  complianceLog,
+  frozenAccounts,
+} = require("../scripts/lib/indexer");
+
+describe("Burn / supply indexer", function () {
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+  const WEEK = 7 * 24 * 60 * 60;
+
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-index-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [owner, alice, bob, pair1, pair2] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U("25000000"), U("30000000"), U("20000000"));
+    const startBlock = token.deployTransaction.blockNumber;
+
+    await token.enableTrading();
+    await token.setAutomatedMarketMakerPair(pair1.address, true);
+    await token.setAutomatedMarketMakerPair(pair2.address, true);
+    await token.transfer(alice.address, U(100000));
+    await token.transfer(bob.address, U(100000));
+    await token.mint(pair1.address, U(50000));
+    await token.setBurnTax(100); // 1%
+
+    // Week 1: one sell, one buy, one manual burn
+    await token.connect(alice).transfer(pair1.address, U(1000)); // burns 10, pair1
+    await token.connect(pair1).transfer(bob.address, U(2000)); // burns 20, pair1
+    await token.connect(bob).burn(U(5));
+
+    return { token, owner, alice, bob, pair1, pair2, startBlock };
+  }
+
+  const sync = (token, startBlock, opts = {}) =>
+    syncIndex(token, { network: "hardhat", startBlock, dir, chunkSize: 3, ...opts });
+
+  it("separates tax burns from manual burns and attributes them per pair", async () => {
+    const { token, startBlock, pair1 } = await loadFixture(deployFixture);
+
+    const store = await sync(token, startBlock);
+    const report = burnReport(store);
+
+    expect(report.taxBurned).to.equal(U(30));
+    expect(report.manualBurned).to.equal(U(5));
+    expect(report.byPair[pair1.address]).to.equal(U(30));
+    expect(store.taxBurns.map((b) => b.side)).to.deep.equal(["sell", "buy"]);
+
+    // Reconstructed supply matches the chain
+    expect(store.totalSupply).to.equal((await token.totalSupply()).toString());
+    expect(cumulativeTaxBurn(store).pop().total).to.equal(U(30));
+  });
+
+  it("reports burns within a time window (this week vs. all time)", async () => {
+    const { token, startBlock, alice, bob, pair2 } = await loadFixture(deployFixture);
+
+    await time.increase(2 * WEEK);
+    await token.connect(alice).transfer(pair2.address, U(500)); // burns 5, pair2
+    await token.connect(alice).approve(bob.address, U(7));
+    await token.connect(bob).burnFrom(alice.address, U(7));
+
+    const store = await sync(token, startBlock);
+    const now = await time.latest();
+    const week = burnReport(store, { fromTime: now - WEEK });
+
+    expect(week.taxBurned).to.equal(U(5));
+    expect(week.manualBurned).to.equal(U(7));
+    expect(Object.keys(week.byPair)).to.deep.equal([pair2.address]);
+    expect(burnReport(store).taxBurned).to.equal(U(35));
+  });
+
+  it("tracks tax rate and floor history including starting values", async () => {
+    const { token, owner, startBlock, alice, pair1 } = await loadFixture(deployFixture);
+
+    const floor = U("24950000");
+    await token.connect(owner).setSupplyFloor(floor);
+    await token.connect(owner).setSellTax(40);
+    await token.connect(owner).setBurnTax(0);
+
+    const store = await sync(token, startBlock);
+
+    const rates = taxRateHistory(store);
+    expect(rates.map((p) => p.burnTax)).to.deep.equal([10, 100, 100, 0]);
+    expect(rates.map((p) => [p.buyTax, p.sellTax])).to.deep.equal([[10, 10], [100, 100], [100, 40], [0, 0]]);
+
+    const distance = floorDistanceHistory(store);
+    const last = distance[distance.length - 1];
+    expect(last.supplyFloor).to.equal(floor);
+    expect(last.totalSupply).to.equal(await token.totalSupply());
+    expect(last.distance).to.equal((await token.totalSupply()).sub(floor));
+    expect(distance[0].supplyFloor).to.equal(U("20000000"));
+
+    // No further tax while burnTax == 0
+    await token.connect(alice).transfer(pair1.address, U(10));
+    expect(burnReport(await sync(token, startBlock)).taxBurnCount).to.equal(2);
+  });
+
+  it("falls back to on-chain starting values when nothing was updated", async () => {
+    const [owner] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U(100), U(200), U(50));
+    await token.connect(owner).burn(U(1));
+
+    await token.connect(owner).setSellTax(30);
+
+    const store = await sync(token, token.deployTransaction.blockNumber);
+    // Initial sell rate from the event, buy rate from the chain
+    expect(taxRateHistory(store).map((p) => [p.buyTax, p.sellTax])).to.deep.equal([[10, 10], [10, 30]]);
+    expect(floorDistanceHistory(store).pop().distance).to.equal(U(49));
+  });
+
+  it("starts a store after the deployment block from the supply and pairs on chain at that point", async () => {
+    const { token, owner, alice, bob, pair1, pair2 } = await loadFixture(deployFixture);
+    await token.connect(owner).setAutomatedMarketMakerPair(pair2.address, false);
+    const supplyBefore = await token.totalSupply();
+
+    const floor = U("24950000");
+    await token.connect(owner).setSupplyFloor(floor);
+    const startBlock = await ethers.provider.getBlockNumber();
+    await token.connect(alice).transfer(pair1.address, U(1000)); // burns 10, pair1
+    await token.connect(pair1).transfer(bob.address, U(2000)); // burns 20, pair1
+    await token.connect(alice).transfer(pair2.address, U(100)); // pair2 unflagged: no tax
+
+    const store = await sync(token, startBlock);
+    expect(store.pairs).to.deep.equal({ [pair1.address]: true });
+    expect(store.totalSupply).to.equal((await token.totalSupply()).toString());
+
+    const report = burnReport(store);
+    expect(report.taxBurned).to.equal(U(30));
+    expect(report.byPair).to.deep.equal({ [pair1.address]: U(30) });
+    expect(store.taxBurns.map((b) => b.side)).to.deep.equal(["sell", "buy"]);
+
+    // The floor change in the first indexed block is measured against the supply before it
+    const distance = floorDistanceHistory(store);
+    expect(distance[0].totalSupply).to.equal(supplyBefore);
+    expect(distance[0].distance).to.equal(supplyBefore.sub(floor));
+    expect(distance.pop().distance).to.equal((await token.totalSupply()).sub(floor));
+  });
+
+  it("resumes from the last indexed block and matches a full re-index", async () => {
+    const { token, startBlock, alice, pair1 } = await loadFixture(deployFixture);
+
+    const first = await sync(token, startBlock);
+    const firstBlock = first.lastBlock;
+
+    await token.connect(alice).transfer(pair1.address, U(300));
+    await token.connect(alice).burn(U(1));
+
+    let logged = [];
+    const resumed = await sync(token, startBlock, { log: (l) => logged.push(l) });
+    expect(logged[0]).to.match(new RegExp(`^Indexed blocks ${firstBlock + 1}-`));
+    expect(resumed.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+    const freshDir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-index-"));
+    try {
+      const fresh = await syncIndex(token, { network: "hardhat", startBlock, dir: freshDir });
+      expect(fresh.taxBurns).to.deep.equal(resumed.taxBurns);
+      expect(fresh.manualBurns).to.deep.equal(resumed.manualBurns);
+      expect(fresh.totalSupply).to.equal(resumed.totalSupply);
+    } finally {
+      fs.rmSync(freshDir, { recursive: true, force: true });
+    }
+
+    expect(loadStore("hardhat", dir).lastBlock).to.equal(resumed.lastBlock);
+  });
+
+  it("records every leg of a split tax and totals treasury / rewards", async () => {
+    const { token, owner, startBlock, alice, bob, pair1 } = await loadFixture(deployFixture);
+    const [, , , , , , treasury] = await ethers.getSigners();
+
+    await token.connect(owner).setFeeRecipients(treasury.address, bob.address);
+    await token.connect(owner).setFeeSplit(5000, 3000, 2000);
+    await token.connect(alice).transfer(pair1.address, U(1000)); // burns 5, treasury 3, rewards 2
+
+    const store = await sync(token, startBlock);
+    const report = burnReport(store);
+    expect(report.taxBurned).to.equal(U(35));
+    expect(report.toTreasury).to.equal(U(3));
+    expect(report.toRewards).to.equal(U(2));
+    expect(store.taxDistributions.map((d) => d.burned)).to.deep.equal([U(10), U(20), U(5)].map(String));
+    expect(store.taxDistributions[2].treasury).to.equal(treasury.address);
+    expect(store.totalSupply).to.equal((await token.totalSupply()).toString());
+  });
+
+  it("keeps a compliance log of freezes, unfreezes and recoveries", async () => {
+    const { token, owner, startBlock, alice, bob } = await loadFixture(deployFixture);
+    const [, , , , , , treasury] = await ethers.getSigners();
+    const code = ethers.utils.formatBytes32String;
+
+    await token.connect(owner).setFeeRecipients(treasury.address, ethers.constants.AddressZero);
+    await token.connect(owner).freeze(alice.address, code("STOLEN_FUNDS"));
+    await token.connect(owner).freeze(bob.address, code("SANCTIONS"));
+    await token.connect(owner).recoverFrozenFunds(alice.address);
+    await token.connect(owner).unfreeze(bob.address, code("CLEARED"));
+
+    const store = await sync(token, startBlock);
+    const log = complianceLog(store);
+    expect(log.map((e) => [e.action, e.account, e.reason])).to.deep.equal([
+      ["freeze", alice.address, "STOLEN_FUNDS"],
+      ["freeze", bob.address, "SANCTIONS"],
+      ["recover", alice.address, "STOLEN_FUNDS"],
+      ["unfreeze", bob.address, "CLEARED"],
+    ]);
+    expect(log[0].by).to.equal(owner.address);
+    expect(log[2].to).to.equal(treasury.address);
+    expect(log[2].amount).to.equal(U(99000).toString()); // 100000 - 1000 sold
+    expect(log[3].timestamp).to.equal(store.blocks[log[3].block]);
+    // The recovery is a plain transfer: supply unchanged
+    expect(store.totalSupply).to.equal((await token.totalSupply()).toString());
+
+    expect(frozenAccounts(store).map((f) => [f.account, f.reason])).to.deep.equal([[alice.address, "STOLEN_FUNDS"]]);
+  });
+
+  it("refuses to mix two tokens in one store", async () => {
+    const { token, startBlock } = await loadFixture(deployFixture);
+    await sync(token, startBlock);
+
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const other = await HedgexDao.deploy("HedgexDao", "HGXD", U(100), U(200), U(50));
+
+    let error;
+    try {
+      await sync(other, 0);
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.include(`is for ${token.address}`);
+  });
+});
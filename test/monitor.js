@@ -0,0 +1,346 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  validateExpected,
+  discoverAccounts,
+  snapshotExpected,
+  checkState,
+  stdoutSink,
+  jsonLogSink,
+  webhookSink,
+  createMonitor,
+} = require("../scripts/lib/monitor");
+const { expectRejected, captureLogs } = require("./helpers");
+
+describe("State drift monitor", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+
+  // Capture task output instead of printing it
+  const output = captureLogs();
+  let dir;
+  let server;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-monitor-"));
+  });
+  afterEach(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (server) {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      server = undefined;
+    }
+  });
+
+  async function monitorFixture() {
+    const [owner, alice, pair, router, attacker] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U(1000000), U(2000000), U(500000));
+    await token.setAutomatedMarketMakerPair(pair.address, true);
+    await token.setExcludedFromFee(router.address, true);
+    await token.setBurnTax(50);
+    const raw = await snapshotExpected(token, {
+      accounts: [pair.address, router.address],
+      minCapHeadroom: "100000",
+      maxMint: "10000",
+    });
+    return { token, owner, alice, pair, router, attacker, raw, expected: validateExpected(raw) };
+  }
+
+  function memorySink() {
+    const alerts = [];
+    return { alerts, sink: { name: "memory", send: async (alert) => alerts.push(alert) } };
+  }
+
+  // Webhook receiver answering `status` (null: never answers); collects the posted alerts
+  async function startWebhook(status = 200) {
+    const received = [];
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push(JSON.parse(body));
+        if (status !== null) {
+          res.writeHead(status).end();
+        }
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return { url: `http://127.0.0.1:${server.address().port}/alerts`, received };
+  }
+
+  const summary = (alerts) => alerts.map((a) => `${a.type} ${a.level} ${a.check}`);
+
+  // ------------------------------
+  // Expected state
+  // ------------------------------
+  it("snapshots the live state, which then checks clean; validation rejects bad files", async () => {
+    const { token, owner, pair, router, raw, expected } = await loadFixture(monitorFixture);
+    expect(raw).to.deep.include({
+      owner: owner.address,
+      burnTax: 50,
+      buyTax: 50,
+      sellTax: 50,
+      burnTaxCap: 100,
+      supplyFloor: "500000.0",
+      treasury: ethers.constants.AddressZero,
+      burnShare: 10000,
+      treasuryShare: 0,
+      mintEpochLength: 0,
+      maxMintPerEpoch: "0.0",
+    });
+    expect(raw.roles).to.deep.equal({ minter: [], feeManager: [], snapshotter: [], compliance: [] });
+    expect(raw.pairTaxOverrides).to.deep.equal({});
+    expect(raw.bridges).to.deep.equal({});
+    expect(raw.ammPairs).to.deep.equal([pair.address]);
+    expect(raw.excludedFromFee).to.deep.equal([owner.address, token.address, router.address]);
+    expect(await checkState(token, expected)).to.deep.equal([]);
+    // One block per getLogs request finds the same accounts
+    const accounts = await discoverAccounts(token);
+    expect(accounts).to.deep.equal([owner.address, pair.address, router.address]);
+    expect(await discoverAccounts(token, { chunkSize: 1 })).to.deep.equal(accounts);
+
+    expect(() => validateExpected({ burntax: 50 })).to.throw('Unknown expected-state field "burntax"');
+    expect(() => validateExpected({ sellTax: "1.5" })).to.throw("sellTax must be a non-negative integer (bps): 1.5");
+    expect(() => validateExpected({ ammPairs: ["0x1234"] })).to.throw("ammPairs[0] is not a valid address: 0x1234");
+    expect(() => validateExpected({ maxMint: "lots" })).to.throw("maxMint is not a valid token amount: lots");
+    expect(() => validateExpected({ roles: { owner: [] } })).to.throw('Unknown HedgexDao role "owner"');
+    expect(() => validateExpected({ pairTaxOverrides: { [pair.address]: { buyTax: 10 } } })).to.throw(
+      `pairTaxOverrides.${pair.address}.sellTax must be a non-negative integer (bps): undefined`
+    );
+    await expectRejected(
+      checkState(token, { ...expected, token: router.address }),
+      `Expected state is for token ${router.address}, not ${token.address}`
+    );
+  });
+
+  // ------------------------------
+  // Alerts against a mutating node
+  // ------------------------------
+  it("alerts on parameter events and state drift, once per change, and when it is resolved", async () => {
+    const { token, owner, alice, attacker, expected } = await loadFixture(monitorFixture);
+    const { alerts, sink } = memorySink();
+    const monitor = createMonitor(token, expected, { sinks: [sink], log: () => {} });
+    expect(await monitor.poll()).to.deep.equal([]);
+
+    // An unplanned tax change: the event and the drift
+    const tx = await token.setSellTax(80);
+    const raised = await monitor.poll();
+    expect(summary(raised)).to.deep.equal(["event critical sellTax", "drift warning burnTax", "drift warning sellTax"]);
+    expect(raised[0]).to.include({
+      token: token.address,
+      event: "SellTaxUpdated",
+      expected: "50",
+      actual: "80",
+      message: "SellTaxUpdated: 50 -> 80 bps",
+      transactionHash: tx.hash,
+    });
+    // The drift persists but is not alerted again
+    expect(await monitor.poll()).to.deep.equal([]);
+
+    // A new AMM pair, a fee exclusion, a large mint and a lowered floor in one poll
+    await token.setAutomatedMarketMakerPair(attacker.address, true);
+    await token.setExcludedFromFee(alice.address, true);
+    await token.mint(alice.address, U(5000)); // under maxMint
+    await token.mint(alice.address, U(850000)); // leaves 145000 headroom
+    await token.mint(alice.address, U(50000)); // leaves 95000 headroom
+    await token.setSupplyFloor(U(400000));
+    expect(summary(await monitor.poll())).to.deep.equal([
+      `event critical automatedMarketMakerPairs(${attacker.address})`,
+      `event critical isExcludedFromFee(${alice.address})`,
+      "event critical mint",
+      "event critical mint",
+      "event critical supplyFloor",
+      "drift warning supplyFloor",
+      "drift critical capHeadroom",
+      `drift critical automatedMarketMakerPairs(${attacker.address})`,
+      `drift critical isExcludedFromFee(${alice.address})`,
+    ]);
+
+    // Undoing a change lands on the expected value: an info event and a resolved drift
+    await token.setSellTax(50);
+    await token.setAutomatedMarketMakerPair(attacker.address, false);
+    expect(summary(await monitor.poll())).to.deep.equal([
+      "event info sellTax",
+      `event info automatedMarketMakerPairs(${attacker.address})`,
+      "resolved info burnTax",
+      "resolved info sellTax",
+      `resolved info automatedMarketMakerPairs(${attacker.address})`,
+    ]);
+
+    // Ownership moving away is critical
+    await token.transferOwnership(attacker.address);
+    const moved = await monitor.poll();
+    expect(summary(moved)).to.deep.equal(["event critical owner", "drift critical owner"]);
+    expect(moved[1]).to.include({ expected: owner.address, actual: attacker.address });
+    expect(alerts).to.have.length(3 + 9 + 5 + 2);
+  });
+
+  it("alerts on role grants, fee routing, pair overrides, the mint schedule and bridge limits", async () => {
+    const { token, owner, pair, attacker, expected } = await loadFixture(monitorFixture);
+    const { sink } = memorySink();
+    const monitor = createMonitor(token, expected, { sinks: [sink], log: () => {} });
+    await monitor.poll();
+
+    // A minter nobody planned for
+    const tx = await token.grantRole(ethers.utils.id("MINTER_ROLE"), attacker.address);
+    const granted = await monitor.poll();
+    expect(summary(granted)).to.deep.equal([
+      `event critical hasRole(minter, ${attacker.address})`,
+      `drift critical hasRole(minter, ${attacker.address})`,
+    ]);
+    expect(granted[0]).to.include({
+      event: "RoleGranted",
+      expected: "false",
+      actual: "true",
+      message: `RoleGranted: minter to ${attacker.address} by ${owner.address}`,
+      transactionHash: tx.hash,
+    });
+    await token.revokeRole(ethers.utils.id("MINTER_ROLE"), attacker.address);
+    expect(summary(await monitor.poll())).to.deep.equal([
+      `event info hasRole(minter, ${attacker.address})`,
+      `resolved info hasRole(minter, ${attacker.address})`,
+    ]);
+
+    // Swap tax routed to a new treasury, a tax-free pair and a looser burn cap and emission schedule
+    await token.setFeeRecipients(attacker.address, ethers.constants.AddressZero);
+    await token.setFeeSplit(0, 10000, 0);
+    await token.setPairTaxOverride(pair.address, true, 0, 0);
+    await token.setMaxTaxBurn(U(1));
+    await token.setMintSchedule(30 * 24 * 60 * 60, U(10));
+    const routed = await monitor.poll();
+    expect(summary(routed)).to.deep.equal([
+      "event critical feeRecipients",
+      "event critical feeSplit",
+      `event critical pairTaxOverrides(${pair.address})`,
+      "event critical maxTaxBurn",
+      "event critical mintSchedule",
+      "drift critical treasury",
+      "drift warning burnShare",
+      "drift warning treasuryShare",
+      "drift warning mintEpochLength",
+      "drift warning maxTaxBurn",
+      "drift warning maxMintPerEpoch",
+      `drift critical pairTaxOverrides(${pair.address})`,
+    ]);
+    expect(routed[1]).to.include({ expected: "10000, 0, 0", actual: "0, 10000, 0" });
+    expect(routed[4]).to.include({ message: "MintScheduleUpdated: 10.0 per 2592000 seconds" });
+
+    // A new bridge is excluded from fee on the way
+    await token.setLimits(attacker.address, U(1000), U(500));
+    const bridged = await monitor.poll();
+    expect(summary(bridged)).to.deep.equal([
+      `event critical isExcludedFromFee(${attacker.address})`,
+      `event critical bridgeLimits(${attacker.address})`,
+      `drift critical isExcludedFromFee(${attacker.address})`,
+      `drift critical bridgeLimits(${attacker.address})`,
+    ]);
+    expect(bridged[3]).to.include({ expected: "mint 0.0 / burn 0.0", actual: "mint 1000.0 / burn 500.0" });
+  });
+
+  it("checks drift that happened before it started, and replays events with fromBlock", async () => {
+    const { token, expected } = await loadFixture(monitorFixture);
+    const fromBlock = (await ethers.provider.getBlock("latest")).number + 1;
+    await token.setBuyTax(20);
+
+    const fresh = createMonitor(token, expected, { sinks: [], log: () => {} });
+    expect(summary(await fresh.poll())).to.deep.equal(["drift warning buyTax"]);
+
+    const replay = createMonitor(token, expected, { sinks: [], fromBlock, log: () => {} });
+    expect(summary(await replay.poll())).to.deep.equal(["event critical buyTax", "drift warning buyTax"]);
+  });
+
+  // ------------------------------
+  // Sinks
+  // ------------------------------
+  it("delivers to stdout, JSON log and webhook sinks; a failing sink does not stop the others", async () => {
+    const { token, expected } = await loadFixture(monitorFixture);
+    const { url, received } = await startWebhook();
+    const file = path.join(dir, "alerts.jsonl");
+    const lines = [];
+    const failures = [];
+    const broken = { name: "broken", send: async () => Promise.reject(new Error("disk full")) };
+    const monitor = createMonitor(token, expected, {
+      sinks: [broken, stdoutSink({ log: (line) => lines.push(line) }), jsonLogSink(file), webhookSink(url)],
+      log: (line) => failures.push(line),
+    });
+    await monitor.poll();
+
+    const tx = await token.setBurnTax(0);
+    const { blockNumber } = await tx.wait();
+    const alerts = await monitor.poll();
+    expect(alerts).to.have.length(4);
+    expect(lines[0]).to.equal(`[CRITICAL] event burnTax: BurnTaxUpdated: 50 -> 0 bps (block ${blockNumber}, tx ${tx.hash})`);
+    expect(lines[1]).to.equal(`[WARNING] drift burnTax: burnTax is 0 bps, expected 50 (block ${blockNumber})`);
+    const logged = fs.readFileSync(file, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+    expect(logged).to.deep.equal(alerts);
+    expect(received).to.deep.equal(alerts);
+    expect(failures).to.deep.equal(Array(4).fill("Alert sink broken failed: disk full"));
+
+    // A webhook answering with an error counts as a failed delivery
+    await new Promise((resolve) => server.close(resolve));
+    const rejecting = await startWebhook(500);
+    failures.length = 0;
+    await createMonitor(token, expected, { sinks: [webhookSink(rejecting.url)], log: (line) => failures.push(line) }).poll();
+    expect(rejecting.received).to.have.length(3);
+    expect(failures[0]).to.equal(`Alert sink webhook ${rejecting.url} failed: HTTP 500`);
+
+    // So does one that never answers, once the timeout is up
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    const silent = await startWebhook(null);
+    failures.length = 0;
+    const started = Date.now();
+    await createMonitor(token, expected, {
+      sinks: [webhookSink(silent.url, { timeout: 200 })],
+      log: (line) => failures.push(line),
+    }).poll();
+    expect(silent.received).to.have.length(3);
+    expect(failures).to.deep.equal(Array(3).fill(`Alert sink webhook ${silent.url} failed: No reply within 200 ms`));
+    expect(Date.now() - started).to.be.below(5000);
+  });
+
+  // ------------------------------
+  // Daemon and tasks
+  // ------------------------------
+  it("start() polls on an interval until stop()", async () => {
+    const { token, expected } = await loadFixture(monitorFixture);
+    const { alerts, sink } = memorySink();
+    const monitor = createMonitor(token, expected, { sinks: [sink], log: () => {} });
+    await monitor.start({ interval: 20 });
+    try {
+      await token.setSellTax(10);
+      for (let i = 0; i < 100 && alerts.length < 2; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+    } finally {
+      await monitor.stop();
+    }
+    // burnTax() is the higher rate, so lowering the sell side leaves it as expected
+    expect(summary(alerts)).to.deep.equal(["event critical sellTax", "drift warning sellTax"]);
+  });
+
+  it("hgxd:monitor-snapshot / hgxd:monitor --once write the expected state and report drift", async () => {
+    const { token, pair, attacker } = await loadFixture(monitorFixture);
+    const file = path.join(dir, "expected.json");
+    const jsonLog = path.join(dir, "alerts.jsonl");
+
+    const snapshot = await hre.run("hgxd:monitor-snapshot", { token: token.address, out: file, maxMint: "1000" });
+    expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.deep.equal(snapshot);
+    expect(snapshot.ammPairs).to.deep.equal([pair.address]);
+    expect(snapshot.maxMint).to.equal("1000");
+    expect(await hre.run("hgxd:monitor", { expected: file, once: true })).to.deep.equal([]);
+
+    await token.setAutomatedMarketMakerPair(attacker.address, true);
+    const alerts = await hre.run("hgxd:monitor", { expected: file, once: true, jsonLog });
+    expect(summary(alerts)).to.deep.equal([`drift critical automatedMarketMakerPairs(${attacker.address})`]);
+    expect(output).to.include("1 alert(s) for HedgexDao " + token.address);
+    expect(fs.readFileSync(jsonLog, "utf8").trim().split("\n")).to.have.length(1);
+  });
+});
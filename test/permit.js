@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { signPermit, signDelegation, verifyPayload, submitPayload } = require("../scripts/lib/permit");
+const { createRelayer } = require("../scripts/lib/relayer");
+const { expectRejected, captureLogs } = require("./helpers");
+
+describe("Permits / delegation relayer", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+
+  // Capture task and relayer output instead of printing it
+  const output = captureLogs();
+  let server;
+  afterEach(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = undefined;
+    }
+  });
+
+  async function permitFixture() {
+    const [owner, bob, carol, relayer] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U(1000000), U(2000000), U(0));
+    // A holder with tokens but no ETH: it cannot pay gas for anything
+    const holder = new ethers.Wallet(ethers.utils.id("hgxd-permit-holder"), ethers.provider);
+    await token.transfer(holder.address, U(1000));
+    const deadline = (await time.latest()) + 3600;
+    return { token, owner, bob, carol, relayer, holder, deadline };
+  }
+
+  async function startRelayer(token, relayer) {
+    server = createRelayer(token.connect(relayer), { log: () => {} });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  async function post(url, route, body) {
+    const res = await fetch(`${url}${route}`, { method: "POST", body: typeof body === "string" ? body : JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  }
+
+  // ------------------------------
+  // Library
+  // ------------------------------
+  it("signs permits and delegations that verify off-chain and execute from another account", async () => {
+    const { token, bob, carol, relayer, holder, deadline } = await loadFixture(permitFixture);
+    const asRelayer = token.connect(relayer);
+
+    const permit = await signPermit(token, holder, { spender: bob.address, value: U(250), deadline });
+    expect(permit).to.include({ type: "permit", token: token.address, owner: holder.address, value: U(250).toString(), nonce: "0" });
+    expect(await verifyPayload(token, permit)).to.equal(holder.address);
+    // The payload survives a JSON round trip (e.g. to a relayer)
+    const { holder: signer, receipt } = await submitPayload(asRelayer, JSON.parse(JSON.stringify(permit)));
+    expect(signer).to.equal(holder.address);
+    expect(receipt.from).to.equal(relayer.address);
+    expect(await token.allowance(holder.address, bob.address)).to.equal(U(250));
+    expect(await token.nonces(holder.address)).to.equal(1);
+
+    // Replayed, tampered, foreign or expired payloads are refused before anything is sent
+    await expectRejected(verifyPayload(token, permit), "Nonce 0 is not the current nonce 1");
+    const next = await signPermit(token, holder, { spender: bob.address, value: U(1), deadline });
+    await expectRejected(verifyPayload(token, { ...next, value: U(1000).toString() }), `Signature is not from ${holder.address}`);
+    await expectRejected(verifyPayload(token, { ...next, token: bob.address }), `Payload is for token ${bob.address}`);
+    const expired = await signPermit(token, holder, { spender: bob.address, value: U(1), deadline: (await time.latest()) - 1 });
+    await expectRejected(verifyPayload(token, expired), "Permit expired at");
+    await expectRejected(verifyPayload(token, { ...next, type: "transfer" }), 'Unknown payload type "transfer"');
+
+    // Delegation shares the permit nonce
+    const delegation = await signDelegation(token, holder, { delegatee: carol.address, expiry: deadline });
+    expect(delegation).to.include({ type: "delegation", delegator: holder.address, delegatee: carol.address, nonce: "1" });
+    await submitPayload(asRelayer, delegation);
+    expect(await token.delegates(holder.address)).to.equal(carol.address);
+    expect(await token.getVotes(carol.address)).to.equal(U(1000));
+    await expectRejected(verifyPayload(token, next), "Nonce 1 is not the current nonce 2");
+
+    expect(await ethers.provider.getBalance(holder.address)).to.equal(0);
+  });
+
+  // ------------------------------
+  // HTTP relayer
+  // ------------------------------
+  it("relays over HTTP: approve, burnFrom and delegate while the holder has no ETH", async () => {
+    const { token, bob, carol, relayer, holder, deadline } = await loadFixture(permitFixture);
+    const url = await startRelayer(token, relayer);
+
+    const status = await (await fetch(`${url}/status`)).json();
+    expect(status).to.include({ token: token.address, chainId: 31337, relayer: relayer.address });
+
+    const permit = await signPermit(token, holder, { spender: bob.address, value: U(400), deadline });
+    const relayed = await post(url, "/permit", permit);
+    expect(relayed.status).to.equal(200);
+    expect(relayed.body.holder).to.equal(holder.address);
+    expect((await ethers.provider.getTransaction(relayed.body.transactionHash)).from).to.equal(relayer.address);
+    expect(await token.allowance(holder.address, bob.address)).to.equal(U(400));
+
+    // The spender burns from the holder's balance with the relayed allowance
+    await token.connect(bob).burnFrom(holder.address, U(400));
+    expect(await token.balanceOf(holder.address)).to.equal(U(600));
+    expect(await token.totalSupply()).to.equal(U(1000000).sub(U(400)));
+
+    const delegation = await signDelegation(token, holder, { delegatee: carol.address, expiry: deadline });
+    expect((await post(url, "/delegate", delegation)).status).to.equal(200);
+    expect(await token.getVotes(carol.address)).to.equal(U(600));
+
+    expect(await ethers.provider.getBalance(holder.address)).to.equal(0);
+  });
+
+  it("the relayer answers 400 / 404 and sends nothing for bad, replayed or reverting payloads", async () => {
+    const { token, bob, carol, relayer, holder, deadline } = await loadFixture(permitFixture);
+    const url = await startRelayer(token, relayer);
+    const sent = await ethers.provider.getTransactionCount(relayer.address);
+
+    const permit = await signPermit(token, holder, { spender: bob.address, value: U(1), deadline });
+    expect(await post(url, "/permit", "{not json")).to.deep.include({ status: 400 });
+    expect((await post(url, "/delegate", permit)).body).to.deep.equal({ error: "/delegate expects a delegation payload" });
+    expect((await post(url, "/permit", { ...permit, value: "2" })).body.error).to.include("Signature is not from");
+    expect((await fetch(`${url}/withdraw`, { method: "POST" })).status).to.equal(404);
+
+    // Frozen holders cannot delegate: the dry-run surfaces the token's revert reason
+    await token.freeze(holder.address, ethers.utils.formatBytes32String("SANCTIONS"));
+    const delegation = await signDelegation(token, holder, { delegatee: carol.address, expiry: deadline });
+    const frozen = await post(url, "/delegate", delegation);
+    expect(frozen.status).to.equal(400);
+    expect(frozen.body.error).to.include("HedgexDao: Account frozen");
+    expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(sent);
+
+    await token.unfreeze(holder.address, ethers.utils.formatBytes32String("CLEARED"));
+    expect((await post(url, "/permit", permit)).status).to.equal(200);
+    const replay = await post(url, "/permit", permit);
+    expect(replay.status).to.equal(400);
+    expect(replay.body.error).to.include("Nonce 0 is not the current nonce 1");
+  });
+
+  // ------------------------------
+  // Tasks
+  // ------------------------------
+  it("hgxd:sign-permit / hgxd:sign-delegation sign with the first account, write and relay the payload", async () => {
+    const { token, owner, bob, carol, relayer } = await loadFixture(permitFixture);
+    const url = await startRelayer(token, relayer);
+    const ethBefore = await ethers.provider.getBalance(owner.address);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-permit-"));
+    const out = path.join(dir, "permit.json");
+
+    try {
+      const signed = await hre.run("hgxd:sign-permit", { token: token.address, spender: bob.address, value: "max", out });
+      expect(JSON.parse(fs.readFileSync(out, "utf8"))).to.deep.equal(signed.payload);
+      expect(signed.payload).to.include({ owner: owner.address, value: ethers.constants.MaxUint256.toString() });
+      expect(output).to.include(`Signed permit -> ${out}`);
+
+      const { reply } = await hre.run("hgxd:sign-permit", { token: token.address, spender: bob.address, value: "12.5", relay: url });
+      expect(output).to.include(`Relayed permit: ${reply.transactionHash}`);
+      expect(await token.allowance(owner.address, bob.address)).to.equal(U("12.5"));
+
+      await hre.run("hgxd:sign-delegation", { token: token.address, delegatee: carol.address, relay: url });
+      expect(await token.delegates(owner.address)).to.equal(carol.address);
+      expect(await ethers.provider.getBalance(owner.address)).to.equal(ethBefore);
+
+      await expectRejected(
+        hre.run("hgxd:sign-delegation", { token: token.address, delegatee: carol.address, minutes: -1, relay: url }),
+        "Relayer refused the delegation: Delegation expired at"
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,251 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  fetchTaxState,
+  quoteTransfer,
+  quoteForReceive,
+  quoteTransferOnChain,
+} = require("../scripts/lib/quote");
+
+describe("Transfer quotes", function () {
+  const U = (n, decs = 18) => ethers.utils.parseUnits(String(n), decs);
+  const BN = ethers.BigNumber;
+
+  // Small deterministic PRNG so failures are reproducible (override with QUOTE_SEED)
+  const SEED = Number(process.env.QUOTE_SEED || 0x5eed);
+  function rng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  async function deployFixture() {
+    const [owner, alice, bob, pair1, pair2, treasury, rewards] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U("25000000"), U("30000000"), U("20000000"));
+
+    await token.enableTrading();
+    await token.setAutomatedMarketMakerPair(pair1.address, true);
+    await token.setAutomatedMarketMakerPair(pair2.address, true);
+    for (const s of [alice, bob, pair1, pair2]) {
+      await token.transfer(s.address, U("1000000"));
+    }
+    await token.setFeeRecipients(treasury.address, rewards.address);
+    return { token, owner, alice, bob, pair1, pair2 };
+  }
+
+  const PAIR = "0x0000000000000000000000000000000000000001";
+  const USER = "0x0000000000000000000000000000000000000002";
+  const OTHER = "0x0000000000000000000000000000000000000003";
+  const state = (overrides = {}) => ({
+    burnTax: 100,
+    supplyFloor: U("20000000"),
+    totalSupply: U("25000000"),
+    pairs: { [PAIR]: true, [USER]: false, [OTHER]: false },
+    excluded: { [PAIR]: false, [USER]: false, [OTHER]: false },
+    ...overrides,
+  });
+
+  // ------------------------------
+  // Cached-state math
+  // ------------------------------
+  it("quotes bps fee on buys and sells, nothing on EOA transfers", () => {
+    const sell = quoteTransfer(state(), USER, PAIR, U(1000));
+    expect(sell.burned).to.equal(U(10));
+    expect(sell.received).to.equal(U(990));
+
+    const buy = quoteTransfer(state(), PAIR, USER, U(1000));
+    expect(buy.burned).to.equal(U(10));
+
+    const plain = quoteTransfer(state(), USER, OTHER, U(1000));
+    expect(plain.burned).to.equal(0);
+    expect(plain.taxed).to.equal(false);
+  });
+
+  it("applies the 1 wei minimum only for 1 < amount < 1000", () => {
+    expect(quoteTransfer(state(), USER, PAIR, 1).burned).to.equal(0);
+    expect(quoteTransfer(state(), USER, PAIR, 2).burned).to.equal(1);
+    expect(quoteTransfer(state({ burnTax: 10 }), USER, PAIR, 999).burned).to.equal(1);
+    expect(quoteTransfer(state(), USER, PAIR, 999).burned).to.equal(9);
+    expect(quoteTransfer(state({ burnTax: 1 }), USER, PAIR, 1000).burned).to.equal(0);
+    expect(quoteTransfer(state({ burnTax: 1 }), USER, PAIR, 10000).burned).to.equal(1);
+  });
+
+  it("clamps to totalSupply - supplyFloor and stops at the floor", () => {
+    const near = state({ supplyFloor: U("25000000").sub(5) });
+    const q = quoteTransfer(near, USER, PAIR, U(1000));
+    expect(q.burned).to.equal(5);
+    expect(q.clamped).to.equal(true);
+
+    const atFloor = state({ supplyFloor: U("25000000") });
+    expect(quoteTransfer(atFloor, USER, PAIR, U(1000)).burned).to.equal(0);
+  });
+
+  it("clamps to the remaining tax burn cap and stops once it is reached", () => {
+    const q = quoteTransfer(state({ totalTaxBurned: U(7), maxTaxBurn: U(10) }), USER, PAIR, U(1000));
+    expect(q.burned).to.equal(U(3));
+    expect(q.clamped).to.equal(true);
+
+    expect(quoteTransfer(state({ totalTaxBurned: U(10), maxTaxBurn: U(10) }), USER, PAIR, U(1000)).burned).to.equal(0);
+  });
+
+  it("uses buy/sell rates, per-pair overrides and the pair->pair exemption", () => {
+    const s = state({ buyTax: 20, sellTax: 50 });
+    s.pairs = { ...s.pairs, [OTHER]: true };
+
+    expect(quoteTransfer(s, PAIR, USER, U(1000)).burned).to.equal(U(2)); // buy
+    expect(quoteTransfer(s, USER, PAIR, U(1000)).burned).to.equal(U(5)); // sell
+    expect(quoteTransfer(s, PAIR, OTHER, U(1000)).burned).to.equal(U(5)); // hop: destination sell rate
+
+    s.overrides = { [OTHER]: { buyTax: 1, sellTax: 3 } };
+    expect(quoteTransfer(s, USER, OTHER, U(1000)).burned).to.equal(U("0.3"));
+    expect(quoteTransfer(s, OTHER, USER, U(1000)).burned).to.equal(U("0.1"));
+    expect(quoteTransfer(s, PAIR, OTHER, U(1000)).burned).to.equal(U("0.3"));
+
+    s.pairToPairTaxExempt = true;
+    expect(quoteTransfer(s, PAIR, OTHER, U(1000)).burned).to.equal(0);
+    expect(quoteTransfer(s, USER, OTHER, U(1000)).burned).to.equal(U("0.3"));
+  });
+
+  it("splits the fee and clamps only the burned leg", () => {
+    const s = state({ treasuryShare: 3000, rewardsShare: 2000 });
+    const q = quoteTransfer(s, USER, PAIR, U(1000));
+    expect(q.burned).to.equal(U(5));
+    expect(q.toTreasury).to.equal(U(3));
+    expect(q.toRewards).to.equal(U(2));
+    expect(q.fee).to.equal(U(10));
+    expect(q.received).to.equal(U(990));
+
+    const atFloor = quoteTransfer({ ...s, supplyFloor: U("25000000") }, USER, PAIR, U(1000));
+    expect(atFloor.burned).to.equal(0);
+    expect(atFloor.fee).to.equal(U(5));
+    expect(atFloor.received).to.equal(U(995));
+    expect(atFloor.clamped).to.equal(true);
+    expect(atFloor.taxed).to.equal(true);
+  });
+
+  it("exclusion on either side disables the fee", () => {
+    const s = state();
+    s.excluded = { ...s.excluded, [USER]: true };
+    expect(quoteTransfer(s, USER, PAIR, U(1000)).burned).to.equal(0);
+    expect(quoteTransfer(s, PAIR, USER, U(1000)).burned).to.equal(0);
+  });
+
+  it("refuses to quote for accounts missing from the cached state", () => {
+    expect(() => quoteTransfer(state(), USER, ethers.constants.AddressZero, 1)).to.throw("no entry");
+  });
+
+  it("reverse quote returns the smallest amount that delivers the target", () => {
+    const s = state();
+    const q = quoteForReceive(s, USER, PAIR, U(990));
+    expect(q.amount).to.equal(U(1000).sub(1)); // fee rounds down, so 1 wei less still delivers 990
+    expect(q.received).to.equal(U(990));
+    expect(q.exact).to.equal(true);
+
+    // Tiny amounts: sending 2 delivers 1 (min fee), sending 1 is untaxed
+    expect(quoteForReceive(s, USER, PAIR, 1).amount).to.equal(1);
+    expect(quoteForReceive(s, USER, PAIR, 2).amount).to.equal(3);
+  });
+
+  // ------------------------------
+  // Against the contract
+  // ------------------------------
+  it("matches TaxBurnApplied across randomized transfers", async () => {
+    const { token, owner, alice, bob, pair1, pair2 } = await loadFixture(deployFixture);
+    const rand = rng(SEED);
+    const pick = (list) => list[Math.floor(rand() * list.length)];
+    const actors = [alice, bob, pair1, pair2];
+
+    for (let i = 0; i < 40; i++) {
+      const ctx = `seed=${SEED} step=${i}`;
+
+      // Randomize contract config
+      await token.setBuyTax(Math.floor(rand() * 101));
+      await token.setSellTax(Math.floor(rand() * 101));
+      await token.setPairTaxOverride(pair2.address, rand() < 0.5, Math.floor(rand() * 101), Math.floor(rand() * 101));
+      await token.setPairToPairTaxExempt(rand() < 0.3);
+      const ts = await token.totalSupply();
+      const room = pick([0, 1, 5, 1000, null]);
+      await token.setSupplyFloor(room === null ? U("20000000") : ts.sub(Math.min(room, ts)));
+      for (const s of [alice, pair2]) {
+        await token.setExcludedFromFee(s.address, rand() < 0.2);
+      }
+      const treasuryShare = pick([0, 0, 2500, 3333, 10_000]);
+      const rewardsShare = Math.floor(rand() * (10_000 - treasuryShare + 1));
+      await token.setFeeSplit(10_000 - treasuryShare - rewardsShare, treasuryShare, rewardsShare);
+      const budget = pick([0, 1, 1000, null]);
+      const burnedSoFar = await token.totalTaxBurned();
+      await token.setMaxTaxBurn(budget === null ? ethers.constants.MaxUint256 : burnedSoFar.add(budget));
+
+      const from = pick(actors);
+      let to = pick(actors);
+      if (to.address === from.address) to = owner;
+
+      const balance = await token.balanceOf(from.address);
+      const magnitude = pick([3, 6, 18, 21]);
+      let amount = BN.from(Math.floor(rand() * 1e9)).mul(BN.from(10).pow(magnitude)).div(1e9);
+      if (amount.gt(balance)) amount = balance.div(2);
+
+      const cached = await fetchTaxState(token, [from.address, to.address]);
+      const quote = quoteTransfer(cached, from.address, to.address, amount);
+      const balanceTo = await token.balanceOf(to.address);
+
+      const receipt = await (await token.connect(from).transfer(to.address, amount)).wait();
+      const event = receipt.events.find((e) => e.event === "TaxBurnApplied");
+      const distributed = receipt.events.find((e) => e.event === "TaxDistributed");
+
+      if (quote.burned.isZero()) {
+        expect(event, ctx).to.equal(undefined);
+      } else {
+        expect(event, ctx).to.not.equal(undefined);
+        expect(event.args.amountBurned, ctx).to.equal(quote.burned);
+        expect(event.args.newTotalSupply, ctx).to.equal(cached.totalSupply.sub(quote.burned));
+      }
+      if (quote.fee.isZero()) {
+        expect(distributed, ctx).to.equal(undefined);
+      } else {
+        expect(distributed.args.toTreasury, ctx).to.equal(quote.toTreasury);
+        expect(distributed.args.toRewards, ctx).to.equal(quote.toRewards);
+      }
+      expect((await token.balanceOf(to.address)).sub(balanceTo), ctx).to.equal(quote.received);
+    }
+  });
+
+  it("reverse quotes deliver the target on-chain and one wei less does not", async () => {
+    const { token, alice, pair1 } = await loadFixture(deployFixture);
+    const rand = rng(SEED + 1);
+
+    for (let i = 0; i < 15; i++) {
+      const ctx = `seed=${SEED + 1} step=${i}`;
+      await token.setBurnTax(1 + Math.floor(rand() * 100));
+      const target = BN.from(Math.floor(rand() * 1e6)).mul(BN.from(10).pow(i % 2 === 0 ? 12 : 0)).add(1);
+
+      const cached = await fetchTaxState(token, [alice.address, pair1.address]);
+      const q = quoteForReceive(cached, alice.address, pair1.address, target);
+      expect(q.received.gte(target), ctx).to.equal(true);
+      expect(quoteTransfer(cached, alice.address, pair1.address, q.amount.sub(1)).received.lt(target), ctx).to.equal(true);
+
+      const before = await token.balanceOf(pair1.address);
+      await token.connect(alice).transfer(pair1.address, q.amount);
+      expect((await token.balanceOf(pair1.address)).sub(before), ctx).to.equal(q.received);
+    }
+  });
+
+  it("quoteTransferOnChain reads live state", async () => {
+    const { token, alice, pair1 } = await loadFixture(deployFixture);
+    await token.setBurnTax(50);
+
+    const q = await quoteTransferOnChain(token, alice.address, pair1.address, U(100));
+    expect(q.burned).to.equal(U("0.5"));
+    await expect(token.connect(alice).transfer(pair1.address, U(100)))
+      .to.emit(token, "TaxBurnApplied")
+      .withArgs(alice.address, pair1.address, q.burned, (await token.totalSupply()).sub(q.burned));
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  createBatch,
+  encodeTransaction,
+  addTransaction,
+  loadBatch,
+  decodeBatch,
+  formatDecoded,
+} = require("../scripts/lib/safeBatch");
+const { captureLogs } = require("./helpers");
+
+describe("Safe batch export", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+
+  // Keep task output out of the test report
+  captureLogs();
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-safe-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // The "safe" signer stands in for the multisig that owns the token
+  async function deployFixture() {
+    const [deployer, safe, alice, pair1] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U("25000000"), U("30000000"), U("20000000"));
+    await token.transferOwnership(safe.address);
+    return { token, deployer, safe, alice, pair1 };
+  }
+
+  it("encode -> decode round-trips every admin call", () => {
+    const iface = new ethers.utils.Interface(
+      hre.artifacts.readArtifactSync("HedgexDao").abi
+    );
+    const token = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+    const pair = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const calls = [
+      ["setAutomatedMarketMakerPair", [pair, true]],
+      ["setExcludedFromFee", [pair, false]],
+      ["setBurnTax", [ethers.BigNumber.from(50)]],
+      ["setSupplyFloor", [U("21000000")]],
+      ["snapshot", []],
+      ["mint", [pair, U(1000)]],
+    ];
+
+    const batch = createBatch({ chainId: 31337, safe: pair });
+    for (const [method, args] of calls) {
+      addTransaction(batch, encodeTransaction(iface, token, method, args));
+    }
+
+    const decoded = decodeBatch(JSON.parse(JSON.stringify(batch)), iface, { token });
+    expect(decoded.map((d) => d.method)).to.deep.equal(calls.map(([m]) => m));
+    expect(decoded[0].args).to.deep.equal({ pair, value: true });
+    expect(decoded[3].args.newFloor).to.equal(U("21000000"));
+    expect(decoded[5].summary).to.equal(`mint(to=${pair}, amount=${U(1000)})`);
+    expect(decoded.every((d) => d.warnings.length === 0)).to.equal(true);
+
+    expect(batch.meta.description.split("\n")[2]).to.equal("3. setBurnTax(newBurnTaxBps=50)");
+  });
+
+  it("decodes Safe UI entries that carry only contractMethod/contractInputsValues", () => {
+    const iface = new ethers.utils.Interface(hre.artifacts.readArtifactSync("HedgexDao").abi);
+    const token = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+    const pair = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+    const tx = encodeTransaction(iface, token, "setAutomatedMarketMakerPair", [pair, false]);
+    const batch = { transactions: [{ ...tx, data: null }] };
+
+    const [call] = decodeBatch(batch, iface);
+    expect(call.method).to.equal("setAutomatedMarketMakerPair");
+    expect(call.args).to.deep.equal({ pair, value: false });
+  });
+
+  it("flags foreign targets and value, and rejects non-HedgexDao calldata", () => {
+    const iface = new ethers.utils.Interface(hre.artifacts.readArtifactSync("HedgexDao").abi);
+    const token = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+    const other = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+    const tx = encodeTransaction(iface, other, "snapshot", [], 1);
+    const [call] = decodeBatch({ transactions: [tx] }, iface, { token });
+    expect(call.warnings).to.deep.equal([`target ${other} is not HedgexDao ${token}`, "sends 1 wei"]);
+    expect(formatDecoded([call])).to.include("   ! sends 1 wei");
+
+    expect(() => decodeBatch({ transactions: [{ to: token, value: "0", data: "0xdeadbeef" }] }, iface)).to.throw(
+      "calldata is not a HedgexDao call (0xdeadbeef)"
+    );
+  });
+
+  it("--safe-batch writes calls instead of sending, and the batch executes as the owner", async () => {
+    const { token, safe, alice, pair1 } = await loadFixture(deployFixture);
+    const file = path.join(dir, "batch.json");
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    // Deployer is not the owner, but exporting only needs the Safe (owner) to pass the dry-run
+    await hre.run("hgxd:set-pair", { token: token.address, pair: pair1.address, safeBatch: file });
+    await hre.run("hgxd:set-tax", { token: token.address, bps: 25, safeBatch: file });
+    await hre.run("hgxd:mint", { token: token.address, to: alice.address, amount: "500", safeBatch: file });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(await token.burnTax()).to.equal(10);
+
+    const batch = loadBatch(file);
+    expect(batch.chainId).to.equal("31337");
+    expect(batch.meta.createdFromSafeAddress).to.equal(safe.address);
+    expect(batch.transactions).to.have.length(3);
+
+    const decoded = await hre.run("hgxd:decode-batch", { file, token: token.address });
+    expect(decoded.map((d) => d.summary)).to.deep.equal([
+      `setAutomatedMarketMakerPair(pair=${pair1.address}, value=true)`,
+      "setBurnTax(newBurnTaxBps=25)",
+      `mint(to=${alice.address}, amount=${U(500)})`,
+    ]);
+
+    // Signers executing the batch get exactly the exported calls
+    for (const tx of batch.transactions) {
+      await safe.sendTransaction({ to: tx.to, value: tx.value, data: tx.data });
+    }
+    expect(await token.automatedMarketMakerPairs(pair1.address)).to.equal(true);
+    expect(await token.burnTax()).to.equal(25);
+    expect(await token.balanceOf(alice.address)).to.equal(U(500));
+  });
+
+  it("--safe-batch still fails the dry-run on out-of-bounds values", async () => {
+    const { token } = await loadFixture(deployFixture);
+    const file = path.join(dir, "batch.json");
+
+    let error;
+    try {
+      await hre.run("hgxd:set-tax", { token: token.address, bps: 500, safeBatch: file });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.include("Burn tax 500 > cap 100");
+    expect(fs.existsSync(file)).to.equal(false);
+  });
+});
@@ -0,0 +1,368 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { DAY, parseTiers, deployStakingVault, stake, claim, stakingInfo } = require("../scripts/lib/staking");
+const { expectRejected, captureLogs } = require("./helpers");
+
+describe("HedgexStakingVault", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+  // Rewards of 6048 HGXD over 7 days stream at exactly 864 HGXD a day
+  const REWARDS = U(6048);
+  const PER_DAY = U(864);
+  const TOLERANCE = U("0.000001");
+
+  // Capture task output instead of printing it
+  const output = captureLogs();
+
+  async function stakingFixture() {
+    const [owner, alice, bob, carol, pair, treasury] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U(1000000), U(2000000), U(0));
+    await token.enableTrading();
+
+    const HedgexStakingVault = await ethers.getContractFactory("HedgexStakingVault");
+    const vault = await HedgexStakingVault.deploy(token.address, 7 * DAY);
+    await vault.setLockTier(1, 30 * DAY, 20000); // 30 days, 2x
+    await token.setExcludedFromFee(vault.address, true);
+
+    for (const s of [alice, bob, carol]) {
+      await token.transfer(s.address, U(10000));
+      await token.connect(s).approve(vault.address, ethers.constants.MaxUint256);
+    }
+    await token.approve(vault.address, ethers.constants.MaxUint256);
+    return { token, vault, owner, alice, bob, carol, pair, treasury };
+  }
+
+  // Mine the next transaction at exactly `timestamp`
+  async function at(timestamp, send) {
+    await time.setNextBlockTimestamp(timestamp);
+    return send();
+  }
+
+  async function expectEarned(vault, account, expected) {
+    expect(await vault.earned(account.address)).to.be.closeTo(expected, TOLERANCE);
+  }
+
+  // ------------------------------
+  // Reward accrual
+  // ------------------------------
+  it("streams deposits by weight across time jumps and stops at periodFinish", async () => {
+    const { token, vault, alice, bob, carol } = await loadFixture(stakingFixture);
+    await vault.connect(alice).stake(U(1000), 0); // weight 1000
+    await vault.connect(bob).stake(U(1000), 1); // weight 2000
+    expect(await vault.totalWeight()).to.equal(U(3000));
+
+    const t0 = (await time.latest()) + 10;
+    await expect(at(t0, () => vault.depositRewards(REWARDS)))
+      .to.emit(vault, "RewardsAdded")
+      .withArgs(REWARDS, PER_DAY.div(DAY), t0 + 7 * DAY);
+
+    // Day 1: 864 split 1:2
+    await time.increaseTo(t0 + DAY);
+    await expectEarned(vault, alice, U(288));
+    await expectEarned(vault, bob, U(576));
+
+    // Day 2: carol joins with weight 3000, halving the others' share
+    await at(t0 + 2 * DAY, () => vault.connect(carol).stake(U(3000), 0));
+    await time.increaseTo(t0 + 3 * DAY);
+    await expectEarned(vault, alice, U(576 + 144));
+    await expectEarned(vault, carol, U(432));
+
+    // Far past periodFinish nothing more accrues and the whole deposit is earned
+    await time.increaseTo(t0 + 60 * DAY);
+    await expectEarned(vault, alice, U(576 + 720));
+    await expectEarned(vault, bob, U(1152 + 1440));
+    await expectEarned(vault, carol, U(2160));
+
+    const before = await token.balanceOf(alice.address);
+    const { paid } = await claim(vault, alice);
+    expect(paid).to.be.closeTo(U(1296), TOLERANCE);
+    expect(await token.balanceOf(alice.address)).to.equal(before.add(paid));
+    expect(await vault.earned(alice.address)).to.equal(0);
+    // A second claim pays nothing
+    expect((await claim(vault, alice)).paid).to.equal(0);
+
+    await vault.connect(bob).claim();
+    await vault.connect(carol).claim();
+    // Principal sits in the escrows: only rounding dust is left in the vault
+    const left = await token.balanceOf(vault.address);
+    expect(left).to.be.lte(TOLERANCE);
+    expect(await vault.accountedRewards()).to.equal(left);
+  });
+
+  it("tops up mid-stream by re-spreading the rest over a fresh period", async () => {
+    const { vault, alice } = await loadFixture(stakingFixture);
+    await vault.connect(alice).stake(U(1000), 0);
+    const t0 = (await time.latest()) + 10;
+    await at(t0, () => vault.depositRewards(REWARDS));
+
+    // 4 days left (3456) + 2592 new = 6048 over 7 more days
+    await at(t0 + 3 * DAY, () => vault.depositRewards(U(2592)));
+    expect(await vault.rewardRate()).to.equal(PER_DAY.div(DAY));
+    expect(await vault.periodFinish()).to.equal(t0 + 10 * DAY);
+
+    await time.increaseTo(t0 + 20 * DAY);
+    await expectEarned(vault, alice, REWARDS.add(U(2592)));
+  });
+
+  it("commits only rewardRate * rewardsDuration and carries the remainder into the next period", async () => {
+    const { token, vault, alice } = await loadFixture(stakingFixture);
+    const PERIOD = 7 * DAY;
+    await vault.connect(alice).stake(U(1000), 0);
+
+    // 1 HGXD does not divide evenly over the period
+    const t0 = (await time.latest()) + 10;
+    await at(t0, () => vault.depositRewards(U(1)));
+    const remainder = U(1).mod(PERIOD);
+    expect(remainder).to.not.equal(0);
+    expect(await vault.accountedRewards()).to.equal(U(1).div(PERIOD).mul(PERIOD));
+    expect(await vault.pendingRewards()).to.equal(remainder);
+
+    // After the period everything committed is paid out; the remainder is still pending
+    await at(t0 + PERIOD, () => vault.connect(alice).claim());
+    expect(await vault.pendingRewards()).to.equal(remainder);
+
+    // The next top-up streams it along with the new HGXD
+    const amount = U(2).add(remainder);
+    const t1 = t0 + PERIOD + 10;
+    await expect(at(t1, () => vault.depositRewards(U(2))))
+      .to.emit(vault, "RewardsAdded")
+      .withArgs(amount, amount.div(PERIOD), t1 + PERIOD);
+    expect(await vault.pendingRewards()).to.equal(amount.mod(PERIOD));
+
+    await at(t1 + PERIOD, () => vault.connect(alice).claim());
+    // Everything but the carried remainder and the per-weight rounding dust has been paid
+    const left = await token.balanceOf(vault.address);
+    expect(left.sub(await vault.accountedRewards())).to.equal(amount.mod(PERIOD));
+    expect(await vault.accountedRewards()).to.be.lte(TOLERANCE);
+  });
+
+  it("pauses the stream while nothing is staked", async () => {
+    const { vault, alice, bob } = await loadFixture(stakingFixture);
+    const t0 = (await time.latest()) + 10;
+    await at(t0, () => vault.depositRewards(REWARDS));
+
+    // Three idle days are not lost: alice's stake restarts the full 7 days
+    await at(t0 + 3 * DAY, () => vault.connect(alice).stake(U(1000), 0));
+    expect(await vault.periodFinish()).to.equal(t0 + 10 * DAY);
+
+    // Alice leaves after 3 days, the vault idles 2 days, bob takes the remaining 4
+    await at(t0 + 6 * DAY, () => vault.connect(alice).unstake(0));
+    await expectEarned(vault, alice, U(3 * 864));
+    await at(t0 + 8 * DAY, () => vault.connect(bob).stake(U(500), 0));
+    expect(await vault.periodFinish()).to.equal(t0 + 12 * DAY);
+
+    await time.increaseTo(t0 + 30 * DAY);
+    await expectEarned(vault, bob, U(4 * 864));
+    await expectEarned(vault, alice, U(3 * 864));
+  });
+
+  // ------------------------------
+  // Locks and tiers
+  // ------------------------------
+  it("enforces locks and tiers; positions keep the terms they were staked with", async () => {
+    const { token, vault, alice, bob } = await loadFixture(stakingFixture);
+
+    await expect(vault.connect(bob).setLockTier(2, DAY, 15000)).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(vault.setLockTier(3, DAY, 15000)).to.be.revertedWith("HedgexStakingVault: Invalid tier");
+    await expect(vault.setLockTier(2, DAY, 9999)).to.be.revertedWith("HedgexStakingVault: Invalid multiplier");
+    await expect(vault.setLockTier(2, DAY, 50001)).to.be.revertedWith("HedgexStakingVault: Invalid multiplier");
+    await expect(vault.connect(alice).stake(0, 0)).to.be.revertedWith("HedgexStakingVault: Zero amount");
+    await expect(vault.connect(alice).stake(U(1), 2)).to.be.revertedWith("HedgexStakingVault: Invalid tier");
+
+    const { positionId } = await stake(vault, token, alice, U(1000), 1);
+    const { lockEnd } = await vault.positions(alice.address, positionId);
+    expect(await vault.weightOf(alice.address)).to.equal(U(2000));
+    await expect(vault.connect(alice).unstake(positionId)).to.be.revertedWith("HedgexStakingVault: Locked");
+    await expect(vault.connect(alice).unstake(1)).to.be.revertedWith("HedgexStakingVault: Invalid position");
+
+    // Closing or repricing a tier leaves existing positions alone
+    await vault.setLockTier(1, 30 * DAY, 0);
+    await expect(vault.connect(bob).stake(U(1), 1)).to.be.revertedWith("HedgexStakingVault: Tier closed");
+    await time.increaseTo(lockEnd);
+    await expect(vault.connect(alice).unstake(positionId))
+      .to.emit(vault, "Unstaked")
+      .withArgs(alice.address, positionId, U(1000));
+    expect(await token.balanceOf(alice.address)).to.equal(U(10000));
+    expect(await vault.weightOf(alice.address)).to.equal(0);
+    expect(await vault.totalStaked()).to.equal(0);
+    await expect(vault.connect(alice).unstake(positionId)).to.be.revertedWith("HedgexStakingVault: Already unstaked");
+  });
+
+  // ------------------------------
+  // Voting power
+  // ------------------------------
+  it("staked tokens keep voting for the staker's delegate and can be re-delegated", async () => {
+    const { token, vault, alice, bob, carol } = await loadFixture(stakingFixture);
+    await token.connect(alice).delegate(alice.address);
+    await token.connect(bob).delegate(carol.address);
+
+    await vault.connect(alice).stake(U(600), 0);
+    await vault.connect(bob).stake(U(1000), 1);
+    expect(await token.balanceOf(alice.address)).to.equal(U(9400));
+    expect(await token.getVotes(alice.address)).to.equal(U(10000));
+    expect(await token.getVotes(carol.address)).to.equal(U(10000));
+    expect(await token.getVotes(vault.address)).to.equal(0);
+
+    // A staker who never delegated votes with their stake
+    const escrow = await vault.escrowOf(alice.address);
+    expect(await token.delegates(escrow)).to.equal(alice.address);
+    await expect(vault.connect(alice).delegateStake(bob.address))
+      .to.emit(vault, "StakeDelegated")
+      .withArgs(alice.address, escrow, bob.address);
+    expect(await token.getVotes(alice.address)).to.equal(U(9400));
+    expect(await token.getVotes(bob.address)).to.equal(U(600));
+    await expect(vault.connect(carol).delegateStake(bob.address)).to.be.revertedWith("HedgexStakingVault: Nothing staked");
+
+    // Only the vault drives an escrow
+    const asEscrow = await ethers.getContractAt("HedgexStakeEscrow", escrow);
+    await expect(asEscrow.connect(alice).withdraw(alice.address, 1)).to.be.revertedWith("HedgexStakeEscrow: Not vault");
+    await expect(asEscrow.connect(alice).initialize(token.address, alice.address)).to.be.revertedWith(
+      "HedgexStakeEscrow: Initialized"
+    );
+
+    // Unstaking brings the votes home
+    await vault.connect(alice).unstake(0);
+    expect(await token.getVotes(alice.address)).to.equal(U(10000));
+    expect(await token.getVotes(bob.address)).to.equal(0);
+  });
+
+  // ------------------------------
+  // Frozen stakers
+  // ------------------------------
+  it("frozen accounts cannot stake, unstake or re-delegate", async () => {
+    const { token, vault, alice, bob } = await loadFixture(stakingFixture);
+    await vault.connect(alice).stake(U(1000), 0);
+    await token.freeze(alice.address, ethers.utils.formatBytes32String("sanctions"));
+
+    await expect(vault.connect(alice).stake(U(1000), 0)).to.be.revertedWith("HedgexStakingVault: Account frozen");
+    await expect(vault.connect(alice).unstake(0)).to.be.revertedWith("HedgexStakingVault: Account frozen");
+    await expect(vault.connect(alice).delegateStake(bob.address)).to.be.revertedWith("HedgexStakingVault: Account frozen");
+
+    await token.unfreeze(alice.address, ethers.utils.formatBytes32String("cleared"));
+    await vault.connect(alice).unstake(0);
+    expect(await token.balanceOf(alice.address)).to.equal(U(10000));
+  });
+
+  it("hgxd:recover-frozen-stake moves a frozen stake and its rewards to the treasury", async () => {
+    const { token, vault, alice, bob, treasury } = await loadFixture(stakingFixture);
+    await vault.connect(alice).stake(U(600), 0);
+    await vault.connect(alice).stake(U(400), 1); // locked; weight 600 + 800
+    await vault.connect(bob).stake(U(1400), 0);
+    const t0 = (await time.latest()) + 10;
+    await at(t0, () => vault.depositRewards(REWARDS));
+    await time.increaseTo(t0 + DAY);
+
+    const recover = { account: alice.address, vault: vault.address };
+    await expectRejected(hre.run("hgxd:recover-frozen-stake", recover), "is not frozen; only frozen stakes can be recovered");
+    await token.freeze(alice.address, ethers.utils.formatBytes32String("sanctions"));
+    await expect(vault.recoverFrozenStake(alice.address)).to.be.revertedWith("HedgexStakingVault: Treasury not set");
+    await token.setFeeRecipients(treasury.address, ethers.constants.AddressZero);
+    await expect(vault.connect(bob).recoverFrozenStake(alice.address)).to.be.revertedWith(
+      "Ownable: caller is not the owner"
+    );
+    await expect(vault.recoverFrozenStake(bob.address)).to.be.revertedWith("HedgexStakingVault: Not frozen");
+
+    await at(t0 + DAY + 10, () => hre.run("hgxd:recover-frozen-stake", recover));
+    // Half of the weight for a day and 10 seconds of 864 HGXD a day
+    const reward = PER_DAY.mul(DAY + 10).div(DAY).div(2);
+    expect(await token.balanceOf(treasury.address)).to.be.closeTo(U(1000).add(reward), TOLERANCE);
+    expect(await token.balanceOf(await vault.escrowOf(alice.address))).to.equal(0);
+    expect(await vault.stakedOf(alice.address)).to.equal(0);
+    expect(await vault.earned(alice.address)).to.equal(0);
+    expect((await vault.positions(alice.address, 1)).amount).to.equal(0);
+    expect(await vault.totalStaked()).to.equal(U(1400));
+    expect(await vault.totalWeight()).to.equal(U(1400));
+
+    // Bob earns the whole stream from here on
+    await time.increaseTo(t0 + 2 * DAY + 10);
+    await expectEarned(vault, bob, PER_DAY.mul(DAY + 10).div(DAY).div(2).add(PER_DAY));
+  });
+
+  // ------------------------------
+  // Swap tax as rewards
+  // ------------------------------
+  it("picks up swap tax redirected to the vault as rewards", async () => {
+    const { token, vault, alice, bob, pair, treasury } = await loadFixture(stakingFixture);
+    await token.setAutomatedMarketMakerPair(pair.address, true);
+    await token.setSellTax(100); // 1%
+    await token.setFeeRecipients(treasury.address, vault.address);
+    await token.setFeeSplit(5000, 0, 5000);
+    await vault.connect(bob).stake(U(1000), 0);
+
+    // Sells send half of the fee to the vault; staking into the excluded vault is never taxed
+    await token.connect(alice).transfer(pair.address, U(5000)); // fee 50
+    await token.connect(alice).transfer(pair.address, U(2000)); // fee 20
+    expect(await vault.pendingRewards()).to.equal(U(35));
+    expect(await vault.totalStaked()).to.equal(U(1000));
+
+    const t0 = (await time.latest()) + 10;
+    await expect(at(t0, () => vault.sync()))
+      .to.emit(vault, "RewardsAdded")
+      .withArgs(U(35), U(35).div(7 * DAY), t0 + 7 * DAY);
+    // The division remainder waits for the next period
+    expect(await vault.pendingRewards()).to.equal(U(35).mod(7 * DAY));
+
+    await time.increaseTo(t0 + 7 * DAY);
+    expect(await vault.earned(bob.address)).to.be.closeTo(U(35), TOLERANCE);
+  });
+
+  // ------------------------------
+  // Scripts and tasks
+  // ------------------------------
+  it("deployStakingVault records the vault and sets tiers idempotently", async () => {
+    const { token } = await loadFixture(stakingFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-staking-"));
+    try {
+      const log = [];
+      const opts = { rewardsDuration: 7 * DAY, tiers: parseTiers("0:1,30:1.25,365:2"), dir, log: (line) => log.push(line) };
+      const { vault, record } = await deployStakingVault(hre, token, opts);
+      expect(record.HedgexStakingVault.address).to.equal(vault.address);
+      expect(await vault.lockTierCount()).to.equal(3);
+      expect((await vault.lockTiers(2)).multiplierBps).to.equal(20000);
+      expect(log).to.include("Lock tier 1: 30 days, 1.25x");
+
+      log.length = 0;
+      const again = await deployStakingVault(hre, token, { ...opts, tiers: parseTiers("0:1,30:1.5,365:2") });
+      expect(again.vault.address).to.equal(vault.address);
+      expect(log).to.deep.equal([`HedgexStakingVault already deployed at: ${vault.address} (skipping)`, "Lock tier 1: 30 days, 1.5x"]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    expect(() => parseTiers("30:1")).to.throw("tier 0 must have no lock (0 days)");
+    expect(() => parseTiers("0:1,7:0.5")).to.throw("tier 1: multiplier must be between 1 and 5: 0.5");
+    expect(() => parseTiers("0:1,x:2")).to.throw("tier 1: lock days must be a non-negative integer: x");
+  });
+
+  it("hgxd:stake / hgxd:claim / hgxd:unstake / hgxd:staking-info act for the first account", async () => {
+    const { token, vault, owner, carol } = await loadFixture(stakingFixture);
+    await vault.depositRewards(REWARDS);
+    const balance = await token.balanceOf(owner.address);
+
+    const positionId = await hre.run("hgxd:stake", { vault: vault.address, amount: "2500", tier: 1 });
+    expect(positionId).to.equal(0);
+    expect(await vault.weightOf(owner.address)).to.equal(U(5000));
+    await hre.run("hgxd:stake-delegate", { vault: vault.address, delegatee: carol.address });
+    expect(await token.getVotes(carol.address)).to.equal(U(2500));
+
+    await time.increase(30 * DAY);
+    const info = await hre.run("hgxd:staking-info", { vault: vault.address });
+    expect(info.account.positions).to.have.length(1);
+    expect(info.account.positions[0].unlocked).to.equal(true);
+    expect(info.account.delegatee).to.equal(carol.address);
+    expect(output).to.include(`  staked votes delegated to ${carol.address}`);
+    expect(output).to.include("  tier 1: 30 days, 2x");
+
+    const paid = await hre.run("hgxd:claim", { vault: vault.address });
+    expect(paid).to.be.closeTo(REWARDS, TOLERANCE);
+    expect(await hre.run("hgxd:unstake", { vault: vault.address, position: 0 })).to.equal(U(2500));
+    expect(await token.balanceOf(owner.address)).to.equal(balance.add(paid));
+    expect((await stakingInfo(vault, token, owner.address)).account.positions).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,291 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { expectRejected, captureLogs } = require("./helpers");
+
+describe("hgxd:* admin tasks", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+
+  // Capture task output instead of printing it
+  const output = captureLogs();
+
+  async function deployFixture() {
+    const [owner, alice, pair1, stranger] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U("25000000"), U("30000000"), U("20000000"));
+    return { token, owner, alice, pair1, stranger };
+  }
+
+  it("hgxd:set-pair marks a pair and prints the diff", async () => {
+    const { token, pair1 } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:set-pair", { token: token.address, pair: pair1.address });
+
+    expect(await token.automatedMarketMakerPairs(pair1.address)).to.equal(true);
+    expect(output[0]).to.equal(`setAutomatedMarketMakerPair(${pair1.address}, true)`);
+    expect(output[1]).to.equal(`  ~ automatedMarketMakerPairs(${pair1.address}): false -> true`);
+    expect(output[2]).to.match(/^Sent: 0x/);
+
+    await hre.run("hgxd:set-pair", { token: token.address, pair: pair1.address, value: false });
+    expect(await token.automatedMarketMakerPairs(pair1.address)).to.equal(false);
+  });
+
+  it("hgxd:exclude toggles fee exclusion", async () => {
+    const { token, alice } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:exclude", { token: token.address, account: alice.address });
+    expect(await token.isExcludedFromFee(alice.address)).to.equal(true);
+
+    await hre.run("hgxd:exclude", { token: token.address, account: alice.address, excluded: false });
+    expect(await token.isExcludedFromFee(alice.address)).to.equal(false);
+  });
+
+  it("hgxd:set-tax sets the tax and refuses values above burnTaxCap", async () => {
+    const { token } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:set-tax", { token: token.address, bps: 100 });
+    expect(await token.burnTax()).to.equal(100);
+    expect(output[1]).to.equal("  ~ burnTax: 10 -> 100");
+
+    await expectRejected(hre.run("hgxd:set-tax", { token: token.address, bps: 101 }), "Burn tax 101 > cap 100");
+  });
+
+  it("hgxd:set-buy-tax / hgxd:set-sell-tax set one side only", async () => {
+    const { token } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:set-sell-tax", { token: token.address, bps: 60 });
+    expect(await token.sellTax()).to.equal(60);
+    expect(await token.buyTax()).to.equal(10);
+    expect(output).to.include("  = buyTax: 10 -> 10");
+    expect(output).to.include("  ~ burnTax: 10 -> 60");
+
+    await hre.run("hgxd:set-buy-tax", { token: token.address, bps: 0 });
+    expect(await token.buyTax()).to.equal(0);
+  });
+
+  it("hgxd:set-pair-tax sets and clears a per-pair override", async () => {
+    const { token, pair1 } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:set-pair-tax", { token: token.address, pair: pair1.address, buy: 5, sell: 25 });
+    const o = await token.pairTaxOverrides(pair1.address);
+    expect([o.enabled, o.buyTax.toNumber(), o.sellTax.toNumber()]).to.deep.equal([true, 5, 25]);
+    expect(output[1]).to.equal(`  ~ pairTaxOverrides(${pair1.address}): default -> buy 5 / sell 25`);
+
+    await expectRejected(hre.run("hgxd:set-pair-tax", { token: token.address, pair: pair1.address, sell: 101 }), "Burn tax 101 > cap 100");
+
+    // One side only keeps the other
+    await hre.run("hgxd:set-pair-tax", { token: token.address, pair: pair1.address, sell: 40 });
+    const kept = await token.pairTaxOverrides(pair1.address);
+    expect([kept.buyTax.toNumber(), kept.sellTax.toNumber()]).to.deep.equal([5, 40]);
+
+    await hre.run("hgxd:set-pair-tax", { token: token.address, pair: pair1.address, clear: true });
+    expect((await token.pairTaxOverrides(pair1.address)).enabled).to.equal(false);
+
+    // Without an override the side not passed starts from the default rate
+    await token.setSellTax(30);
+    await hre.run("hgxd:set-pair-tax", { token: token.address, pair: pair1.address, buy: 0 });
+    const fresh = await token.pairTaxOverrides(pair1.address);
+    expect([fresh.enabled, fresh.buyTax.toNumber(), fresh.sellTax.toNumber()]).to.deep.equal([true, 0, 30]);
+  });
+
+  it("hgxd:exempt-pair-hops toggles the pair->pair exemption", async () => {
+    const { token } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:exempt-pair-hops", { token: token.address });
+    expect(await token.pairToPairTaxExempt()).to.equal(true);
+    await hre.run("hgxd:exempt-pair-hops", { token: token.address, value: false });
+    expect(await token.pairToPairTaxExempt()).to.equal(false);
+  });
+
+  it("hgxd:set-fee-recipients / hgxd:set-fee-split configure the tax split", async () => {
+    const { token, alice, stranger } = await loadFixture(deployFixture);
+
+    await expectRejected(
+      hre.run("hgxd:set-fee-split", { token: token.address, burn: 5000, treasury: 5000 }),
+      "Treasury share needs a treasury"
+    );
+    await expectRejected(
+      hre.run("hgxd:set-fee-split", { token: token.address, burn: 5000, treasury: 4000 }),
+      "must be 10000 bps"
+    );
+
+    await hre.run("hgxd:set-fee-recipients", { token: token.address, treasury: alice.address, rewards: stranger.address });
+    expect(await token.treasury()).to.equal(alice.address);
+    expect(await token.rewards()).to.equal(stranger.address);
+
+    await hre.run("hgxd:set-fee-split", { token: token.address, burn: 5000, treasury: 3000, rewards: 2000 });
+    expect(await token.treasuryShare()).to.equal(3000);
+    expect(output).to.include("  ~ burnShare: 10000 -> 5000");
+    expect(output).to.include("  ~ rewardsShare: 0 -> 2000");
+
+    // Omitted recipient keeps its current address
+    await hre.run("hgxd:set-fee-recipients", { token: token.address, rewards: alice.address });
+    expect(await token.treasury()).to.equal(alice.address);
+    expect(await token.rewards()).to.equal(alice.address);
+  });
+
+  it("hgxd:set-floor sets the floor and refuses values above cap", async () => {
+    const { token } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:set-floor", { token: token.address, floor: "25000000" });
+    expect(await token.supplyFloor()).to.equal(U("25000000"));
+    expect(output).to.include(`  ~ remainingBurnableUntilFloor: ${U("5000000")} -> 0`);
+    expect(output).to.include("  ~ isBurnActive: true -> false");
+
+    await expectRejected(hre.run("hgxd:set-floor", { token: token.address, floor: "30000001" }), "Floor 30000001 > cap");
+  });
+
+  it("hgxd:set-max-tax-burn sets and clears the tax burn cap", async () => {
+    const { token } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:set-max-tax-burn", { token: token.address, amount: "1000" });
+    expect(await token.maxTaxBurn()).to.equal(U(1000));
+    expect(output).to.include(`  ~ remainingTaxBurn: ${ethers.constants.MaxUint256} -> ${U(1000)}`);
+
+    await hre.run("hgxd:set-max-tax-burn", { token: token.address, amount: "max" });
+    expect(await token.maxTaxBurn()).to.equal(ethers.constants.MaxUint256);
+  });
+
+  it("hgxd:snapshot advances the snapshot id", async () => {
+    const { token } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:snapshot", { token: token.address });
+    expect(await token.getCurrentSnapshot()).to.equal(1);
+    expect(output[1]).to.equal("  ~ currentSnapshotId: 0 -> 1");
+  });
+
+  it("hgxd:mint mints within cap headroom only", async () => {
+    const { token, alice } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:mint", { token: token.address, to: alice.address, amount: "1000" });
+    expect(await token.balanceOf(alice.address)).to.equal(U(1000));
+
+    await expectRejected(hre.run("hgxd:mint", { token: token.address, to: alice.address, amount: "5000000" }), "exceeds cap headroom 4999000.0");
+  });
+
+  it("hgxd:set-mint-schedule limits hgxd:mint per epoch and only lowers the rate", async () => {
+    const { token, alice } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:set-mint-schedule", { token: token.address, epochLength: 2592000, maxPerEpoch: "100000" });
+    expect(await token.mintEpochLength()).to.equal(2592000);
+    expect(output).to.include(`  ~ maxMintPerEpoch: 0 -> ${U(100000)}`);
+
+    await hre.run("hgxd:mint", { token: token.address, to: alice.address, amount: "60000" });
+    expect(output).to.include(`  ~ mintedInCurrentEpoch: 0 -> ${U(60000)}`);
+    await expectRejected(
+      hre.run("hgxd:mint", { token: token.address, to: alice.address, amount: "50000" }),
+      "exceeds what is left of the current emission epoch (40000.0)"
+    );
+    await expectRejected(
+      hre.run("hgxd:set-mint-schedule", { token: token.address, epochLength: 86400, maxPerEpoch: "100000" }),
+      "Emission rate can only go down"
+    );
+  });
+
+  it("hgxd:set-launch-limits / hgxd:enable-trading configure launch protection", async () => {
+    const { token } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:set-launch-limits", { token: token.address, maxTx: "100000", buyCooldown: true, blocks: 300 });
+    expect(await token.maxTxAmount()).to.equal(U(100000));
+    expect(await token.maxWalletAmount()).to.equal(0);
+    expect(await token.buyCooldown()).to.equal(true);
+    expect(output).to.include(`  ~ maxTxAmount: 0 -> ${U(100000)}`);
+
+    // Omitted fields keep their value
+    await hre.run("hgxd:set-launch-limits", { token: token.address, maxWallet: "200000" });
+    expect(await token.maxTxAmount()).to.equal(U(100000));
+    expect(await token.launchLimitsBlocks()).to.equal(300);
+    await expectRejected(
+      hre.run("hgxd:set-launch-limits", { token: token.address, maxTx: "1000" }),
+      "maxTx must be 0 or at least 0.1% of totalSupply (25000.0)"
+    );
+
+    await hre.run("hgxd:enable-trading", { token: token.address });
+    expect(await token.tradingEnabled()).to.equal(true);
+    await expectRejected(hre.run("hgxd:enable-trading", { token: token.address }), "Trading is already enabled");
+  });
+
+  it("hgxd:freeze / hgxd:unfreeze / hgxd:recover-frozen manage frozen accounts", async () => {
+    const { token, alice, pair1 } = await loadFixture(deployFixture);
+    await token.transfer(alice.address, U(1000));
+
+    await expectRejected(
+      hre.run("hgxd:freeze", { token: token.address, account: alice.address, reason: "X".repeat(32) }),
+      "longer than 31 bytes"
+    );
+    await hre.run("hgxd:freeze", { token: token.address, account: alice.address, reason: "STOLEN_FUNDS" });
+    expect(await token.isFrozen(alice.address)).to.equal(true);
+    expect(ethers.utils.parseBytes32String(await token.frozenReason(alice.address))).to.equal("STOLEN_FUNDS");
+    expect(output).to.include(`  ~ frozenReason(${alice.address}):  -> STOLEN_FUNDS`);
+    await expectRejected(
+      hre.run("hgxd:freeze", { token: token.address, account: alice.address, reason: "AGAIN" }),
+      "is already frozen (STOLEN_FUNDS)"
+    );
+
+    await expectRejected(hre.run("hgxd:recover-frozen", { token: token.address, account: alice.address }), "No treasury to recover to");
+    await token.setFeeRecipients(pair1.address, ethers.constants.AddressZero);
+    await hre.run("hgxd:recover-frozen", { token: token.address, account: alice.address });
+    expect(await token.balanceOf(pair1.address)).to.equal(U(1000));
+
+    await hre.run("hgxd:unfreeze", { token: token.address, account: alice.address, reason: "CLEARED" });
+    expect(await token.isFrozen(alice.address)).to.equal(false);
+    await expectRejected(
+      hre.run("hgxd:unfreeze", { token: token.address, account: alice.address, reason: "CLEARED" }),
+      "is not frozen"
+    );
+  });
+
+  it("hgxd:grant-role / hgxd:revoke-role / hgxd:roles manage role members", async () => {
+    const { token, owner, alice, stranger } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:grant-role", { token: token.address, role: "snapshotter", account: alice.address });
+    await hre.run("hgxd:grant-role", { token: token.address, role: "MINTER_ROLE", account: stranger.address });
+    expect(output).to.include(`  ~ hasRole(SNAPSHOT_ROLE, ${alice.address}): false -> true`);
+    await expectRejected(
+      hre.run("hgxd:grant-role", { token: token.address, role: "snapshotter", account: alice.address }),
+      "already has the snapshotter role"
+    );
+    await expectRejected(hre.run("hgxd:grant-role", { token: token.address, role: "burner", account: alice.address }), 'Unknown HedgexDao role "burner"');
+
+    await hre.run("hgxd:revoke-role", { token: token.address, role: "minter", account: stranger.address });
+    const members = await hre.run("hgxd:roles", { token: token.address });
+    expect(members).to.deep.equal({ admin: [owner.address], minter: [], feeManager: [], snapshotter: [alice.address], compliance: [] });
+    expect(output).to.include(`snapshotter: ${alice.address}`);
+  });
+
+  it("a role holder runs its own ops directly but not other roles' or owner ops", async () => {
+    const { token, owner, alice, stranger } = await loadFixture(deployFixture);
+    await hre.run("hgxd:grant-role", { token: token.address, role: "snapshotter", account: owner.address });
+    await hre.run("hgxd:grant-role", { token: token.address, role: "compliance", account: owner.address });
+    await token.transferOwnership(stranger.address);
+
+    await hre.run("hgxd:snapshot", { token: token.address });
+    await hre.run("hgxd:freeze", { token: token.address, account: alice.address, reason: "SANCTIONS" });
+    expect(await token.isFrozen(alice.address)).to.equal(true);
+    await expectRejected(
+      hre.run("hgxd:mint", { token: token.address, to: alice.address, amount: "1" }),
+      "is not the HedgexDao owner (" + stranger.address + ") and does not have the minter role"
+    );
+    await expectRejected(hre.run("hgxd:recover-frozen", { token: token.address, account: alice.address }), "is not the HedgexDao owner");
+  });
+
+  it("--dry-run prints the diff without sending", async () => {
+    const { token } = await loadFixture(deployFixture);
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    await hre.run("hgxd:set-tax", { token: token.address, bps: 50, dryRun: true });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(await token.burnTax()).to.equal(10);
+    expect(output).to.include("Dry run: transaction not sent");
+  });
+
+  it("refuses to run when the signer is not the owner", async () => {
+    const { token, stranger } = await loadFixture(deployFixture);
+    await token.transferOwnership(stranger.address);
+
+    await expectRejected(hre.run("hgxd:snapshot", { token: token.address }), "is not the HedgexDao owner");
+  });
+});
@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { loadBatch } = require("../scripts/lib/safeBatch");
+const { expectRejected, captureLogs } = require("./helpers");
+
+describe("Timelocked administration", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+  const DELAY = 2 * 24 * 60 * 60; // 48h
+  const ZERO_HASH = ethers.constants.HashZero;
+
+  // Capture task output instead of printing it
+  const output = captureLogs();
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-timelock-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // The deployer (first signer) is the proposer/executor, as the multisig would be on mainnet
+  async function deployFixture() {
+    const [deployer, alice, pair1, stranger] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U("25000000"), U("30000000"), U("20000000"));
+    const HedgexTimelock = await ethers.getContractFactory("HedgexTimelock");
+    const timelock = await HedgexTimelock.deploy(DELAY, [deployer.address], [deployer.address], ethers.constants.AddressZero);
+    await token.transferOwnership(timelock.address);
+    return { token, timelock, deployer, alice, pair1, stranger };
+  }
+
+  const callArgs = (token, method, args, salt = ZERO_HASH) => [
+    token.address,
+    0,
+    token.interface.encodeFunctionData(method, args),
+    ZERO_HASH,
+    salt,
+  ];
+
+  // ------------------------------
+  // Contract level
+  // ------------------------------
+  it("owner calls only land through schedule -> delay -> execute", async () => {
+    const { token, timelock, deployer } = await loadFixture(deployFixture);
+
+    await expect(token.connect(deployer).setBurnTax(50)).to.be.revertedWith(
+      `AccessControl: account ${deployer.address.toLowerCase()} is missing role ${ethers.utils.id("FEE_MANAGER_ROLE")}`
+    );
+
+    const args = callArgs(token, "setBurnTax", [50]);
+    await expect(timelock.schedule(...args, DELAY - 1)).to.be.revertedWith("TimelockController: insufficient delay");
+    await expect(timelock.schedule(...args, DELAY)).to.emit(timelock, "CallScheduled");
+
+    // Visible on-chain while pending, but not executable yet
+    const id = await timelock.hashOperation(...args);
+    expect(await timelock.isOperationPending(id)).to.equal(true);
+    await expect(timelock.execute(...args)).to.be.revertedWith("TimelockController: operation is not ready");
+
+    await time.increase(DELAY);
+    await expect(timelock.execute(...args)).to.emit(token, "BurnTaxUpdated").withArgs(10, 50);
+    expect(await token.burnTax()).to.equal(50);
+    expect(await timelock.isOperationDone(id)).to.equal(true);
+  });
+
+  it("covers setSupplyFloor, mint and setAutomatedMarketMakerPair", async () => {
+    const { token, timelock, alice, pair1 } = await loadFixture(deployFixture);
+
+    const calls = [
+      callArgs(token, "setSupplyFloor", [U("21000000")]),
+      callArgs(token, "mint", [alice.address, U(1000)]),
+      callArgs(token, "setAutomatedMarketMakerPair", [pair1.address, true]),
+    ];
+    for (const args of calls) {
+      await timelock.schedule(...args, DELAY);
+    }
+    await time.increase(DELAY);
+    for (const args of calls) {
+      await timelock.execute(...args);
+    }
+
+    expect(await token.supplyFloor()).to.equal(U("21000000"));
+    expect(await token.balanceOf(alice.address)).to.equal(U(1000));
+    expect(await token.automatedMarketMakerPairs(pair1.address)).to.equal(true);
+  });
+
+  it("proposers can cancel; strangers can neither schedule nor cancel", async () => {
+    const { token, timelock, stranger } = await loadFixture(deployFixture);
+    const args = callArgs(token, "mint", [stranger.address, U(1)]);
+
+    await expect(timelock.connect(stranger).schedule(...args, DELAY)).to.be.reverted;
+    await timelock.schedule(...args, DELAY);
+    const id = await timelock.hashOperation(...args);
+
+    await expect(timelock.connect(stranger).cancel(id)).to.be.reverted;
+    await expect(timelock.cancel(id)).to.emit(timelock, "Cancelled").withArgs(id);
+
+    await time.increase(DELAY);
+    await expect(timelock.execute(...args)).to.be.revertedWith("TimelockController: operation is not ready");
+  });
+
+  it("changing the delay itself has to wait for the current delay", async () => {
+    const { timelock } = await loadFixture(deployFixture);
+
+    await expect(timelock.updateDelay(60)).to.be.revertedWith("TimelockController: caller must be timelock");
+
+    const data = timelock.interface.encodeFunctionData("updateDelay", [60]);
+    await timelock.schedule(timelock.address, 0, data, ZERO_HASH, ZERO_HASH, DELAY);
+    await time.increase(DELAY);
+    await timelock.execute(timelock.address, 0, data, ZERO_HASH, ZERO_HASH);
+    expect(await timelock.getMinDelay()).to.equal(60);
+  });
+
+  // ------------------------------
+  // Admin tasks with a timelock owner
+  // ------------------------------
+  it("admin tasks schedule, report the queue, then execute after the delay", async () => {
+    const { token } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:set-tax", { token: token.address, bps: 50 });
+    expect(output).to.include("  ~ burnTax: 10 -> 50");
+    expect(output.some((l) => l.startsWith("Scheduled: "))).to.equal(true);
+    expect(await token.burnTax()).to.equal(10);
+
+    // Re-running during the delay sends nothing
+    output.length = 0;
+    const blockBefore = await ethers.provider.getBlockNumber();
+    await hre.run("hgxd:set-tax", { token: token.address, bps: 50 });
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(output.some((l) => l.includes(": pending, executable after "))).to.equal(true);
+
+    const [queued] = await hre.run("hgxd:timelock-queue", { token: token.address });
+    expect(queued.state).to.equal("pending");
+    expect(queued.call.name).to.equal("setBurnTax");
+
+    await time.increase(DELAY);
+    await hre.run("hgxd:set-tax", { token: token.address, bps: 50 });
+    expect(await token.burnTax()).to.equal(50);
+    expect(output.some((l) => l.startsWith("Executed: "))).to.equal(true);
+
+    // The same call again needs a fresh salt
+    await expectRejected(hre.run("hgxd:set-tax", { token: token.address, bps: 50 }), "was already executed");
+    await hre.run("hgxd:set-tax", { token: token.address, bps: 50, salt: "again" });
+    expect((await hre.run("hgxd:timelock-queue", { token: token.address })).map((o) => o.state)).to.deep.equal([
+      "done",
+      "pending",
+    ]);
+  });
+
+  it("a role granted through the timelock lets its holder act directly", async () => {
+    const { token, deployer } = await loadFixture(deployFixture);
+
+    // The grant itself is an owner call: scheduled, then executed after the delay
+    await hre.run("hgxd:grant-role", { token: token.address, role: "snapshotter", account: deployer.address });
+    await time.increase(DELAY);
+    await hre.run("hgxd:grant-role", { token: token.address, role: "snapshotter", account: deployer.address });
+    expect(await token.hasRole(ethers.utils.id("SNAPSHOT_ROLE"), deployer.address)).to.equal(true);
+
+    output.length = 0;
+    await hre.run("hgxd:snapshot", { token: token.address });
+    expect(output.some((line) => line.startsWith("Timelock"))).to.equal(false);
+    expect(await token.connect(deployer).getCurrentSnapshot()).to.equal(1);
+    // Other ops still go through the timelock
+    await hre.run("hgxd:set-tax", { token: token.address, bps: 50 });
+    expect(output.some((line) => line.includes(": unset"))).to.equal(true);
+  });
+
+  it("the dry-run runs as the timelock and still rejects out-of-bounds values", async () => {
+    const { token } = await loadFixture(deployFixture);
+
+    await expectRejected(hre.run("hgxd:set-tax", { token: token.address, bps: 500 }), "Burn tax 500 > cap 100");
+    await expectRejected(
+      hre.run("hgxd:mint", { token: token.address, to: token.address, amount: "5000001" }),
+      "exceeds cap headroom"
+    );
+
+    const blockBefore = await ethers.provider.getBlockNumber();
+    await hre.run("hgxd:set-floor", { token: token.address, floor: "21000000", dryRun: true });
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(output).to.include("Dry run: transaction not sent");
+  });
+
+  it("hgxd:timelock-cancel cancels a queued operation", async () => {
+    const { token, alice } = await loadFixture(deployFixture);
+
+    await hre.run("hgxd:mint", { token: token.address, to: alice.address, amount: "1000" });
+    const [queued] = await hre.run("hgxd:timelock-queue", { token: token.address });
+
+    await hre.run("hgxd:timelock-cancel", { token: token.address, id: queued.id });
+    const [cancelled] = await hre.run("hgxd:timelock-queue", { token: token.address });
+    expect(cancelled.state).to.equal("cancelled");
+    await expectRejected(hre.run("hgxd:timelock-cancel", { token: token.address, id: queued.id }), "nothing to cancel");
+  });
+
+  it("refuses to schedule when the signer is not a proposer", async () => {
+    const { token, timelock, stranger } = await loadFixture(deployFixture);
+    // Hand the timelock to a token whose proposer is someone else
+    const HedgexTimelock = await ethers.getContractFactory("HedgexTimelock");
+    const other = await HedgexTimelock.deploy(DELAY, [stranger.address], [stranger.address], ethers.constants.AddressZero);
+    const args = callArgs(token, "transferOwnership", [other.address]);
+    await timelock.schedule(...args, DELAY);
+    await time.increase(DELAY);
+    await timelock.execute(...args);
+
+    await expectRejected(hre.run("hgxd:snapshot", { token: token.address }), "is not a proposer on timelock");
+  });
+
+  it("--safe-batch exports schedule, then execute, wrapping the HedgexDao call", async () => {
+    const { token, timelock, deployer } = await loadFixture(deployFixture);
+    const file = path.join(dir, "batch.json");
+
+    await expectRejected(
+      hre.run("hgxd:set-tax", { token: token.address, bps: 25, safeBatch: file }),
+      "pass --safe <proposer Safe address>"
+    );
+
+    // The deployer signer stands in for the proposer Safe
+    await hre.run("hgxd:set-tax", { token: token.address, bps: 25, safeBatch: file, safe: deployer.address });
+    const decoded = await hre.run("hgxd:decode-batch", { file, token: token.address });
+    expect(decoded[0].to).to.equal(timelock.address);
+    expect(decoded[0].summary).to.equal("schedule via timelock: setBurnTax(newBurnTaxBps=25)");
+    expect(decoded[0].warnings).to.deep.equal([]);
+
+    const [scheduleTx] = loadBatch(file).transactions;
+    await deployer.sendTransaction({ to: scheduleTx.to, data: scheduleTx.data });
+    await time.increase(DELAY);
+
+    const executeFile = path.join(dir, "execute.json");
+    await hre.run("hgxd:set-tax", { token: token.address, bps: 25, safeBatch: executeFile, safe: deployer.address });
+    const [executeTx] = loadBatch(executeFile).transactions;
+    expect(executeTx.summary).to.equal("execute via timelock: setBurnTax(newBurnTaxBps=25)");
+    await deployer.sendTransaction({ to: executeTx.to, data: executeTx.data });
+    expect(await token.burnTax()).to.equal(25);
+  });
+});
@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { quoteTransferOnChain } = require("../scripts/lib/quote");
+const { uniswapFactory, deployUniswapV2, getOrCreatePair, pairReserves } = require("../scripts/lib/uniswapV2");
+
+describe("Uniswap V2 integration", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+  const E = (n) => ethers.utils.parseEther(String(n));
+
+  async function uniswapFixture() {
+    const [owner, alice, bob, carol] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U(25000000), U(30000000), U(20000000));
+    await token.enableTrading();
+    await token.setBurnTax(100); // 1% both ways
+
+    const uniswap = await deployUniswapV2(hre, owner);
+    const { router, weth } = uniswap;
+    const pair = await getOrCreatePair(hre, uniswap, token.address, weth.address, owner);
+    await token.setAutomatedMarketMakerPair(pair.address, true);
+
+    // The owner is excluded from fee, so seeding the pool is untaxed
+    const deadline = (await time.latest()) + 3600;
+    await token.approve(router.address, ethers.constants.MaxUint256);
+    await router.addLiquidityETH(token.address, U(1000000), 0, 0, owner.address, deadline, { value: E(100) });
+
+    for (const s of [alice, bob]) {
+      await token.transfer(s.address, U(100000));
+      await token.connect(s).approve(router.address, ethers.constants.MaxUint256);
+    }
+    return { token, uniswap, router, weth, pair, owner, alice, bob, carol, deadline };
+  }
+
+  // Pair's HGXD balance must always match its reserve after a swap / mint / burn / sync
+  async function expectSynced(pair, token) {
+    expect(await token.balanceOf(pair.address)).to.equal((await pairReserves(pair, token.address)).token);
+  }
+
+  // ------------------------------
+  // Liquidity
+  // ------------------------------
+  it("seeds the pool from the excluded owner without tax", async () => {
+    const { token, pair, owner } = await loadFixture(uniswapFixture);
+
+    const reserves = await pairReserves(pair, token.address);
+    expect(reserves.token).to.equal(U(1000000));
+    expect(reserves.other).to.equal(E(100));
+    expect(await token.totalTaxBurned()).to.equal(0);
+    expect(await token.totalSupply()).to.equal(U(25000000));
+    expect(await pair.balanceOf(owner.address)).to.be.gt(0);
+  });
+
+  it("a non-excluded LP is taxed on add, and removal is a taxed buy on the pair -> router leg", async () => {
+    const { token, router, pair, owner, alice, deadline } = await loadFixture(uniswapFixture);
+
+    // Adding: the pair receives the amount minus the sell tax and mints LP for what arrived
+    const added = await quoteTransferOnChain(token, alice.address, pair.address, U(10000));
+    await expect(router.connect(alice).addLiquidityETH(token.address, U(10000), 0, 0, alice.address, deadline, { value: E(1) }))
+      .to.emit(token, "TaxBurnApplied")
+      .withArgs(alice.address, pair.address, added.burned, U(25000000).sub(added.burned));
+    await expectSynced(pair, token);
+
+    // Removing: even the excluded owner pays, since the tokens leave the pair for the router first.
+    // The plain entry point then fails: the router holds less than it computed.
+    const liquidity = (await pair.balanceOf(owner.address)).div(10);
+    await pair.approve(router.address, ethers.constants.MaxUint256);
+    await expect(router.removeLiquidityETH(token.address, liquidity, 0, 0, owner.address, deadline)).to.be.revertedWith(
+      "TransferHelper: TRANSFER_FAILED"
+    );
+
+    const pairBefore = await token.balanceOf(pair.address);
+    const amountToken = pairBefore.mul(liquidity).div(await pair.totalSupply());
+    const removed = await quoteTransferOnChain(token, pair.address, router.address, amountToken);
+    const ownerBefore = await token.balanceOf(owner.address);
+    await router.removeLiquidityETHSupportingFeeOnTransferTokens(token.address, liquidity, 0, 0, owner.address, deadline);
+    expect(removed.burned).to.be.gt(0);
+    expect(await token.balanceOf(owner.address)).to.equal(ownerBefore.add(removed.received));
+    expect(await token.balanceOf(pair.address)).to.equal(pairBefore.sub(amountToken));
+    await expectSynced(pair, token);
+
+    // Excluding the router makes both entry points untaxed
+    await token.setExcludedFromFee(router.address, true);
+    const burned = await token.totalTaxBurned();
+    await router.removeLiquidityETH(token.address, liquidity, 0, 0, owner.address, deadline);
+    expect(await token.totalTaxBurned()).to.equal(burned);
+  });
+
+  // ------------------------------
+  // Swaps
+  // ------------------------------
+  it("buy: the pair pays out the router quote and the buyer receives it minus the burn", async () => {
+    const { token, router, weth, pair, alice, deadline } = await loadFixture(uniswapFixture);
+
+    const path = [weth.address, token.address];
+    const [, amountOut] = await router.getAmountsOut(E(1), path);
+    const quote = await quoteTransferOnChain(token, pair.address, alice.address, amountOut);
+    const balanceBefore = await token.balanceOf(alice.address);
+    const supplyBefore = await token.totalSupply();
+
+    await expect(router.connect(alice).swapExactETHForTokensSupportingFeeOnTransferTokens(0, path, alice.address, deadline, { value: E(1) }))
+      .to.emit(token, "TaxBurnApplied")
+      .withArgs(pair.address, alice.address, quote.burned, supplyBefore.sub(quote.burned));
+
+    expect(quote.burned).to.equal(amountOut.div(100));
+    expect(await token.balanceOf(alice.address)).to.equal(balanceBefore.add(quote.received));
+    expect(await token.totalSupply()).to.equal(supplyBefore.sub(quote.burned));
+    expect((await pairReserves(pair, token.address)).token).to.equal(U(1000000).sub(amountOut));
+    await expectSynced(pair, token);
+  });
+
+  it("sell: only the fee-on-transfer entry point works, and the pair prices what actually arrived", async () => {
+    const { token, router, weth, pair, alice, deadline } = await loadFixture(uniswapFixture);
+    const path = [token.address, weth.address];
+
+    // The plain router swaps on the full amountIn, but the pair received 1% less
+    await expect(router.connect(alice).swapExactTokensForETH(U(10000), 0, path, alice.address, deadline)).to.be.revertedWith(
+      "UniswapV2: K"
+    );
+
+    const quote = await quoteTransferOnChain(token, alice.address, pair.address, U(10000));
+    const reserves = await pairReserves(pair, token.address);
+    const ethOut = await router.getAmountOut(quote.received, reserves.token, reserves.other);
+    const ethBefore = await ethers.provider.getBalance(alice.address);
+
+    const tx = await router.connect(alice).swapExactTokensForETHSupportingFeeOnTransferTokens(U(10000), 0, path, alice.address, deadline);
+    const receipt = await tx.wait();
+    const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+    expect(quote.burned).to.equal(U(100));
+    expect(await ethers.provider.getBalance(alice.address)).to.equal(ethBefore.add(ethOut).sub(gas));
+    expect((await pairReserves(pair, token.address)).token).to.equal(reserves.token.add(quote.received));
+    expect(await token.totalTaxBurned()).to.equal(U(100));
+    await expectSynced(pair, token);
+  });
+
+  it("multi-hop: the pair -> pair hop pays the destination sell rate unless pair hops are exempt", async () => {
+    const { token, uniswap, router, weth, pair, owner, alice, deadline } = await loadFixture(uniswapFixture);
+
+    // Second HGXD pool against a plain ERC20, so OTHER -> HGXD -> WETH hops between two marked pairs
+    const other = await uniswapFactory(hre, "ERC20", owner).deploy(U(1000000));
+    const otherPair = await getOrCreatePair(hre, uniswap, token.address, other.address, owner);
+    await token.setAutomatedMarketMakerPair(otherPair.address, true);
+    await other.approve(router.address, ethers.constants.MaxUint256);
+    await router.addLiquidity(token.address, other.address, U(1000000), U(100000), 0, 0, owner.address, deadline);
+    await other.transfer(alice.address, U(1000));
+    await other.connect(alice).approve(router.address, ethers.constants.MaxUint256);
+
+    const path = [other.address, token.address, weth.address];
+    await expect(router.connect(alice).swapExactTokensForETH(U(100), 0, path, alice.address, deadline)).to.be.revertedWith(
+      "UniswapV2: K"
+    );
+
+    const [, hop] = await router.getAmountsOut(U(100), path.slice(0, 2));
+    const quote = await quoteTransferOnChain(token, otherPair.address, pair.address, hop);
+    await expect(router.connect(alice).swapExactTokensForETHSupportingFeeOnTransferTokens(U(100), 0, path, alice.address, deadline))
+      .to.emit(token, "TaxBurnApplied")
+      .withArgs(otherPair.address, pair.address, quote.burned, U(25000000).sub(quote.burned));
+    expect(quote.burned).to.equal(hop.div(100));
+    await expectSynced(pair, token);
+    await expectSynced(otherPair, token);
+
+    // Exempt hops: the plain router works again and nothing is burned
+    await token.setPairToPairTaxExempt(true);
+    const burned = await token.totalTaxBurned();
+    await router.connect(alice).swapExactTokensForETH(U(100), 0, path, alice.address, deadline);
+    expect(await token.totalTaxBurned()).to.equal(burned);
+    await expectSynced(pair, token);
+  });
+
+  // ------------------------------
+  // sync / skim
+  // ------------------------------
+  it("a direct transfer to the pair is a taxed sell; skim pays the surplus out as a taxed buy, sync absorbs it", async () => {
+    const { token, pair, bob, carol } = await loadFixture(uniswapFixture);
+    const reserve = (await pairReserves(pair, token.address)).token;
+
+    const donation = await quoteTransferOnChain(token, bob.address, pair.address, U(1000));
+    await token.connect(bob).transfer(pair.address, U(1000));
+    expect(await token.balanceOf(pair.address)).to.equal(reserve.add(donation.received));
+
+    // skim sends exactly balance - reserve; the buy tax is burned out of it, not out of the reserve
+    const surplus = donation.received;
+    const skim = await quoteTransferOnChain(token, pair.address, carol.address, surplus);
+    await pair.skim(carol.address);
+    expect(await token.balanceOf(carol.address)).to.equal(skim.received);
+    expect(skim.burned).to.equal(surplus.div(100));
+    await expectSynced(pair, token);
+
+    // A second donation is absorbed into the reserve by sync
+    await token.connect(bob).transfer(pair.address, U(1000));
+    await pair.sync();
+    expect((await pairReserves(pair, token.address)).token).to.equal(reserve.add(donation.received));
+    await expectSynced(pair, token);
+    expect(await token.totalTaxBurned()).to.equal(donation.burned.mul(2).add(skim.burned));
+  });
+
+  // ------------------------------
+  // Supply floor
+  // ------------------------------
+  it("clamps the burn at the supply floor, after which swaps run untaxed", async () => {
+    const { token, router, weth, pair, alice, bob, deadline } = await loadFixture(uniswapFixture);
+    await token.setSupplyFloor((await token.totalSupply()).sub(U(30)));
+    const path = [token.address, weth.address];
+
+    // 1% of 10000 would be 100, but only 30 are left above the floor
+    const quote = await quoteTransferOnChain(token, alice.address, pair.address, U(10000));
+    expect(quote).to.include({ clamped: true });
+    expect(quote.burned).to.equal(U(30));
+    const reserve = (await pairReserves(pair, token.address)).token;
+    await expect(router.connect(alice).swapExactTokensForETHSupportingFeeOnTransferTokens(U(10000), 0, path, alice.address, deadline))
+      .to.emit(token, "TaxBurnApplied")
+      .withArgs(alice.address, pair.address, U(30), await token.supplyFloor());
+    expect((await pairReserves(pair, token.address)).token).to.equal(reserve.add(U(10000).sub(U(30))));
+    expect(await token.totalSupply()).to.equal(await token.supplyFloor());
+    expect(await token.isBurnActive()).to.equal(false);
+
+    // At the floor even the plain router entry points work: nothing is taken
+    await expect(router.connect(bob).swapExactTokensForETH(U(10000), 0, path, bob.address, deadline)).to.not.emit(
+      token,
+      "TaxBurnApplied"
+    );
+    const [, amountOut] = await router.getAmountsOut(E(1), [weth.address, token.address]);
+    const balance = await token.balanceOf(bob.address);
+    await router.connect(bob).swapExactETHForTokens(0, [weth.address, token.address], bob.address, deadline, { value: E(1) });
+    expect(await token.balanceOf(bob.address)).to.equal(balance.add(amountOut));
+    await expectSynced(pair, token);
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { validateConfig } = require("../scripts/lib/deployConfig");
+const { deployHedgexDao } = require("../scripts/lib/deploy");
+const { proxyInfo, getProxyAdmin } = require("../scripts/lib/upgrades");
+const { expectRejected, captureLogs } = require("./helpers");
+
+describe("Upgradeable HedgexDao", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+  const DELAY = 2 * 24 * 60 * 60;
+
+  // Capture task output instead of printing it
+  const output = captureLogs();
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-upgrades-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const base = {
+    name: "HedgexDao",
+    symbol: "HGXD",
+    initialSupply: "25000000",
+    maxSupply: "30000000",
+    supplyFloor: "20000000",
+    burnTax: 10,
+    ammPairs: [],
+    excludedFromFee: [],
+    finalOwner: "",
+    upgradeable: true,
+  };
+
+  async function proxyFixture() {
+    const [deployer, alice, bob, pair1, stranger] = await ethers.getSigners();
+    const params = validateConfig({ ...base, ammPairs: [pair1.address], launch: { enableTrading: true } });
+    const { token, record } = await deployHedgexDao(hre, params, { dir, log: () => {} });
+    return { token, record, deployer, alice, bob, pair1, stranger };
+  }
+
+  async function timelockFixture() {
+    const [deployer, alice] = await ethers.getSigners();
+    const params = validateConfig({ ...base, timelock: { minDelay: DELAY, proposers: [deployer.address] } });
+    const { token, timelock } = await deployHedgexDao(hre, params, { dir, log: () => {} });
+    return { token, timelock, deployer, alice };
+  }
+
+  // ------------------------------
+  // Contract / deployment
+  // ------------------------------
+  it("HedgexDaoUpgradeable exposes every HedgexDao function and event", async () => {
+    const plain = (await ethers.getContractFactory("HedgexDao")).interface;
+    const upgradeable = (await ethers.getContractFactory("HedgexDaoUpgradeable")).interface;
+    const missing = [...Object.keys(plain.functions), ...Object.keys(plain.events)].filter(
+      (sig) => !upgradeable.functions[sig] && !upgradeable.events[sig]
+    );
+    expect(missing).to.deep.equal([]);
+  });
+
+  it("deploys behind a proxy that initializes like the HedgexDao constructor", async () => {
+    const { token, record, deployer, pair1 } = await loadFixture(proxyFixture);
+
+    const info = await proxyInfo(ethers.provider, token.address);
+    expect(record.HedgexDao).to.include({
+      address: token.address,
+      contract: "HedgexDaoUpgradeable",
+      implementation: info.implementation,
+      proxyAdmin: info.admin,
+    });
+    expect(await token.name()).to.equal("HedgexDao");
+    expect(await token.totalSupply()).to.equal(U(25000000));
+    expect(await token.balanceOf(deployer.address)).to.equal(U(25000000));
+    expect(await token.cap()).to.equal(U(30000000));
+    expect(await token.supplyFloor()).to.equal(U(20000000));
+    expect(await token.owner()).to.equal(deployer.address);
+    expect(await token.hasRole(ethers.constants.HashZero, deployer.address)).to.equal(true);
+    expect(await token.buyTax()).to.equal(10);
+    expect(await token.burnTaxCap()).to.equal(100);
+    expect(await token.burnShare()).to.equal(10000);
+    expect(await token.maxTaxBurn()).to.equal(ethers.constants.MaxUint256);
+    expect(await token.isExcludedFromFee(token.address)).to.equal(true);
+    expect(await token.automatedMarketMakerPairs(pair1.address)).to.equal(true);
+    expect(await token.holdersCount()).to.equal(1);
+
+    // Neither the proxy nor the implementation can be initialized again
+    const args = ["X", "X", 0, 1, 0];
+    const proxy = await ethers.getContractAt("HedgexDaoUpgradeable", token.address, pair1);
+    await expect(proxy.initialize(...args)).to.be.revertedWith("Initializable: contract is already initialized");
+    const implementation = await ethers.getContractAt("HedgexDaoUpgradeable", info.implementation);
+    await expect(implementation.initialize(...args)).to.be.revertedWith("Initializable: contract is already initialized");
+  });
+
+  // ------------------------------
+  // Upgrade
+  // ------------------------------
+  it("applies bridge limits behind the proxy as HedgexDao does", async () => {
+    const { token, alice, stranger } = await loadFixture(proxyFixture);
+    await token.setMintSchedule(24 * 60 * 60, U(1000));
+    await expect(token.setLimits(stranger.address, U(1000), U(100)))
+      .to.emit(token, "BridgeLimitsSet")
+      .withArgs(U(1000), U(100), stranger.address);
+    expect(await token.isExcludedFromFee(stranger.address)).to.equal(true);
+
+    const asBridge = token.connect(stranger);
+    // Minter emissions fill the epoch; the bridge mints on its own limit
+    await token.mint(alice.address, U(1000));
+    await asBridge.mint(stranger.address, U(600));
+    expect(await token.mintedInCurrentEpoch()).to.equal(U(1000));
+    expect(await token.mintingCurrentLimitOf(stranger.address)).to.be.closeTo(U(400), U(1));
+    await expect(asBridge.mint(stranger.address, U(401))).to.be.revertedWith("HedgexDao: Bridge limit exceeded");
+    await expect(asBridge.burn(U(101))).to.be.revertedWith("HedgexDao: Bridge limit exceeded");
+    await asBridge.burn(U(100));
+
+    await token.setLimits(stranger.address, 0, 0);
+    expect(await token.isExcludedFromFee(stranger.address)).to.equal(false);
+  });
+
+  it("keeps balances, snapshots, votes, holders, roles and config across an upgrade to V2", async () => {
+    const { token, deployer, alice, bob, pair1, stranger } = await loadFixture(proxyFixture);
+
+    await token.transfer(alice.address, U(1000));
+    await token.transfer(pair1.address, U(5000));
+    await token.connect(pair1).transfer(bob.address, U(1000)); // taxed buy: 0.10% burned
+    await token.connect(alice).delegate(alice.address);
+    await token.connect(bob).delegate(alice.address);
+    await token.snapshot();
+    await token.connect(alice).transfer(bob.address, U(400));
+    await token.grantRole(ethers.utils.id("SNAPSHOT_ROLE"), stranger.address);
+    await token.freeze(stranger.address, ethers.utils.formatBytes32String("SANCTIONS"));
+    await token.setMintSchedule(30 * 24 * 60 * 60, U(1000));
+    await token.mint(deployer.address, U(600));
+    const votesBlock = await ethers.provider.getBlockNumber();
+    await time.increase(1);
+
+    const accounts = [deployer, alice, bob, pair1].map((s) => s.address);
+    const read = async (t) => ({
+      balances: await Promise.all(accounts.map((a) => t.balanceOf(a))),
+      snapshot: await Promise.all(accounts.map((a) => t.balanceOfAt(a, 1))),
+      votes: await t.getVotes(alice.address),
+      pastVotes: await t.getPastVotes(alice.address, votesBlock),
+      delegates: await t.delegates(bob.address),
+      totalSupply: await t.totalSupply(),
+      totalTaxBurned: await t.totalTaxBurned(),
+      holders: await t.holders(0, 10),
+      holdersCount: await t.holdersCount(),
+      snapshotter: await t.hasRole(ethers.utils.id("SNAPSHOT_ROLE"), stranger.address),
+      frozen: await t.frozenReason(stranger.address),
+      mintedInEpoch: await t.mintedInCurrentEpoch(),
+      owner: await t.owner(),
+    });
+    const before = await read(token);
+    expect(before.totalTaxBurned).to.equal(U(1));
+    expect(before.votes).to.equal(U(600).add(U(1399)));
+    expect(before.holdersCount).to.equal(4);
+
+    await hre.run("hgxd:prepare-upgrade", { token: token.address, contract: "HedgexDaoV2Mock", dryRun: true });
+    expect(output).to.include(`HedgexDaoV2Mock: storage layout compatible with HedgexDao ${token.address}`);
+    const implementation = await hre.run("hgxd:prepare-upgrade", { token: token.address, contract: "HedgexDaoV2Mock" });
+    const current = (await proxyInfo(ethers.provider, token.address)).implementation;
+    await hre.run("hgxd:upgrade", { token: token.address, implementation });
+    expect(output).to.include(`  ~ implementation(${token.address}): ${current} -> ${implementation}`);
+
+    const v2 = await ethers.getContractAt("HedgexDaoV2Mock", token.address);
+    expect((await proxyInfo(ethers.provider, token.address)).implementation).to.equal(implementation);
+    expect(await v2.version()).to.equal("2");
+    expect(await read(v2)).to.deep.equal(before);
+
+    // Still fully working after the upgrade, new state included
+    await v2.bumpUpgradeCounter();
+    expect(await v2.upgradeCounter()).to.equal(1);
+    await v2.connect(bob).transfer(alice.address, U(100));
+    expect(await v2.getVotes(alice.address)).to.equal(before.votes);
+    await expect(v2.mint(deployer.address, U(401))).to.be.revertedWith("HedgexDao: Epoch mint limit");
+    await expect(v2.connect(stranger).snapshot()).to.emit(v2, "Snapshot").withArgs(2);
+    expect(await v2.balanceOfAt(alice.address, 1)).to.equal(U(1000));
+
+    await expectRejected(hre.run("hgxd:upgrade", { token: token.address, implementation }), "already runs implementation");
+  });
+
+  it("refuses an implementation with an incompatible storage layout", async () => {
+    const { token } = await loadFixture(proxyFixture);
+
+    await expectRejected(
+      hre.run("hgxd:prepare-upgrade", { token: token.address, contract: "HedgexDaoBadLayoutMock", dryRun: true }),
+      "HedgexDaoBadLayoutMock cannot upgrade HedgexDao"
+    );
+    expect(output).to.not.include(`HedgexDaoBadLayoutMock: storage layout compatible with HedgexDao ${token.address}`);
+  });
+
+  it("only the ProxyAdmin owner upgrades, and a plain HedgexDao is not upgradeable", async () => {
+    const { token, stranger } = await loadFixture(proxyFixture);
+    const implementation = await hre.run("hgxd:prepare-upgrade", { token: token.address, contract: "HedgexDaoV2Mock" });
+
+    const proxyAdmin = await getProxyAdmin(token.address, stranger);
+    await expect(proxyAdmin.upgrade(token.address, implementation)).to.be.revertedWith("Ownable: caller is not the owner");
+
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const plain = await HedgexDao.deploy("HedgexDao", "HGXD", U(1000), U(2000), U(0));
+    await expectRejected(
+      hre.run("hgxd:prepare-upgrade", { token: plain.address, contract: "HedgexDaoV2Mock", dryRun: true }),
+      `HedgexDao ${plain.address} is not an upgradeable proxy`
+    );
+  });
+
+  it("hands the ProxyAdmin to the timelock, which then schedules and executes the upgrade", async () => {
+    const { token, timelock } = await loadFixture(timelockFixture);
+    const proxyAdmin = await getProxyAdmin(token.address, ethers.provider);
+    expect(await token.owner()).to.equal(timelock.address);
+    expect(await proxyAdmin.owner()).to.equal(timelock.address);
+
+    const implementation = await hre.run("hgxd:prepare-upgrade", { token: token.address, contract: "HedgexDaoV2Mock" });
+    await hre.run("hgxd:upgrade", { token: token.address, implementation });
+    expect(output.some((line) => line.startsWith("Scheduled:"))).to.equal(true);
+    expect(await proxyAdmin.getProxyImplementation(token.address)).to.not.equal(implementation);
+
+    await time.increase(DELAY);
+    await hre.run("hgxd:upgrade", { token: token.address, implementation });
+    expect(output.some((line) => line.startsWith("Executed:"))).to.equal(true);
+    expect(await proxyAdmin.getProxyImplementation(token.address)).to.equal(implementation);
+    expect(await (await ethers.getContractAt("HedgexDaoV2Mock", token.address)).version()).to.equal("2");
+  });
+});
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  DAY,
+  parseVestingCsv,
+  deployVesting,
+  vestedAt,
+  loadVestingWallets,
+  supplyState,
+  projectSupply,
+  projectionCsv,
+} = require("../scripts/lib/vesting");
+
+describe("Vesting wallets / supply projection", function () {
+  const { ethers } = hre;
+  const U = (n) => ethers.utils.parseUnits(String(n), 18);
+
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "hgxd-vesting-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [owner, alice, bob, stranger] = await ethers.getSigners();
+    const HedgexDao = await ethers.getContractFactory("HedgexDao");
+    const token = await HedgexDao.deploy("HedgexDao", "HGXD", U(1000000), U(2000000), U(500000));
+    const start = (await time.latest()) + DAY;
+    return { token, owner, alice, bob, stranger, start };
+  }
+
+  // ------------------------------
+  // HedgexVestingWallet
+  // ------------------------------
+  it("releases nothing before the cliff, then linearly until the end", async () => {
+    const { token, alice, stranger, start } = await loadFixture(deployFixture);
+    const Wallet = await ethers.getContractFactory("HedgexVestingWallet");
+    await expect(Wallet.deploy(alice.address, start, 101 * DAY, 100 * DAY)).to.be.revertedWith(
+      "HedgexVestingWallet: Cliff > duration"
+    );
+    const wallet = await Wallet.deploy(alice.address, start, 25 * DAY, 100 * DAY);
+    await token.transfer(wallet.address, U(1000));
+    const release = () => wallet.connect(stranger)["release(address)"](token.address);
+
+    await time.increaseTo(start + 25 * DAY - 10);
+    await release();
+    expect(await token.balanceOf(alice.address)).to.equal(0);
+
+    // At the cliff the quarter accrued since start is released at once
+    await time.setNextBlockTimestamp(start + 25 * DAY);
+    await release();
+    expect(await token.balanceOf(alice.address)).to.equal(U(250));
+
+    await time.setNextBlockTimestamp(start + 50 * DAY);
+    await release();
+    expect(await token.balanceOf(alice.address)).to.equal(U(500));
+
+    await time.increaseTo(start + 200 * DAY);
+    await release();
+    expect(await token.balanceOf(alice.address)).to.equal(U(1000));
+  });
+
+  // ------------------------------
+  // CSV
+  // ------------------------------
+  it("parses the vesting CSV and rejects bad rows", async () => {
+    const [, alice, bob] = await ethers.getSigners();
+    const csv = [
+      "beneficiary,amount,start,cliffDays,durationDays,label",
+      `${alice.address.toLowerCase()},1000,2027-01-01,365,1460,team`,
+      "# advisors",
+      `${bob.address},250.5,1798761600,0,730,advisor`,
+      "",
+    ].join("\n");
+    const entries = parseVestingCsv(csv);
+    expect(entries).to.have.length(2);
+    expect(entries[0]).to.include({ beneficiary: alice.address, start: 1798761600, cliff: 365 * DAY, duration: 1460 * DAY, label: "team" });
+    expect(entries[0].amount).to.equal(U(1000));
+    expect(entries[1].amount).to.equal(U("250.5"));
+
+    const header = "beneficiary,amount,start,cliffDays,durationDays";
+    expect(() => parseVestingCsv("beneficiary,amount,start")).to.throw("missing column(s): cliffDays, durationDays");
+    expect(() => parseVestingCsv(`${header}\n0x1234,1,2027-01-01,0,10`)).to.throw("line 2: beneficiary is not a valid address");
+    expect(() => parseVestingCsv(`${header}\n${alice.address},0,2027-01-01,0,10`)).to.throw("line 2: amount must be > 0");
+    expect(() => parseVestingCsv(`${header}\n${alice.address},1,someday,0,10`)).to.throw("start is not a unix timestamp or ISO date");
+    expect(() => parseVestingCsv(`${header}\n${alice.address},1,2027-01-01,11,10`)).to.throw("line 2: cliffDays > durationDays");
+    expect(() => parseVestingCsv(`${header}\n${alice.address},1,2027-01-01,0,0`)).to.throw("durationDays must be > 0");
+    expect(() =>
+      parseVestingCsv(`${header}\n${alice.address},1,2027-01-01,0,10\n${alice.address},2,2027-01-01,0,10`)
+    ).to.throw("line 3: duplicate vesting");
+  });
+
+  // ------------------------------
+  // Deploy / fund
+  // ------------------------------
+  it("deploys and funds one wallet per row and re-runs only what is missing", async () => {
+    const { token, alice, bob, start } = await loadFixture(deployFixture);
+    const header = "beneficiary,amount,start,cliffDays,durationDays,label";
+    const entries = parseVestingCsv(`${header}\n${alice.address},1000,${start},30,120,team\n${bob.address},500,${start},0,60,advisor`);
+    const log = [];
+    const opts = { dir, log: (line) => log.push(line) };
+
+    const dry = await deployVesting(hre, token, entries, { ...opts, dryRun: true });
+    expect(dry.total).to.equal(U(1500));
+    expect(log).to.include("Dry run: nothing deployed or sent");
+    expect(dry.record.vesting).to.deep.equal({});
+
+    const { record } = await deployVesting(hre, token, entries, opts);
+    const wallets = Object.values(record.vesting);
+    expect(wallets).to.have.length(2);
+    expect(await token.balanceOf(wallets[0].address)).to.equal(U(1000));
+    expect(await token.balanceOf(wallets[1].address)).to.equal(U(500));
+    expect(loadRecordVesting()[entries[0].key]).to.include({ address: wallets[0].address, label: "team", cliff: 30 * DAY });
+
+    // Released tokens still count as funded
+    await time.increaseTo(start + 60 * DAY);
+    const Wallet = await ethers.getContractFactory("HedgexVestingWallet");
+    await Wallet.attach(wallets[1].address)["release(address)"](token.address);
+    const again = await deployVesting(hre, token, entries, opts);
+    expect(again.total).to.equal(0);
+    expect(Object.values(again.record.vesting).map((w) => w.address)).to.deep.equal(wallets.map((w) => w.address));
+
+    // Mint funding is bound by the emission schedule, checked before any wallet is deployed
+    await token.setMintSchedule(30 * DAY, U(200));
+    const bonus = (amount) => parseVestingCsv(`${header}\n${alice.address},${amount},${start},0,30,bonus`);
+    const failures = [];
+    for (const [rows, fund] of [[bonus(300), "mint"], [bonus(150), "burn"]]) {
+      try {
+        await deployVesting(hre, token, rows, { ...opts, fund });
+      } catch (err) {
+        failures.push(err.message);
+      }
+    }
+    expect(failures[0]).to.equal("Minting 300.0 HGXD exceeds the 200.0 left in the current mint epoch");
+    expect(failures[1]).to.equal('Unknown funding "burn" (expected transfer or mint)');
+    expect(loadRecordVesting()[bonus(150)[0].key]).to.equal(undefined);
+
+    const totalSupply = await token.totalSupply();
+    await deployVesting(hre, token, bonus(150), { ...opts, fund: "mint" });
+    const half = loadRecordVesting()[bonus(150)[0].key];
+    expect(await token.balanceOf(half.address)).to.equal(U(150));
+    expect(await token.totalSupply()).to.equal(totalSupply.add(U(150)));
+    expect(Object.keys(loadRecordVesting())).to.have.length(3);
+  });
+
+  function loadRecordVesting() {
+    return JSON.parse(fs.readFileSync(path.join(dir, "hardhat.json"), "utf8")).vesting;
+  }
+
+  // ------------------------------
+  // Projection
+  // ------------------------------
+  it("mirrors the on-chain schedule and projects circulating supply against floor and cap", async () => {
+    const { token, alice, bob, start } = await loadFixture(deployFixture);
+    const header = "beneficiary,amount,start,cliffDays,durationDays";
+    const entries = parseVestingCsv(`${header}\n${alice.address},100000,${start},90,360\n${bob.address},20000,${start},0,180`);
+    await deployVesting(hre, token, entries, { dir, log: () => {} });
+
+    const wallets = await loadVestingWallets(hre, token, { dir });
+    expect(wallets.map((w) => w.amount)).to.deep.equal([U(100000), U(20000)]);
+    expect(wallets[0]).to.include({ start, cliff: 90 * DAY, duration: 360 * DAY });
+    const Wallet = await ethers.getContractFactory("HedgexVestingWallet");
+    for (const t of [start + 89 * DAY, start + 90 * DAY, start + 200 * DAY, start + 400 * DAY]) {
+      expect(vestedAt(wallets[0], t)).to.equal(await Wallet.attach(wallets[0].address)["vestedAmount(address,uint64)"](token.address, t));
+    }
+
+    await token.setMintSchedule(30 * DAY, U(10000));
+    await token.mint(alice.address, U(4000));
+    const state = await supplyState(token);
+    expect(state.schedule).to.include({ epochLength: 30 * DAY });
+    expect(state.schedule.mintedInEpoch).to.equal(U(4000));
+
+    const from = start;
+    const points = projectSupply({ ...state, wallets }, { from, step: 90 * DAY, points: 5 });
+    // t = 0: everything locked; the running epoch has 6000 left
+    expect(points[0].locked).to.equal(U(120000));
+    expect(points[0].circulating).to.equal(U(1004000).sub(U(120000)));
+    expect(points[0].maxSupply).to.equal(U(1010000));
+    // t = 180 days: bob fully vested, alice past the cliff; 6 more epochs of 10000
+    expect(points[2].locked).to.equal(U(100000).sub(vestedAt(wallets[0], from + 180 * DAY)));
+    expect(points[2].maxSupply).to.equal(U(1070000));
+    expect(points[4].locked).to.equal(0);
+    expect(points[4].supplyFloor).to.equal(U(500000));
+
+    // Without a schedule everything up to cap is mintable at once
+    const capped = projectSupply({ ...state, schedule: null, wallets }, { from, points: 1 });
+    expect(capped[0].maxSupply).to.equal(U(2000000));
+    expect(capped[0].maxCirculating).to.equal(U(2000000).sub(U(120000)));
+
+    const csv = projectionCsv(points).trim().split("\n");
+    expect(csv[0]).to.equal("date,timestamp,locked,circulating,maxSupply,maxCirculating,supplyFloor,cap");
+    expect(csv).to.have.length(6);
+    expect(csv[1].split(",").slice(2)).to.deep.equal(["120000.0", "884000.0", "1010000.0", "890000.0", "500000.0", "2000000.0"]);
+  });
+});